@@ -1,5 +1,5 @@
 // src/App.js
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 
@@ -10,6 +10,7 @@ import { ThemeProvider } from './contexts/ThemeContext';
 // Components
 import Header from './components/Common/Header';
 import LoadingSpinner from './components/Common/LoadingSpinner';
+import OfflineBanner from './components/Common/OfflineBanner';
 
 // Pages
 import Landing from './pages/Landing';
@@ -17,9 +18,16 @@ import Login from './pages/login';
 import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Session from './pages/Session';
+import Replay from './pages/Replay';
+import OAuthCallback from './pages/OAuthCallback';
+import MockOAuthProvider from './pages/MockOAuthProvider';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 
 // Hooks
 import { useAuth } from './hooks/useAuth';
+import { isMockOAuthEnabled } from './services/oauth';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -59,7 +67,7 @@ const PublicRoute = ({ children }) => {
 
 // Main App Router Component
 const AppRouter = () => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, needsEmailVerification } = useAuth();
 
   if (loading) {
     return (
@@ -94,7 +102,8 @@ const AppRouter = () => {
       </Routes>
 
       {/* Main Content */}
-      <main className={isAuthenticated ? "pt-16" : ""}>
+      {/* The header grows by the verification banner's height */}
+      <main className={isAuthenticated ? (needsEmailVerification ? "pt-24" : "pt-16") : ""}>
         <Routes>
           {/* Public Routes */}
           <Route 
@@ -122,6 +131,37 @@ const AppRouter = () => {
             } 
           />
 
+          <Route 
+            path="/forgot-password" 
+            element={
+              <PublicRoute>
+                <ForgotPassword />
+              </PublicRoute>
+            } 
+          />
+
+          {/* Links sent by email, opened signed in or not */}
+          <Route 
+            path="/reset-password/:token" 
+            element={<ResetPassword />} 
+          />
+          <Route 
+            path="/verify-email/:token" 
+            element={<VerifyEmail />} 
+          />
+
+          {/* OAuth: completes both sign-in and account linking */}
+          <Route 
+            path="/auth/callback" 
+            element={<OAuthCallback />} 
+          />
+          {isMockOAuthEnabled && (
+            <Route 
+              path="/auth/mock" 
+              element={<MockOAuthProvider />} 
+            />
+          )}
+
           {/* Protected Routes */}
           <Route 
             path="/dashboard" 
@@ -139,6 +179,14 @@ const AppRouter = () => {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/session/:sessionId/replay" 
+            element={
+              <ProtectedRoute>
+                <Replay />
+              </ProtectedRoute>
+            } 
+          />
 
           {/* Catch all route */}
           <Route 
@@ -187,6 +235,8 @@ const AppRouter = () => {
 
 // Main App Component
 const App = () => {
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+
   // Global app initialization
   useEffect(() => {
     // Set initial theme on app load
@@ -213,10 +263,12 @@ const App = () => {
     // Handle online/offline status
     const handleOnline = () => {
       console.log('🌐 Application is online');
+      setIsOnline(true);
     };
 
     const handleOffline = () => {
       console.log('📱 Application is offline');
+      setIsOnline(false);
     };
 
     window.addEventListener('online', handleOnline);
@@ -233,6 +285,7 @@ const App = () => {
       <AuthProvider>
         <Router>
           <AppRouter />
+          {!isOnline && <OfflineBanner />}
         </Router>
       </AuthProvider>
     </ThemeProvider>
@@ -3,10 +3,11 @@ import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import OAuthButtons from './OAuthButtons';
 import { clsx } from 'clsx';
 
-const LoginForm = ({ onSuccess }) => {
-  const { login, loading } = useAuth();
+const LoginForm = ({ onSuccess, returnTo }) => {
+  const { login, loading, twoFactorChallenge, verifyTwoFactor, cancelTwoFactor } = useAuth();
   const [formData, setFormData] = useState({
     identifier: '', // Can be email or username
     password: '',
@@ -14,6 +15,9 @@ const LoginForm = ({ onSuccess }) => {
   });
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [verifying, setVerifying] = useState(false);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -59,6 +63,9 @@ const LoginForm = ({ onSuccess }) => {
     
     if (result.success) {
       onSuccess?.(result.user);
+    } else if (result.twoFactorRequired) {
+      // The form switches to the code step
+      setErrors({});
     } else {
       // Handle specific error cases
       if (result.error.includes('locked')) {
@@ -74,6 +81,115 @@ const LoginForm = ({ onSuccess }) => {
     }
   };
 
+  // Second step: a code from the authenticator app or a recovery code
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    const code = twoFactorCode.trim();
+    if (!code) {
+      setErrors({ twoFactorCode: useRecoveryCode ? 'Recovery code is required' : 'Code is required' });
+      return;
+    }
+
+    setVerifying(true);
+    const result = await verifyTwoFactor(code);
+    setVerifying(false);
+
+    if (result.success) {
+      onSuccess?.(result.user);
+    } else {
+      setErrors({ twoFactorCode: result.error });
+      setTwoFactorCode('');
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    cancelTwoFactor();
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+  };
+
+  if (twoFactorChallenge) {
+    return (
+      <div className="w-full max-w-md">
+        <div className="card">
+          <div className="text-center mb-6">
+            <div className="text-4xl mb-3">🔐</div>
+            <h2 className="text-2xl font-heading gradient-text mb-2">Two-Factor Authentication</h2>
+            <p className="text-secondary">
+              {useRecoveryCode
+                ? 'Enter one of your recovery codes'
+                : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+
+          <form onSubmit={handleVerify} className="space-y-4">
+            <div>
+              <input
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(
+                  useRecoveryCode ? e.target.value : e.target.value.replace(/\D/g, '').slice(0, 6)
+                )}
+                className={clsx(
+                  'input text-center font-code text-lg tracking-widest',
+                  errors.twoFactorCode && 'input-error'
+                )}
+                placeholder={useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                disabled={verifying}
+                autoFocus
+              />
+              {errors.twoFactorCode && (
+                <p className="text-error text-sm mt-1">{errors.twoFactorCode}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={verifying || (!useRecoveryCode && twoFactorCode.length !== 6)}
+              className="w-full btn-primary py-3"
+            >
+              {verifying ? (
+                <div className="flex items-center justify-center space-x-2">
+                  <LoadingSpinner size="sm" color="white" />
+                  <span>Verifying...</span>
+                </div>
+              ) : (
+                'Verify'
+              )}
+            </button>
+          </form>
+
+          <div className="mt-6 flex items-center justify-between text-sm">
+            <button
+              type="button"
+              onClick={handleCancelTwoFactor}
+              className="text-secondary hover:text-primary transition-colors"
+              disabled={verifying}
+            >
+              ← Back
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setTwoFactorCode('');
+                setErrors({});
+              }}
+              className="text-accent hover:text-accent-secondary transition-colors"
+              disabled={verifying}
+            >
+              {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="w-full max-w-md">
       <div className="card">
@@ -196,6 +312,9 @@ const LoginForm = ({ onSuccess }) => {
           </button>
         </form>
 
+        {/* OAuth Sign In */}
+        <OAuthButtons returnTo={returnTo} disabled={loading} />
+
         {/* Sign Up Link */}
         <div className="mt-6 text-center">
           <p className="text-secondary">
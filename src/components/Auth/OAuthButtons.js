@@ -0,0 +1,49 @@
+// src/components/Auth/OAuthButtons.js
+import React, { useState } from 'react';
+import { getOAuthProviders, startOAuth } from '../../services/oauth';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const OAuthButtons = ({ returnTo = '/dashboard', disabled = false }) => {
+  const [redirecting, setRedirecting] = useState(null);
+
+  const handleClick = async (provider) => {
+    setRedirecting(provider);
+    try {
+      await startOAuth(provider, { returnTo });
+    } catch (error) {
+      // The API interceptor already reported it
+      setRedirecting(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center my-6">
+        <div className="flex-1 border-t border-primary" />
+        <span className="px-3 text-xs text-secondary">or</span>
+        <div className="flex-1 border-t border-primary" />
+      </div>
+
+      <div className="space-y-2">
+        {getOAuthProviders().map(provider => (
+          <button
+            key={provider.id}
+            type="button"
+            onClick={() => handleClick(provider.id)}
+            className="w-full btn-secondary flex items-center justify-center space-x-2"
+            disabled={disabled || !!redirecting}
+          >
+            {redirecting === provider.id ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <span>{provider.icon}</span>
+            )}
+            <span>Continue with {provider.name}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthButtons;
@@ -3,22 +3,26 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import OAuthButtons from './OAuthButtons';
 import { clsx } from 'clsx';
 
 const RegisterForm = ({ onSuccess }) => {
-  const { register, loading } = useAuth();
+  const { register, resendVerification } = useAuth();
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     password: '',
     confirmPassword: '',
     name: '',
-    rememberMe: false,
   });
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [passwordStrength, setPasswordStrength] = useState(0);
+  const [loading, setLoading] = useState(false);
+  // Address the verification link went to
+  const [sentTo, setSentTo] = useState(null);
+  const [resending, setResending] = useState(false);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -125,12 +129,14 @@ const RegisterForm = ({ onSuccess }) => {
       email: formData.email.toLowerCase().trim(),
       password: formData.password,
       name: formData.name.trim() || formData.username.trim(),
-      rememberMe: formData.rememberMe,
     };
 
+    setLoading(true);
     const result = await register(registrationData);
+    setLoading(false);
     
     if (result.success) {
+      setSentTo(result.email);
       onSuccess?.(result.user);
     } else {
       // Handle specific error cases
@@ -144,8 +150,46 @@ const RegisterForm = ({ onSuccess }) => {
     }
   };
 
+  const handleResend = async () => {
+    setResending(true);
+    await resendVerification(sentTo);
+    setResending(false);
+  };
+
   const strengthInfo = getPasswordStrengthInfo();
 
+  if (sentTo) {
+    return (
+      <div className="w-full max-w-md">
+        <div className="card text-center">
+          <div className="text-5xl mb-4">📧</div>
+          <h2 className="text-2xl font-heading gradient-text mb-2">Check Your Email</h2>
+          <p className="text-secondary mb-6">
+            We sent a verification link to{' '}
+            <span className="text-primary font-medium">{sentTo}</span>.
+            Open it to confirm your account, then sign in.
+          </p>
+
+          <Link to="/login" className="w-full btn-primary py-3 inline-block">
+            Go to Sign In
+          </Link>
+
+          <p className="mt-6 text-sm text-secondary">
+            Didn't get it?{' '}
+            <button
+              type="button"
+              onClick={handleResend}
+              className="text-accent hover:text-accent-secondary transition-colors font-medium"
+              disabled={resending}
+            >
+              {resending ? 'Sending...' : 'Send it again'}
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="w-full max-w-md">
       <div className="card">
@@ -346,19 +390,6 @@ const RegisterForm = ({ onSuccess }) => {
             )}
           </div>
 
-          {/* Remember Me */}
-          <div className="flex items-center">
-            <input
-              name="rememberMe"
-              type="checkbox"
-              checked={formData.rememberMe}
-              onChange={handleChange}
-              className="w-4 h-4 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
-              disabled={loading}
-            />
-            <span className="ml-2 text-sm text-secondary">Keep me signed in</span>
-          </div>
-
           {/* Terms and Privacy */}
           <div className="text-xs text-secondary">
             By creating an account, you agree to our{' '}
@@ -388,6 +419,9 @@ const RegisterForm = ({ onSuccess }) => {
           </button>
         </form>
 
+        {/* OAuth Sign Up */}
+        <OAuthButtons disabled={loading} />
+
         {/* Sign In Link */}
         <div className="mt-6 text-center">
           <p className="text-secondary">
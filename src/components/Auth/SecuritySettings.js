@@ -0,0 +1,349 @@
+// src/components/Auth/SecuritySettings.js
+import React, { useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { useAuth } from '../../hooks/useAuth';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { clsx } from 'clsx';
+import toast from 'react-hot-toast';
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '', twoFactorCode: '' };
+
+// Six digits from an authenticator app
+const CodeInput = ({ value, onChange, disabled, className }) => (
+  <input
+    type="text"
+    inputMode="numeric"
+    autoComplete="one-time-code"
+    value={value}
+    onChange={(e) => onChange(e.target.value.replace(/\D/g, '').slice(0, 6))}
+    className={clsx('input font-code tracking-widest', className)}
+    placeholder="123456"
+    disabled={disabled}
+  />
+);
+
+const SecuritySettings = () => {
+  const {
+    user,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    changePassword,
+    deleteAccount,
+  } = useAuth();
+  const twoFactorEnabled = !!user?.twoFactorEnabled;
+  // Accounts created through GitHub or Google have no password yet
+  const hasPassword = user?.hasPassword !== false;
+
+  // Enrollment: { secret, otpauthUrl } until confirmed
+  const [enrollment, setEnrollment] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [twoFactorError, setTwoFactorError] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [passwordError, setPasswordError] = useState(null);
+  const [deleteForm, setDeleteForm] = useState({ password: '', twoFactorCode: '' });
+  const [deleteError, setDeleteError] = useState(null);
+
+  const runTwoFactorAction = async (action) => {
+    setTwoFactorError(null);
+    setWorking(true);
+    const result = await action();
+    setWorking(false);
+    if (!result.success) {
+      setTwoFactorError(result.error);
+    }
+    return result;
+  };
+
+  const handleStartEnrollment = async () => {
+    const result = await runTwoFactorAction(setupTwoFactor);
+    if (result.success) {
+      setEnrollment({ secret: result.secret, otpauthUrl: result.otpauthUrl });
+      setTwoFactorCode('');
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const result = await runTwoFactorAction(() => enableTwoFactor(twoFactorCode));
+    setTwoFactorCode('');
+    if (result.success) {
+      setEnrollment(null);
+      setRecoveryCodes(result.recoveryCodes);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const result = await runTwoFactorAction(() => regenerateRecoveryCodes(twoFactorCode));
+    setTwoFactorCode('');
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off two-factor authentication? Your recovery codes stop working too.')) return;
+
+    const result = await runTwoFactorAction(() => disableTwoFactor(twoFactorCode));
+    setTwoFactorCode('');
+    if (result.success) {
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleCopyRecoveryCodes = () => {
+    navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied!');
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError(null);
+
+    if (passwordForm.newPassword.length < 6) {
+      setPasswordError('Password must be at least 6 characters');
+      return;
+    }
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      setPasswordError('Passwords do not match');
+      return;
+    }
+
+    const { confirmPassword, twoFactorCode: code, ...passwordData } = passwordForm;
+    const result = await changePassword(twoFactorEnabled ? { ...passwordData, twoFactorCode: code } : passwordData);
+    if (result.success) {
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+    } else {
+      setPasswordError(result.error);
+      setPasswordForm(prev => ({ ...prev, twoFactorCode: '' }));
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleteError(null);
+
+    if (!window.confirm('Delete your account? Your sessions and templates are removed for good.')) return;
+
+    const result = await deleteAccount(deleteForm.password, twoFactorEnabled ? deleteForm.twoFactorCode : null);
+    if (!result.success) {
+      setDeleteError(result.error);
+      setDeleteForm(prev => ({ ...prev, twoFactorCode: '' }));
+    }
+  };
+
+  return (
+    <div className="space-y-10">
+      {/* Two-Factor Authentication */}
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-medium text-primary">Two-Factor Authentication</h3>
+          <span className={clsx(
+            'px-2 py-1 text-xs rounded-full',
+            twoFactorEnabled ? 'bg-success text-white' : 'bg-tertiary text-secondary'
+          )}>
+            {twoFactorEnabled ? 'On' : 'Off'}
+          </span>
+        </div>
+        <p className="text-sm text-secondary mb-4">
+          Ask for a code from an authenticator app when signing in, changing the password or deleting the account.
+        </p>
+
+        {twoFactorError && (
+          <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm mb-4">
+            {twoFactorError}
+          </div>
+        )}
+
+        {recoveryCodes ? (
+          <div className="p-4 bg-tertiary rounded-lg">
+            <p className="text-sm text-primary font-medium mb-1">Save your recovery codes</p>
+            <p className="text-xs text-secondary mb-3">
+              Each code signs you in once if you lose your device. They won't be shown again.
+            </p>
+            <ul className="grid grid-cols-2 gap-2 font-code text-sm text-primary mb-4">
+              {recoveryCodes.map(code => (
+                <li key={code} className="px-2 py-1 bg-secondary rounded text-center">{code}</li>
+              ))}
+            </ul>
+            <div className="flex space-x-3">
+              <button type="button" onClick={handleCopyRecoveryCodes} className="btn-secondary btn-sm">
+                📋 Copy
+              </button>
+              <button type="button" onClick={() => setRecoveryCodes(null)} className="btn-primary btn-sm">
+                I've saved them
+              </button>
+            </div>
+          </div>
+        ) : enrollment ? (
+          <form onSubmit={handleEnable} className="p-4 bg-tertiary rounded-lg space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-6 space-y-4 sm:space-y-0">
+              <div className="p-3 bg-white rounded-lg self-start">
+                <QRCodeSVG value={enrollment.otpauthUrl} size={144} />
+              </div>
+              <div className="text-sm text-secondary space-y-2">
+                <p>1. Scan the code with your authenticator app.</p>
+                <p>
+                  Or enter this key:{' '}
+                  <code className="font-code text-primary break-all">{enrollment.secret}</code>
+                </p>
+                <p>2. Enter the 6-digit code it shows.</p>
+              </div>
+            </div>
+            <div className="flex space-x-3">
+              <CodeInput value={twoFactorCode} onChange={setTwoFactorCode} disabled={working} className="w-40" />
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={working || twoFactorCode.length !== 6}
+              >
+                {working ? <LoadingSpinner size="sm" color="white" /> : 'Verify and Enable'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setEnrollment(null)}
+                className="btn-ghost"
+                disabled={working}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : twoFactorEnabled ? (
+          <div className="flex flex-wrap items-center gap-3">
+            <CodeInput value={twoFactorCode} onChange={setTwoFactorCode} disabled={working} className="w-40" />
+            <button
+              type="button"
+              onClick={handleRegenerate}
+              className="btn-secondary"
+              disabled={working || twoFactorCode.length !== 6}
+            >
+              New Recovery Codes
+            </button>
+            <button
+              type="button"
+              onClick={handleDisable}
+              className="btn-ghost text-error"
+              disabled={working || twoFactorCode.length !== 6}
+            >
+              Turn Off
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={handleStartEnrollment}
+            className="btn-primary"
+            disabled={working}
+          >
+            {working ? <LoadingSpinner size="sm" color="white" /> : '🔐 Set Up Two-Factor'}
+          </button>
+        )}
+      </div>
+
+      {/* Change Password */}
+      {hasPassword && (
+        <div>
+          <h3 className="text-lg font-medium text-primary mb-4">Change Password</h3>
+          <form onSubmit={handleChangePassword} className="space-y-4">
+            {passwordError && (
+              <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm">
+                {passwordError}
+              </div>
+            )}
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })}
+              className="input"
+              placeholder="Current password"
+              required
+            />
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={passwordForm.newPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })}
+                className="input"
+                placeholder="New password"
+                required
+              />
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={passwordForm.confirmPassword}
+                onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })}
+                className="input"
+                placeholder="Confirm new password"
+                required
+              />
+            </div>
+            {twoFactorEnabled && (
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Authenticator Code
+                </label>
+                <CodeInput
+                  value={passwordForm.twoFactorCode}
+                  onChange={(code) => setPasswordForm({ ...passwordForm, twoFactorCode: code })}
+                  className="w-40"
+                />
+              </div>
+            )}
+            <button type="submit" className="btn-primary">
+              Change Password
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Delete Account */}
+      <div className="p-4 border border-error rounded-lg">
+        <h3 className="text-lg font-medium text-error mb-1">Delete Account</h3>
+        <p className="text-sm text-secondary mb-4">This can't be undone.</p>
+        <form onSubmit={handleDeleteAccount} className="space-y-4">
+          {deleteError && (
+            <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm">
+              {deleteError}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-3">
+            {hasPassword && (
+              <input
+                type="password"
+                autoComplete="current-password"
+                value={deleteForm.password}
+                onChange={(e) => setDeleteForm({ ...deleteForm, password: e.target.value })}
+                className="input flex-1 min-w-[12rem]"
+                placeholder="Password"
+                required
+              />
+            )}
+            {twoFactorEnabled && (
+              <CodeInput
+                value={deleteForm.twoFactorCode}
+                onChange={(code) => setDeleteForm({ ...deleteForm, twoFactorCode: code })}
+                className="w-40"
+              />
+            )}
+          </div>
+          <button
+            type="submit"
+            className="btn-secondary text-error"
+            disabled={(hasPassword && !deleteForm.password) || (twoFactorEnabled && deleteForm.twoFactorCode.length !== 6)}
+          >
+            Delete My Account
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -4,13 +4,24 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useSocket } from '../../hooks/useSocket';
+import { useNotifications } from '../../hooks/useNotifications';
 import LoadingSpinner from './LoadingSpinner';
+import NotificationCenter from './NotificationCenter';
+import VerifyEmailBanner from './VerifyEmailBanner';
 import { clsx } from 'clsx';
 
 const Header = () => {
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, needsEmailVerification } = useAuth();
   const { theme, toggleTheme } = useTheme();
-  const { connectionStatus } = useSocket();
+  const { connectionStatus, authenticating } = useSocket();
+  const {
+    notifications,
+    unreadCount,
+    enabled: notificationsEnabled,
+    markAllAsRead,
+    clearNotifications,
+    openNotification,
+  } = useNotifications();
   const location = useLocation();
   const navigate = useNavigate();
   
@@ -44,7 +55,9 @@ const Header = () => {
   const getConnectionStatusInfo = () => {
     switch (connectionStatus) {
       case 'connected':
-        return { color: 'bg-success', text: 'Connected' };
+        return authenticating
+          ? { color: 'bg-warning', text: 'Authenticating...' }
+          : { color: 'bg-success', text: 'Connected' };
       case 'connecting':
         return { color: 'bg-warning', text: 'Connecting...' };
       case 'disconnected':
@@ -112,6 +125,16 @@ const Header = () => {
 
           {/* Desktop User Menu & Theme Toggle */}
           <div className="hidden md:flex items-center space-x-4">
+            {/* Notifications */}
+            <NotificationCenter
+              notifications={notifications}
+              unreadCount={unreadCount}
+              enabled={notificationsEnabled}
+              onMarkAllAsRead={markAllAsRead}
+              onClear={clearNotifications}
+              onOpen={openNotification}
+            />
+
             {/* Theme Toggle */}
             <button
               onClick={toggleTheme}
@@ -201,6 +224,15 @@ const Header = () => {
 
           {/* Mobile Menu Button */}
           <div className="md:hidden flex items-center space-x-2">
+            <NotificationCenter
+              notifications={notifications}
+              unreadCount={unreadCount}
+              enabled={notificationsEnabled}
+              onMarkAllAsRead={markAllAsRead}
+              onClear={clearNotifications}
+              onOpen={openNotification}
+            />
+
             {/* Theme Toggle Mobile */}
             <button
               onClick={toggleTheme}
@@ -309,6 +341,8 @@ const Header = () => {
           </div>
         )}
       </div>
+
+      {needsEmailVerification && <VerifyEmailBanner />}
     </header>
   );
 };
@@ -0,0 +1,193 @@
+// src/components/Common/MarkdownMessage.js
+// Renders the Markdown subset used in chat: paragraphs, lists, quotes,
+// fenced code blocks, inline code, bold, italic, strikethrough and links.
+// Everything is built as React elements, never as HTML, so message text
+// cannot inject markup; links are limited to http(s) and mailto. Parsing
+// lives in services/markdown.js.
+//
+// Line references like `L42`, `L10-20` or `src/app.js:L10-20` become
+// buttons that call `onLineReference({ path, startLine, endLine })`.
+// `@username` mentions are emphasized, more so for `currentUsername`.
+import React, { useCallback } from 'react';
+import { PrismLight as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import bash from 'react-syntax-highlighter/dist/esm/languages/prism/bash';
+import c from 'react-syntax-highlighter/dist/esm/languages/prism/c';
+import cpp from 'react-syntax-highlighter/dist/esm/languages/prism/cpp';
+import go from 'react-syntax-highlighter/dist/esm/languages/prism/go';
+import java from 'react-syntax-highlighter/dist/esm/languages/prism/java';
+import javascript from 'react-syntax-highlighter/dist/esm/languages/prism/javascript';
+import json from 'react-syntax-highlighter/dist/esm/languages/prism/json';
+import python from 'react-syntax-highlighter/dist/esm/languages/prism/python';
+import rust from 'react-syntax-highlighter/dist/esm/languages/prism/rust';
+import typescript from 'react-syntax-highlighter/dist/esm/languages/prism/typescript';
+import { useTheme } from '../../contexts/ThemeContext';
+import { parseBlocks, parseInline } from '../../services/markdown';
+import { clsx } from 'clsx';
+
+const LANGUAGES = { bash, c, cpp, go, java, javascript, json, python, rust, typescript };
+Object.entries(LANGUAGES).forEach(([name, language]) => {
+  SyntaxHighlighter.registerLanguage(name, language);
+});
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  'c++': 'cpp',
+  rs: 'rust',
+  sh: 'bash',
+  shell: 'bash',
+};
+
+const getHighlightLanguage = (lang) => {
+  const name = LANGUAGE_ALIASES[lang?.toLowerCase()] || lang?.toLowerCase();
+  return LANGUAGES[name] ? name : null;
+};
+
+const CodeBlock = ({ language, code }) => {
+  const { theme } = useTheme();
+  const highlightLanguage = getHighlightLanguage(language);
+
+  return (
+    <div className="relative group my-1 rounded overflow-hidden text-xs">
+      {language && (
+        <span className="absolute top-1 right-2 text-[10px] uppercase opacity-60 group-hover:opacity-0">
+          {language}
+        </span>
+      )}
+      <button
+        type="button"
+        onClick={() => navigator.clipboard?.writeText(code)}
+        className="absolute top-1 right-1 px-1 rounded bg-tertiary text-primary opacity-0 group-hover:opacity-100 transition-opacity"
+        title="Copy code"
+      >
+        📋
+      </button>
+      {highlightLanguage ? (
+        <SyntaxHighlighter
+          language={highlightLanguage}
+          style={theme === 'dark' ? oneDark : oneLight}
+          customStyle={{ margin: 0, padding: '0.5rem', fontSize: 'inherit' }}
+          wrapLongLines={false}
+        >
+          {code}
+        </SyntaxHighlighter>
+      ) : (
+        <pre className="m-0 p-2 bg-code text-primary font-code overflow-x-auto scrollbar-thin">
+          {code}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const MarkdownMessage = ({ text, onLineReference, currentUsername, className }) => {
+  const renderInline = useCallback((content, keyPrefix = 'i') => {
+    const renderNodes = (nodes, prefix) => nodes.map((node, index) => {
+      if (typeof node === 'string') return node;
+
+      const key = `${prefix}-${index}`;
+      switch (node.type) {
+        case 'code':
+          return <code key={key} className="px-1 rounded bg-black/20 font-code text-[0.9em]">{node.text}</code>;
+        case 'link':
+          return (
+            <a key={key} href={node.url} target="_blank" rel="noopener noreferrer" className="underline">
+              {renderNodes(node.children, key)}
+            </a>
+          );
+        case 'url':
+          return (
+            <a key={key} href={node.url} target="_blank" rel="noopener noreferrer" className="underline break-all">
+              {node.url}
+            </a>
+          );
+        case 'line-reference': {
+          if (!onLineReference) return node.text;
+          const { path, startLine, endLine } = node;
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onLineReference({ path, startLine, endLine })}
+              className="font-code underline decoration-dotted hover:decoration-solid"
+              title="Show in editor"
+            >
+              {node.text}
+            </button>
+          );
+        }
+        case 'mention': {
+          const isSelf = node.username.toLowerCase() === currentUsername?.toLowerCase();
+          return (
+            <span
+              key={key}
+              className={clsx('font-semibold', isSelf && 'px-1 rounded bg-warning/30')}
+            >
+              {node.text}
+            </span>
+          );
+        }
+        case 'bold':
+          return <strong key={key}>{renderNodes(node.children, key)}</strong>;
+        case 'strike':
+          return <del key={key}>{renderNodes(node.children, key)}</del>;
+        default:
+          return <em key={key}>{renderNodes(node.children, key)}</em>;
+      }
+    });
+
+    return renderNodes(parseInline(content), keyPrefix);
+  }, [onLineReference, currentUsername]);
+
+  const renderBlocks = (blocks, keyPrefix = 'b') => blocks.map((block, index) => {
+    const key = `${keyPrefix}-${index}`;
+
+    switch (block.type) {
+      case 'code':
+        return <CodeBlock key={key} language={block.language} code={block.code} />;
+      case 'quote':
+        return (
+          <blockquote key={key} className="border-l-2 border-current pl-2 my-1 opacity-80">
+            {renderBlocks(block.blocks, key)}
+          </blockquote>
+        );
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List
+            key={key}
+            start={block.ordered ? block.start : undefined}
+            className={clsx('pl-5 my-1', block.ordered ? 'list-decimal' : 'list-disc')}
+          >
+            {block.items.map((item, itemIndex) => (
+              <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return (
+          <p key={key} className="my-0.5">
+            {block.lines.map((line, lineIndex) => (
+              <React.Fragment key={lineIndex}>
+                {lineIndex > 0 && <br />}
+                {renderInline(line, `${key}-${lineIndex}`)}
+              </React.Fragment>
+            ))}
+          </p>
+        );
+    }
+  });
+
+  return (
+    <div className={clsx('break-words', className)}>
+      {renderBlocks(parseBlocks(text))}
+    </div>
+  );
+};
+
+export default MarkdownMessage;
@@ -0,0 +1,125 @@
+// src/components/Common/NotificationCenter.js
+import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { clsx } from 'clsx';
+import { formatDistanceToNow } from 'date-fns';
+
+const TYPE_ICONS = {
+  mention: '💬',
+  invite: '✉️',
+  'role-change': '🔑',
+  'session-ended': '🏁',
+};
+
+// Bell with the list of notifications, fed by `useNotifications`
+const NotificationCenter = ({
+  notifications = [],
+  unreadCount = 0,
+  enabled = true,
+  onMarkAllAsRead,
+  onClear,
+  onOpen,
+  className
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const handleOpen = (notification) => {
+    onOpen?.(notification);
+    setIsOpen(false);
+  };
+
+  return (
+    <div className={clsx('relative', className)} ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-lg hover:bg-tertiary transition-colors"
+        title="Notifications"
+      >
+        <span className="text-lg">🔔</span>
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 min-w-[18px] h-[18px] px-1 bg-error text-white text-[10px] font-medium rounded-full flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-secondary border border-primary rounded-lg shadow-lg animate-slide-in z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-primary">
+            <span className="text-sm font-medium text-primary">Notifications</span>
+            <div className="flex items-center space-x-2 text-xs">
+              {unreadCount > 0 && (
+                <button onClick={onMarkAllAsRead} className="text-accent hover:underline">
+                  Mark all read
+                </button>
+              )}
+              {notifications.length > 0 && (
+                <button onClick={onClear} className="text-secondary hover:text-primary">
+                  Clear
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="max-h-96 overflow-y-auto scrollbar-thin">
+            {!enabled ? (
+              <div className="px-4 py-6 text-center text-sm text-secondary">
+                <p>Notifications are turned off.</p>
+                <Link
+                  to="/dashboard?tab=preferences"
+                  onClick={() => setIsOpen(false)}
+                  className="text-accent hover:underline"
+                >
+                  Change in Preferences
+                </Link>
+              </div>
+            ) : notifications.length === 0 ? (
+              <div className="px-4 py-6 text-center text-sm text-secondary">
+                <div className="text-3xl mb-2">🔔</div>
+                <p>You're all caught up</p>
+              </div>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  className={clsx(
+                    'flex items-start w-full text-left px-4 py-3 space-x-3 border-b border-primary last:border-b-0 hover:bg-tertiary transition-colors',
+                    !notification.read && 'bg-accent/10'
+                  )}
+                >
+                  <span className="text-lg">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-primary truncate">{notification.title}</p>
+                    {notification.message && (
+                      <p className="text-xs text-secondary line-clamp-2">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-secondary mt-1">
+                      {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                  {!notification.read && <span className="w-2 h-2 mt-2 bg-accent rounded-full flex-shrink-0" />}
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
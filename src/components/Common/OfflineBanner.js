@@ -0,0 +1,18 @@
+// src/components/Common/OfflineBanner.js
+import React from 'react';
+
+// Shown while the browser reports no network connection
+const OfflineBanner = () => {
+  return (
+    <div
+      role="status"
+      className="fixed bottom-0 left-0 right-0 z-50 bg-warning text-white px-4 py-2 text-sm text-center animate-fade-in"
+    >
+      <span className="mr-2">📡</span>
+      <span className="font-medium">You're offline.</span>{' '}
+      <span>Your edits and messages are kept on this device and will sync when the connection is back.</span>
+    </div>
+  );
+};
+
+export default OfflineBanner;
@@ -0,0 +1,45 @@
+// src/components/Common/VerifyEmailBanner.js
+import React, { useState } from 'react';
+import { useAuth } from '../../hooks/useAuth';
+
+// Shown under the header until the account's email is verified
+const VerifyEmailBanner = () => {
+  const { user, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    const result = await resendVerification();
+    setSending(false);
+    if (result.success) {
+      setSent(true);
+    }
+  };
+
+  return (
+    <div
+      role="status"
+      className="h-8 bg-warning text-white px-4 text-sm flex items-center justify-center space-x-2 whitespace-nowrap overflow-hidden"
+    >
+      <span>📧</span>
+      <span className="truncate">
+        Verify <span className="font-medium">{user?.email}</span> to create public sessions.
+      </span>
+      {sent ? (
+        <span className="font-medium">Link sent!</span>
+      ) : (
+        <button
+          type="button"
+          onClick={handleResend}
+          className="font-medium underline hover:opacity-80 transition-opacity"
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -1,16 +1,42 @@
 // src/components/Session/ChatWindow.js
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { useTheme } from '../../contexts/ThemeContext';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import MarkdownMessage from '../Common/MarkdownMessage';
 import { clsx } from 'clsx';
 import { format, isToday, isYesterday, differenceInMinutes } from 'date-fns';
 
+// Same identity the socket hook uses to drop resent duplicates
+const getMessageKey = (message) => message.clientId || message.id || message._id;
+
+// Replies, edits and reactions refer to the id the server gave a message,
+// so they are only possible once it has been acknowledged
+const getMessageId = (message) => message.id || message._id;
+
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '🎉', '🤔', '👀', '🚀', '✅'];
+
+// An `@name` being typed right before the caret
+const MENTION_PATTERN = /(^|\s)@([\w.-]*)$/;
+const MAX_MENTION_SUGGESTIONS = 6;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 const ChatWindow = ({
   sessionId,
   messages = [],
   currentUser,
   participants = [],
+  hasMore = false,
+  loadingOlder = false,
   onSendMessage,
+  onLoadOlder,
+  onLoadUntil,
+  onSearch,
+  onLineReference,
+  onEditMessage,
+  onDeleteMessage,
+  onToggleReaction,
+  canModerate = false,
   isConnected = false,
   className
 }) => {
@@ -19,19 +45,86 @@ const ChatWindow = ({
   const [isTyping, setIsTyping] = useState(false);
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
-  const [messageHistory, setMessageHistory] = useState([]);
   const [isScrolledUp, setIsScrolledUp] = useState(false);
   const [unreadCount, setUnreadCount] = useState(0);
+  const [showSearch, setShowSearch] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [highlightedKey, setHighlightedKey] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [expandedThreads, setExpandedThreads] = useState(new Set());
+  const [editingKey, setEditingKey] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [reactionPickerKey, setReactionPickerKey] = useState(null);
+  const [mention, setMention] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
   
   const messagesEndRef = useRef(null);
   const chatContainerRef = useRef(null);
   const inputRef = useRef(null);
   const typingTimeoutRef = useRef(null);
+  const lastMessageKeyRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
 
-  // Combine prop messages with local history
-  const allMessages = [...messageHistory, ...messages].sort((a, b) => 
-    new Date(a.timestamp) - new Date(b.timestamp)
-  );
+  // Messages arrive merged, deduplicated and sorted by the socket hook.
+  // Replies are shown in the thread of the message they answer; replies
+  // whose thread starts before the loaded history are shown on their own.
+  const allMessages = messages;
+  const { topLevelMessages, repliesByParent } = useMemo(() => {
+    const ids = new Set(messages.map(getMessageId).filter(Boolean));
+    const replies = new Map();
+    const topLevel = [];
+
+    messages.forEach((message) => {
+      if (message.replyTo && ids.has(message.replyTo)) {
+        if (!replies.has(message.replyTo)) {
+          replies.set(message.replyTo, []);
+        }
+        replies.get(message.replyTo).push(message);
+      } else {
+        topLevel.push(message);
+      }
+    });
+
+    return { topLevelMessages: topLevel, repliesByParent: replies };
+  }, [messages]);
+
+  // Participants matching the mention being typed
+  const mentionSuggestions = useMemo(() => {
+    if (!mention) return [];
+
+    const query = mention.query.toLowerCase();
+    const usernames = new Set(
+      participants
+        .map(p => p.username || p.user?.username)
+        .filter(name => name && name !== currentUser?.username)
+    );
+    return Array.from(usernames)
+      .filter(name => name.toLowerCase().startsWith(query))
+      .slice(0, MAX_MENTION_SUGGESTIONS);
+  }, [mention, participants, currentUser?.username]);
+
+  const toggleThread = useCallback((messageId, expand) => {
+    setExpandedThreads((prev) => {
+      const next = new Set(prev);
+      if (expand ?? !next.has(messageId)) {
+        next.add(messageId);
+      } else {
+        next.delete(messageId);
+      }
+      return next;
+    });
+  }, []);
+
+  // Replies always go to the message that starts the thread
+  const startReply = useCallback((message) => {
+    const root = (message.replyTo && messages.find(m => getMessageId(m) === message.replyTo)) || message;
+    setReplyingTo(root);
+    toggleThread(getMessageId(root), true);
+    inputRef.current?.focus();
+  }, [messages, toggleThread]);
 
   // Auto-scroll to bottom
   const scrollToBottom = useCallback((force = false) => {
@@ -40,7 +133,7 @@ const ChatWindow = ({
     }
   }, [isScrolledUp]);
 
-  // Handle scroll detection
+  // Handle scroll detection, loading older messages near the top
   const handleScroll = useCallback(() => {
     if (chatContainerRef.current) {
       const { scrollTop, scrollHeight, clientHeight } = chatContainerRef.current;
@@ -50,32 +143,99 @@ const ChatWindow = ({
       if (isAtBottom) {
         setUnreadCount(0);
       }
+
+      if (scrollTop < 80 && hasMore && !loadingOlder && onLoadOlder && !scrollAnchorRef.current) {
+        scrollAnchorRef.current = { scrollHeight, scrollTop };
+        onLoadOlder();
+      }
     }
-  }, []);
+  }, [hasMore, loadingOlder, onLoadOlder]);
+
+  // Keep the view still while older messages are added above it
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    if (!anchor || loadingOlder || !chatContainerRef.current) return;
+
+    const container = chatContainerRef.current;
+    container.scrollTop = container.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+    scrollAnchorRef.current = null;
+  }, [messages, loadingOlder]);
 
-  // Update message history and scroll
+  // Follow new messages at the bottom, or count them while scrolled up
   useEffect(() => {
-    if (messages.length > 0) {
-      const newMessages = messages.filter(msg => 
-        !messageHistory.some(existing => existing.id === msg.id)
-      );
-      
-      if (newMessages.length > 0) {
-        setMessageHistory(prev => [...prev, ...newMessages]);
-        
-        // Update unread count if user is scrolled up
-        if (isScrolledUp) {
-          setUnreadCount(prev => prev + newMessages.length);
-        }
-        
-        // Auto-scroll for own messages or if at bottom
-        const lastMessage = newMessages[newMessages.length - 1];
-        if (lastMessage.username === currentUser?.username || !isScrolledUp) {
-          setTimeout(() => scrollToBottom(), 100);
-        }
+    const lastMessage = messages[messages.length - 1];
+    const key = lastMessage && getMessageKey(lastMessage);
+    if (!key || key === lastMessageKeyRef.current) return;
+
+    const isFirstLoad = lastMessageKeyRef.current === null;
+    lastMessageKeyRef.current = key;
+
+    if (isFirstLoad) {
+      setTimeout(() => messagesEndRef.current?.scrollIntoView(), 0);
+    } else if (lastMessage.username === currentUser?.username || !isScrolledUp) {
+      setTimeout(() => scrollToBottom(), 100);
+    } else {
+      setUnreadCount(prev => prev + 1);
+    }
+  }, [messages, currentUser?.username, isScrolledUp, scrollToBottom]);
+
+  // Search the whole session history, not only the loaded messages
+  const handleSearch = useCallback(async (e) => {
+    e.preventDefault();
+    const query = searchQuery.trim();
+    if (!query || !onSearch) return;
+
+    try {
+      setIsSearching(true);
+      setSearchError(null);
+      const result = await onSearch(query);
+      if (result.success) {
+        setSearchResults(result.messages);
+      } else {
+        setSearchResults(null);
+        setSearchError(result.error);
       }
+    } finally {
+      setIsSearching(false);
     }
-  }, [messages, messageHistory, currentUser?.username, isScrolledUp, scrollToBottom]);
+  }, [searchQuery, onSearch]);
+
+  // Load a search result if needed, then scroll to it and flash it
+  const handleJumpToMessage = useCallback(async (message) => {
+    const loaded = await onLoadUntil?.(message);
+    if (loaded === false) return;
+
+    if (message.replyTo) {
+      toggleThread(message.replyTo, true);
+    }
+
+    const key = getMessageKey(message);
+    setHighlightedKey(key);
+    setTimeout(() => {
+      document.getElementById(`chat-message-${key}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 100);
+    setTimeout(() => {
+      setHighlightedKey(current => (current === key ? null : current));
+    }, 3000);
+  }, [onLoadUntil, toggleThread]);
+
+  const closeSearch = useCallback(() => {
+    setShowSearch(false);
+    setSearchQuery('');
+    setSearchResults(null);
+    setSearchError(null);
+  }, []);
+
+  // Mark the searched words in a result
+  const highlightMatches = useCallback((text, query) => {
+    if (!query) return text;
+    const parts = String(text).split(new RegExp(`(${escapeRegExp(query)})`, 'gi'));
+    return parts.map((part, index) => (
+      part.toLowerCase() === query.toLowerCase()
+        ? <mark key={index} className="bg-warning/40 text-primary rounded">{part}</mark>
+        : part
+    ));
+  }, []);
 
   // Handle typing indicators
   useEffect(() => {
@@ -100,40 +260,126 @@ const ChatWindow = ({
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
     
-    if (!newMessage.trim() || !isConnected) return;
+    // Messages typed while offline are queued and sent on reconnect
+    if (!newMessage.trim()) return;
     
     const messageData = {
       content: newMessage.trim(),
       timestamp: new Date().toISOString(),
     };
     
-    onSendMessage?.(messageData.content);
+    onSendMessage?.(messageData.content, replyingTo ? { replyTo: getMessageId(replyingTo) } : undefined);
     setNewMessage('');
     setIsTyping(false);
     
     // Focus back to input
     inputRef.current?.focus();
     
-    // Scroll to bottom after sending
-    setTimeout(() => scrollToBottom(true), 100);
-  }, [newMessage, isConnected, onSendMessage, scrollToBottom]);
+    // Scroll to bottom after sending, unless the reply went into a thread
+    if (replyingTo) {
+      setReplyingTo(null);
+    } else {
+      setTimeout(() => scrollToBottom(true), 100);
+    }
+  }, [newMessage, replyingTo, onSendMessage, scrollToBottom]);
 
   // Handle input changes
   const handleInputChange = useCallback((e) => {
     setNewMessage(e.target.value);
+
+    // Offer participants while an @mention is typed
+    const caret = e.target.selectionStart;
+    const match = MENTION_PATTERN.exec(e.target.value.slice(0, caret));
+    setMention(match ? { start: caret - match[2].length - 1, end: caret, query: match[2] } : null);
+    setMentionIndex(0);
     
     if (!isTyping && e.target.value.trim()) {
       setIsTyping(true);
     }
   }, [isTyping]);
 
+  // Replace the typed `@query` with the chosen name
+  const insertMention = useCallback((username) => {
+    if (!mention) return;
+
+    const before = newMessage.slice(0, mention.start);
+    const after = newMessage.slice(mention.end);
+    const caret = before.length + username.length + 2;
+
+    setNewMessage(`${before}@${username} ${after}`);
+    setMention(null);
+    setTimeout(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    }, 0);
+  }, [mention, newMessage]);
+
   // Handle Enter key
   const handleKeyDown = useCallback((e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionSuggestions[mentionIndex] || mentionSuggestions[0]);
+        return;
+      }
+      if (e.key === 'Escape') {
+        setMention(null);
+        return;
+      }
+    }
+
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSubmit(e);
+    } else if (e.key === 'Escape' && replyingTo) {
+      setReplyingTo(null);
+    }
+  }, [handleSubmit, replyingTo, mentionSuggestions, mentionIndex, insertMention]);
+
+  const startEditing = useCallback((message) => {
+    setEditingKey(getMessageKey(message));
+    setEditText(message.message || message.content || '');
+  }, []);
+
+  const cancelEditing = useCallback(() => {
+    setEditingKey(null);
+    setEditText('');
+  }, []);
+
+  const saveEdit = useCallback((message) => {
+    const text = editText.trim();
+    if (!text || text === (message.message || message.content)) {
+      cancelEditing();
+      return;
     }
-  }, [handleSubmit]);
+    if (onEditMessage?.(getMessageId(message), text) !== false) {
+      cancelEditing();
+    }
+  }, [editText, onEditMessage, cancelEditing]);
+
+  const handleDelete = useCallback((message) => {
+    if (window.confirm('Delete this message? This cannot be undone.')) {
+      onDeleteMessage?.(getMessageId(message));
+    }
+  }, [onDeleteMessage]);
+
+  const handleReaction = useCallback((message, emoji) => {
+    onToggleReaction?.(getMessageId(message), emoji);
+    setReactionPickerKey(null);
+  }, [onToggleReaction]);
+
+  // Names of the participants behind a reaction, for its tooltip
+  const getReactorNames = useCallback((userIds) => userIds.map((userId) => {
+    if (userId === currentUser?.id) return 'You';
+    const participant = participants.find(p => (p.user?._id || p.user?.id || p.userId) === userId);
+    return participant?.username || participant?.user?.username || 'Someone';
+  }).join(', '), [participants, currentUser?.id]);
 
   // Format message timestamp
   const formatMessageTime = useCallback((timestamp) => {
@@ -182,6 +428,189 @@ const ChatWindow = ({
     inputRef.current?.focus();
   }, []);
 
+  const renderMessage = (message, { isGrouped = false, isReply = false } = {}) => {
+    const isOwn = message.userId
+      ? message.userId === currentUser?.id
+      : message.username === currentUser?.username;
+    const userColor = getUserColor(message.username);
+    const messageKey = getMessageKey(message);
+    const messageId = getMessageId(message);
+    const canAct = !!messageId && !message.deleted;
+    const isEditing = editingKey === messageKey;
+    const reactions = Object.entries(message.reactions || {}).filter(([, userIds]) => userIds?.length > 0);
+    const mentionsMe = !isOwn && !message.deleted && !!currentUser?.username && new RegExp(
+      `(^|\\s)@${escapeRegExp(currentUser.username)}(?![\\w.-])`, 'i'
+    ).test(message.message || message.content || '');
+
+    return (
+      <div
+        key={messageKey}
+        id={`chat-message-${messageKey}`}
+        className={clsx(
+          'animate-slide-in rounded transition-colors',
+          highlightedKey === messageKey && 'bg-accent/10 ring-1 ring-accent'
+        )}
+      >
+        {!isGrouped && (
+          <div className={clsx('flex items-center space-x-2 mb-1', isReply ? 'mt-2' : 'mt-4')}>
+            <div 
+              className="w-6 h-6 rounded-full flex items-center justify-center text-xs text-white font-medium"
+              style={{ backgroundColor: userColor }}
+            >
+              {getUserAvatar(message.username)}
+            </div>
+            <span className="font-medium text-primary text-sm">
+              {message.username}
+              {isOwn && <span className="text-accent ml-1">(You)</span>}
+            </span>
+            <span className="text-xs text-secondary">
+              {formatMessageTime(message.timestamp)}
+            </span>
+          </div>
+        )}
+        
+        <div className={clsx(
+          'ml-8 mb-2 group',
+          isGrouped && 'mt-1'
+        )}>
+          {message.replyTo && !isReply && (
+            <div className="text-xs text-secondary mb-1">↪ Reply in an earlier thread</div>
+          )}
+
+          {isEditing ? (
+            <div className="space-y-1">
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    saveEdit(message);
+                  } else if (e.key === 'Escape') {
+                    cancelEditing();
+                  }
+                }}
+                className="w-full resize-none input text-sm"
+                rows={Math.min(editText.split('\n').length, 8)}
+                maxLength={1000}
+                autoFocus
+              />
+              <div className="flex items-center space-x-2 text-xs text-secondary">
+                <span>Enter to save, Esc to cancel</span>
+                <button onClick={cancelEditing} className="btn-ghost btn-sm">Cancel</button>
+                <button onClick={() => saveEdit(message)} className="btn-primary btn-sm">Save</button>
+              </div>
+            </div>
+          ) : (
+            <div className={clsx(
+              'inline-block max-w-[85%] px-3 py-2 rounded-lg text-sm break-words',
+              message.deleted
+                ? 'bg-tertiary text-secondary italic'
+                : isOwn 
+                  ? 'bg-accent text-white ml-auto' 
+                  : 'bg-tertiary text-primary',
+              mentionsMe && 'ring-1 ring-warning'
+            )}>
+              {/* Message Content */}
+              {message.deleted ? (
+                <span>This message was deleted</span>
+              ) : (
+                <>
+                  <MarkdownMessage
+                    text={message.message || message.content}
+                    onLineReference={onLineReference}
+                    currentUsername={currentUser?.username}
+                  />
+                  {message.editedAt && (
+                    <span className="text-[10px] opacity-70" title={formatMessageTime(message.editedAt)}>
+                      (edited)
+                    </span>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {/* Reactions */}
+          {reactions.length > 0 && (
+            <div className="flex flex-wrap gap-1 mt-1">
+              {reactions.map(([emoji, userIds]) => (
+                <button
+                  key={emoji}
+                  onClick={() => handleReaction(message, emoji)}
+                  className={clsx(
+                    'px-1.5 py-0.5 rounded-full text-xs border transition-colors',
+                    userIds.includes(currentUser?.id)
+                      ? 'bg-accent/20 border-accent text-primary'
+                      : 'bg-tertiary border-primary text-secondary hover:text-primary'
+                  )}
+                  title={getReactorNames(userIds)}
+                >
+                  {emoji} {userIds.length}
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {/* Message Actions (on hover) */}
+          {canAct && !isEditing && (
+            <div className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 mt-1">
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => setReactionPickerKey(reactionPickerKey === messageKey ? null : messageKey)}
+                  className="text-xs text-secondary hover:text-primary transition-colors"
+                  title="Add reaction"
+                >
+                  😀
+                </button>
+                <button
+                  onClick={() => startReply(message)}
+                  className="text-xs text-secondary hover:text-primary transition-colors"
+                  title={isReply ? 'Reply in thread' : 'Reply'}
+                >
+                  ↩️
+                </button>
+                {isOwn && (
+                  <button
+                    onClick={() => startEditing(message)}
+                    className="text-xs text-secondary hover:text-primary transition-colors"
+                    title="Edit message"
+                  >
+                    ✏️
+                  </button>
+                )}
+                {(isOwn || canModerate) && (
+                  <button
+                    onClick={() => handleDelete(message)}
+                    className="text-xs text-secondary hover:text-error transition-colors"
+                    title="Delete message"
+                  >
+                    🗑️
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Reaction Picker */}
+          {reactionPickerKey === messageKey && (
+            <div className="inline-flex flex-wrap gap-1 mt-1 p-1 bg-secondary border border-primary rounded-lg shadow">
+              {REACTION_EMOJIS.map(emoji => (
+                <button
+                  key={emoji}
+                  onClick={() => handleReaction(message, emoji)}
+                  className="text-base hover:bg-tertiary rounded px-1 transition-colors"
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className={clsx('flex flex-col h-full bg-sidebar border-l border-primary', className)}>
       {/* Chat Header */}
@@ -199,6 +628,16 @@ const ChatWindow = ({
             <span className="text-xs text-secondary">
               {participants.length} participant{participants.length !== 1 ? 's' : ''}
             </span>
+
+            {onSearch && (
+              <button
+                onClick={() => (showSearch ? closeSearch() : setShowSearch(true))}
+                className={clsx('btn-ghost btn-sm', showSearch && 'text-accent')}
+                title="Search messages"
+              >
+                🔍
+              </button>
+            )}
             
             {unreadCount > 0 && (
               <div className="px-2 py-1 bg-accent text-white text-xs rounded-full">
@@ -209,6 +648,57 @@ const ChatWindow = ({
         </div>
       </div>
 
+      {/* Search */}
+      {showSearch && (
+        <div className="px-3 py-2 bg-secondary border-b border-primary">
+          <form onSubmit={handleSearch} className="flex items-center space-x-2">
+            <input
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Escape' && closeSearch()}
+              placeholder="Search messages..."
+              className="input py-1 text-sm flex-1"
+              autoFocus
+            />
+            <button
+              type="submit"
+              disabled={isSearching || !searchQuery.trim()}
+              className="btn-ghost btn-sm"
+            >
+              {isSearching ? <LoadingSpinner size="xs" /> : 'Search'}
+            </button>
+          </form>
+
+          {searchError && (
+            <p className="mt-2 text-xs text-error">{searchError}</p>
+          )}
+
+          {searchResults && (
+            <div className="mt-2 max-h-48 overflow-y-auto scrollbar-thin space-y-1">
+              {searchResults.length === 0 ? (
+                <p className="text-xs text-secondary text-center py-2">No messages found</p>
+              ) : (
+                searchResults.map(result => (
+                  <button
+                    key={getMessageKey(result)}
+                    onClick={() => handleJumpToMessage(result)}
+                    className="block w-full text-left p-2 rounded hover:bg-tertiary transition-colors"
+                  >
+                    <div className="flex items-center justify-between text-xs text-secondary">
+                      <span className="font-medium text-primary">{result.username}</span>
+                      <span>{formatMessageTime(result.timestamp)}</span>
+                    </div>
+                    <div className="text-sm text-primary truncate">
+                      {highlightMatches(result.message || result.content, searchQuery.trim())}
+                    </div>
+                  </button>
+                ))
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Messages Container */}
       <div 
         ref={chatContainerRef}
@@ -225,72 +715,56 @@ const ChatWindow = ({
           </div>
         ) : (
           <div className="space-y-1">
-            {allMessages.map((message, index) => {
-              const prevMessage = index > 0 ? allMessages[index - 1] : null;
-              const isGrouped = shouldGroupMessage(message, prevMessage);
-              const isOwn = message.username === currentUser?.username;
-              const userColor = getUserColor(message.username);
-              
+            {/* Older Messages */}
+            {loadingOlder ? (
+              <div className="flex justify-center py-2">
+                <LoadingSpinner size="xs" text="Loading older messages..." />
+              </div>
+            ) : !hasMore && (
+              <div className="text-center text-xs text-secondary py-2">
+                Beginning of the conversation
+              </div>
+            )}
+
+            {topLevelMessages.map((message, index) => {
+              const messageId = getMessageId(message);
+              const replies = (messageId && repliesByParent.get(messageId)) || [];
+              const isExpanded = expandedThreads.has(messageId);
+
               return (
-                <div key={message.id || index} className="animate-slide-in">
-                  {!isGrouped && (
-                    <div className="flex items-center space-x-2 mt-4 mb-1">
-                      <div 
-                        className="w-6 h-6 rounded-full flex items-center justify-center text-xs text-white font-medium"
-                        style={{ backgroundColor: userColor }}
+                <div key={getMessageKey(message) || index}>
+                  {renderMessage(message, {
+                    isGrouped: replies.length === 0 && shouldGroupMessage(message, topLevelMessages[index - 1]),
+                  })}
+
+                  {/* Thread */}
+                  {replies.length > 0 && (
+                    <div className="ml-8 mb-2">
+                      <button
+                        onClick={() => toggleThread(messageId)}
+                        className="text-xs text-accent hover:underline"
                       >
-                        {getUserAvatar(message.username)}
-                      </div>
-                      <span className="font-medium text-primary text-sm">
-                        {message.username}
-                        {isOwn && <span className="text-accent ml-1">(You)</span>}
-                      </span>
-                      <span className="text-xs text-secondary">
-                        {formatMessageTime(message.timestamp)}
-                      </span>
+                        {isExpanded
+                          ? '▾ Hide replies'
+                          : `▸ ${replies.length} ${replies.length === 1 ? 'reply' : 'replies'}`}
+                      </button>
+
+                      {isExpanded && (
+                        <div className="mt-1 pl-2 border-l-2 border-primary">
+                          {replies.map((reply, replyIndex) => renderMessage(reply, {
+                            isGrouped: shouldGroupMessage(reply, replies[replyIndex - 1]),
+                            isReply: true,
+                          }))}
+                          <button
+                            onClick={() => startReply(message)}
+                            className="ml-2 text-xs text-secondary hover:text-primary transition-colors"
+                          >
+                            ↩️ Reply in thread
+                          </button>
+                        </div>
+                      )}
                     </div>
                   )}
-                  
-                  <div className={clsx(
-                    'ml-8 mb-2 group',
-                    isGrouped && 'mt-1'
-                  )}>
-                    <div className={clsx(
-                      'inline-block max-w-[85%] px-3 py-2 rounded-lg text-sm break-words',
-                      isOwn 
-                        ? 'bg-accent text-white ml-auto' 
-                        : 'bg-tertiary text-primary'
-                    )}>
-                      {/* Message Content */}
-                      <div className="whitespace-pre-wrap">
-                        {message.message || message.content}
-                      </div>
-                    </div>
-                    
-                    {/* Message Actions (on hover) */}
-                    <div className="opacity-0 group-hover:opacity-100 transition-opacity ml-2 mt-1">
-                      <div className="flex items-center space-x-1">
-                        <button
-                          onClick={() => handleEmojiSelect('👍')}
-                          className="text-xs text-secondary hover:text-primary transition-colors"
-                          title="React with 👍"
-                        >
-                          👍
-                        </button>
-                        <button
-                          onClick={() => {
-                            const messageText = `@${message.username} ${message.message || message.content}`;
-                            setNewMessage(prev => prev + (prev ? '\n' : '') + `> ${messageText}\n`);
-                            inputRef.current?.focus();
-                          }}
-                          className="text-xs text-secondary hover:text-primary transition-colors"
-                          title="Reply"
-                        >
-                          ↩️
-                        </button>
-                      </div>
-                    </div>
-                  </div>
                 </div>
               );
             })}
@@ -353,23 +827,70 @@ const ChatWindow = ({
           </div>
         )}
 
+        {/* Reply Target */}
+        {replyingTo && (
+          <div className="px-3 pt-2 flex items-center justify-between text-xs text-secondary">
+            <span className="truncate">
+              ↩️ Replying to <span className="font-medium text-primary">{replyingTo.username}</span>
+              {': '}
+              {(replyingTo.message || replyingTo.content || '').slice(0, 60)}
+            </span>
+            <button
+              type="button"
+              onClick={() => setReplyingTo(null)}
+              className="btn-ghost btn-sm"
+              title="Cancel reply"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="p-3">
           <div className="flex items-end space-x-2">
             <div className="flex-1 relative">
+              {/* Mention Suggestions */}
+              {mentionSuggestions.length > 0 && (
+                <div className="absolute bottom-full left-0 mb-1 w-48 bg-secondary border border-primary rounded-lg shadow-lg overflow-hidden z-10">
+                  {mentionSuggestions.map((username, index) => (
+                    <button
+                      key={username}
+                      type="button"
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        insertMention(username);
+                      }}
+                      className={clsx(
+                        'flex items-center w-full px-3 py-1.5 space-x-2 text-sm text-left transition-colors',
+                        index === mentionIndex ? 'bg-accent text-white' : 'text-primary hover:bg-tertiary'
+                      )}
+                    >
+                      <span
+                        className="w-5 h-5 rounded-full flex items-center justify-center text-xs text-white"
+                        style={{ backgroundColor: getUserColor(username) }}
+                      >
+                        {getUserAvatar(username)}
+                      </span>
+                      <span>{username}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+
               <textarea
                 ref={inputRef}
                 value={newMessage}
                 onChange={handleInputChange}
                 onKeyDown={handleKeyDown}
+                onBlur={() => setMention(null)}
                 placeholder={
                   isConnected 
                     ? "Type a message... (Enter to send, Shift+Enter for new line)"
-                    : "Disconnected - Cannot send messages"
+                    : "Offline - messages will be sent when you reconnect"
                 }
                 className="w-full resize-none input pr-20"
                 rows={newMessage.split('\n').length}
                 maxLength={1000}
-                disabled={!isConnected}
               />
               
               {/* Input Actions */}
@@ -378,7 +899,6 @@ const ChatWindow = ({
                   type="button"
                   onClick={() => setShowEmojiPicker(!showEmojiPicker)}
                   className="text-secondary hover:text-primary transition-colors"
-                  disabled={!isConnected}
                 >
                   😀
                 </button>
@@ -391,14 +911,11 @@ const ChatWindow = ({
 
             <button
               type="submit"
-              disabled={!newMessage.trim() || !isConnected}
+              disabled={!newMessage.trim()}
               className="btn-primary btn-sm px-4 py-2 flex-shrink-0"
+              title={isConnected ? 'Send' : 'Queue until reconnected'}
             >
-              {!isConnected ? (
-                <LoadingSpinner size="xs" color="white" />
-              ) : (
-                '📤'
-              )}
+              📤
             </button>
           </div>
         </form>
@@ -409,7 +926,7 @@ const ChatWindow = ({
         <div className="px-4 py-2 bg-error/10 border-t border-error text-center">
           <div className="flex items-center justify-center space-x-2 text-error text-sm">
             <LoadingSpinner size="xs" />
-            <span>Reconnecting to chat...</span>
+            <span>Reconnecting... new messages are queued</span>
           </div>
         </div>
       )}
@@ -421,6 +938,10 @@ const ChatWindow = ({
             <span>Enter: Send message</span>
             <span>Shift+Enter: New line</span>
           </div>
+          <div className="flex justify-between">
+            <span>**bold** *italic* `code` ```fences```</span>
+            <span>L42 or file.js:L10-20 links to code</span>
+          </div>
         </div>
       </div>
     </div>
@@ -4,67 +4,551 @@ import Editor from '@monaco-editor/react';
 import { useCodeEditorSocket } from '../../hooks/useSocket';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../hooks/useAuth';
+import { useLanguages } from '../../hooks/useLanguages';
+import { TextOperation, UndoManager } from '../../services/ot';
+import { getBaseName, getFileLanguage } from '../../services/projectFiles';
+import { getLanguage, getLanguageDisplayName, getMonacoLanguage } from '../../services/languages';
 import LoadingSpinner from '../Common/LoadingSpinner';
 import { clsx } from 'clsx';
 
+const NO_CURSORS = new Map();
+const NO_COMMENTS = [];
+
+// Remote cursors fade after this long without an update
+const IDLE_CURSOR_MS = 15000;
+
+// How long lines opened from a chat reference stay highlighted
+const LINE_REFERENCE_HIGHLIGHT_MS = 3000;
+
+// Local edits closer together than this are undone as one step
+const UNDO_GROUP_MS = 1000;
+
+// Stable color slot (1-6, see --cursor-user-N) for a collaborator
+const getColorIndex = (id) => Math.abs(String(id).hashCode()) % 6 + 1;
+
 const CodeEditor = ({ 
   sessionId, 
   language = 'javascript', 
+  files = [],
+  activeFileId,
+  openFileIds = [],
+  entryFileId,
+  onSelectFile,
+  onCloseFile,
+  cursors = NO_CURSORS,
+  followingId = null,
+  followingName,
+  onStopFollowing,
+  lineReference = null,
+  onShareSelection,
+  comments = NO_COMMENTS,
+  onAddComment,
+  onOpenComment,
+  onCommentAnchorsMove,
   onCodeChange, 
   onExecute,
+  onSave,
   readOnly = false,
+  playback = false,
   className 
 }) => {
   const { user } = useAuth();
   const { theme, fontSize, codeFont } = useTheme();
+  // Re-render once the language registry has loaded
+  useLanguages();
   const editorRef = useRef(null);
   const monacoRef = useRef(null);
   const [isEditorReady, setIsEditorReady] = useState(false);
   const [code, setCode] = useState('');
-  const [cursors, setCursors] = useState(new Map());
-  const [selections, setSelections] = useState(new Map());
-  const [decorations, setDecorations] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
   const lastChangeRef = useRef(null);
   const suppressNextChangeRef = useRef(false);
 
+  // One Monaco model per project file, keyed by file id
+  const modelsRef = useRef(new Map());
+  const viewStatesRef = useRef(new Map());
+  // Undo history of this user's own edits, per file. Monaco's undo stack
+  // is not used: it would also revert collaborators' edits.
+  const undoManagersRef = useRef(new Map());
+  const lastLocalEditRef = useRef(null);
+  const activeFileIdRef = useRef(null);
+  const sendOperationRef = useRef(null);
+  const requestSyncRef = useRef(null);
+  const sendCursorSelectionRef = useRef(null);
+  const sendViewportRef = useRef(null);
+
+  // Remote carets and selections, keyed by socket id
+  const remoteCursorsRef = useRef(new Map());
+  const [now, setNow] = useState(Date.now());
+
+  // Follow mode: the last viewport each collaborator reported, keyed by
+  // socket id, and the cursor update of the followed user handled last
+  const lastViewportsRef = useRef(new Map());
+  const followedUpdateRef = useRef(null);
+
+  // The chat line reference shown last, so each one is revealed only once
+  const shownReferenceRef = useRef(null);
+
+  // Review comment markers, keyed by comment id. The decorations move with
+  // the code, so they are the live anchors of the comments.
+  const commentDecorationsRef = useRef(new Map());
+
+  // Keep the latest props reachable from editor handlers registered on mount
+  const readOnlyRef = useRef(readOnly);
+  const onCodeChangeRef = useRef(onCodeChange);
+  const onExecuteRef = useRef(onExecute);
+  const onSaveRef = useRef(onSave);
+  const onSelectFileRef = useRef(onSelectFile);
+  const onShareSelectionRef = useRef(onShareSelection);
+  const onAddCommentRef = useRef(onAddComment);
+  const onOpenCommentRef = useRef(onOpenComment);
+  const onCommentAnchorsMoveRef = useRef(onCommentAnchorsMove);
+  const commentsRef = useRef(comments);
+  const onStopFollowingRef = useRef(onStopFollowing);
+  const followingIdRef = useRef(followingId);
+  const cursorsRef = useRef(cursors);
+
+  useEffect(() => {
+    readOnlyRef.current = readOnly;
+    onCodeChangeRef.current = onCodeChange;
+    onExecuteRef.current = onExecute;
+    onSaveRef.current = onSave;
+    onSelectFileRef.current = onSelectFile;
+    onShareSelectionRef.current = onShareSelection;
+    onAddCommentRef.current = onAddComment;
+    onOpenCommentRef.current = onOpenComment;
+    onCommentAnchorsMoveRef.current = onCommentAnchorsMove;
+    commentsRef.current = comments;
+    onStopFollowingRef.current = onStopFollowing;
+    followingIdRef.current = followingId;
+    cursorsRef.current = cursors;
+  }, [
+    readOnly, onCodeChange, onExecute, onSave, onSelectFile, onShareSelection,
+    onAddComment, onOpenComment, onCommentAnchorsMove, comments,
+    onStopFollowing, followingId, cursors,
+  ]);
+
+  // Get or create the model for a file, keeping its language in step with its extension
+  const ensureModel = useCallback((file) => {
+    const monaco = monacoRef.current;
+    const fileLanguage = getFileLanguage(file.path, language);
+    let model = modelsRef.current.get(file.id);
+
+    if (!model || model.isDisposed()) {
+      model = monaco.editor.createModel(file.content || '', fileLanguage);
+      modelsRef.current.set(file.id, model);
+
+      // Record the inverse of every local edit. Remote edits and syncs are
+      // suppressed here and transformed into the history instead.
+      const undoManager = new UndoManager();
+      undoManagersRef.current.set(file.id, undoManager);
+      let previousValue = model.getValue();
+
+      model.onDidChangeContent((e) => {
+        const value = previousValue;
+        previousValue = model.getValue();
+        if (suppressNextChangeRef.current || readOnlyRef.current) return;
+
+        const now = Date.now();
+        const last = lastLocalEditRef.current;
+        lastLocalEditRef.current = { fileId: file.id, time: now };
+
+        const operation = TextOperation.fromMonacoChanges(e.changes, value.length);
+        undoManager.add(
+          operation.invert(value),
+          last?.fileId === file.id && now - last.time < UNDO_GROUP_MS
+        );
+      });
+    } else if (file.path && model.getLanguageId() !== fileLanguage) {
+      monaco.editor.setModelLanguage(model, fileLanguage);
+    }
+
+    return model;
+  }, [language]);
+
+  // Report comments of a file whose markers were moved by an edit.
+  // `local` tells edits made here from remote ones.
+  const reportCommentAnchors = useCallback((fileId, local) => {
+    const anchors = [];
+
+    commentsRef.current.forEach((comment) => {
+      const marker = commentDecorationsRef.current.get(comment.id);
+      if (comment.fileId !== fileId || !marker || marker.model.isDisposed()) return;
+
+      const range = marker.model.getDecorationRange(marker.decorationId);
+      if (range && (range.startLineNumber !== comment.startLine || range.endLineNumber !== comment.endLine)) {
+        anchors.push({ id: comment.id, startLine: range.startLineNumber, endLine: range.endLineNumber });
+      }
+    });
+
+    if (anchors.length > 0) {
+      onCommentAnchorsMoveRef.current?.(fileId, anchors, { local });
+    }
+  }, []);
+
+  // Load the server's copy of every file (join / reconnect)
+  const handleCodeSync = useCallback((syncedFiles) => {
+    if (!editorRef.current || !monacoRef.current) return;
+
+    suppressNextChangeRef.current = true;
+    syncedFiles.forEach((file) => {
+      const model = ensureModel(file);
+      const current = model.getValue();
+      if (current !== file.content) {
+        // Apply only the difference so the cursor survives a resync
+        const operation = TextOperation.fromDiff(current, file.content);
+        model.applyEdits(operation.toMonacoEdits(model, monacoRef.current));
+        undoManagersRef.current.get(file.id)?.transform(operation);
+        reportCommentAnchors(file.id, false);
+      }
+    });
+    suppressNextChangeRef.current = false;
+
+    if (editorRef.current.getModel()) {
+      setCode(editorRef.current.getValue());
+    }
+  }, [ensureModel, reportCommentAnchors]);
+
+  // Merge another user's edit into a file, keeping local cursor and selections
+  const handleRemoteOperation = useCallback((fileId, operation) => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    if (!editor || !monaco) return;
+
+    // The file may have been created a moment ago and not rendered yet
+    const model = ensureModel({ id: fileId, path: '', content: '' });
+    if (model.getValueLength() !== operation.baseLength) {
+      requestSyncRef.current?.();
+      return;
+    }
+
+    const edits = operation.toMonacoEdits(model, monaco);
+    const isActive = editor.getModel() === model;
+
+    // Kept out of the undo history, which only holds this user's edits
+    suppressNextChangeRef.current = true;
+    model.applyEdits(edits);
+    suppressNextChangeRef.current = false;
+    undoManagersRef.current.get(fileId)?.transform(operation);
+    reportCommentAnchors(fileId, false);
+
+    const newCode = model.getValue();
+    if (isActive) {
+      setCode(newCode);
+    }
+    onCodeChangeRef.current?.(newCode, fileId);
+  }, [ensureModel, reportCommentAnchors]);
+
+  // The part of the active file currently on screen
+  const getViewport = useCallback(() => {
+    const editor = editorRef.current;
+    const ranges = editor.getVisibleRanges();
+
+    return {
+      fileId: activeFileIdRef.current,
+      visibleRange: {
+        startLine: ranges[0]?.startLineNumber || 1,
+        endLine: ranges[ranges.length - 1]?.endLineNumber || 1,
+      },
+      scrollLeft: editor.getScrollLeft(),
+    };
+  }, []);
+
+  // Any scrolling, clicking or typing of our own ends follow mode
+  const stopFollowing = useCallback(() => {
+    if (followingIdRef.current) {
+      onStopFollowingRef.current?.();
+    }
+  }, []);
+
+  // Open the followed user's file. Returns true if the active file changes;
+  // the view is then updated once the file is shown.
+  const followFile = useCallback((fileId) => {
+    if (fileId === activeFileIdRef.current || !modelsRef.current.has(fileId)) {
+      return false;
+    }
+    onSelectFileRef.current?.(fileId);
+    return true;
+  }, []);
+
+  // Scroll to what the followed user sees in the active file, or to their
+  // caret if it moved since they last scrolled
+  const showFollowTarget = useCallback(() => {
+    const editor = editorRef.current;
+    const id = followingIdRef.current;
+    if (!editor || !id) return;
+
+    const fileId = activeFileIdRef.current;
+    const viewport = lastViewportsRef.current.get(id);
+    const cursor = cursorsRef.current.get(id);
+
+    if (viewport && viewport.fileId === fileId) {
+      editor.setScrollTop(editor.getTopForLineNumber(viewport.visibleRange.startLine));
+      editor.setScrollLeft(viewport.scrollLeft || 0);
+    }
+
+    if (cursor?.position && cursor.fileId === fileId && (!viewport || cursor.updatedAt > viewport.updatedAt)) {
+      editor.revealPositionInCenterIfOutsideViewport({
+        lineNumber: cursor.position.line,
+        column: cursor.position.column,
+      });
+    }
+  }, []);
+
+  const handleViewportUpdate = useCallback((data) => {
+    if (!data?.socketId || !data.visibleRange) return;
+
+    const viewport = {
+      fileId: data.fileId || 'main',
+      visibleRange: data.visibleRange,
+      scrollLeft: data.scrollLeft,
+      updatedAt: Date.now(),
+    };
+    lastViewportsRef.current.set(data.socketId, viewport);
+
+    if (data.socketId === followingIdRef.current && !followFile(viewport.fileId)) {
+      showFollowTarget();
+    }
+  }, [followFile, showFollowTarget]);
+
   // Socket integration for real-time collaboration
-  const { sendCodeChange, sendCursorPosition, isConnected } = useCodeEditorSocket(
+  const { sendOperation, requestSync, sendCursorSelection, sendViewport, isConnected } = useCodeEditorSocket(
     sessionId,
-    useCallback((newCode, operation, from) => {
-      if (from !== 'self' && editorRef.current && !suppressNextChangeRef.current) {
+    handleCodeSync,
+    handleRemoteOperation,
+    handleViewportUpdate
+  );
+
+  useEffect(() => {
+    sendOperationRef.current = sendOperation;
+    requestSyncRef.current = requestSync;
+    sendCursorSelectionRef.current = sendCursorSelection;
+    sendViewportRef.current = sendViewport;
+  }, [sendOperation, requestSync, sendCursorSelection, sendViewport]);
+
+  // Create models for new files and drop the models of deleted ones. The
+  // models are the source of truth, so report any content the parent is
+  // missing. In playback it is the other way round: the models show
+  // whatever `files` hold.
+  useEffect(() => {
+    if (!isEditorReady) return;
+
+    const ids = new Set(files.map(file => file.id));
+    files.forEach((file) => {
+      const model = ensureModel(file);
+      const value = model.getValue();
+      if (value === file.content) return;
+
+      if (playback) {
+        // Apply only the difference so the view doesn't jump
+        const edits = TextOperation.fromDiff(value, file.content).toMonacoEdits(model, monacoRef.current);
         suppressNextChangeRef.current = true;
-        editorRef.current.setValue(newCode);
-        setCode(newCode);
+        model.pushEditOperations([], edits, () => null);
         suppressNextChangeRef.current = false;
+      } else {
+        onCodeChangeRef.current?.(value, file.id);
       }
-    }, [])
-  );
+    });
+
+    modelsRef.current.forEach((model, id) => {
+      if (ids.has(id)) return;
+      if (editorRef.current.getModel() === model) {
+        editorRef.current.setModel(null);
+      }
+      remoteCursorsRef.current.forEach((remote, socketId) => {
+        if (remote.model === model) {
+          editorRef.current.removeContentWidget(remote.widget);
+          remoteCursorsRef.current.delete(socketId);
+        }
+      });
+      model.dispose();
+      modelsRef.current.delete(id);
+      viewStatesRef.current.delete(id);
+      undoManagersRef.current.delete(id);
+    });
+  }, [files, isEditorReady, ensureModel, playback]);
+
+  // Place a marker for every comment, moving it when its anchor changed
+  // elsewhere (another user's edit or a reload) and dropping markers of
+  // deleted comments
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!isEditorReady || !monaco) return;
+
+    const markers = commentDecorationsRef.current;
+    const ids = new Set();
+
+    comments.forEach((comment) => {
+      const model = modelsRef.current.get(comment.fileId);
+      if (!model || model.isDisposed()) return;
+      ids.add(comment.id);
+
+      const marker = markers.get(comment.id);
+      const range = marker && marker.model === model && model.getDecorationRange(marker.decorationId);
+      if (
+        range &&
+        range.startLineNumber === comment.startLine &&
+        range.endLineNumber === comment.endLine &&
+        marker.resolved === comment.resolved &&
+        marker.text === comment.text
+      ) {
+        return;
+      }
+
+      const lineCount = model.getLineCount();
+      const startLine = Math.min(Math.max(comment.startLine, 1), lineCount);
+      const endLine = Math.min(Math.max(comment.endLine, startLine), lineCount);
+      const author = comment.author?.username || 'Someone';
+      const oldIds = marker && !marker.model.isDisposed() && marker.model === model ? [marker.decorationId] : [];
+      if (marker && marker.model !== model && !marker.model.isDisposed()) {
+        marker.model.deltaDecorations([marker.decorationId], []);
+      }
+
+      const [decorationId] = model.deltaDecorations(oldIds, [{
+        range: {
+          startLineNumber: startLine,
+          startColumn: 1,
+          endLineNumber: endLine,
+          endColumn: model.getLineMaxColumn(endLine),
+        },
+        options: {
+          isWholeLine: true,
+          stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+          className: comment.resolved ? undefined : 'comment-range',
+          glyphMarginClassName: clsx('comment-glyph', comment.resolved && 'comment-glyph-resolved'),
+          glyphMarginHoverMessage: { value: `**${author}**: ${comment.text}` },
+        },
+      }]);
+      markers.set(comment.id, { model, decorationId, resolved: comment.resolved, text: comment.text });
+    });
+
+    markers.forEach((marker, id) => {
+      if (ids.has(id)) return;
+      if (!marker.model.isDisposed()) {
+        marker.model.deltaDecorations([marker.decorationId], []);
+      }
+      markers.delete(id);
+    });
+  }, [comments, files, isEditorReady]);
+
+  // Show the active file, restoring its scroll position and cursor
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!isEditorReady || !editor) return;
+
+    const previousId = activeFileIdRef.current;
+    if (previousId && previousId !== activeFileId && editor.getModel()) {
+      viewStatesRef.current.set(previousId, editor.saveViewState());
+    }
+    activeFileIdRef.current = activeFileId;
+
+    const model = (activeFileId && modelsRef.current.get(activeFileId)) || null;
+    const current = editor.getModel();
+    if (current !== model) {
+      editor.setModel(model);
+
+      // Drop the placeholder model the editor wrapper created on mount
+      if (current && !Array.from(modelsRef.current.values()).includes(current)) {
+        current.dispose();
+      }
+
+      const viewState = viewStatesRef.current.get(activeFileId);
+      if (model && viewState) {
+        editor.restoreViewState(viewState);
+      }
+
+      // Show the name flags of collaborators in this file only
+      remoteCursorsRef.current.forEach(remote => editor.layoutContentWidget(remote.widget));
 
-  // Language templates
-  const getLanguageTemplate = useCallback((lang) => {
-    const templates = {
-      javascript: '// Welcome to CodeCollab - JavaScript Session\n// Start coding together in real-time!\n\nconsole.log("Hello, World!");\n\n// Try writing some code here...\nfunction fibonacci(n) {\n  if (n <= 1) return n;\n  return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nconsole.log("Fibonacci(10):", fibonacci(10));',
-      python: '# Welcome to CodeCollab - Python Session\n# Start coding together in real-time!\n\nprint("Hello, World!")\n\n# Try writing some code here...\ndef fibonacci(n):\n    if n <= 1:\n        return n\n    return fibonacci(n - 1) + fibonacci(n - 2)\n\nprint(f"Fibonacci(10): {fibonacci(10)}")',
-      cpp: '// Welcome to CodeCollab - C++ Session\n// Start coding together in real-time!\n\n#include <iostream>\nusing namespace std;\n\nint fibonacci(int n) {\n    if (n <= 1) return n;\n    return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nint main() {\n    cout << "Hello, World!" << endl;\n    cout << "Fibonacci(10): " << fibonacci(10) << endl;\n    return 0;\n}',
-      c: '// Welcome to CodeCollab - C Session\n// Start coding together in real-time!\n\n#include <stdio.h>\n\nint fibonacci(int n) {\n    if (n <= 1) return n;\n    return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nint main() {\n    printf("Hello, World!\\n");\n    printf("Fibonacci(10): %d\\n", fibonacci(10));\n    return 0;\n}',
-      java: '// Welcome to CodeCollab - Java Session\n// Start coding together in real-time!\n\npublic class Main {\n    public static int fibonacci(int n) {\n        if (n <= 1) return n;\n        return fibonacci(n - 1) + fibonacci(n - 2);\n    }\n    \n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n        System.out.println("Fibonacci(10): " + fibonacci(10));\n    }\n}',
-      go: '// Welcome to CodeCollab - Go Session\n// Start coding together in real-time!\n\npackage main\n\nimport "fmt"\n\nfunc fibonacci(n int) int {\n    if n <= 1 {\n        return n\n    }\n    return fibonacci(n-1) + fibonacci(n-2)\n}\n\nfunc main() {\n    fmt.Println("Hello, World!")\n    fmt.Printf("Fibonacci(10): %d\\n", fibonacci(10))\n}',
-      rust: '// Welcome to CodeCollab - Rust Session\n// Start coding together in real-time!\n\nfn fibonacci(n: u32) -> u32 {\n    match n {\n        0 | 1 => n,\n        _ => fibonacci(n - 1) + fibonacci(n - 2),\n    }\n}\n\nfn main() {\n    println!("Hello, World!");\n    println!("Fibonacci(10): {}", fibonacci(10));\n}'
+      if (model) {
+        showFollowTarget();
+        sendViewportRef.current?.(getViewport());
+      }
+    }
+    setCode(model ? model.getValue() : '');
+  }, [activeFileId, files, isEditorReady, showFollowTarget, getViewport]);
+
+  // Reveal and briefly highlight lines referenced from chat once their
+  // file is shown
+  useEffect(() => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    if (!isEditorReady || !model || !lineReference) return;
+    if (lineReference.fileId !== activeFileId || shownReferenceRef.current === lineReference.id) return;
+
+    shownReferenceRef.current = lineReference.id;
+    const lineCount = model.getLineCount();
+    const startLine = Math.min(Math.max(lineReference.startLine, 1), lineCount);
+    const endLine = Math.min(Math.max(lineReference.endLine || startLine, startLine), lineCount);
+
+    editor.revealLinesInCenter(startLine, endLine);
+    editor.setPosition({ lineNumber: startLine, column: 1 });
+
+    const decorationIds = model.deltaDecorations([], [{
+      range: { startLineNumber: startLine, startColumn: 1, endLineNumber: endLine, endColumn: 1 },
+      options: { isWholeLine: true, className: 'line-reference-highlight' },
+    }]);
+    const timeout = setTimeout(() => {
+      if (!model.isDisposed()) {
+        model.deltaDecorations(decorationIds, []);
+      }
+    }, LINE_REFERENCE_HIGHLIGHT_MS);
+
+    return () => clearTimeout(timeout);
+  }, [lineReference, activeFileId, isEditorReady]);
+
+  // Dispose file models when leaving the session. Detach first so the
+  // editor wrapper does not dispose the active model a second time.
+  useEffect(() => {
+    const models = modelsRef.current;
+    const undoManagers = undoManagersRef.current;
+    return () => {
+      editorRef.current?.setModel(null);
+      models.forEach(model => model.dispose());
+      models.clear();
+      undoManagers.clear();
     };
-    return templates[lang] || templates.javascript;
   }, []);
 
-  // Initialize editor with template when language changes
-  useEffect(() => {
-    if (isEditorReady && !code) {
-      const template = getLanguageTemplate(language);
-      setCode(template);
-      if (editorRef.current) {
-        editorRef.current.setValue(template);
+  // Undo (or redo) this user's last edit to the active file. It goes out
+  // to collaborators like any other local edit.
+  const undoLocalEdit = useCallback((redo) => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const undoManager = undoManagersRef.current.get(activeFileIdRef.current);
+    if (!model || !undoManager || readOnlyRef.current) return;
+
+    const apply = (operation) => {
+      editor.executeEdits(redo ? 'redo' : 'undo', operation.toMonacoEdits(model, monacoRef.current));
+
+      // Put the caret where the last change was made
+      let index = 0;
+      let caret = null;
+      operation.ops.forEach((op) => {
+        if (typeof op === 'string') {
+          index += op.length;
+          caret = index;
+        } else if (op > 0) {
+          index += op;
+        } else {
+          caret = index;
+        }
+      });
+      if (caret !== null) {
+        const position = model.getPositionAt(caret);
+        editor.setPosition(position);
+        editor.revealPositionInCenterIfOutsideViewport(position);
       }
+    };
+
+    if (redo) {
+      undoManager.performRedo(apply);
+    } else {
+      undoManager.performUndo(apply);
     }
-  }, [language, isEditorReady, code, getLanguageTemplate]);
+    // The next edit starts a new undo step
+    lastLocalEditRef.current = null;
+  }, []);
 
   // Handle editor mount
   const handleEditorDidMount = useCallback((editor, monaco) => {
@@ -93,42 +577,72 @@ const CodeEditor = ({
       formatOnType: true,
     });
 
-    // Handle cursor position changes
-    editor.onDidChangeCursorPosition((e) => {
-      if (!readOnly && isConnected) {
-        const position = {
-          line: e.position.lineNumber,
-          column: e.position.column
-        };
-        sendCursorPosition(position);
+    // Share the caret and selections with collaborators
+    editor.onDidChangeCursorSelection((e) => {
+      if (e.source === 'keyboard') {
+        stopFollowing();
       }
+      if (readOnlyRef.current) return;
+
+      const toRange = (selection) => ({
+        start: { line: selection.startLineNumber, column: selection.startColumn },
+        end: { line: selection.endLineNumber, column: selection.endColumn },
+      });
+
+      sendCursorSelectionRef.current?.({
+        fileId: activeFileIdRef.current,
+        position: { line: e.selection.positionLineNumber, column: e.selection.positionColumn },
+        selections: [e.selection, ...e.secondarySelections].map(toRange),
+      });
     });
 
-    // Handle selection changes
-    editor.onDidChangeCursorSelection((e) => {
-      if (!readOnly && isConnected) {
-        const selection = {
-          start: {
-            line: e.selection.startLineNumber,
-            column: e.selection.startColumn
-          },
-          end: {
-            line: e.selection.endLineNumber,
-            column: e.selection.endColumn
-          }
-        };
-        // You can extend this to send selection data
+    // Share the scroll position for anyone following this user
+    editor.onDidScrollChange((e) => {
+      if (editor.getModel() && (e.scrollTopChanged || e.scrollLeftChanged)) {
+        sendViewportRef.current?.(getViewport());
+      }
+    });
+
+    // Scrolling or clicking around takes back control from follow mode.
+    // Programmatic scrolling does not go through these.
+    editor.getDomNode()?.addEventListener('wheel', stopFollowing, { passive: true });
+    editor.onMouseDown(stopFollowing);
+
+    // Clicking a comment marker opens its thread, preferring open threads
+    editor.onMouseDown((e) => {
+      if (e.target.type !== monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) return;
+
+      const line = e.target.position?.lineNumber;
+      const onLine = commentsRef.current.filter(comment => (
+        comment.fileId === activeFileIdRef.current && comment.startLine <= line && line <= comment.endLine
+      ));
+      const comment = onLine.find(c => !c.resolved) || onLine[0];
+      if (comment) {
+        onOpenCommentRef.current?.(comment.id);
       }
     });
 
     // Handle content changes
     editor.onDidChangeModelContent((e) => {
+      // Name flags follow their caret when lines above it change
+      remoteCursorsRef.current.forEach(remote => editor.layoutContentWidget(remote.widget));
+
       if (suppressNextChangeRef.current) {
         return;
       }
 
+      stopFollowing();
+      reportCommentAnchors(activeFileIdRef.current, true);
+
       const newCode = editor.getValue();
       setCode(newCode);
+
+      // Changes are expressed against the previous document, so recover its length
+      const lengthDelta = e.changes.reduce(
+        (sum, change) => sum + change.text.length - change.rangeLength,
+        0
+      );
+      const operation = TextOperation.fromMonacoChanges(e.changes, newCode.length - lengthDelta);
       
       // Debounce typing indicator
       setIsTyping(true);
@@ -139,36 +653,87 @@ const CodeEditor = ({
         setIsTyping(false);
       }, 1000);
 
-      // Send code changes to other users
-      if (!readOnly && isConnected) {
-        const operation = {
-          type: 'edit',
-          changes: e.changes,
-          timestamp: Date.now()
-        };
-        sendCodeChange(newCode, operation);
+      // Send the edit to other users
+      const fileId = activeFileIdRef.current;
+      if (!readOnlyRef.current) {
+        sendOperationRef.current?.(fileId, operation);
       }
 
       // Notify parent component
-      onCodeChange?.(newCode);
+      onCodeChangeRef.current?.(newCode, fileId);
     });
 
     // Add keyboard shortcuts
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, () => {
-      onExecute?.(editor.getValue());
+      onExecuteRef.current?.();
     });
 
     editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyS, () => {
-      // Handle save (could trigger auto-save)
-      console.log('Auto-save triggered');
+      onSaveRef.current?.();
     });
 
-    // Set initial code
-    const template = getLanguageTemplate(language);
-    editor.setValue(template);
-    setCode(template);
+    // Undo and redo only this user's own edits
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyZ, () => undoLocalEdit(false));
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyZ, () => undoLocalEdit(true));
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.KeyY, () => undoLocalEdit(true));
+
+    // Start a review comment on the selected lines, or the caret's line
+    editor.addAction({
+      id: 'add-review-comment',
+      label: 'Add Comment',
+      contextMenuGroupId: 'navigation',
+      contextMenuOrder: 3,
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Alt | monaco.KeyCode.KeyM],
+      run: () => {
+        const selection = editor.getSelection();
+        if (!selection || !editor.getModel()) return;
+
+        const endLine = selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+          ? selection.endLineNumber - 1
+          : selection.endLineNumber;
+
+        onAddCommentRef.current?.({
+          fileId: activeFileIdRef.current,
+          startLine: selection.startLineNumber,
+          endLine,
+        });
+      },
+    });
+
+    // Post the selected lines to chat
+    editor.addAction({
+      id: 'share-selection-to-chat',
+      label: 'Share Selection to Chat',
+      contextMenuGroupId: 'navigation',
+      contextMenuOrder: 2,
+      precondition: 'editorHasSelection',
+      keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyL],
+      run: () => {
+        const selection = editor.getSelection();
+        const model = editor.getModel();
+        if (!selection || selection.isEmpty() || !model) return;
+
+        // A selection ending at the start of a line does not include that line
+        const endLine = selection.endColumn === 1 && selection.endLineNumber > selection.startLineNumber
+          ? selection.endLineNumber - 1
+          : selection.endLineNumber;
+        const code = model.getValueInRange({
+          startLineNumber: selection.startLineNumber,
+          startColumn: 1,
+          endLineNumber: endLine,
+          endColumn: model.getLineMaxColumn(endLine),
+        });
+
+        onShareSelectionRef.current?.({
+          fileId: activeFileIdRef.current,
+          startLine: selection.startLineNumber,
+          endLine,
+          code,
+        });
+      },
+    });
 
-  }, [fontSize, codeFont, language, readOnly, isConnected, sendCodeChange, sendCursorPosition, onCodeChange, onExecute, getLanguageTemplate]);
+  }, [fontSize, codeFont, getViewport, stopFollowing, reportCommentAnchors, undoLocalEdit]);
 
   // Update theme when changed
   useEffect(() => {
@@ -187,58 +752,182 @@ const CodeEditor = ({
     }
   }, [fontSize, codeFont]);
 
-  // Update decorations for cursors and selections
+  // Remove a collaborator's caret, selections and name flag
+  const removeRemoteCursor = useCallback((socketId) => {
+    const remote = remoteCursorsRef.current.get(socketId);
+    if (!remote) return;
+
+    if (!remote.model.isDisposed()) {
+      remote.model.deltaDecorations(remote.decorationIds, []);
+    }
+    editorRef.current?.removeContentWidget(remote.widget);
+    remoteCursorsRef.current.delete(socketId);
+  }, []);
+
+  // Draw a collaborator's caret and selections as decorations on the model
+  // of the file they are in. Model decorations are tracked by Monaco, so
+  // they shift with edits above them and survive switching tabs. With
+  // `keepRanges`, the tracked ranges are redrawn instead of the last
+  // reported ones (used when only the idle state changes).
+  const renderRemoteCursor = useCallback((socketId, cursor, { idle = false, keepRanges = false } = {}) => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const previous = remoteCursorsRef.current.get(socketId);
+    const model = keepRanges ? previous?.model : modelsRef.current.get(cursor.fileId || 'main');
+
+    if (!editor || !monaco || !model || model.isDisposed() || !cursor.position) {
+      removeRemoteCursor(socketId);
+      return;
+    }
+
+    const toRange = ({ start, end }) => monaco.Range.fromPositions(
+      model.validatePosition({ lineNumber: start.line, column: start.column }),
+      model.validatePosition({ lineNumber: end.line, column: end.column })
+    );
+
+    let caretRange;
+    let selectionRanges;
+    if (keepRanges) {
+      [caretRange, ...selectionRanges] = previous.decorationIds
+        .map(id => model.getDecorationRange(id))
+        .filter(Boolean);
+    } else {
+      caretRange = toRange({ start: cursor.position, end: cursor.position });
+      selectionRanges = (cursor.selections || []).map(toRange).filter(range => !range.isEmpty());
+    }
+    if (!caretRange) {
+      removeRemoteCursor(socketId);
+      return;
+    }
+
+    const color = getColorIndex(cursor.userId || socketId);
+    const stickiness = monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges;
+    const hoverMessage = { value: cursor.username || 'Anonymous' };
+
+    const decorations = [
+      {
+        range: caretRange,
+        options: {
+          beforeContentClassName: clsx('remote-caret', `remote-caret-${color}`, idle && 'remote-idle'),
+          stickiness,
+          hoverMessage,
+        },
+      },
+      ...selectionRanges.map(range => ({
+        range,
+        options: {
+          className: clsx('remote-selection', `remote-selection-${color}`, idle && 'remote-idle'),
+          stickiness,
+          hoverMessage,
+        },
+      })),
+    ];
+
+    // Moving to another file: clear the old model first
+    if (previous && previous.model !== model && !previous.model.isDisposed()) {
+      previous.model.deltaDecorations(previous.decorationIds, []);
+    }
+    const oldIds = previous && previous.model === model ? previous.decorationIds : [];
+    const decorationIds = model.deltaDecorations(oldIds, decorations);
+
+    // Name flag, shown above the caret while its file is open
+    let widget = previous?.widget;
+    if (!widget) {
+      const node = document.createElement('div');
+      widget = {
+        node,
+        getId: () => `remote-cursor-${socketId}`,
+        getDomNode: () => node,
+        getPosition: () => {
+          const remote = remoteCursorsRef.current.get(socketId);
+          const range = remote && editorRef.current?.getModel() === remote.model
+            ? remote.model.getDecorationRange(remote.decorationIds[0])
+            : null;
+
+          return range ? {
+            position: range.getStartPosition(),
+            preference: [
+              monaco.editor.ContentWidgetPositionPreference.ABOVE,
+              monaco.editor.ContentWidgetPositionPreference.BELOW,
+            ],
+          } : null;
+        },
+      };
+      editor.addContentWidget(widget);
+    }
+    widget.node.className = clsx('remote-flag', `remote-flag-${color}`, idle && 'remote-idle');
+    widget.node.textContent = cursor.username || 'Anonymous';
+
+    remoteCursorsRef.current.set(socketId, {
+      model,
+      decorationIds,
+      widget,
+      updatedAt: cursor.updatedAt,
+      idle,
+    });
+    editor.layoutContentWidget(widget);
+  }, [removeRemoteCursor]);
+
+  // Fade idle cursors
   useEffect(() => {
-    if (!editorRef.current || !monacoRef.current) return;
+    const timer = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(timer);
+  }, []);
 
-    const newDecorations = [];
-    
-    // Add cursor decorations
-    cursors.forEach((cursor, userId) => {
-      if (userId !== user?.id) {
-        newDecorations.push({
-          range: new monacoRef.current.Range(
-            cursor.position.line,
-            cursor.position.column,
-            cursor.position.line,
-            cursor.position.column
-          ),
-          options: {
-            className: 'cursor-indicator',
-            stickiness: monacoRef.current.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
-            afterContentClassName: 'cursor-label',
-            after: {
-              content: cursor.username,
-              inlineClassName: `cursor-user-${Math.abs(userId.hashCode()) % 6 + 1}`
-            }
-          }
-        });
+  // Draw collaborators' cursors as their updates arrive
+  useEffect(() => {
+    if (!isEditorReady) return;
+
+    const seen = new Set();
+    cursors.forEach((cursor, socketId) => {
+      if (!playback && cursor.userId && cursor.userId === user?.id) return;
+      seen.add(socketId);
+
+      const remote = remoteCursorsRef.current.get(socketId);
+      const idle = now - (cursor.updatedAt || 0) > IDLE_CURSOR_MS;
+
+      if (!remote || remote.updatedAt !== cursor.updatedAt) {
+        renderRemoteCursor(socketId, cursor, { idle });
+      } else if (remote.idle !== idle) {
+        renderRemoteCursor(socketId, cursor, { idle, keepRanges: true });
       }
     });
 
-    // Add selection decorations
-    selections.forEach((selection, userId) => {
-      if (userId !== user?.id && selection.start && selection.end) {
-        newDecorations.push({
-          range: new monacoRef.current.Range(
-            selection.start.line,
-            selection.start.column,
-            selection.end.line,
-            selection.end.column
-          ),
-          options: {
-            className: `selection-highlight-${Math.abs(userId.hashCode()) % 6 + 1}`,
-            stickiness: monacoRef.current.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
-          }
-        });
+    remoteCursorsRef.current.forEach((remote, socketId) => {
+      if (!seen.has(socketId)) {
+        removeRemoteCursor(socketId);
       }
     });
+  }, [cursors, now, isEditorReady, user?.id, playback, renderRemoteCursor, removeRemoteCursor]);
 
-    const oldDecorations = decorations.map(d => d.id).filter(Boolean);
-    const newDecorationIds = editorRef.current.deltaDecorations(oldDecorations, newDecorations);
-    setDecorations(newDecorationIds.map((id, index) => ({ id, ...newDecorations[index] })));
+  // Follow mode: go to the followed user's file and caret when they move,
+  // and to wherever they were last active when following starts
+  useEffect(() => {
+    if (!isEditorReady || !followingId) {
+      followedUpdateRef.current = null;
+      return;
+    }
+
+    const cursor = cursors.get(followingId);
+    const previous = followedUpdateRef.current;
+    if (previous?.id === followingId && previous.updatedAt === cursor?.updatedAt) return;
+    followedUpdateRef.current = { id: followingId, updatedAt: cursor?.updatedAt };
+
+    let target = cursor;
+    if (previous?.id !== followingId) {
+      const viewport = lastViewportsRef.current.get(followingId);
+      if (viewport && (!cursor || viewport.updatedAt > cursor.updatedAt)) {
+        target = viewport;
+      }
+    }
 
-  }, [cursors, selections, user?.id, decorations]);
+    if (target && !followFile(target.fileId || 'main')) {
+      showFollowTarget();
+    }
+  }, [cursors, followingId, isEditorReady, followFile, showFollowTarget]);
+
+  // Indentation comes from the language registry
+  const tabSize = getLanguage(language)?.tabSize || 2;
 
   // Get editor options based on language
   const getEditorOptions = useCallback(() => {
@@ -259,29 +948,12 @@ const CodeEditor = ({
       }
     };
 
-    // Language-specific options
-    switch (language) {
-      case 'python':
-        return {
-          ...baseOptions,
-          tabSize: 4,
-          insertSpaces: true,
-        };
-      case 'javascript':
-      case 'typescript':
-        return {
-          ...baseOptions,
-          tabSize: 2,
-          insertSpaces: true,
-        };
-      default:
-        return {
-          ...baseOptions,
-          tabSize: 2,
-          insertSpaces: true,
-        };
-    }
-  }, [language, readOnly]);
+    return {
+      ...baseOptions,
+      tabSize,
+      insertSpaces: true,
+    };
+  }, [tabSize, readOnly]);
 
   // Handle editor loading
   const handleEditorLoading = useCallback(() => {
@@ -292,20 +964,11 @@ const CodeEditor = ({
     );
   }, []);
 
-  // Language display mapping
-  const getLanguageDisplay = useCallback((lang) => {
-    const mapping = {
-      javascript: 'JavaScript',
-      python: 'Python',
-      cpp: 'C++',
-      c: 'C',
-      java: 'Java',
-      go: 'Go',
-      rust: 'Rust',
-      typescript: 'TypeScript',
-    };
-    return mapping[lang] || lang;
-  }, []);
+  const openFiles = openFileIds
+    .map(id => files.find(file => file.id === id))
+    .filter(Boolean);
+  const activeFile = files.find(file => file.id === activeFileId);
+  const activeLanguage = activeFile ? getFileLanguage(activeFile.path, language) : language;
 
   return (
     <div className={clsx('flex flex-col h-full bg-code border border-primary rounded-lg overflow-hidden', className)}>
@@ -318,14 +981,58 @@ const CodeEditor = ({
             <div className="w-3 h-3 bg-success rounded-full"></div>
           </div>
           
-          <div className="flex items-center space-x-2">
-            <span className="text-sm font-medium text-primary">main.{language === 'cpp' ? 'cpp' : language === 'c' ? 'c' : language === 'python' ? 'py' : language === 'java' ? 'java' : language === 'go' ? 'go' : language === 'rust' ? 'rs' : 'js'}</span>
+          {/* File Tabs */}
+          <div className="flex items-center space-x-1 min-w-0 overflow-x-auto scrollbar-thin">
+            {openFiles.map(file => (
+              <div
+                key={file.id}
+                onClick={() => onSelectFile?.(file.id)}
+                className={clsx(
+                  'group flex items-center space-x-1 px-2 py-1 rounded cursor-pointer text-sm whitespace-nowrap transition-colors',
+                  file.id === activeFileId
+                    ? 'bg-tertiary text-primary font-medium'
+                    : 'text-secondary hover:text-primary'
+                )}
+                title={file.path}
+              >
+                {file.id === entryFileId && (
+                  <span className="text-xs text-success" title="Entry point">▶</span>
+                )}
+                <span>{getBaseName(file.path)}</span>
+                {openFiles.length > 1 && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onCloseFile?.(file.id);
+                    }}
+                    className="text-xs opacity-0 group-hover:opacity-60 hover:opacity-100"
+                    title="Close"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
             <span className="text-xs text-secondary">•</span>
-            <span className="text-xs text-secondary">{getLanguageDisplay(language)}</span>
+            <span className="text-xs text-secondary">{getLanguageDisplayName(activeLanguage)}</span>
           </div>
         </div>
 
         <div className="flex items-center space-x-3">
+          {/* Follow Mode */}
+          {followingId && (
+            <div className="flex items-center space-x-1 px-2 py-0.5 rounded bg-accent/20 text-xs text-accent">
+              <span>👣</span>
+              <span>Following {followingName || 'participant'}</span>
+              <button
+                onClick={() => onStopFollowing?.()}
+                className="ml-1 hover:underline"
+              >
+                Stop
+              </button>
+            </div>
+          )}
+
           {/* Connection Status */}
           <div className="flex items-center space-x-2">
             <div className={clsx(
@@ -354,7 +1061,7 @@ const CodeEditor = ({
           {/* Actions */}
           <div className="flex items-center space-x-2">
             <button
-              onClick={() => onExecute?.(code)}
+              onClick={() => onExecute?.()}
               className="btn-ghost btn-sm flex items-center space-x-1"
               disabled={!code.trim()}
             >
@@ -382,8 +1089,7 @@ const CodeEditor = ({
       <div className="flex-1 relative">
         <Editor
           height="100%"
-          language={language}
-          value={code}
+          defaultLanguage={getMonacoLanguage(language)}
           theme={theme === 'dark' ? 'vs-dark' : 'vs-light'}
           loading={handleEditorLoading()}
           options={getEditorOptions()}
@@ -428,30 +1134,6 @@ const CodeEditor = ({
           }}
         />
 
-        {/* Collaborative Cursors Overlay */}
-        <div className="absolute inset-0 pointer-events-none">
-          {Array.from(cursors.entries()).map(([userId, cursor]) => {
-            if (userId === user?.id) return null;
-            
-            return (
-              <div
-                key={userId}
-                className="absolute z-10"
-                style={{
-                  top: `${cursor.position.line * 19}px`, // Approximate line height
-                  left: `${cursor.position.column * 7.2}px`, // Approximate character width
-                }}
-              >
-                <div className={`cursor-indicator participant-${Math.abs(userId.hashCode()) % 6 + 1}`}>
-                  <div className="cursor-label">
-                    {cursor.username}
-                  </div>
-                </div>
-              </div>
-            );
-          })}
-        </div>
-
         {/* Read-only overlay */}
         {readOnly && (
           <div className="absolute inset-0 bg-overlay flex items-center justify-center z-20">
@@ -476,7 +1158,7 @@ const CodeEditor = ({
             Characters: {code.length}
           </span>
           <span className="text-secondary">
-            Language: {getLanguageDisplay(language)}
+            Language: {getLanguageDisplayName(activeLanguage)}
           </span>
         </div>
         
@@ -492,50 +1174,6 @@ const CodeEditor = ({
           </span>
         </div>
       </div>
-
-      {/* Custom styles for collaboration features */}
-      <style jsx>{`
-        .cursor-indicator {
-          width: 2px;
-          height: 18px;
-          position: relative;
-          animation: pulse-accent 1.5s ease-in-out infinite;
-        }
-        
-        .cursor-label {
-          position: absolute;
-          top: -24px;
-          left: -20px;
-          padding: 2px 6px;
-          border-radius: 4px;
-          font-size: 10px;
-          font-weight: 500;
-          color: white;
-          white-space: nowrap;
-          pointer-events: none;
-          z-index: 100;
-        }
-        
-        .participant-1 .cursor-indicator { background-color: var(--cursor-user-1); }
-        .participant-1 .cursor-label { background-color: var(--cursor-user-1); }
-        .participant-2 .cursor-indicator { background-color: var(--cursor-user-2); }
-        .participant-2 .cursor-label { background-color: var(--cursor-user-2); }
-        .participant-3 .cursor-indicator { background-color: var(--cursor-user-3); }
-        .participant-3 .cursor-label { background-color: var(--cursor-user-3); }
-        .participant-4 .cursor-indicator { background-color: var(--cursor-user-4); }
-        .participant-4 .cursor-label { background-color: var(--cursor-user-4); }
-        .participant-5 .cursor-indicator { background-color: var(--cursor-user-5); }
-        .participant-5 .cursor-label { background-color: var(--cursor-user-5); }
-        .participant-6 .cursor-indicator { background-color: var(--cursor-user-6); }
-        .participant-6 .cursor-label { background-color: var(--cursor-user-6); }
-        
-        .selection-highlight-1 { background-color: var(--cursor-user-1); opacity: 0.2; }
-        .selection-highlight-2 { background-color: var(--cursor-user-2); opacity: 0.2; }
-        .selection-highlight-3 { background-color: var(--cursor-user-3); opacity: 0.2; }
-        .selection-highlight-4 { background-color: var(--cursor-user-4); opacity: 0.2; }
-        .selection-highlight-5 { background-color: var(--cursor-user-5); opacity: 0.2; }
-        .selection-highlight-6 { background-color: var(--cursor-user-6); opacity: 0.2; }
-      `}</style>
     </div>
   );
 };
@@ -0,0 +1,394 @@
+// src/components/Session/CommentsPanel.js
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import MarkdownMessage from '../Common/MarkdownMessage';
+import { clsx } from 'clsx';
+import { formatDistanceToNow } from 'date-fns';
+
+const FILTERS = [
+  { id: 'open', label: 'Open' },
+  { id: 'resolved', label: 'Resolved' },
+  { id: 'all', label: 'All' },
+];
+
+const formatRange = ({ startLine, endLine }) => (
+  startLine === endLine ? `L${startLine}` : `L${startLine}-${endLine}`
+);
+
+const formatTime = (timestamp) => (
+  timestamp ? formatDistanceToNow(new Date(timestamp), { addSuffix: true }) : ''
+);
+
+const CommentsPanel = ({
+  comments = [],
+  files = [],
+  currentUser,
+  canModerate = false,
+  loading = false,
+  error = null,
+  draft = null,
+  selectedCommentId = null,
+  onCreate,
+  onCancelDraft,
+  onRetry,
+  onReply,
+  onEdit,
+  onResolve,
+  onDelete,
+  onSelect,
+  onClose,
+  className
+}) => {
+  const [filter, setFilter] = useState('open');
+  const [draftText, setDraftText] = useState('');
+  const [replyTexts, setReplyTexts] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  // Read by the selection effect, which runs only when the selection changes
+  const commentsRef = useRef(comments);
+  const filterRef = useRef(filter);
+  commentsRef.current = comments;
+  filterRef.current = filter;
+
+  const filePaths = useMemo(
+    () => new Map(files.map(file => [file.id, file.path])),
+    [files]
+  );
+
+  // Threads grouped by file, in line order
+  const groups = useMemo(() => {
+    const visible = comments
+      .filter(comment => (
+        filter === 'all' || (filter === 'resolved' ? comment.resolved : !comment.resolved)
+      ))
+      .sort((a, b) => a.startLine - b.startLine);
+
+    const byFile = new Map();
+    visible.forEach((comment) => {
+      if (!byFile.has(comment.fileId)) {
+        byFile.set(comment.fileId, []);
+      }
+      byFile.get(comment.fileId).push(comment);
+    });
+
+    return Array.from(byFile.entries())
+      .map(([fileId, fileComments]) => ({ fileId, path: filePaths.get(fileId), comments: fileComments }))
+      .sort((a, b) => (a.path || '').localeCompare(b.path || ''));
+  }, [comments, filter, filePaths]);
+
+  const openCount = comments.filter(comment => !comment.resolved).length;
+
+  // Show a thread opened from its marker in the editor
+  useEffect(() => {
+    if (!selectedCommentId) return;
+
+    const comment = commentsRef.current.find(c => c.id === selectedCommentId);
+    const currentFilter = filterRef.current;
+    if (comment && currentFilter !== 'all' && comment.resolved !== (currentFilter === 'resolved')) {
+      setFilter('all');
+    }
+    setTimeout(() => {
+      document.getElementById(`comment-${selectedCommentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }, 50);
+  }, [selectedCommentId]);
+
+  // Start every new comment from an empty box
+  useEffect(() => {
+    setDraftText('');
+  }, [draft]);
+
+  const isAuthor = useCallback((item) => (
+    (item.author?._id || item.author?.id || item.author) === currentUser?.id
+  ), [currentUser?.id]);
+
+  // Run an action for one thread, keeping its buttons disabled meanwhile
+  const runAction = useCallback(async (commentId, action) => {
+    setBusyId(commentId);
+    const result = await action();
+    setBusyId(null);
+    return result;
+  }, []);
+
+  const handleCreate = useCallback(async (e) => {
+    e.preventDefault();
+    const text = draftText.trim();
+    if (!text) return;
+
+    const result = await runAction('draft', () => onCreate?.(text));
+    if (result?.success) {
+      setDraftText('');
+    }
+  }, [draftText, onCreate, runAction]);
+
+  const handleReply = useCallback(async (e, commentId) => {
+    e.preventDefault();
+    const text = (replyTexts[commentId] || '').trim();
+    if (!text) return;
+
+    const result = await runAction(commentId, () => onReply?.(commentId, text));
+    if (result?.success) {
+      setReplyTexts(prev => ({ ...prev, [commentId]: '' }));
+    }
+  }, [replyTexts, onReply, runAction]);
+
+  const handleSaveEdit = useCallback(async (commentId) => {
+    const text = editText.trim();
+    if (!text) return;
+
+    const result = await runAction(commentId, () => onEdit?.(commentId, text));
+    if (result?.success) {
+      setEditingId(null);
+    }
+  }, [editText, onEdit, runAction]);
+
+  const handleDelete = useCallback((commentId) => {
+    if (window.confirm('Delete this comment thread and all its replies?')) {
+      runAction(commentId, () => onDelete?.(commentId));
+    }
+  }, [onDelete, runAction]);
+
+  // Submit with Ctrl/Cmd + Enter
+  const submitOnCtrlEnter = (handler) => (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+      handler(e);
+    }
+  };
+
+  const renderThread = (comment, path) => {
+    const isBusy = busyId === comment.id;
+    const isEditing = editingId === comment.id;
+
+    return (
+      <div
+        key={comment.id}
+        id={`comment-${comment.id}`}
+        className={clsx(
+          'rounded-lg border p-3 space-y-2 transition-colors',
+          selectedCommentId === comment.id ? 'border-accent bg-accent/10' : 'border-primary bg-secondary',
+          comment.resolved && 'opacity-75'
+        )}
+      >
+        {/* Thread header */}
+        <div className="flex items-center justify-between text-xs">
+          <button
+            onClick={() => onSelect?.(comment)}
+            disabled={!path}
+            className="font-code text-accent hover:underline disabled:no-underline disabled:text-secondary"
+            title={path ? 'Show in editor' : 'The file was deleted'}
+          >
+            {formatRange(comment)}
+          </button>
+          <div className="flex items-center space-x-1">
+            {comment.resolved && <span className="text-success">✓ Resolved</span>}
+            <button
+              onClick={() => runAction(comment.id, () => onResolve?.(comment.id, !comment.resolved))}
+              disabled={isBusy}
+              className="btn-ghost btn-sm"
+              title={comment.resolved ? 'Reopen thread' : 'Resolve thread'}
+            >
+              {comment.resolved ? '↩️' : '✅'}
+            </button>
+            {isAuthor(comment) && !isEditing && (
+              <button
+                onClick={() => {
+                  setEditingId(comment.id);
+                  setEditText(comment.text);
+                }}
+                disabled={isBusy}
+                className="btn-ghost btn-sm"
+                title="Edit comment"
+              >
+                ✏️
+              </button>
+            )}
+            {(isAuthor(comment) || canModerate) && (
+              <button
+                onClick={() => handleDelete(comment.id)}
+                disabled={isBusy}
+                className="btn-ghost btn-sm"
+                title="Delete thread"
+              >
+                🗑️
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Comment */}
+        <div className="text-sm">
+          <div className="text-xs text-secondary mb-1">
+            <span className="font-medium text-primary">{comment.author?.username || 'Someone'}</span>
+            {' · '}
+            {formatTime(comment.createdAt)}
+            {comment.editedAt && ' (edited)'}
+          </div>
+          {isEditing ? (
+            <div className="space-y-1">
+              <textarea
+                value={editText}
+                onChange={(e) => setEditText(e.target.value)}
+                onKeyDown={submitOnCtrlEnter(() => handleSaveEdit(comment.id))}
+                className="w-full h-20 input resize-none text-sm"
+                autoFocus
+              />
+              <div className="flex justify-end space-x-2">
+                <button onClick={() => setEditingId(null)} className="btn-ghost btn-sm">Cancel</button>
+                <button
+                  onClick={() => handleSaveEdit(comment.id)}
+                  disabled={isBusy || !editText.trim()}
+                  className="btn-primary btn-sm"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          ) : (
+            <MarkdownMessage text={comment.text} className="text-primary" />
+          )}
+        </div>
+
+        {/* Replies */}
+        {comment.replies.length > 0 && (
+          <div className="pl-3 border-l-2 border-primary space-y-2">
+            {comment.replies.map((reply, index) => (
+              <div key={reply.id || reply._id || index} className="text-sm">
+                <div className="text-xs text-secondary mb-0.5">
+                  <span className="font-medium text-primary">{reply.author?.username || 'Someone'}</span>
+                  {' · '}
+                  {formatTime(reply.createdAt)}
+                </div>
+                <MarkdownMessage text={reply.text} className="text-primary" />
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Reply */}
+        <form onSubmit={(e) => handleReply(e, comment.id)} className="flex items-end space-x-2">
+          <textarea
+            value={replyTexts[comment.id] || ''}
+            onChange={(e) => setReplyTexts(prev => ({ ...prev, [comment.id]: e.target.value }))}
+            onKeyDown={submitOnCtrlEnter(e => handleReply(e, comment.id))}
+            placeholder={comment.resolved ? 'Reply to reopen the discussion...' : 'Reply...'}
+            className="flex-1 input resize-none py-1 text-sm"
+            rows={1}
+          />
+          <button
+            type="submit"
+            disabled={isBusy || !(replyTexts[comment.id] || '').trim()}
+            className="btn-ghost btn-sm"
+            title="Reply (Ctrl+Enter)"
+          >
+            ↩️
+          </button>
+        </form>
+      </div>
+    );
+  };
+
+  return (
+    <div className={clsx('flex flex-col h-full bg-sidebar', className)}>
+      {/* Header */}
+      <div className="px-4 py-3 bg-secondary border-b border-primary">
+        <div className="flex items-center justify-between">
+          <h3 className="font-medium text-primary">Review Comments</h3>
+          <div className="flex items-center space-x-2">
+            {openCount > 0 && (
+              <span className="px-2 py-0.5 bg-accent text-white text-xs rounded-full">{openCount}</span>
+            )}
+            {onClose && (
+              <button onClick={onClose} className="btn-ghost btn-sm" title="Close">
+                ✕
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-1 mt-2">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFilter(option.id)}
+              className={clsx(
+                'px-2 py-1 rounded text-xs transition-colors',
+                filter === option.id ? 'bg-accent text-white' : 'text-secondary hover:text-primary'
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-3 space-y-4 scrollbar-thin">
+        {/* New comment */}
+        {draft && (
+          <form onSubmit={handleCreate} className="rounded-lg border border-accent p-3 space-y-2">
+            <div className="text-xs text-secondary">
+              New comment on{' '}
+              <span className="font-code text-primary">
+                {filePaths.get(draft.fileId) || 'file'}:{formatRange(draft)}
+              </span>
+            </div>
+            <textarea
+              value={draftText}
+              onChange={(e) => setDraftText(e.target.value)}
+              onKeyDown={submitOnCtrlEnter(handleCreate)}
+              placeholder="Leave a comment... (Markdown supported)"
+              className="w-full h-24 input resize-none text-sm"
+              autoFocus
+            />
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={onCancelDraft} className="btn-ghost btn-sm">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busyId === 'draft' || !draftText.trim()}
+                className="btn-primary btn-sm"
+              >
+                {busyId === 'draft' ? <LoadingSpinner size="xs" color="white" text="Posting..." /> : 'Comment'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading && comments.length === 0 ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner size="sm" text="Loading comments..." />
+          </div>
+        ) : error && comments.length === 0 ? (
+          <div className="text-center text-secondary py-8">
+            <p className="text-error text-sm mb-3">{error}</p>
+            <button type="button" onClick={onRetry} className="btn-secondary btn-sm">
+              Try Again
+            </button>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="text-center text-secondary py-8">
+            <div className="text-4xl mb-4">📝</div>
+            <p className="text-lg mb-2">
+              {filter === 'resolved' ? 'No resolved threads' : 'No comments yet'}
+            </p>
+            <p className="text-sm">
+              Select lines in the editor and choose "Add Comment" from the context menu (Ctrl+Alt+M)
+            </p>
+          </div>
+        ) : (
+          groups.map(group => (
+            <div key={group.fileId} className="space-y-2">
+              <div className="text-xs font-medium text-secondary font-code truncate">
+                {group.path || 'Deleted file'}
+              </div>
+              {group.comments.map(comment => renderThread(comment, group.path))}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CommentsPanel;
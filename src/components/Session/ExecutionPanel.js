@@ -1,7 +1,10 @@
 // src/components/Session/ExecutionPanel.js
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguages } from '../../hooks/useLanguages';
+import { getLanguage, getLanguageDisplayName, getLanguageIcon, formatLanguageLimits } from '../../services/languages';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TestCasesPanel from './TestCasesPanel';
 import { clsx } from 'clsx';
 import { format } from 'date-fns';
 
@@ -13,17 +16,31 @@ const ExecutionPanel = ({
   loading,
   error,
   onExecute,
+  onSendInput,
+  onStop,
+  testCases = [],
+  testRun,
+  testsRunning = false,
+  canEditTests = false,
+  onSaveTests,
+  onRunTests,
   canExecute = true,
   className
 }) => {
   const { theme, fontSize } = useTheme();
+  // Re-render with the server's versions and limits once they load
+  useLanguages();
+  const languageInfo = getLanguage(language);
+  const limits = formatLanguageLimits(languageInfo);
   const [activeTab, setActiveTab] = useState('output');
   const [input, setInput] = useState('');
   const [history, setHistory] = useState([]);
   const [showInput, setShowInput] = useState(false);
   const [isClearing, setIsClearing] = useState(false);
+  const [stdinLine, setStdinLine] = useState('');
   const outputRef = useRef(null);
   const inputRef = useRef(null);
+  const stdinRef = useRef(null);
 
   // Combine execution results (real-time from socket + local API calls)
   const currentResult = executionState?.result || localResult;
@@ -31,12 +48,26 @@ const ExecutionPanel = ({
   const isExecuting = executionState?.isRunning || loading;
   const executedBy = executionState?.executedBy;
 
+  // Socket runs stream their output into a terminal view
+  const terminalOutput = executionState?.output;
+  const isStreaming = Array.isArray(terminalOutput);
+  const canType = isStreaming && executionState.isRunning && executionState.isRunner;
+  const canStop = isStreaming && executionState.isRunning && canExecute;
+
   // Auto-scroll output to bottom
   useEffect(() => {
     if (outputRef.current) {
       outputRef.current.scrollTop = outputRef.current.scrollHeight;
     }
-  }, [currentResult, currentError, history]);
+  }, [currentResult, currentError, history, terminalOutput]);
+
+  // Let the runner type right away
+  useEffect(() => {
+    if (canType) {
+      setStdinLine('');
+      stdinRef.current?.focus();
+    }
+  }, [canType]);
 
   // Add execution to history
   useEffect(() => {
@@ -73,6 +104,28 @@ const ExecutionPanel = ({
     handleExecute();
   }, [handleExecute]);
 
+  // Send a line typed in the terminal to the running program
+  const handleStdinSubmit = useCallback((e) => {
+    e.preventDefault();
+    onSendInput?.(`${stdinLine}\n`);
+    setStdinLine('');
+  }, [onSendInput, stdinLine]);
+
+  // Ctrl+D closes stdin, Ctrl+C stops the program
+  const handleStdinKeyDown = useCallback((e) => {
+    if (!e.ctrlKey) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'd') {
+      e.preventDefault();
+      onSendInput?.(stdinLine, { eof: true });
+      setStdinLine('');
+    } else if (key === 'c' && !window.getSelection()?.toString()) {
+      e.preventDefault();
+      onStop?.();
+    }
+  }, [onSendInput, onStop, stdinLine]);
+
   // Clear output
   const handleClearOutput = useCallback(() => {
     setIsClearing(true);
@@ -84,7 +137,9 @@ const ExecutionPanel = ({
 
   // Copy output to clipboard
   const handleCopyOutput = useCallback(() => {
-    if (currentResult) {
+    if (isStreaming) {
+      navigator.clipboard.writeText(terminalOutput.map(chunk => chunk.data).join(''));
+    } else if (currentResult) {
       const outputText = typeof currentResult === 'object' 
         ? currentResult.output || JSON.stringify(currentResult, null, 2)
         : currentResult;
@@ -93,7 +148,7 @@ const ExecutionPanel = ({
         // You could show a toast here
       });
     }
-  }, [currentResult]);
+  }, [currentResult, isStreaming, terminalOutput]);
 
   // Format execution time
   const formatExecutionTime = useCallback((time) => {
@@ -109,20 +164,6 @@ const ExecutionPanel = ({
     return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
   }, []);
 
-  // Get language icon
-  const getLanguageIcon = useCallback((lang) => {
-    const icons = {
-      javascript: '🟨',
-      python: '🐍',
-      cpp: '⚡',
-      c: '🔷',
-      java: '☕',
-      go: '🐹',
-      rust: '🦀',
-    };
-    return icons[lang] || '📄';
-  }, []);
-
   // Parse execution result
   const parseResult = useCallback((result) => {
     if (!result) return null;
@@ -149,6 +190,7 @@ const ExecutionPanel = ({
 
   const tabs = [
     { id: 'output', label: 'Output', icon: '📄' },
+    { id: 'tests', label: 'Tests', icon: '🧪' },
     { id: 'history', label: 'History', icon: '📚' },
     { id: 'input', label: 'Input', icon: '⌨️' },
   ];
@@ -178,9 +220,15 @@ const ExecutionPanel = ({
           </div>
 
           {/* Language Badge */}
-          <div className="flex items-center space-x-2 px-2 py-1 bg-tertiary rounded">
+          <div
+            className="flex items-center space-x-2 px-2 py-1 bg-tertiary rounded"
+            title={limits ? `Limits: ${limits}` : undefined}
+          >
             <span>{getLanguageIcon(language)}</span>
-            <span className="text-xs text-secondary capitalize">{language}</span>
+            <span className="text-xs text-secondary">
+              {getLanguageDisplayName(language)}
+              {languageInfo?.version && ` ${languageInfo.version}`}
+            </span>
           </div>
         </div>
 
@@ -207,23 +255,34 @@ const ExecutionPanel = ({
           {/* Copy Output */}
           <button
             onClick={handleCopyOutput}
-            disabled={!currentResult}
+            disabled={!currentResult && !terminalOutput?.length}
             className="btn-ghost btn-sm"
             title="Copy Output"
           >
             📋
           </button>
 
-          {/* Execute Button */}
-          <button
-            onClick={handleExecute}
-            disabled={!canExecute || isExecuting}
-            className="btn-primary btn-sm flex items-center space-x-1"
-            title="Execute Code (Ctrl+Enter)"
-          >
-            <span>▶</span>
-            <span>Run</span>
-          </button>
+          {/* Execute / Stop Button */}
+          {canStop ? (
+            <button
+              onClick={() => onStop?.()}
+              className="btn-secondary btn-sm flex items-center space-x-1 text-error"
+              title="Stop Execution"
+            >
+              <span>⏹</span>
+              <span>Stop</span>
+            </button>
+          ) : (
+            <button
+              onClick={handleExecute}
+              disabled={!canExecute || isExecuting}
+              className="btn-primary btn-sm flex items-center space-x-1"
+              title="Execute Code (Ctrl+Enter)"
+            >
+              <span>▶</span>
+              <span>Run</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -237,7 +296,74 @@ const ExecutionPanel = ({
               className="flex-1 overflow-y-auto p-4 font-code scrollbar-thin"
               style={{ fontSize: `${fontSize}px` }}
             >
-              {isExecuting ? (
+              {isStreaming ? (
+                <div className="space-y-2">
+                  {/* Run Info */}
+                  <div className="flex items-center justify-between text-xs text-secondary border-b border-primary pb-2">
+                    <div className="flex items-center space-x-4">
+                      <span>Language: {getLanguageDisplayName(language)}</span>
+                      {parsedResult?.executionTime && (
+                        <span>Time: {formatExecutionTime(parsedResult.executionTime)}</span>
+                      )}
+                      {parsedResult?.memoryUsed && (
+                        <span>Memory: {formatMemoryUsage(parsedResult.memoryUsed)}</span>
+                      )}
+                    </div>
+                    {executedBy && (
+                      <span>{executionState.isRunner ? 'Your run' : `Run by ${executedBy}`}</span>
+                    )}
+                  </div>
+
+                  {/* Terminal */}
+                  <pre className="whitespace-pre-wrap break-words text-primary">
+                    {terminalOutput.map((chunk, index) => (
+                      <span
+                        key={index}
+                        className={clsx(
+                          chunk.stream === 'stderr' && 'text-error',
+                          chunk.stream === 'stdin' && 'text-accent'
+                        )}
+                      >
+                        {chunk.data}
+                      </span>
+                    ))}
+                  </pre>
+
+                  {canType && (
+                    <form onSubmit={handleStdinSubmit} className="flex items-center space-x-2">
+                      <span className="text-accent">›</span>
+                      <input
+                        ref={stdinRef}
+                        value={stdinLine}
+                        onChange={(e) => setStdinLine(e.target.value)}
+                        onKeyDown={handleStdinKeyDown}
+                        className="flex-1 bg-transparent text-primary outline-none font-code"
+                        placeholder="Type input and press Enter (Ctrl+D to close stdin)"
+                        spellCheck={false}
+                        autoComplete="off"
+                      />
+                    </form>
+                  )}
+
+                  {executionState.isRunning ? (
+                    terminalOutput.length === 0 && !canType && (
+                      <div className="flex items-center space-x-3 text-warning">
+                        <LoadingSpinner size="sm" />
+                        <span>Waiting for output...</span>
+                      </div>
+                    )
+                  ) : (
+                    <div className={clsx('text-xs', parsedResult?.success ? 'text-secondary' : 'text-error')}>
+                      {currentResult?.stopped
+                        ? 'Process stopped'
+                        : currentResult?.signal
+                          ? `Process killed (${currentResult.signal})`
+                          : `Process exited with code ${currentResult?.exitCode ?? '?'}`}
+                      {currentError && ` • ${currentError}`}
+                    </div>
+                  )}
+                </div>
+              ) : isExecuting ? (
                 <div className="flex items-center space-x-3 text-warning">
                   <LoadingSpinner size="sm" />
                   <span>Executing code...</span>
@@ -250,7 +376,7 @@ const ExecutionPanel = ({
                   {/* Execution Info */}
                   <div className="flex items-center justify-between text-xs text-secondary border-b border-primary pb-2">
                     <div className="flex items-center space-x-4">
-                      <span>Language: {language}</span>
+                      <span>Language: {getLanguageDisplayName(language)}</span>
                       {parsedResult.executionTime && (
                         <span>Time: {formatExecutionTime(parsedResult.executionTime)}</span>
                       )}
@@ -306,6 +432,21 @@ const ExecutionPanel = ({
           </div>
         )}
 
+        {/* Tests Tab */}
+        {activeTab === 'tests' && (
+          <TestCasesPanel
+            testCases={testCases}
+            testRun={testRun}
+            canEdit={canEditTests}
+            canRun={canExecute}
+            isRunning={testsRunning}
+            onSave={onSaveTests}
+            onRun={onRunTests}
+            formatExecutionTime={formatExecutionTime}
+            formatMemoryUsage={formatMemoryUsage}
+          />
+        )}
+
         {/* History Tab */}
         {activeTab === 'history' && (
           <div className="h-full overflow-y-auto p-4 scrollbar-thin">
@@ -0,0 +1,245 @@
+// src/components/Session/FileTree.js
+import React, { useState, useCallback, useMemo } from 'react';
+import { clsx } from 'clsx';
+import {
+  buildFileTree,
+  getBaseName,
+  getParentPath,
+  joinPath,
+} from '../../services/projectFiles';
+
+const FileTree = ({
+  project,
+  activeFileId,
+  readOnly = false,
+  onOpenFile,
+  onCreateFile,
+  onCreateFolder,
+  onRename,
+  onDelete,
+  onSetEntryPoint,
+  className
+}) => {
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [dragPath, setDragPath] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const tree = useMemo(() => buildFileTree(project), [project]);
+
+  const toggleFolder = useCallback((path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  }, []);
+
+  // Create a file or folder inside `folder` (root when empty)
+  const handleCreate = useCallback((type, folder = '') => {
+    const name = window.prompt(type === 'file' ? 'New file name' : 'New folder name');
+    if (!name) return;
+
+    const path = joinPath(folder, name.trim());
+    if (type === 'file') {
+      onCreateFile?.(path);
+    } else {
+      onCreateFolder?.(path);
+    }
+
+    // Make sure the new entry is visible
+    if (folder) {
+      setCollapsed(prev => {
+        const next = new Set(prev);
+        next.delete(folder);
+        return next;
+      });
+    }
+  }, [onCreateFile, onCreateFolder]);
+
+  // Rename accepts a full path, so it doubles as "move"
+  const handleRename = useCallback((node) => {
+    const newPath = window.prompt(`Rename or move "${node.path}"`, node.path);
+    if (!newPath || newPath.trim() === node.path) return;
+    onRename?.(node.path, newPath.trim());
+  }, [onRename]);
+
+  const handleDelete = useCallback((node) => {
+    const confirmed = window.confirm(
+      node.type === 'folder'
+        ? `Delete folder "${node.path}" and everything in it?`
+        : `Delete "${node.path}"?`
+    );
+    if (confirmed) {
+      onDelete?.(node.path);
+    }
+  }, [onDelete]);
+
+  // Drag and drop moves a file or folder into another folder (or the root)
+  const handleDrop = useCallback((e, folder) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+
+    if (!dragPath || getParentPath(dragPath) === folder) return;
+    onRename?.(dragPath, joinPath(folder, getBaseName(dragPath)));
+    setDragPath(null);
+  }, [dragPath, onRename]);
+
+  const dragProps = (node) => (readOnly ? {} : {
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      setDragPath(node.path);
+    },
+    onDragEnd: () => {
+      setDragPath(null);
+      setDropTarget(null);
+    },
+  });
+
+  const dropProps = (folder) => (readOnly ? {} : {
+    onDragOver: (e) => {
+      if (!dragPath) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(folder);
+    },
+    onDrop: (e) => handleDrop(e, folder),
+  });
+
+  const renderNode = (node, depth) => {
+    const isFolder = node.type === 'folder';
+    const isOpen = isFolder && !collapsed.has(node.path);
+    const isActive = !isFolder && node.file.id === activeFileId;
+    const isEntry = !isFolder && node.file.id === project.entryPoint;
+
+    return (
+      <div key={node.path}>
+        <div
+          {...dragProps(node)}
+          {...(isFolder ? dropProps(node.path) : {})}
+          onClick={() => (isFolder ? toggleFolder(node.path) : onOpenFile?.(node.file.id))}
+          className={clsx(
+            'group flex items-center justify-between pr-2 py-1 rounded cursor-pointer text-sm transition-colors',
+            isActive ? 'bg-accent/20 text-primary' : 'text-secondary hover:text-primary hover:bg-tertiary',
+            isFolder && dropTarget === node.path && 'ring-1 ring-accent'
+          )}
+          style={{ paddingLeft: `${depth * 12 + 8}px` }}
+          title={node.path}
+        >
+          <div className="flex items-center space-x-1 min-w-0">
+            <span className="text-xs w-4 flex-shrink-0">
+              {isFolder ? (isOpen ? '📂' : '📁') : '📄'}
+            </span>
+            <span className="truncate">{node.name}</span>
+            {isEntry && (
+              <span className="text-xs text-success" title="Entry point">▶</span>
+            )}
+          </div>
+
+          {!readOnly && (
+            <div
+              className="hidden group-hover:flex items-center space-x-1 flex-shrink-0"
+              onClick={(e) => e.stopPropagation()}
+            >
+              {isFolder ? (
+                <>
+                  <button
+                    onClick={() => handleCreate('file', node.path)}
+                    className="text-xs hover:text-primary"
+                    title="New File"
+                  >
+                    ➕
+                  </button>
+                  <button
+                    onClick={() => handleCreate('folder', node.path)}
+                    className="text-xs hover:text-primary"
+                    title="New Folder"
+                  >
+                    📁
+                  </button>
+                </>
+              ) : (
+                !isEntry && (
+                  <button
+                    onClick={() => onSetEntryPoint?.(node.file.id)}
+                    className="text-xs hover:text-primary"
+                    title="Set as Entry Point"
+                  >
+                    ▶
+                  </button>
+                )
+              )}
+              <button
+                onClick={() => handleRename(node)}
+                className="text-xs hover:text-primary"
+                title="Rename / Move"
+              >
+                ✏️
+              </button>
+              <button
+                onClick={() => handleDelete(node)}
+                className="text-xs hover:text-error"
+                title="Delete"
+              >
+                🗑️
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isOpen && node.children.map(child => renderNode(child, depth + 1))}
+      </div>
+    );
+  };
+
+  return (
+    <div className={clsx('flex flex-col h-full bg-sidebar border-r border-primary', className)}>
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 bg-secondary border-b border-primary">
+        <h3 className="font-medium text-primary">Files</h3>
+        {!readOnly && (
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={() => handleCreate('file')}
+              className="btn-ghost btn-sm"
+              title="New File"
+            >
+              ➕
+            </button>
+            <button
+              onClick={() => handleCreate('folder')}
+              className="btn-ghost btn-sm"
+              title="New Folder"
+            >
+              📁
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Tree */}
+      <div
+        {...dropProps('')}
+        className={clsx(
+          'flex-1 overflow-y-auto p-2 scrollbar-thin',
+          dropTarget === '' && 'bg-accent/5'
+        )}
+      >
+        {tree.map(node => renderNode(node, 0))}
+      </div>
+
+      {/* Footer */}
+      <div className="px-4 py-2 border-t border-primary bg-tertiary/50 text-xs text-secondary">
+        {project.files.length} file{project.files.length !== 1 ? 's' : ''}
+        {!readOnly && ' • drag to move'}
+      </div>
+    </div>
+  );
+};
+
+export default FileTree;
@@ -0,0 +1,241 @@
+// src/components/Session/HistoryPanel.js
+import React, { useState, useMemo, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { useTheme } from '../../contexts/ThemeContext';
+import { getFileLanguage, normalizeProject } from '../../services/projectFiles';
+import { getLanguageDisplayName } from '../../services/languages';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { clsx } from 'clsx';
+import { format, formatDistanceToNow } from 'date-fns';
+
+const CURRENT = 'current';
+
+// Snapshots come from `sessionAPI.getHistory`; older entries carry a single
+// `code` string, newer ones the full file set. Snapshots taken when the
+// session language was switched carry `languageChange: { from, to }`.
+const getSnapshotTime = (entry) => new Date(entry.savedAt || entry.timestamp || entry.createdAt || 0);
+
+const getSnapshotAuthor = (entry) => (
+  entry.savedBy?.username || entry.user?.username || entry.author?.username || entry.username || 'Unknown'
+);
+
+const HistoryPanel = ({
+  history = [],
+  project,
+  language,
+  canRestore = false,
+  onRestore,
+  onRefresh,
+  onClose,
+  className
+}) => {
+  const { theme } = useTheme();
+
+  // Newest first, each with a stable id and its files
+  const snapshots = useMemo(() => (
+    history
+      .map((entry, index) => ({
+        ...entry,
+        id: String(entry._id || entry.id || `snapshot-${index}`),
+        time: getSnapshotTime(entry),
+        author: getSnapshotAuthor(entry),
+        project: normalizeProject(entry, language),
+      }))
+      .sort((a, b) => b.time - a.time)
+  ), [history, language]);
+
+  const [originalId, setOriginalId] = useState(null);
+  const [modifiedId, setModifiedId] = useState(CURRENT);
+  const [selectedPath, setSelectedPath] = useState(null);
+
+  // Start by comparing the latest snapshot with the live code
+  useEffect(() => {
+    if (originalId !== CURRENT && !snapshots.some(snapshot => snapshot.id === originalId)) {
+      setOriginalId(snapshots[0]?.id || null);
+    }
+  }, [snapshots, originalId]);
+
+  const getSide = (id) => {
+    if (id === CURRENT) return { project };
+    const snapshot = snapshots.find(entry => entry.id === id);
+    return snapshot ? { project: snapshot.project } : null;
+  };
+
+  const original = getSide(originalId);
+  const modified = getSide(modifiedId);
+
+  // Files present on either side of the comparison
+  const paths = Array.from(new Set(
+    [original, modified].flatMap(side => side?.project.files.map(file => file.path) || [])
+  )).sort();
+
+  const path = paths.includes(selectedPath) ? selectedPath : paths[0];
+  const getContent = (side) => side?.project.files.find(file => file.path === path)?.content ?? '';
+
+  const handleRestore = (snapshot) => {
+    const confirmed = window.confirm(
+      `Restore the version saved by ${snapshot.author} on ${format(snapshot.time, 'MMM d, HH:mm')}? ` +
+      'Everyone in the session will see the restored code.'
+    );
+    if (confirmed) {
+      onRestore?.(snapshot);
+    }
+  };
+
+  const renderSideSelect = (value, onChange) => (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="input py-1 text-sm w-auto"
+    >
+      <option value={CURRENT}>Current</option>
+      {snapshots.map(snapshot => (
+        <option key={snapshot.id} value={snapshot.id}>
+          {format(snapshot.time, 'MMM d, HH:mm')} • {snapshot.author}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className={clsx('flex flex-col h-full bg-secondary', className)}>
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b border-primary">
+        <div className="flex items-center space-x-2">
+          <span>🕘</span>
+          <h3 className="font-medium text-primary">Session History</h3>
+          <span className="text-xs text-secondary">
+            {snapshots.length} snapshot{snapshots.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onRefresh}
+            className="btn-ghost btn-sm"
+            title="Refresh"
+          >
+            🔄
+          </button>
+          <button
+            onClick={onClose}
+            className="btn-ghost btn-sm"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 flex overflow-hidden">
+        {/* Timeline */}
+        <div className="w-72 flex-shrink-0 border-r border-primary overflow-y-auto scrollbar-thin p-2">
+          {snapshots.length === 0 ? (
+            <div className="text-center text-secondary py-8">
+              <div className="text-3xl mb-2">📭</div>
+              <p className="text-sm">No saved versions yet</p>
+            </div>
+          ) : (
+            <ol className="relative border-l border-primary ml-2 space-y-1">
+              {snapshots.map((snapshot, index) => (
+                <li key={snapshot.id} className="ml-4">
+                  <span className={clsx(
+                    'absolute -left-1.5 mt-3 w-3 h-3 rounded-full border-2 border-secondary',
+                    snapshot.id === originalId ? 'bg-accent' : 'bg-tertiary'
+                  )} />
+                  <div
+                    onClick={() => {
+                      setOriginalId(snapshot.id);
+                      setModifiedId(CURRENT);
+                    }}
+                    className={clsx(
+                      'group p-2 rounded cursor-pointer transition-colors',
+                      snapshot.id === originalId ? 'bg-accent/20' : 'hover:bg-tertiary'
+                    )}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-primary">
+                        {snapshot.version !== undefined ? `v${snapshot.version}` : `#${snapshots.length - index}`}
+                        {index === 0 && <span className="ml-2 text-xs text-success">Latest</span>}
+                      </span>
+                      <span className="text-xs text-secondary" title={format(snapshot.time, 'PPpp')}>
+                        {formatDistanceToNow(snapshot.time, { addSuffix: true })}
+                      </span>
+                    </div>
+                    <div className="text-xs text-secondary truncate">
+                      {snapshot.author}
+                      {snapshot.description && ` • ${snapshot.description}`}
+                    </div>
+                    {snapshot.languageChange && (
+                      <div className="text-xs text-accent">
+                        🔁 {getLanguageDisplayName(snapshot.languageChange.from)} → {getLanguageDisplayName(snapshot.languageChange.to)}
+                      </div>
+                    )}
+
+                    {canRestore && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleRestore(snapshot);
+                        }}
+                        className="hidden group-hover:inline-block mt-1 text-xs text-accent hover:underline"
+                      >
+                        ↩️ Restore this version
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        {/* Diff */}
+        <div className="flex-1 flex flex-col overflow-hidden">
+          <div className="flex items-center flex-wrap gap-2 px-4 py-2 border-b border-primary bg-tertiary/50 text-sm">
+            {renderSideSelect(originalId, setOriginalId)}
+            <span className="text-secondary">→</span>
+            {renderSideSelect(modifiedId, setModifiedId)}
+
+            {paths.length > 1 && (
+              <select
+                value={path || ''}
+                onChange={(e) => setSelectedPath(e.target.value)}
+                className="input py-1 text-sm w-auto ml-auto"
+              >
+                {paths.map(filePath => (
+                  <option key={filePath} value={filePath}>{filePath}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          <div className="flex-1">
+            {original && modified ? (
+              <DiffEditor
+                height="100%"
+                original={getContent(original)}
+                modified={getContent(modified)}
+                language={getFileLanguage(path, language)}
+                theme={theme === 'dark' ? 'vs-dark' : 'vs-light'}
+                loading={<LoadingSpinner size="lg" text="Loading diff..." centered />}
+                options={{
+                  readOnly: true,
+                  renderSideBySide: true,
+                  minimap: { enabled: false },
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                }}
+              />
+            ) : (
+              <div className="flex items-center justify-center h-full text-secondary">
+                Select a version to compare
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
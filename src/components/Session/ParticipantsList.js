@@ -1,6 +1,7 @@
 // src/components/Session/ParticipantsList.js
 import React, { useState, useCallback, useMemo } from 'react';
 import { useTheme } from '../../contexts/ThemeContext';
+import { getLanguageDisplayName } from '../../services/languages';
 import { clsx } from 'clsx';
 import { format, formatDistanceToNow } from 'date-fns';
 
@@ -11,6 +12,8 @@ const ParticipantsList = ({
   session,
   cursors = new Map(),
   typingUsers = new Set(),
+  followingId = null,
+  onFollowUser,
   onKickUser,
   onPromoteUser,
   onInviteUsers,
@@ -32,6 +35,7 @@ const ParticipantsList = ({
       
       return {
         ...participant,
+        userId: participant.user?._id || participant.user?.id || participant.userId,
         isCurrentUser,
         cursor: userCursor,
         isTyping,
@@ -102,17 +106,24 @@ const ParticipantsList = ({
     );
     
     if (confirmed) {
-      onKickUser?.(participant.user?._id || participant.user?.id);
+      onKickUser?.(participant.userId);
     }
     
     setShowUserActions(null);
   }, [isCreator, onKickUser]);
 
-  const handlePromoteUser = useCallback((participant) => {
+  const handleChangeRole = useCallback((participant, newRole) => {
     if (!isCreator || participant.isCurrentUser) return;
-    
-    const newRole = participant.role === 'editor' ? 'viewer' : 'editor';
-    onPromoteUser?.(participant.user?._id || participant.user?.id, newRole);
+
+    // Handing over the session cannot be undone by the current host
+    if (newRole === 'creator') {
+      const confirmed = window.confirm(
+        `Make ${participant.displayName} the host? You will become an editor and lose moderation rights.`
+      );
+      if (!confirmed) return;
+    }
+
+    onPromoteUser?.(participant.userId, newRole);
     setShowUserActions(null);
   }, [isCreator, onPromoteUser]);
 
@@ -163,6 +174,12 @@ const ParticipantsList = ({
     }
   }, []);
 
+  const roleOptions = [
+    { role: 'editor', label: '✏️ Make Editor' },
+    { role: 'viewer', label: '👁️ Make Viewer' },
+    { role: 'creator', label: '👑 Make Host' },
+  ];
+
   const filters = [
     { id: 'all', label: 'All', icon: '👥' },
     { id: 'active', label: 'Active', icon: '🟢' },
@@ -307,12 +324,30 @@ const ParticipantsList = ({
                       )}
                     </div>
 
+                    {/* Follow */}
+                    {!participant.isCurrentUser && participant.socketId && onFollowUser && (
+                      <button
+                        onClick={() => onFollowUser(
+                          followingId === participant.socketId ? null : participant.socketId
+                        )}
+                        className={clsx(
+                          'btn-ghost btn-sm p-1 transition-opacity',
+                          followingId === participant.socketId
+                            ? 'text-accent'
+                            : 'opacity-0 group-hover:opacity-100'
+                        )}
+                        title={followingId === participant.socketId ? 'Stop following' : `Follow ${participant.displayName}`}
+                      >
+                        👣
+                      </button>
+                    )}
+
                     {/* Actions */}
                     {!participant.isCurrentUser && isCreator && (
                       <div className="opacity-0 group-hover:opacity-100 transition-opacity">
                         <button
                           onClick={() => setShowUserActions(
-                            showUserActions === participant.user?._id ? null : participant.user?._id
+                            showUserActions === participant.userId ? null : participant.userId
                           )}
                           className="btn-ghost btn-sm p-1"
                         >
@@ -320,15 +355,20 @@ const ParticipantsList = ({
                         </button>
                         
                         {/* User Actions Menu */}
-                        {showUserActions === participant.user?._id && (
+                        {showUserActions === participant.userId && (
                           <div className="absolute right-0 top-full mt-1 w-48 bg-secondary border border-primary rounded-lg shadow-lg z-10 animate-slide-in">
                             <div className="py-1">
-                              <button
-                                onClick={() => handlePromoteUser(participant)}
-                                className="block w-full px-4 py-2 text-left text-sm text-primary hover:bg-tertiary transition-colors"
-                              >
-                                {participant.role === 'editor' ? '👁️ Make Viewer' : '✏️ Make Editor'}
-                              </button>
+                              {roleOptions
+                                .filter(option => option.role !== participant.role)
+                                .map(option => (
+                                  <button
+                                    key={option.role}
+                                    onClick={() => handleChangeRole(participant, option.role)}
+                                    className="block w-full px-4 py-2 text-left text-sm text-primary hover:bg-tertiary transition-colors"
+                                  >
+                                    {option.label}
+                                  </button>
+                                ))}
                               
                               <button
                                 onClick={() => {
@@ -397,8 +437,8 @@ const ParticipantsList = ({
           {/* Language Info */}
           <div className="text-center">
             <div className="text-xs text-secondary mb-1">Language</div>
-            <div className="text-sm font-medium text-primary capitalize">
-              {session?.language || 'JavaScript'}
+            <div className="text-sm font-medium text-primary">
+              {getLanguageDisplayName(session?.language || 'javascript')}
             </div>
           </div>
         </div>
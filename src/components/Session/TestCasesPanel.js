@@ -0,0 +1,313 @@
+// src/components/Session/TestCasesPanel.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTheme } from '../../contexts/ThemeContext';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import {
+  createTestCase,
+  compareOutputLines,
+  summarizeTestRun,
+} from '../../services/testCases';
+import { clsx } from 'clsx';
+import { formatDistanceToNow } from 'date-fns';
+
+const STATUS_INFO = {
+  pending: { icon: '⏸️', text: 'Pending', color: 'text-secondary' },
+  running: { icon: '⏳', text: 'Running', color: 'text-warning' },
+  passed: { icon: '✅', text: 'Passed', color: 'text-success' },
+  failed: { icon: '❌', text: 'Failed', color: 'text-error' },
+  error: { icon: '⚠️', text: 'Error', color: 'text-error' },
+};
+
+const TestCasesPanel = ({
+  testCases = [],
+  testRun,
+  canEdit = false,
+  canRun = true,
+  isRunning = false,
+  onSave,
+  onRun,
+  formatExecutionTime,
+  formatMemoryUsage,
+  className
+}) => {
+  const { fontSize } = useTheme();
+  const [isEditing, setIsEditing] = useState(false);
+  const [drafts, setDrafts] = useState(testCases);
+  const [isSaving, setIsSaving] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Pick up cases saved elsewhere unless they are being edited
+  useEffect(() => {
+    if (!isEditing) {
+      setDrafts(testCases);
+    }
+  }, [testCases, isEditing]);
+
+  const updateDraft = useCallback((id, changes) => {
+    setDrafts(prev => prev.map(draft => (draft.id === id ? { ...draft, ...changes } : draft)));
+  }, []);
+
+  const handleAddCase = useCallback(() => {
+    setDrafts(prev => [...prev, createTestCase({ name: `Test ${prev.length + 1}` })]);
+  }, []);
+
+  const handleRemoveCase = useCallback((id) => {
+    setDrafts(prev => prev.filter(draft => draft.id !== id));
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    setDrafts(testCases);
+    setIsEditing(false);
+  }, [testCases]);
+
+  const handleSave = useCallback(async () => {
+    setIsSaving(true);
+    const result = await onSave?.(drafts);
+    setIsSaving(false);
+
+    if (result?.success) {
+      setIsEditing(false);
+    }
+  }, [onSave, drafts]);
+
+  // Show the latest run, or the cases themselves before the first one
+  const rows = testRun?.results || testCases.map(testCase => ({
+    caseId: testCase.id,
+    name: testCase.name,
+    input: testCase.input,
+    expectedOutput: testCase.expectedOutput,
+  }));
+  const summary = summarizeTestRun(testRun);
+  const runInProgress = isRunning || testRun?.status === 'running';
+
+  const renderEditor = () => (
+    <div className="space-y-3">
+      {drafts.map((draft, index) => (
+        <div key={draft.id} className="bg-secondary rounded-lg p-3 border border-primary space-y-2">
+          <div className="flex items-center space-x-2">
+            <span className="text-xs text-secondary">#{index + 1}</span>
+            <input
+              value={draft.name}
+              onChange={(e) => updateDraft(draft.id, { name: e.target.value })}
+              placeholder="Test name"
+              className="input py-1 text-sm flex-1"
+            />
+            <button
+              onClick={() => handleRemoveCase(draft.id)}
+              className="btn-ghost btn-sm"
+              title="Remove test case"
+            >
+              🗑️
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs font-medium text-secondary mb-1">Input (stdin)</label>
+              <textarea
+                value={draft.input}
+                onChange={(e) => updateDraft(draft.id, { input: e.target.value })}
+                className="w-full h-20 input resize-none font-code text-sm"
+                spellCheck={false}
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-secondary mb-1">Expected Output</label>
+              <textarea
+                value={draft.expectedOutput}
+                onChange={(e) => updateDraft(draft.id, { expectedOutput: e.target.value })}
+                className="w-full h-20 input resize-none font-code text-sm"
+                spellCheck={false}
+              />
+            </div>
+          </div>
+        </div>
+      ))}
+
+      <button
+        onClick={handleAddCase}
+        className="w-full btn-ghost btn-sm border border-dashed border-primary"
+      >
+        ➕ Add test case
+      </button>
+    </div>
+  );
+
+  const renderDetails = (row) => {
+    const lines = compareOutputLines(row.expectedOutput, row.actualOutput);
+    const hasRun = row.actualOutput !== undefined;
+
+    return (
+      <div className="px-3 pb-3 space-y-2 font-code" style={{ fontSize: `${fontSize - 2}px` }}>
+        {row.input && (
+          <div>
+            <div className="text-xs font-medium text-secondary mb-1">Input:</div>
+            <pre className="bg-tertiary p-2 rounded whitespace-pre-wrap max-h-24 overflow-y-auto scrollbar-thin">
+              {row.input}
+            </pre>
+          </div>
+        )}
+
+        {hasRun ? (
+          <div className="grid grid-cols-2 gap-2">
+            <div className="text-xs font-medium text-secondary">Expected:</div>
+            <div className="text-xs font-medium text-secondary">Actual:</div>
+            <pre className="bg-tertiary p-2 rounded overflow-x-auto scrollbar-thin">
+              {lines.map((line, index) => (
+                <div key={index} className={clsx(!line.matches && 'bg-success/20')}>
+                  {line.expected ?? ' '}
+                </div>
+              ))}
+            </pre>
+            <pre className="bg-tertiary p-2 rounded overflow-x-auto scrollbar-thin">
+              {lines.map((line, index) => (
+                <div key={index} className={clsx(!line.matches && 'bg-error/20')}>
+                  {line.actual ?? ' '}
+                </div>
+              ))}
+            </pre>
+          </div>
+        ) : (
+          <div>
+            <div className="text-xs font-medium text-secondary mb-1">Expected Output:</div>
+            <pre className="bg-tertiary p-2 rounded whitespace-pre-wrap max-h-24 overflow-y-auto scrollbar-thin">
+              {row.expectedOutput || ' '}
+            </pre>
+          </div>
+        )}
+
+        {row.error && (
+          <div>
+            <div className="text-xs font-medium text-error mb-1">Error:</div>
+            <pre className="text-error bg-error/10 p-2 rounded whitespace-pre-wrap max-h-24 overflow-y-auto scrollbar-thin">
+              {row.error}
+            </pre>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={clsx('h-full flex flex-col', className)}>
+      {/* Toolbar */}
+      <div className="flex items-center justify-between px-4 py-2 border-b border-primary">
+        <div className="flex items-center space-x-3 text-sm">
+          <span className="text-primary font-medium">
+            {testCases.length} test case{testCases.length !== 1 ? 's' : ''}
+          </span>
+          {testRun && !isEditing && (
+            <span className={clsx(
+              'px-2 py-0.5 rounded text-xs',
+              summary.failed > 0 ? 'bg-error/20 text-error' : 'bg-success/20 text-success'
+            )}>
+              {summary.passed}/{summary.total} passed
+            </span>
+          )}
+          {testRun?.runBy && !isEditing && (
+            <span className="text-xs text-secondary">
+              Run by {testRun.runBy}
+              {testRun.finishedAt && ` • ${formatDistanceToNow(new Date(testRun.finishedAt), { addSuffix: true })}`}
+            </span>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {isEditing ? (
+            <>
+              <button onClick={handleCancel} className="btn-ghost btn-sm" disabled={isSaving}>
+                Cancel
+              </button>
+              <button onClick={handleSave} className="btn-primary btn-sm" disabled={isSaving}>
+                {isSaving ? <LoadingSpinner size="xs" color="white" text="Saving..." /> : 'Save Tests'}
+              </button>
+            </>
+          ) : (
+            <>
+              {canEdit && (
+                <button
+                  onClick={() => setIsEditing(true)}
+                  className="btn-ghost btn-sm"
+                  disabled={runInProgress}
+                  title="Edit test cases"
+                >
+                  ✏️ Edit
+                </button>
+              )}
+              <button
+                onClick={() => onRun?.()}
+                disabled={!canRun || runInProgress || testCases.length === 0}
+                className="btn-primary btn-sm flex items-center space-x-1"
+              >
+                {runInProgress ? (
+                  <LoadingSpinner size="xs" color="white" text="Running..." />
+                ) : (
+                  <>
+                    <span>🧪</span>
+                    <span>Run all tests</span>
+                  </>
+                )}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-y-auto p-4 scrollbar-thin">
+        {isEditing ? renderEditor() : rows.length === 0 ? (
+          <div className="text-center text-secondary py-8">
+            <div className="text-4xl mb-4">🧪</div>
+            <p className="text-lg mb-2">No test cases yet</p>
+            <p className="text-sm">
+              {canEdit
+                ? 'Add input and expected output pairs to check solutions automatically'
+                : 'The session creator has not added any test cases'}
+            </p>
+          </div>
+        ) : (
+          <div className="border border-primary rounded-lg overflow-hidden">
+            <div className="grid grid-cols-12 gap-2 px-3 py-2 bg-secondary text-xs font-medium text-secondary">
+              <span className="col-span-1">#</span>
+              <span className="col-span-5">Name</span>
+              <span className="col-span-2">Status</span>
+              <span className="col-span-2">Time</span>
+              <span className="col-span-2">Memory</span>
+            </div>
+
+            {rows.map((row, index) => {
+              const statusInfo = row.status ? STATUS_INFO[row.status] : null;
+              const isExpanded = expandedId === row.caseId;
+
+              return (
+                <div key={row.caseId} className="border-t border-primary">
+                  <div
+                    onClick={() => setExpandedId(isExpanded ? null : row.caseId)}
+                    className="grid grid-cols-12 gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-tertiary transition-colors"
+                  >
+                    <span className="col-span-1 text-secondary">{index + 1}</span>
+                    <span className="col-span-5 text-primary truncate">
+                      {isExpanded ? '▾' : '▸'} {row.name || `Test ${index + 1}`}
+                    </span>
+                    <span className={clsx('col-span-2', statusInfo?.color || 'text-secondary')}>
+                      {statusInfo ? `${statusInfo.icon} ${statusInfo.text}` : '—'}
+                    </span>
+                    <span className="col-span-2 text-secondary">
+                      {row.executionTime ? formatExecutionTime(row.executionTime) : '—'}
+                    </span>
+                    <span className="col-span-2 text-secondary">
+                      {row.memoryUsed ? formatMemoryUsage(row.memoryUsed) : '—'}
+                    </span>
+                  </div>
+
+                  {isExpanded && renderDetails(row)}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TestCasesPanel;
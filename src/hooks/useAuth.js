@@ -1,6 +1,7 @@
 // src/hooks/useAuth.js
 import { useState, useEffect, createContext, useContext } from 'react';
-import { authAPI, apiUtils } from '../services/api';
+import { authAPI, apiUtils, refreshAccessToken } from '../services/api';
+import { subscribeToAuth } from '../services/authSession';
 import toast from 'react-hot-toast';
 
 // Create Auth Context
@@ -20,19 +21,40 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // Login waiting for a second factor: { challengeToken, identifier }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
 
   // Initialize authentication state
   useEffect(() => {
     initializeAuth();
   }, []);
 
+  // Follow sign-ins and sign-outs, including those in other tabs
+  useEffect(() => {
+    return subscribeToAuth((event) => {
+      if (event.type === 'login') {
+        if (event.user) setUser(event.user);
+        setTwoFactorChallenge(null);
+        setIsAuthenticated(true);
+      } else if (event.type === 'logout') {
+        setUser(null);
+        setIsAuthenticated(false);
+        if (event.remote) {
+          toast('You signed out in another tab', { icon: '🚪' });
+        }
+      }
+    });
+  }, []);
+
   const initializeAuth = async () => {
     try {
-      const token = apiUtils.getToken();
-      
-      if (!token) {
-        setLoading(false);
-        return;
+      // A fresh tab has no access token yet; the refresh cookie may get one
+      if (!apiUtils.getToken()) {
+        try {
+          await refreshAccessToken();
+        } catch (error) {
+          return;
+        }
       }
 
       // Verify token and get user profile
@@ -56,9 +78,18 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       const response = await authAPI.login(credentials);
+
+      // The password was right; a code from the authenticator app comes next
+      if (response.twoFactorRequired) {
+        setTwoFactorChallenge({
+          challengeToken: response.challengeToken,
+          identifier: credentials.identifier,
+        });
+        return { success: false, twoFactorRequired: true };
+      }
       
-      // Store token
-      apiUtils.setToken(response.token);
+      // Store token, signing in other tabs too
+      apiUtils.setToken(response.token, response.user);
       
       // Set user state
       setUser(response.user);
@@ -76,28 +107,52 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Register function
-  const register = async (userData) => {
+  // Finish a login with a code from the authenticator app or a recovery
+  // code (without `loading`, which would unmount the login form)
+  const verifyTwoFactor = async (code) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: 'Sign in again to continue' };
+    }
+
     try {
-      setLoading(true);
-      const response = await authAPI.register(userData);
-      
-      // Store token
-      apiUtils.setToken(response.token);
-      
-      // Set user state
+      const response = await authAPI.verifyTwoFactor(twoFactorChallenge.challengeToken, code);
+
+      // Store token, signing in other tabs too
+      apiUtils.setToken(response.token, response.user);
+
+      setTwoFactorChallenge(null);
       setUser(response.user);
       setIsAuthenticated(true);
-      
-      toast.success(response.message || 'Account created successfully!');
+
+      toast.success(response.message || 'Login successful!');
       return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = apiUtils.formatError(error);
+      // An expired challenge means starting over with the password
+      if (error.response?.status === 401) {
+        setTwoFactorChallenge(null);
+      }
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setTwoFactorChallenge(null);
+  };
+
+  // Register function. The new account confirms its email before signing
+  // in, so this doesn't set `loading`, which would unmount the form
+  // showing that next step.
+  const register = async (userData) => {
+    try {
+      const response = await authAPI.register(userData);
+      toast.success(response.message || 'Account created! Check your email to verify it.');
+      return { success: true, user: response.user, email: userData.email };
       
     } catch (error) {
       const errorMessage = apiUtils.formatError(error);
       toast.error(errorMessage);
       return { success: false, error: errorMessage };
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -118,6 +173,60 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish an OAuth sign-in with the code from the provider callback
+  // (without `loading`, which would unmount the callback page)
+  const loginWithOAuth = async (provider, callbackData) => {
+    try {
+      const response = await authAPI.completeOAuth(provider, callbackData);
+
+      // Same second step as a password login, finished on the login page
+      if (response.twoFactorRequired) {
+        setTwoFactorChallenge({
+          challengeToken: response.challengeToken,
+          identifier: provider,
+        });
+        return { success: false, twoFactorRequired: true };
+      }
+
+      // Store token, signing in other tabs too
+      apiUtils.setToken(response.token, response.user);
+
+      setUser(response.user);
+      setIsAuthenticated(true);
+
+      toast.success(response.message || 'Login successful!');
+      return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = apiUtils.formatError(error);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Attach an OAuth provider to the signed-in account
+  const linkOAuthAccount = async (provider, callbackData) => {
+    try {
+      const response = await authAPI.linkOAuth(provider, callbackData);
+      setUser(response.user);
+      toast.success(response.message || 'Account connected');
+      return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = apiUtils.formatError(error);
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  const unlinkOAuthAccount = async (provider) => {
+    try {
+      const response = await authAPI.unlinkOAuth(provider);
+      setUser(response.user);
+      toast.success(response.message || 'Account disconnected');
+      return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = apiUtils.formatError(error);
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Update profile
   const updateProfile = async (profileData) => {
     try {
@@ -151,6 +260,10 @@ export const AuthProvider = ({ children }) => {
 
   // Change password
   const changePassword = async (passwordData) => {
+    if (user?.twoFactorEnabled && !passwordData.twoFactorCode) {
+      return { success: false, error: 'Enter the code from your authenticator app' };
+    }
+
     try {
       const response = await authAPI.changePassword(passwordData);
       toast.success(response.message || 'Password changed successfully!');
@@ -163,9 +276,13 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Delete account
-  const deleteAccount = async (password) => {
+  const deleteAccount = async (password, twoFactorCode = null) => {
+    if (user?.twoFactorEnabled && !twoFactorCode) {
+      return { success: false, error: 'Enter the code from your authenticator app' };
+    }
+
     try {
-      const response = await authAPI.deleteAccount(password);
+      const response = await authAPI.deleteAccount(password, twoFactorCode);
       
       // Clear local state
       apiUtils.clearToken();
@@ -181,6 +298,99 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Two-factor enrollment: get a secret, then confirm it with a code
+  const setupTwoFactor = async () => {
+    try {
+      const response = await authAPI.setupTwoFactor();
+      return { success: true, secret: response.secret, otpauthUrl: response.otpauthUrl };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
+  const enableTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.enableTwoFactor(code);
+      setUser(response.user);
+      toast.success(response.message || 'Two-factor authentication enabled');
+      return { success: true, recoveryCodes: response.recoveryCodes || [] };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
+  const disableTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.disableTwoFactor(code);
+      setUser(response.user);
+      toast.success(response.message || 'Two-factor authentication disabled');
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
+  const regenerateRecoveryCodes = async (code) => {
+    try {
+      const response = await authAPI.regenerateRecoveryCodes(code);
+      return { success: true, recoveryCodes: response.recoveryCodes || [] };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
+  // Links sent by email: `expired` tells an expired link from an unknown
+  // or already used one
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await authAPI.requestPasswordReset(email);
+      return { success: true, message: response.message };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
+  const checkResetToken = async (token) => {
+    try {
+      await authAPI.checkResetToken(token);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error), expired: error.response?.status === 410 };
+    }
+  };
+
+  const resetPassword = async (token, password) => {
+    try {
+      const response = await authAPI.resetPassword(token, password);
+      toast.success(response.message || 'Password reset. Sign in with your new password.');
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error), expired: error.response?.status === 410 };
+    }
+  };
+
+  const verifyEmail = async (token) => {
+    try {
+      const response = await authAPI.verifyEmail(token);
+      // The link may have been opened while signed in as someone else
+      setUser(prev => (prev && prev.id === response.user?.id ? response.user : prev));
+      toast.success(response.message || 'Email verified!');
+      return { success: true, user: response.user };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error), expired: error.response?.status === 410 };
+    }
+  };
+
+  const resendVerification = async (email = null) => {
+    try {
+      const response = await authAPI.resendVerification(email);
+      toast.success(response.message || 'Verification email sent!');
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: apiUtils.formatError(error) };
+    }
+  };
+
   // Refresh user data
   const refreshUser = async () => {
     try {
@@ -210,15 +420,32 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     isAuthenticated,
+    twoFactorChallenge,
+    // Unverified accounts can't create public sessions
+    needsEmailVerification: isAuthenticated && user?.emailVerified === false,
     
     // Actions
     login,
+    verifyTwoFactor,
+    cancelTwoFactor,
     register,
     logout,
+    loginWithOAuth,
+    linkOAuthAccount,
+    unlinkOAuthAccount,
     updateProfile,
     updatePreferences,
     changePassword,
     deleteAccount,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    requestPasswordReset,
+    checkResetToken,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     refreshUser,
     getUserStats,
     
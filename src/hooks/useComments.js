@@ -0,0 +1,193 @@
+// src/hooks/useComments.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSocket } from './useSocket';
+import { sessionAPI } from '../services/api';
+
+// Anchors moved by typing are reported once the edits settle
+const ANCHOR_DELAY = 500;
+
+const normalizeComment = (comment) => ({
+  ...comment,
+  id: String(comment.id || comment._id),
+  replies: comment.replies || [],
+  resolved: !!comment.resolved,
+});
+
+// Add a comment or replace the stored copy of it
+const upsertComment = (comments, comment) => {
+  const next = normalizeComment(comment);
+  return comments.some(existing => existing.id === next.id)
+    ? comments.map(existing => (existing.id === next.id ? next : existing))
+    : [...comments, next];
+};
+
+const applyAnchors = (comments, anchors) => {
+  const byId = new Map(anchors.map(anchor => [String(anchor.id), anchor]));
+  return comments.map((comment) => {
+    const anchor = byId.get(comment.id);
+    if (!anchor || (anchor.startLine === comment.startLine && anchor.endLine === comment.endLine)) {
+      return comment;
+    }
+    return { ...comment, startLine: anchor.startLine, endLine: anchor.endLine };
+  });
+};
+
+// Hook for review comments on lines of the session's files. Changes go
+// through the REST API and reach everyone else as socket events. The
+// editor moves anchors with the code and reports them through
+// `moveAnchors`; moves caused by a local edit are sent on to the server.
+export const useComments = (sessionId) => {
+  const { isConnected, addEventListener, sendCommentAnchors } = useSocket();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const pendingAnchorsRef = useRef(new Map());
+  const anchorTimeoutRef = useRef(null);
+
+  const loadComments = useCallback(async () => {
+    if (!sessionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await sessionAPI.getComments(sessionId);
+      setComments((response.comments || []).map(normalizeComment));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  // Load comments on joining, and pick up those made while disconnected
+  useEffect(() => {
+    if (!isConnected || !sessionId) return;
+
+    loadComments();
+
+    const cleanupFunctions = [];
+
+    cleanupFunctions.push(
+      addEventListener('comment-added', (data) => {
+        setComments(prev => upsertComment(prev, data.comment));
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('comment-updated', (data) => {
+        setComments(prev => upsertComment(prev, data.comment));
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('comment-deleted', (data) => {
+        setComments(prev => prev.filter(comment => comment.id !== String(data.commentId)));
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('comment-anchors', (data) => {
+        setComments(prev => applyAnchors(prev, data.anchors || []));
+      })
+    );
+
+    return () => {
+      cleanupFunctions.forEach(cleanup => cleanup());
+    };
+  }, [isConnected, sessionId, loadComments, addEventListener]);
+
+  // Send anchors still waiting when leaving the session
+  const flushAnchors = useCallback(() => {
+    clearTimeout(anchorTimeoutRef.current);
+    anchorTimeoutRef.current = null;
+
+    pendingAnchorsRef.current.forEach((anchors, fileId) => {
+      sendCommentAnchors(sessionId, fileId, Array.from(anchors.values()));
+    });
+    pendingAnchorsRef.current.clear();
+  }, [sendCommentAnchors, sessionId]);
+
+  useEffect(() => flushAnchors, [flushAnchors]);
+
+  // New line ranges of comments after an edit of a file
+  const moveAnchors = useCallback((fileId, anchors, { local = false } = {}) => {
+    if (anchors.length === 0) return;
+    setComments(prev => applyAnchors(prev, anchors));
+
+    if (!local) return;
+
+    if (!pendingAnchorsRef.current.has(fileId)) {
+      pendingAnchorsRef.current.set(fileId, new Map());
+    }
+    const pending = pendingAnchorsRef.current.get(fileId);
+    anchors.forEach(anchor => pending.set(anchor.id, anchor));
+
+    clearTimeout(anchorTimeoutRef.current);
+    anchorTimeoutRef.current = setTimeout(flushAnchors, ANCHOR_DELAY);
+  }, [flushAnchors]);
+
+  const addComment = useCallback(async ({ fileId, startLine, endLine, text }) => {
+    try {
+      const response = await sessionAPI.createComment(sessionId, { fileId, startLine, endLine, text });
+      setComments(prev => upsertComment(prev, response.comment));
+      return { success: true, comment: normalizeComment(response.comment) };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to add comment';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId]);
+
+  const replyToComment = useCallback(async (commentId, text) => {
+    try {
+      const response = await sessionAPI.replyToComment(sessionId, commentId, text);
+      setComments(prev => upsertComment(prev, response.comment));
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to reply';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId]);
+
+  const updateComment = useCallback(async (commentId, changes) => {
+    try {
+      const response = await sessionAPI.updateComment(sessionId, commentId, changes);
+      setComments(prev => upsertComment(prev, response.comment));
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to update comment';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId]);
+
+  const editComment = useCallback((commentId, text) => (
+    updateComment(commentId, { text })
+  ), [updateComment]);
+
+  const setResolved = useCallback((commentId, resolved) => (
+    updateComment(commentId, { resolved })
+  ), [updateComment]);
+
+  const deleteComment = useCallback(async (commentId) => {
+    try {
+      await sessionAPI.deleteComment(sessionId, commentId);
+      setComments(prev => prev.filter(comment => comment.id !== commentId));
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to delete comment';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId]);
+
+  return {
+    comments,
+    loading,
+    error,
+    loadComments,
+    moveAnchors,
+    addComment,
+    replyToComment,
+    editComment,
+    setResolved,
+    deleteComment,
+  };
+};
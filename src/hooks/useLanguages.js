@@ -0,0 +1,29 @@
+// src/hooks/useLanguages.js
+import { useState, useEffect } from 'react';
+import { getLanguages, loadLanguages, subscribeToLanguages } from '../services/languages';
+
+// Hook for the language registry. Starts loading the server's list on
+// first use and re-renders when it arrives, so components reading the
+// registry helpers pick up the new entries.
+export const useLanguages = () => {
+  const [languages, setLanguages] = useState(getLanguages);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribe = subscribeToLanguages(setLanguages);
+
+    loadLanguages().then((loaded) => {
+      if (!active) return;
+      setLanguages(loaded);
+      setLoading(false);
+    });
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
+
+  return { languages, loading };
+};
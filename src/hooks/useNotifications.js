@@ -0,0 +1,125 @@
+// src/hooks/useNotifications.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from './useAuth';
+import { useSocket } from './useSocket';
+
+const MAX_NOTIFICATIONS = 50;
+
+const getStorageKey = (userId) => `codecollab-notifications-${userId}`;
+
+const loadNotifications = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(getStorageKey(userId))) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const isDesktopNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask the browser for permission to show notifications. Resolves true if
+// it was granted.
+export const requestDesktopNotifications = async () => {
+  if (!isDesktopNotificationSupported()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+// Hook for the signed-in user's notifications. They arrive over the
+// socket and are kept per user in localStorage. Nothing is collected while
+// the `notifications` preference is off; with `desktopNotifications` on,
+// a browser notification is shown as well while the tab is hidden.
+export const useNotifications = () => {
+  const { user } = useAuth();
+  const { isConnected, addEventListener } = useSocket();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState(() => (user?.id ? loadNotifications(user.id) : []));
+  const loadedUserRef = useRef(user?.id || null);
+
+  const enabled = user?.preferences?.notifications ?? true;
+  const desktopEnabled = !!user?.preferences?.desktopNotifications;
+
+  // Switch lists when another user signs in
+  useEffect(() => {
+    if (loadedUserRef.current === (user?.id || null)) return;
+
+    loadedUserRef.current = user?.id || null;
+    setNotifications(user?.id ? loadNotifications(user.id) : []);
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (user?.id && loadedUserRef.current === user.id) {
+      localStorage.setItem(getStorageKey(user.id), JSON.stringify(notifications));
+    }
+  }, [notifications, user?.id]);
+
+  const openNotification = useCallback((notification) => {
+    setNotifications(prev => prev.map(n => (n.id === notification.id ? { ...n, read: true } : n)));
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  }, [navigate]);
+
+  const showDesktopNotification = useCallback((notification) => {
+    if (!desktopEnabled || !document.hidden) return;
+    if (!isDesktopNotificationSupported() || Notification.permission !== 'granted') return;
+
+    const desktopNotification = new Notification(notification.title, {
+      body: notification.message,
+      tag: notification.id,
+      icon: '/favicon.ico',
+    });
+    desktopNotification.onclick = () => {
+      window.focus();
+      openNotification(notification);
+      desktopNotification.close();
+    };
+  }, [desktopEnabled, openNotification]);
+
+  useEffect(() => {
+    if (!isConnected || !enabled) return;
+
+    return addEventListener('notification', (data) => {
+      const notification = {
+        id: String(data.id || data._id || Date.now()),
+        type: data.type,
+        title: data.title || 'CodeCollab',
+        message: data.message || '',
+        link: data.link || (data.sessionId ? `/session/${data.sessionId}` : null),
+        createdAt: data.createdAt || new Date().toISOString(),
+        read: false,
+      };
+
+      setNotifications(prev => [
+        notification,
+        ...prev.filter(n => n.id !== notification.id),
+      ].slice(0, MAX_NOTIFICATIONS));
+      showDesktopNotification(notification);
+    });
+  }, [isConnected, enabled, showDesktopNotification, addEventListener]);
+
+  const markAsRead = useCallback((id) => {
+    setNotifications(prev => prev.map(n => (n.id === id ? { ...n, read: true } : n)));
+  }, []);
+
+  const markAllAsRead = useCallback(() => {
+    setNotifications(prev => prev.map(n => (n.read ? n : { ...n, read: true })));
+  }, []);
+
+  const clearNotifications = useCallback(() => {
+    setNotifications([]);
+  }, []);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(n => !n.read).length,
+    enabled,
+    markAsRead,
+    markAllAsRead,
+    clearNotifications,
+    openNotification,
+  };
+};
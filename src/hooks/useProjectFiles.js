@@ -0,0 +1,205 @@
+// src/hooks/useProjectFiles.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSocket } from './useSocket';
+import {
+  applyTreeChange,
+  createDefaultProject,
+  createFileEntry,
+  getExecutionPayload,
+  normalizeProject,
+  validatePath,
+} from '../services/projectFiles';
+import toast from 'react-hot-toast';
+
+// Hook for the file tree of a multi-file session. File contents are kept
+// here so the whole project can be sent for execution; the editor owns
+// the live Monaco models and reports edits through `updateFileContent`.
+export const useProjectFiles = (sessionId, language) => {
+  const socket = useSocket();
+  const { isConnected, addEventListener, requestCodeSync } = socket;
+  const [project, setProject] = useState(() => createDefaultProject(language));
+  const [activeFileId, setActiveFileId] = useState('main');
+  const [openFileIds, setOpenFileIds] = useState(['main']);
+  const [isSynced, setIsSynced] = useState(false);
+  const syncedRef = useRef(false);
+
+  // The session language arrives after mount; name the default file after it
+  useEffect(() => {
+    if (!syncedRef.current) {
+      setProject(createDefaultProject(language));
+    }
+  }, [language]);
+
+  // Open the entry point of a freshly synced project
+  const resetTabs = useCallback((nextProject) => {
+    setActiveFileId(nextProject.entryPoint);
+    setOpenFileIds([nextProject.entryPoint]);
+  }, []);
+
+  // Keep tabs pointing at files that still exist, falling back to the
+  // entry point when the active file is deleted
+  useEffect(() => {
+    const ids = new Set(project.files.map(file => file.id));
+    const activeRemoved = activeFileId !== null && !ids.has(activeFileId);
+
+    setOpenFileIds(prev => {
+      const open = prev.filter(id => ids.has(id));
+      if (activeRemoved && !open.includes(project.entryPoint)) {
+        open.push(project.entryPoint);
+      }
+      return open.length === prev.length && !activeRemoved ? prev : open;
+    });
+
+    if (activeRemoved) {
+      setActiveFileId(project.entryPoint);
+    }
+  }, [project, activeFileId]);
+
+  // Listen for project sync and tree changes from other users
+  useEffect(() => {
+    if (!isConnected || !sessionId) return;
+
+    const cleanupFunctions = [];
+
+    cleanupFunctions.push(
+      addEventListener('code-sync', (data) => {
+        const nextProject = normalizeProject(data, language);
+        syncedRef.current = true;
+        setIsSynced(true);
+        setProject(nextProject);
+        resetTabs(nextProject);
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('file-tree-change', (change) => {
+        setProject(prev => {
+          try {
+            return applyTreeChange(prev, change);
+          } catch (error) {
+            // Our tree is out of step with the server's; fetch it again
+            requestCodeSync(sessionId);
+            return prev;
+          }
+        });
+      })
+    );
+
+    return () => {
+      cleanupFunctions.forEach(cleanup => cleanup());
+    };
+  }, [isConnected, sessionId, language, resetTabs, addEventListener, requestCodeSync]);
+
+  // Apply a change locally and broadcast it
+  const commitChange = useCallback((change) => {
+    try {
+      setProject(applyTreeChange(project, change));
+      socket.sendFileTreeChange(sessionId, change);
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    }
+  }, [project, socket, sessionId]);
+
+  const createFile = useCallback((path) => {
+    const error = validatePath(path);
+    if (error) {
+      toast.error(error);
+      return null;
+    }
+
+    const file = createFileEntry(path);
+    if (!commitChange({ type: 'create-file', file })) return null;
+
+    setOpenFileIds(prev => [...prev, file.id]);
+    setActiveFileId(file.id);
+    return file;
+  }, [commitChange]);
+
+  const createFolder = useCallback((path) => {
+    const error = validatePath(path);
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    return commitChange({ type: 'create-folder', path });
+  }, [commitChange]);
+
+  // Rename or move a file or folder
+  const renamePath = useCallback((path, newPath) => {
+    const error = validatePath(newPath);
+    if (error) {
+      toast.error(error);
+      return false;
+    }
+    return commitChange({ type: 'rename', path, newPath });
+  }, [commitChange]);
+
+  const deletePath = useCallback((path) => {
+    return commitChange({ type: 'delete', path });
+  }, [commitChange]);
+
+  const setEntryPoint = useCallback((fileId) => {
+    return commitChange({ type: 'set-entry', fileId });
+  }, [commitChange]);
+
+  // Tabs
+  const openFile = useCallback((fileId) => {
+    setOpenFileIds(prev => (prev.includes(fileId) ? prev : [...prev, fileId]));
+    setActiveFileId(fileId);
+  }, []);
+
+  const closeFile = useCallback((fileId) => {
+    const index = openFileIds.indexOf(fileId);
+    const open = openFileIds.filter(id => id !== fileId);
+
+    setOpenFileIds(open);
+    if (fileId === activeFileId) {
+      setActiveFileId(open[Math.min(index, open.length - 1)] || null);
+    }
+  }, [openFileIds, activeFileId]);
+
+  // Record the latest content of a file (local or remote edit)
+  const updateFileContent = useCallback((fileId, content) => {
+    setProject(prev => ({
+      ...prev,
+      files: prev.files.map(file => (file.id === fileId ? { ...file, content } : file)),
+    }));
+  }, []);
+
+  const entryFile = useMemo(
+    () => project.files.find(file => file.id === project.entryPoint),
+    [project]
+  );
+
+  const activeFile = useMemo(
+    () => project.files.find(file => file.id === activeFileId) || null,
+    [project, activeFileId]
+  );
+
+  return {
+    project,
+    files: project.files,
+    entryFile,
+    activeFile,
+    activeFileId,
+    openFileIds,
+    isSynced,
+
+    // Tree actions
+    createFile,
+    createFolder,
+    renamePath,
+    deletePath,
+    setEntryPoint,
+
+    // Tabs
+    openFile,
+    closeFile,
+
+    // Content
+    updateFileContent,
+    getExecutionPayload: () => getExecutionPayload(project),
+  };
+};
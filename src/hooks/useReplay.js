@@ -0,0 +1,154 @@
+// src/hooks/useReplay.js
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { sessionAPI } from '../services/api';
+import { ReplayTimeline } from '../services/replay';
+
+// How often the playhead moves while playing
+const TICK_MS = 50;
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8];
+
+// Hook for a session's recordings. Loads the list, then the selected
+// recording (the newest one if none is given) as a ReplayTimeline.
+export const useRecordings = (sessionId, recordingId = null) => {
+  const [recordings, setRecordings] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRecordings = useCallback(async () => {
+    if (!sessionId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await sessionAPI.getRecordings(sessionId);
+      setRecordings(response.recordings || []);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load recordings');
+    } finally {
+      setLoading(false);
+    }
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadRecordings();
+  }, [loadRecordings]);
+
+  const selectedId = recordingId || (recordings[0] && String(recordings[0].id || recordings[0]._id));
+
+  useEffect(() => {
+    if (!sessionId || !selectedId) {
+      setTimeline(null);
+      return;
+    }
+
+    let cancelled = false;
+    const loadRecording = async () => {
+      try {
+        setLoading(true);
+        const response = await sessionAPI.getRecording(sessionId, selectedId);
+        if (!cancelled) {
+          setTimeline(new ReplayTimeline(response.recording));
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Failed to load recording');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+    loadRecording();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, selectedId]);
+
+  return {
+    recordings,
+    selectedId,
+    timeline,
+    loading,
+    error,
+    refresh: loadRecordings,
+  };
+};
+
+// Hook for playing a timeline: the playhead, play/pause, speed and
+// seeking, plus the session state at the playhead
+export const useReplayPlayer = (timeline) => {
+  const [time, setTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const duration = timeline?.duration || 0;
+
+  // Start each recording from the beginning
+  useEffect(() => {
+    setTime(0);
+    setIsPlaying(false);
+  }, [timeline]);
+
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let last = Date.now();
+    const timer = setInterval(() => {
+      const current = Date.now();
+      const elapsed = (current - last) * speed;
+      last = current;
+      setTime(prev => Math.min(prev + elapsed, duration));
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, duration]);
+
+  // Stop at the end
+  useEffect(() => {
+    if (isPlaying && time >= duration) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, time, duration]);
+
+  const play = useCallback(() => {
+    setTime(prev => (prev >= duration ? 0 : prev));
+    setIsPlaying(true);
+  }, [duration]);
+
+  const pause = useCallback(() => {
+    setIsPlaying(false);
+  }, []);
+
+  const seek = useCallback((nextTime) => {
+    setTime(Math.min(Math.max(nextTime, 0), duration));
+  }, [duration]);
+
+  // Jump to the previous or next timeline marker
+  const seekMarker = useCallback((direction) => {
+    if (!timeline) return;
+
+    const markers = timeline.markers;
+    const target = direction > 0
+      ? markers.find(marker => marker.time > time)
+      : [...markers].reverse().find(marker => marker.time < time - 500);
+    seek(target ? target.time : (direction > 0 ? duration : 0));
+  }, [timeline, time, duration, seek]);
+
+  const state = useMemo(() => (timeline ? timeline.stateAt(time) : null), [timeline, time]);
+
+  return {
+    time,
+    duration,
+    isPlaying,
+    speed,
+    state,
+    play,
+    pause,
+    seek,
+    seekMarker,
+    setSpeed,
+  };
+};
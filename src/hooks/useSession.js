@@ -1,7 +1,10 @@
 // src/hooks/useSession.js
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { sessionAPI, executeAPI } from '../services/api';
+import { getProjectSnapshot, getSavePayload, normalizeProject } from '../services/projectFiles';
+import { createPendingResult, outputMatches } from '../services/testCases';
 import { useAuth } from './useAuth';
+import { useLanguages } from './useLanguages';
 import toast from 'react-hot-toast';
 
 // Hook for managing individual session state
@@ -87,6 +90,81 @@ export const useSession = (sessionId) => {
     }
   }, [sessionId]);
 
+  // Apply a role change to the loaded session. Handing over the session
+  // makes the previous creator an editor.
+  const setParticipantRole = useCallback((userId, role) => {
+    setSession((prev) => {
+      if (!prev) return prev;
+
+      const activeParticipants = (prev.activeParticipants || []).map((participant) => {
+        const participantId = participant.user?._id || participant.user;
+        if (participantId === userId) return { ...participant, role };
+        if (role === 'creator' && participant.role === 'creator') return { ...participant, role: 'editor' };
+        return participant;
+      });
+
+      const newCreator = activeParticipants.find(p => (p.user?._id || p.user) === userId)?.user || userId;
+      return {
+        ...prev,
+        activeParticipants,
+        ...(role === 'creator' ? { creator: newCreator } : {}),
+      };
+    });
+  }, []);
+
+  // Apply a language change broadcast to the session
+  const setSessionLanguage = useCallback((language) => {
+    setSession(prev => prev && { ...prev, language });
+  }, []);
+
+  // Drop a removed participant from the loaded session
+  const dropParticipant = useCallback((userId) => {
+    setSession(prev => prev && {
+      ...prev,
+      activeParticipants: (prev.activeParticipants || []).filter(
+        participant => (participant.user?._id || participant.user) !== userId
+      ),
+    });
+  }, []);
+
+  // Remove a participant (creator only)
+  const kickParticipant = useCallback(async (userId) => {
+    try {
+      const response = await sessionAPI.removeParticipant(sessionId, userId);
+      dropParticipant(userId);
+      toast.success(response.message || 'Participant removed');
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to remove participant';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId, dropParticipant]);
+
+  // Change a participant's role (creator only)
+  const changeParticipantRole = useCallback(async (userId, role) => {
+    try {
+      const response = await sessionAPI.updateParticipantRole(sessionId, userId, role);
+      setParticipantRole(userId, role);
+      toast.success(response.message || 'Role updated');
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to change role';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId, setParticipantRole]);
+
+  // Send email invitations
+  const inviteUsers = useCallback(async (emails) => {
+    try {
+      const response = await sessionAPI.invite(sessionId, emails);
+      toast.success(response.message || `Invitation${emails.length !== 1 ? 's' : ''} sent`);
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to send invitations';
+      return { success: false, error: errorMessage };
+    }
+  }, [sessionId]);
+
   // Check if current user is session creator
   const isCreator = session?.creator?._id === user?.id || session?.creator === user?.id;
 
@@ -118,6 +196,12 @@ export const useSession = (sessionId) => {
     updateSession,
     leaveSession,
     endSession,
+    kickParticipant,
+    changeParticipantRole,
+    inviteUsers,
+    setParticipantRole,
+    setSessionLanguage,
+    dropParticipant,
     refreshHistory: loadSessionHistory,
   };
 };
@@ -125,31 +209,7 @@ export const useSession = (sessionId) => {
 // Hook for managing session creation
 export const useCreateSession = () => {
   const [loading, setLoading] = useState(false);
-  const [supportedLanguages, setSupportedLanguages] = useState([]);
-
-  // Load supported languages on mount
-  useEffect(() => {
-    loadSupportedLanguages();
-  }, []);
-
-  const loadSupportedLanguages = async () => {
-    try {
-      const response = await executeAPI.getLanguages();
-      setSupportedLanguages(response.languages || []);
-    } catch (error) {
-      console.error('Failed to load supported languages:', error);
-      // Fallback to default languages
-      setSupportedLanguages([
-        { name: 'javascript', displayName: 'JavaScript', available: true },
-        { name: 'python', displayName: 'Python', available: true },
-        { name: 'cpp', displayName: 'C++', available: true },
-        { name: 'c', displayName: 'C', available: true },
-        { name: 'java', displayName: 'Java', available: true },
-        { name: 'go', displayName: 'Go', available: true },
-        { name: 'rust', displayName: 'Rust', available: true },
-      ]);
-    }
-  };
+  const { languages: supportedLanguages } = useLanguages();
 
   const createSession = async (sessionData) => {
     try {
@@ -273,7 +333,7 @@ export const useCodeExecution = (sessionId) => {
   const [error, setError] = useState(null);
   const [executionHistory, setExecutionHistory] = useState([]);
 
-  const executeCode = useCallback(async (code, language, input = '') => {
+  const executeCode = useCallback(async (code, language, input = '', project = null) => {
     try {
       setLoading(true);
       setError(null);
@@ -283,6 +343,8 @@ export const useCodeExecution = (sessionId) => {
         language,
         input,
         sessionId,
+        files: project?.files,
+        entryPoint: project?.entryPoint,
       });
 
       setResult(response.result);
@@ -344,4 +406,290 @@ export const useCodeExecution = (sessionId) => {
     clearResult,
     clearHistory,
   };
-};
\ No newline at end of file
+};
+// Hook for running the session's test cases. Each case is executed on its
+// own through the API; `onUpdate` receives the run after every case so it
+// can be shown and shared while it progresses.
+export const useTestRunner = (sessionId, { onUpdate } = {}) => {
+  const { user } = useAuth();
+  const [isRunning, setIsRunning] = useState(false);
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  const runTests = useCallback(async (testCases, code, language, project = null) => {
+    if (testCases.length === 0) return null;
+
+    let testRun = {
+      id: `${Date.now()}`,
+      status: 'running',
+      runBy: user?.username,
+      startedAt: new Date().toISOString(),
+      results: testCases.map(createPendingResult),
+    };
+
+    const update = (changes) => {
+      testRun = { ...testRun, ...changes };
+      onUpdateRef.current?.(testRun);
+    };
+
+    const setResult = (index, result) => {
+      update({
+        results: testRun.results.map((entry, i) => (i === index ? { ...entry, ...result } : entry)),
+      });
+    };
+
+    setIsRunning(true);
+    update({});
+
+    try {
+      for (let index = 0; index < testCases.length; index++) {
+        const testCase = testCases[index];
+        setResult(index, { status: 'running' });
+
+        try {
+          const response = await executeAPI.run({
+            code,
+            language,
+            input: testCase.input,
+            sessionId,
+            files: project?.files,
+            entryPoint: project?.entryPoint,
+          }, { silent: true });
+
+          const result = typeof response.result === 'object' && response.result !== null
+            ? response.result
+            : { output: String(response.result ?? '') };
+          const actualOutput = result.output || result.rawOutput || '';
+          const error = result.error || '';
+
+          setResult(index, {
+            status: error ? 'error' : outputMatches(testCase.expectedOutput, actualOutput) ? 'passed' : 'failed',
+            actualOutput,
+            error,
+            executionTime: result.executionTime,
+            memoryUsed: result.memoryUsed,
+          });
+        } catch (err) {
+          setResult(index, {
+            status: 'error',
+            actualOutput: '',
+            error: err.response?.data?.error || 'Code execution failed',
+          });
+        }
+      }
+    } finally {
+      update({ status: 'done', finishedAt: new Date().toISOString() });
+      setIsRunning(false);
+    }
+
+    return testRun;
+  }, [sessionId, user?.username]);
+
+  return {
+    isRunning,
+    runTests,
+  };
+};
+
+const SAVE_DELAY = 2000;
+const MAX_SAVE_RETRIES = 4;
+
+// Hook for saving a session's code. Tracks unsaved changes, auto-saves after
+// a pause in editing, retries failed saves with backoff and reports a
+// conflict when the server copy changed since our last save.
+// Status is one of: saved, unsaved, saving, error (retrying), failed (out of
+// retries; the next save starts over), conflict.
+export const useCodeSave = (sessionId, project, {
+  enabled = true,
+  autoSave = true,
+  ready = true,
+  initialVersion = 0,
+  serverVersion = null,
+} = {}) => {
+  const [status, setStatus] = useState('saved');
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const versionRef = useRef(initialVersion);
+  const savedSnapshotRef = useRef(null);
+  const projectRef = useRef(project);
+  const savingRef = useRef(false);
+  const pendingRef = useRef(false);
+  const retryRef = useRef({ count: 0, timer: null });
+  const saveRef = useRef(null);
+
+  const snapshot = useMemo(() => getProjectSnapshot(project), [project]);
+
+  useEffect(() => {
+    projectRef.current = project;
+  }, [project]);
+
+  // Until the first save, the loaded session tells us which version we have
+  useEffect(() => {
+    if (savedSnapshotRef.current === null) {
+      versionRef.current = initialVersion;
+    }
+  }, [initialVersion]);
+
+  // The first synced project is what the server already has
+  useEffect(() => {
+    if (ready && savedSnapshotRef.current === null) {
+      savedSnapshotRef.current = snapshot;
+    }
+  }, [ready, snapshot]);
+
+  // A collaborator saved. Our document already has their edits through OT,
+  // so build on their version instead of running into a conflict.
+  useEffect(() => {
+    if (serverVersion?.version > versionRef.current) {
+      versionRef.current = serverVersion.version;
+      if (serverVersion.savedAt) {
+        setLastSavedAt(new Date(serverVersion.savedAt));
+      }
+    }
+  }, [serverVersion]);
+
+  // Mark the save as done, accepting `version` as the server's copy
+  const markSaved = useCallback((version, savedSnapshot, savedAt) => {
+    versionRef.current = version;
+    savedSnapshotRef.current = savedSnapshot;
+    retryRef.current.count = 0;
+    setConflict(null);
+    setLastSavedAt(savedAt ? new Date(savedAt) : new Date());
+    setStatus(getProjectSnapshot(projectRef.current) === savedSnapshot ? 'saved' : 'unsaved');
+  }, []);
+
+  const save = useCallback(async ({ force = false } = {}) => {
+    if (!enabled || !sessionId) return { success: false };
+
+    // Save again once the current request finishes
+    if (savingRef.current) {
+      pendingRef.current = true;
+      return { success: false, pending: true };
+    }
+
+    clearTimeout(retryRef.current.timer);
+    const currentSnapshot = getProjectSnapshot(projectRef.current);
+    const baseVersion = versionRef.current;
+
+    try {
+      savingRef.current = true;
+      setStatus('saving');
+
+      const response = await sessionAPI.saveCode(sessionId, {
+        ...getSavePayload(projectRef.current),
+        baseVersion,
+        force,
+      });
+
+      markSaved(response.version, currentSnapshot, response.savedAt);
+      return { success: true };
+    } catch (err) {
+      const data = err.response?.data;
+
+      if (err.response?.status === 409) {
+        // A collaborator already saved exactly what we have
+        if (Array.isArray(data?.files) && getProjectSnapshot(normalizeProject(data)) === currentSnapshot) {
+          markSaved(data.version, currentSnapshot, data.savedAt);
+          return { success: true };
+        }
+
+        // A collaborator's save was announced while ours was in flight
+        if (versionRef.current !== baseVersion && versionRef.current >= data?.version) {
+          pendingRef.current = true;
+          return { success: false, pending: true };
+        }
+
+        setConflict({
+          version: data?.version,
+          savedBy: data?.savedBy,
+          savedAt: data?.savedAt,
+        });
+        setStatus('conflict');
+        return { success: false, conflict: true };
+      }
+
+      const errorMessage = data?.error || 'Failed to save code';
+      if (retryRef.current.count < MAX_SAVE_RETRIES) {
+        const delay = SAVE_DELAY * 2 ** retryRef.current.count;
+        retryRef.current.count += 1;
+        retryRef.current.timer = setTimeout(() => saveRef.current?.(), delay);
+        setStatus('error');
+      } else {
+        retryRef.current.count = 0;
+        toast.error(errorMessage);
+        setStatus('failed');
+      }
+
+      return { success: false, error: errorMessage };
+    } finally {
+      savingRef.current = false;
+
+      if (pendingRef.current) {
+        pendingRef.current = false;
+        setTimeout(() => saveRef.current?.(), 0);
+      }
+    }
+  }, [enabled, sessionId, markSaved]);
+
+  useEffect(() => {
+    saveRef.current = save;
+  }, [save]);
+
+  // Track unsaved changes and auto-save after a pause in editing
+  useEffect(() => {
+    if (savedSnapshotRef.current === null) return;
+
+    if (snapshot === savedSnapshotRef.current) {
+      setStatus(prev => (prev === 'unsaved' ? 'saved' : prev));
+      return;
+    }
+
+    setStatus(prev => (prev === 'saved' ? 'unsaved' : prev));
+    if (!enabled || !autoSave || conflict) return;
+
+    const timer = setTimeout(() => saveRef.current?.(), SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [snapshot, enabled, autoSave, conflict]);
+
+  // Overwrite the server copy with ours
+  const overwriteServerCopy = useCallback(() => {
+    if (conflict?.version !== undefined) {
+      versionRef.current = conflict.version;
+    }
+    setConflict(null);
+    return save({ force: true });
+  }, [conflict, save]);
+
+  // Warn before leaving with unsaved changes
+  useEffect(() => {
+    if (!enabled || status === 'saved') return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [enabled, status]);
+
+  // Stop retrying when leaving the session
+  useEffect(() => {
+    const retry = retryRef.current;
+    return () => clearTimeout(retry.timer);
+  }, []);
+
+  return {
+    status,
+    isDirty: status !== 'saved',
+    lastSavedAt,
+    conflict,
+
+    // Actions
+    save,
+    overwriteServerCopy,
+  };
+};
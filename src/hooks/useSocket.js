@@ -1,6 +1,10 @@
 // src/hooks/useSocket.js
 import { useState, useEffect, useCallback, useRef } from 'react';
 import socketService from '../services/socket';
+import { sessionAPI } from '../services/api';
+import { TextOperation, OTClient, getUnappliedEdits, rebase } from '../services/ot';
+import outbox from '../services/outbox';
+import { normalizeProject } from '../services/projectFiles';
 import { useAuth } from './useAuth';
 import toast from 'react-hot-toast';
 
@@ -8,6 +12,8 @@ export const useSocket = () => {
   const { user, isAuthenticated } = useAuth();
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [isConnecting, setIsConnecting] = useState(false);
+  // Connected, but the server hasn't accepted the access token yet
+  const [authenticating, setAuthenticating] = useState(false);
   const socketRef = useRef(null);
   const listenersRef = useRef(new Map());
 
@@ -32,10 +38,16 @@ export const useSocket = () => {
       setIsConnecting(true);
       setConnectionStatus('connecting');
 
-      socketRef.current = socketService.connect(user);
+      socketRef.current = socketService.connect();
       
       // Setup connection event listeners
       setupConnectionListeners();
+
+      // Another component may have connected already
+      if (socketService.isConnected) {
+        setConnectionStatus('connected');
+        setAuthenticating(!socketService.isAuthenticated);
+      }
       
     } catch (error) {
       console.error('Failed to connect socket:', error);
@@ -53,11 +65,13 @@ export const useSocket = () => {
     // Connection status listeners
     socketService.on('custom:connected', () => {
       setConnectionStatus('connected');
+      setAuthenticating(true);
       console.log('✅ Real-time connection established');
     });
 
     socketService.on('custom:disconnected', (reason) => {
       setConnectionStatus('disconnected');
+      setAuthenticating(false);
       console.log('❌ Real-time connection lost:', reason);
     });
 
@@ -72,11 +86,12 @@ export const useSocket = () => {
     });
 
     socketService.on('custom:auth-success', () => {
-      console.log('✅ Socket authentication successful');
+      setAuthenticating(false);
     });
 
     socketService.on('custom:auth-error', (error) => {
       console.error('❌ Socket authentication failed:', error);
+      setAuthenticating(false);
       setConnectionStatus('auth-error');
     });
   }, []);
@@ -87,6 +102,7 @@ export const useSocket = () => {
       socketService.disconnect();
       socketRef.current = null;
       setConnectionStatus('disconnected');
+      setAuthenticating(false);
       
       // Clear all listeners
       listenersRef.current.clear();
@@ -124,13 +140,12 @@ export const useSocket = () => {
 
   // Session management functions
   const joinSession = useCallback((sessionId) => {
-    if (!socketRef.current || !user) {
-      console.warn('Cannot join session: socket not connected or user not authenticated');
+    if (!socketRef.current) {
       return false;
     }
 
-    return socketService.joinSession(sessionId, user);
-  }, [user]);
+    return socketService.joinSession(sessionId);
+  }, []);
 
   const leaveSession = useCallback((sessionId) => {
     if (socketRef.current) {
@@ -139,10 +154,57 @@ export const useSocket = () => {
   }, []);
 
   // Code collaboration functions
-  const sendCodeChange = useCallback((sessionId, code, operation) => {
+  const sendCodeChange = useCallback((sessionId, fileId, revision, operation) => {
+    if (socketRef.current) {
+      socketService.sendCodeChange(sessionId, fileId, revision, operation);
+    }
+  }, []);
+
+  const requestCodeSync = useCallback((sessionId) => {
+    if (socketRef.current) {
+      return socketService.requestCodeSync(sessionId);
+    }
+    return false;
+  }, []);
+
+  const sendFileTreeChange = useCallback((sessionId, change) => {
+    if (socketRef.current) {
+      socketService.sendFileTreeChange(sessionId, change);
+    }
+  }, []);
+
+  const sendCommentAnchors = useCallback((sessionId, fileId, anchors) => {
+    if (socketRef.current) {
+      socketService.sendCommentAnchors(sessionId, fileId, anchors);
+    }
+  }, []);
+
+  const restoreCodeVersion = useCallback((sessionId, versionId) => {
     if (socketRef.current) {
-      socketService.sendCodeChange(sessionId, code, operation);
+      return socketService.restoreCodeVersion(sessionId, versionId);
     }
+    return false;
+  }, []);
+
+  const startRecording = useCallback((sessionId) => {
+    if (socketRef.current) {
+      return socketService.startRecording(sessionId);
+    }
+    return false;
+  }, []);
+
+  const stopRecording = useCallback((sessionId) => {
+    if (socketRef.current) {
+      return socketService.stopRecording(sessionId);
+    }
+    return false;
+  }, []);
+
+  const changeSessionLanguage = useCallback((sessionId, change) => {
+    if (socketRef.current) {
+      return socketService.changeSessionLanguage(sessionId, change);
+    }
+    return false;
   }, []);
 
   const sendCursorPosition = useCallback((sessionId, position) => {
@@ -151,18 +213,77 @@ export const useSocket = () => {
     }
   }, []);
 
-  const executeCode = useCallback((sessionId, code, language, input = '') => {
+  const sendCursorSelection = useCallback((sessionId, selection) => {
+    if (socketRef.current) {
+      socketService.sendCursorSelection(sessionId, selection);
+    }
+  }, []);
+
+  const sendViewport = useCallback((sessionId, viewport) => {
+    if (socketRef.current) {
+      socketService.sendViewport(sessionId, viewport);
+    }
+  }, []);
+
+  const executeCode = useCallback((sessionId, code, language, input = '', project = null) => {
+    if (socketRef.current) {
+      return socketService.executeCode(sessionId, code, language, input, project);
+    }
+    return null;
+  }, []);
+
+  const sendExecutionInput = useCallback((sessionId, executionId, data, options) => {
+    if (socketRef.current) {
+      return socketService.sendExecutionInput(sessionId, executionId, data, options);
+    }
+    return false;
+  }, []);
+
+  const stopExecution = useCallback((sessionId, executionId) => {
     if (socketRef.current) {
-      socketService.executeCode(sessionId, code, language, input);
+      socketService.stopExecution(sessionId, executionId);
     }
   }, []);
 
-  const sendChatMessage = useCallback((sessionId, message) => {
+  const sendTestResults = useCallback((sessionId, testRun) => {
     if (socketRef.current) {
-      socketService.sendChatMessage(sessionId, message);
+      socketService.sendTestResults(sessionId, testRun);
     }
   }, []);
 
+  const sendChatMessage = useCallback((sessionId, message, replyTo) => {
+    if (socketRef.current) {
+      return socketService.sendChatMessage(sessionId, message, replyTo);
+    }
+    return false;
+  }, []);
+
+  const editChatMessage = useCallback((sessionId, messageId, message) => {
+    if (socketRef.current) {
+      return socketService.editChatMessage(sessionId, messageId, message);
+    }
+    return false;
+  }, []);
+
+  const deleteChatMessage = useCallback((sessionId, messageId) => {
+    if (socketRef.current) {
+      return socketService.deleteChatMessage(sessionId, messageId);
+    }
+    return false;
+  }, []);
+
+  const toggleChatReaction = useCallback((sessionId, messageId, emoji) => {
+    if (socketRef.current) {
+      return socketService.toggleChatReaction(sessionId, messageId, emoji);
+    }
+    return false;
+  }, []);
+
+  // Deliver messages queued while offline
+  const replayOutbox = useCallback((sessionId) => {
+    return socketService.replayOutbox(sessionId);
+  }, []);
+
   // Get connection info
   const getConnectionInfo = useCallback(() => {
     return socketService.getConnectionStatus();
@@ -173,6 +294,9 @@ export const useSocket = () => {
     connectionStatus,
     isConnecting,
     isConnected: connectionStatus === 'connected',
+    authenticating,
+    // Connected and authenticated, so sessions can be joined
+    isReady: connectionStatus === 'connected' && !authenticating,
     
     // Connection management
     connect: connectSocket,
@@ -188,9 +312,25 @@ export const useSocket = () => {
     
     // Code collaboration
     sendCodeChange,
+    requestCodeSync,
+    sendFileTreeChange,
+    sendCommentAnchors,
+    restoreCodeVersion,
+    changeSessionLanguage,
+    startRecording,
+    stopRecording,
     sendCursorPosition,
+    sendCursorSelection,
+    sendViewport,
     executeCode,
+    sendExecutionInput,
+    stopExecution,
+    sendTestResults,
     sendChatMessage,
+    editChatMessage,
+    deleteChatMessage,
+    toggleChatReaction,
+    replayOutbox,
     
     // Utilities
     getConnectionInfo,
@@ -198,11 +338,73 @@ export const useSocket = () => {
   };
 };
 
-// Hook for session-specific socket events
-export const useSessionSocket = (sessionId) => {
+// Streamed program output is kept as chunks tagged with their stream
+// (stdout, stderr or stdin echo). Consecutive chunks of one stream are
+// merged and the oldest output is dropped past MAX_OUTPUT_LENGTH.
+const MAX_OUTPUT_LENGTH = 200000;
+
+const appendOutput = (output = [], stream, data) => {
+  if (!data) return output;
+
+  const last = output[output.length - 1];
+  const next = last?.stream === stream
+    ? [...output.slice(0, -1), { stream, data: last.data + data }]
+    : [...output, { stream, data }];
+
+  let excess = next.reduce((sum, chunk) => sum + chunk.data.length, 0) - MAX_OUTPUT_LENGTH;
+  while (excess > 0 && next.length > 0) {
+    if (next[0].data.length <= excess) {
+      excess -= next.shift().data.length;
+    } else {
+      next[0] = { ...next[0], data: next[0].data.slice(excess) };
+      excess = 0;
+    }
+  }
+  return next;
+};
+
+const collectOutput = (output = [], stream) => (
+  output.filter(chunk => chunk.stream === stream).map(chunk => chunk.data).join('')
+);
+
+// Chat messages are identified by the id the sending client gave them, so
+// a message resent after a reconnect is only shown once
+const CHAT_PAGE_SIZE = 50;
+
+const getMessageKey = (message) => message.clientId || message.id || message._id;
+
+const mergeMessages = (current, incoming) => {
+  const byKey = new Map(current.map(message => [getMessageKey(message), message]));
+  incoming.forEach((message) => {
+    byKey.set(getMessageKey(message), { ...byKey.get(getMessageKey(message)), ...message });
+  });
+  return Array.from(byKey.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+// Edits, deletions and reactions refer to the id the server gave a message
+const updateMessage = (messages, messageId, changes) => messages.map(message => (
+  (message.id || message._id) === messageId ? { ...message, ...changes } : message
+));
+
+// Participants carry their account under `user` (populated or as an id)
+const getParticipantUserId = (participant) => (
+  participant.user?._id || participant.user?.id || participant.userId || participant.user
+);
+
+// Hook for session-specific socket events. `onParticipantRoleUpdated` and
+// `onParticipantRemoved` are told about moderation confirmed by the server.
+export const useSessionSocket = (sessionId, {
+  onParticipantRoleUpdated,
+  onParticipantRemoved,
+  onLanguageChanged,
+} = {}) => {
   const socket = useSocket();
+  const { isConnected, isReady, addEventListener, joinSession, leaveSession, replayOutbox } = socket;
   const [participants, setParticipants] = useState([]);
   const [chatMessages, setChatMessages] = useState([]);
+  const [hasMoreChat, setHasMoreChat] = useState(false);
+  const [loadingChat, setLoadingChat] = useState(false);
+  const chatMessagesRef = useRef([]);
   const [codeState, setCodeState] = useState('');
   const [cursors, setCursors] = useState(new Map());
   const [typingUsers, setTypingUsers] = useState(new Set());
@@ -211,74 +413,215 @@ export const useSessionSocket = (sessionId) => {
     result: null,
     error: null,
   });
+  // Id of the last run started from this tab; only its runner may type input
+  const ownExecutionRef = useRef(null);
+  const [testRun, setTestRun] = useState(null);
+  // { isRecording, recordingId, startedAt, startedBy } from `recording-status`
+  const [recording, setRecording] = useState(null);
+  // Latest saved version known to the server: { version, savedBy, savedAt }
+  const [savedVersion, setSavedVersion] = useState(null);
+  const onParticipantRoleUpdatedRef = useRef(onParticipantRoleUpdated);
+  const onParticipantRemovedRef = useRef(onParticipantRemoved);
+  const onLanguageChangedRef = useRef(onLanguageChanged);
+
+  useEffect(() => {
+    onParticipantRoleUpdatedRef.current = onParticipantRoleUpdated;
+    onParticipantRemovedRef.current = onParticipantRemoved;
+    onLanguageChangedRef.current = onLanguageChanged;
+  }, [onParticipantRoleUpdated, onParticipantRemoved, onLanguageChanged]);
+
+  useEffect(() => {
+    chatMessagesRef.current = chatMessages;
+  }, [chatMessages]);
+
+  // Load the latest chat messages, or everything newer than what is
+  // already shown when coming back after a reconnect
+  const refreshChat = useCallback(async () => {
+    if (!sessionId) return;
+
+    const newest = chatMessagesRef.current[chatMessagesRef.current.length - 1];
+    try {
+      const response = newest?.id
+        ? await sessionAPI.getChatMessages(sessionId, { after: newest.id })
+        : await sessionAPI.getChatMessages(sessionId, { limit: CHAT_PAGE_SIZE });
+
+      setChatMessages(prev => mergeMessages(prev, response.messages || []));
+      if (!newest) {
+        setHasMoreChat(!!response.hasMore);
+      }
+    } catch (error) {
+      // Loads in the background; the chat keeps what it already shows
+    }
+  }, [sessionId]);
+
+  // Start over when switching sessions
+  useEffect(() => {
+    setChatMessages([]);
+    chatMessagesRef.current = [];
+    setHasMoreChat(false);
+    setRecording(null);
+    setSavedVersion(null);
+  }, [sessionId]);
 
-  // Join session when sessionId changes
+  // Join session when sessionId changes, once the socket is authenticated
   useEffect(() => {
-    if (sessionId && socket.isConnected) {
-      const success = socket.joinSession(sessionId);
+    if (sessionId && isReady) {
+      const success = joinSession(sessionId);
       if (!success) {
         toast.error('Failed to join session');
+      } else {
+        refreshChat();
+
+        // Runs again after every reconnect, so nothing queued offline is lost
+        replayOutbox(sessionId).then((count) => {
+          if (count > 0) {
+            toast.success(`Sent ${count} queued update${count !== 1 ? 's' : ''}`);
+          }
+        });
       }
     }
 
     return () => {
       if (sessionId) {
-        socket.leaveSession(sessionId);
+        leaveSession(sessionId);
       }
     };
-  }, [sessionId, socket.isConnected]);
+  }, [sessionId, isReady, joinSession, leaveSession, replayOutbox, refreshChat]);
 
   // Setup session event listeners
   useEffect(() => {
-    if (!socket.isConnected || !sessionId) return;
+    if (!isConnected || !sessionId) return;
 
     const cleanupFunctions = [];
 
     // Code synchronization
     cleanupFunctions.push(
-      socket.addEventListener('code-sync', (data) => {
+      addEventListener('code-sync', (data) => {
         setCodeState(data.code);
+        if (data.version !== undefined) {
+          setSavedVersion({ version: data.version, savedAt: data.savedAt });
+        }
       })
     );
 
+    // Someone saved the code: { version, savedBy, savedAt }
     cleanupFunctions.push(
-      socket.addEventListener('code-change', (data) => {
-        setCodeState(data.code);
+      addEventListener('code-saved', (data) => {
+        setSavedVersion(data);
+      })
+    );
+
+    // A previous version was restored; the new code arrives as a code-sync
+    cleanupFunctions.push(
+      addEventListener('code-restored', (data) => {
+        toast(`${data.restoredBy?.username || 'The host'} restored an earlier version`, { icon: '↩️' });
+      })
+    );
+
+    // Sent on joining and whenever the host starts or stops recording
+    cleanupFunctions.push(
+      addEventListener('recording-status', (data) => {
+        setRecording(data);
+      })
+    );
+
+    // { language, previousLanguage, changedBy, template }; the files follow as a code-sync
+    cleanupFunctions.push(
+      addEventListener('session-language-changed', (data) => {
+        onLanguageChangedRef.current?.(data);
       })
     );
 
     // Participants management
     cleanupFunctions.push(
-      socket.addEventListener('session-participants', (participantsList) => {
+      addEventListener('session-participants', (participantsList) => {
         setParticipants(participantsList);
       })
     );
 
     cleanupFunctions.push(
-      socket.addEventListener('user-joined', (data) => {
+      addEventListener('user-joined', (data) => {
         setParticipants(prev => [...prev, data.user]);
         toast.success(`${data.user.username} joined the session`);
       })
     );
 
     cleanupFunctions.push(
-      socket.addEventListener('user-left', (data) => {
+      addEventListener('user-left', (data) => {
         setParticipants(prev => 
           prev.filter(p => p.socketId !== data.socketId)
         );
+        setCursors(prev => {
+          if (!prev.has(data.socketId)) return prev;
+          const newCursors = new Map(prev);
+          newCursors.delete(data.socketId);
+          return newCursors;
+        });
         toast(`${data.user.username} left the session`);
       })
     );
 
+    // Moderation: { userId, role, updatedBy } and { userId, removedBy }
+    cleanupFunctions.push(
+      addEventListener('participant-role-updated', (data) => {
+        setParticipants(prev => prev.map((participant) => {
+          if (getParticipantUserId(participant) === data.userId) {
+            return { ...participant, role: data.role };
+          }
+          if (data.role === 'creator' && participant.role === 'creator') {
+            return { ...participant, role: 'editor' };
+          }
+          return participant;
+        }));
+        onParticipantRoleUpdatedRef.current?.(data);
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('participant-removed', (data) => {
+        setParticipants(prev =>
+          prev.filter(participant => getParticipantUserId(participant) !== data.userId)
+        );
+        setCursors((prev) => {
+          const newCursors = new Map(prev);
+          prev.forEach((cursor, socketId) => {
+            if (cursor.userId === data.userId) newCursors.delete(socketId);
+          });
+          return newCursors;
+        });
+        onParticipantRemovedRef.current?.(data);
+      })
+    );
+
     // Cursor tracking
     cleanupFunctions.push(
-      socket.addEventListener('cursor-update', (data) => {
+      addEventListener('cursor-update', (data) => {
         setCursors(prev => {
           const newCursors = new Map(prev);
           newCursors.set(data.socketId, {
+            ...prev.get(data.socketId),
             username: data.username,
             position: data.position,
             color: data.color,
+            updatedAt: Date.now(),
+          });
+          return newCursors;
+        });
+      })
+    );
+
+    // Caret and selections, keyed by socket so one user's tabs stay apart
+    cleanupFunctions.push(
+      addEventListener('cursor-selection', (data) => {
+        setCursors(prev => {
+          const newCursors = new Map(prev);
+          newCursors.set(data.socketId, {
+            userId: data.userId,
+            username: data.username,
+            fileId: data.fileId || 'main',
+            position: data.position,
+            selections: data.selections || [],
+            updatedAt: Date.now(),
           });
           return newCursors;
         });
@@ -287,7 +630,7 @@ export const useSessionSocket = (sessionId) => {
 
     // Typing indicators
     cleanupFunctions.push(
-      socket.addEventListener('typing-status-update', (data) => {
+      addEventListener('typing-status-update', (data) => {
         setTypingUsers(prev => {
           const newTypingUsers = new Set(prev);
           if (data.isTyping) {
@@ -302,18 +645,82 @@ export const useSessionSocket = (sessionId) => {
 
     // Code execution
     cleanupFunctions.push(
-      socket.addEventListener('execution-started', (data) => {
+      addEventListener('execution-started', (data) => {
         setExecutionState({
           isRunning: true,
           result: null,
           error: null,
           executedBy: data.username,
+          executionId: data.executionId,
+          isRunner: !!data.executionId && data.executionId === ownExecutionRef.current,
+          output: data.executionId ? [] : undefined,
+        });
+      })
+    );
+
+    // Streamed output. Chunks of a run we did not see start (e.g. after
+    // joining mid-run) begin a fresh terminal.
+    const handleOutputChunk = (stream) => (data) => {
+      setExecutionState((prev) => {
+        const sameRun = !data.executionId || data.executionId === prev.executionId;
+        return {
+          ...prev,
+          ...(sameRun ? {} : {
+            result: null,
+            error: null,
+            executedBy: data.username,
+            executionId: data.executionId,
+            isRunner: data.executionId === ownExecutionRef.current,
+          }),
+          isRunning: true,
+          output: appendOutput(sameRun ? prev.output : [], stream, data.data),
+        };
+      });
+    };
+
+    cleanupFunctions.push(
+      addEventListener('execution-stdout', handleOutputChunk('stdout'))
+    );
+
+    cleanupFunctions.push(
+      addEventListener('execution-stderr', handleOutputChunk('stderr'))
+    );
+
+    // Input typed by the runner, echoed to everyone else
+    cleanupFunctions.push(
+      addEventListener('execution-stdin', handleOutputChunk('stdin'))
+    );
+
+    // The program finished, failed or was stopped. The collected output
+    // becomes the run's result, like a non-streamed execution.
+    cleanupFunctions.push(
+      addEventListener('execution-exit', (data) => {
+        setExecutionState((prev) => {
+          if (data.executionId && prev.executionId && data.executionId !== prev.executionId) {
+            return prev;
+          }
+
+          return {
+            ...prev,
+            isRunning: false,
+            error: data.error || null,
+            result: {
+              output: collectOutput(prev.output, 'stdout'),
+              error: collectOutput(prev.output, 'stderr'),
+              exitCode: data.exitCode ?? null,
+              signal: data.signal || null,
+              stopped: !!data.stopped,
+              executionTime: data.executionTime,
+              memoryUsed: data.memoryUsed,
+              success: data.exitCode === 0 && !data.signal && !data.error,
+            },
+          };
         });
       })
     );
 
     cleanupFunctions.push(
-      socket.addEventListener('execution-result', (data) => {
+      addEventListener('execution-result', (data) => {
         setExecutionState({
           isRunning: false,
           result: data.result,
@@ -324,7 +731,7 @@ export const useSessionSocket = (sessionId) => {
     );
 
     cleanupFunctions.push(
-      socket.addEventListener('execution-error', (data) => {
+      addEventListener('execution-error', (data) => {
         setExecutionState({
           isRunning: false,
           result: null,
@@ -333,10 +740,47 @@ export const useSessionSocket = (sessionId) => {
       })
     );
 
+    // Test runs started by other participants
+    cleanupFunctions.push(
+      addEventListener('test-results', (data) => {
+        setTestRun(data.testRun || null);
+      })
+    );
+
     // Chat messages
     cleanupFunctions.push(
-      socket.addEventListener('chat-message', (message) => {
-        setChatMessages(prev => [...prev, message]);
+      addEventListener('chat-message', (message) => {
+        setChatMessages(prev => mergeMessages(prev, [message]));
+      })
+    );
+
+    cleanupFunctions.push(
+      addEventListener('chat-message-updated', (data) => {
+        setChatMessages(prev => updateMessage(prev, data.messageId, {
+          message: data.message,
+          editedAt: data.editedAt || new Date().toISOString(),
+        }));
+      })
+    );
+
+    // Deleted messages stay as a placeholder so their threads keep a parent
+    cleanupFunctions.push(
+      addEventListener('chat-message-deleted', (data) => {
+        setChatMessages(prev => updateMessage(prev, data.messageId, {
+          message: '',
+          deleted: true,
+          deletedBy: data.deletedBy,
+          reactions: {},
+        }));
+      })
+    );
+
+    // Reactions arrive as { emoji: [userId, ...] } for the whole message
+    cleanupFunctions.push(
+      addEventListener('chat-reaction-updated', (data) => {
+        setChatMessages(prev => updateMessage(prev, data.messageId, {
+          reactions: data.reactions || {},
+        }));
       })
     );
 
@@ -344,44 +788,209 @@ export const useSessionSocket = (sessionId) => {
     return () => {
       cleanupFunctions.forEach(cleanup => cleanup());
     };
-  }, [socket.isConnected, sessionId, socket.addEventListener]);
+  }, [isConnected, sessionId, addEventListener]);
 
   // Session-specific actions
-  const sendCode = useCallback((code, operation) => {
-    socket.sendCodeChange(sessionId, code, operation);
-  }, [socket, sessionId]);
-
   const sendCursor = useCallback((position) => {
     socket.sendCursorPosition(sessionId, position);
   }, [socket, sessionId]);
 
-  const runCode = useCallback((code, language, input) => {
-    socket.executeCode(sessionId, code, language, input);
+  const restoreVersion = useCallback((versionId) => {
+    return socket.restoreCodeVersion(sessionId, versionId);
   }, [socket, sessionId]);
 
-  const sendMessage = useCallback((message) => {
-    socket.sendChatMessage(sessionId, message);
+  const changeLanguage = useCallback((change) => {
+    return socket.changeSessionLanguage(sessionId, change);
   }, [socket, sessionId]);
 
-  const clearChat = useCallback(() => {
-    setChatMessages([]);
+  const toggleRecording = useCallback(() => {
+    const sent = recording?.isRecording
+      ? socket.stopRecording(sessionId)
+      : socket.startRecording(sessionId);
+    if (!sent) {
+      toast.error('Reconnect to start or stop recording');
+    }
+  }, [socket, sessionId, recording?.isRecording]);
+
+  const runCode = useCallback((code, language, input, project) => {
+    ownExecutionRef.current = socket.executeCode(sessionId, code, language, input, project);
+  }, [socket, sessionId]);
+
+  // Type into the running program; the line is echoed locally right away
+  const sendExecutionInput = useCallback((data, options) => {
+    const { executionId, isRunning } = executionState;
+    if (!isRunning || !executionId) return;
+
+    const sent = socket.sendExecutionInput(sessionId, executionId, data, options);
+    if (sent && data) {
+      setExecutionState(prev => ({
+        ...prev,
+        output: appendOutput(prev.output, 'stdin', data),
+      }));
+    }
+  }, [socket, sessionId, executionState]);
+
+  const stopExecution = useCallback(() => {
+    if (executionState.isRunning && executionState.executionId) {
+      socket.stopExecution(sessionId, executionState.executionId);
+    }
+  }, [socket, sessionId, executionState]);
+
+  // Show a test run here and to everyone else
+  const shareTestRun = useCallback((run) => {
+    setTestRun(run);
+    socket.sendTestResults(sessionId, run);
+  }, [socket, sessionId]);
+
+  const clearTestRun = useCallback(() => {
+    setTestRun(null);
   }, []);
 
+  const sendMessage = useCallback((message, { replyTo = null } = {}) => {
+    const sent = socket.sendChatMessage(sessionId, message, replyTo);
+    if (!sent) {
+      toast('You are offline. The message will be sent when you reconnect.', { icon: '📤' });
+    }
+  }, [socket, sessionId]);
+
+  // Edits, deletions and reactions show up once the server broadcasts them
+  const editMessage = useCallback((messageId, message) => {
+    if (!socket.editChatMessage(sessionId, messageId, message)) {
+      toast.error('You are offline. Reconnect to edit messages.');
+      return false;
+    }
+    return true;
+  }, [socket, sessionId]);
+
+  const deleteMessage = useCallback((messageId) => {
+    if (!socket.deleteChatMessage(sessionId, messageId)) {
+      toast.error('You are offline. Reconnect to delete messages.');
+      return false;
+    }
+    return true;
+  }, [socket, sessionId]);
+
+  const toggleReaction = useCallback((messageId, emoji) => {
+    if (!socket.toggleChatReaction(sessionId, messageId, emoji)) {
+      toast.error('You are offline. Reconnect to react to messages.');
+    }
+  }, [socket, sessionId]);
+
+  // Load the page of chat messages before the oldest one shown
+  const loadOlderMessages = useCallback(async () => {
+    const oldest = chatMessagesRef.current[0];
+    if (!sessionId || !oldest?.id || loadingChat) return;
+
+    try {
+      setLoadingChat(true);
+      const response = await sessionAPI.getChatMessages(sessionId, {
+        before: oldest.id,
+        limit: CHAT_PAGE_SIZE,
+      });
+      setChatMessages(prev => mergeMessages(prev, response.messages || []));
+      setHasMoreChat(!!response.hasMore);
+    } catch (error) {
+      toast.error('Failed to load older messages');
+    } finally {
+      setLoadingChat(false);
+    }
+  }, [sessionId, loadingChat]);
+
+  // Make sure an older message (e.g. a search result) is loaded, along with
+  // everything between it and the messages already shown. Pages back the
+  // same way as scrolling up would.
+  const loadMessagesUntil = useCallback(async (message) => {
+    const key = getMessageKey(message);
+    const isLoaded = messages => messages.some(existing => getMessageKey(existing) === key);
+
+    let messages = chatMessagesRef.current;
+    if (isLoaded(messages)) return true;
+
+    try {
+      setLoadingChat(true);
+      let hasMore = hasMoreChat;
+
+      while (hasMore && messages[0]?.id && !isLoaded(messages)) {
+        const response = await sessionAPI.getChatMessages(sessionId, {
+          before: messages[0].id,
+          limit: CHAT_PAGE_SIZE,
+        });
+        const older = response.messages || [];
+        messages = mergeMessages(messages, older);
+        hasMore = !!response.hasMore && older.length > 0;
+      }
+
+      setChatMessages(prev => mergeMessages(prev, [message, ...messages]));
+      setHasMoreChat(hasMore);
+      return true;
+    } catch (error) {
+      toast.error('Failed to load that message');
+      return false;
+    } finally {
+      setLoadingChat(false);
+    }
+  }, [sessionId, hasMoreChat]);
+
+  // Every chat message, oldest first, for exports. Pages back from the
+  // oldest message loaded without adding the older ones to the chat.
+  const getChatTranscript = useCallback(async () => {
+    let messages = chatMessagesRef.current;
+    let hasMore = hasMoreChat;
+
+    while (hasMore && messages[0]?.id) {
+      const response = await sessionAPI.getChatMessages(sessionId, {
+        before: messages[0].id,
+        limit: CHAT_PAGE_SIZE,
+      });
+      const older = response.messages || [];
+      messages = mergeMessages(messages, older);
+      hasMore = !!response.hasMore && older.length > 0;
+    }
+
+    return messages;
+  }, [sessionId, hasMoreChat]);
+
+  const searchChat = useCallback(async (query) => {
+    try {
+      const response = await sessionAPI.searchChatMessages(sessionId, query);
+      return { success: true, messages: response.messages || [] };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.error || 'Failed to search messages' };
+    }
+  }, [sessionId]);
+
   return {
     // Session state
     participants,
     chatMessages,
+    hasMoreChat,
+    loadingChat,
     codeState,
     cursors,
     typingUsers,
     executionState,
+    testRun,
+    recording,
+    savedVersion,
     
     // Session actions
-    sendCode,
     sendCursor,
     runCode,
+    sendExecutionInput,
+    stopExecution,
+    shareTestRun,
+    clearTestRun,
+    restoreVersion,
+    changeLanguage,
+    toggleRecording,
     sendMessage,
-    clearChat,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    loadOlderMessages,
+    loadMessagesUntil,
+    getChatTranscript,
+    searchChat,
     
     // Connection state from parent hook
     isConnected: socket.isConnected,
@@ -389,70 +998,286 @@ export const useSessionSocket = (sessionId) => {
   };
 };
 
-// Hook for code editor specific socket events
-export const useCodeEditorSocket = (sessionId, onCodeChange) => {
+// Hook for code editor specific socket events. Local edits are sent as
+// operations and merged with concurrent remote edits through OT, so
+// nobody's keystrokes are overwritten by a whole-document update. Each
+// project file has its own document revision and OT client.
+//
+// Edits the server has not acknowledged are kept in the offline outbox.
+// When the server's copy arrives again (reconnect or reload) they are
+// rebased onto it and resent instead of being dropped.
+const PERSIST_DELAY = 250;
+const CURSOR_THROTTLE = 50;
+const VIEWPORT_THROTTLE = 100;
+
+// Call `send` at most once per `delay`, always delivering the latest value
+const useThrottledSend = (send, delay) => {
+  const throttleRef = useRef({ timer: null, latest: null });
+
+  useEffect(() => {
+    const throttle = throttleRef.current;
+    return () => clearTimeout(throttle.timer);
+  }, []);
+
+  return useCallback((value) => {
+    const throttle = throttleRef.current;
+    throttle.latest = value;
+    if (throttle.timer) return;
+
+    send(value);
+    throttle.latest = null;
+    throttle.timer = setTimeout(() => {
+      throttle.timer = null;
+      if (throttle.latest) {
+        send(throttle.latest);
+        throttle.latest = null;
+      }
+    }, delay);
+  }, [send, delay]);
+};
+
+export const useCodeEditorSocket = (sessionId, onCodeSync, onRemoteOperation, onViewportUpdate) => {
   const socket = useSocket();
-  const debounceTimeoutRef = useRef(null);
+  const {
+    isConnected,
+    addEventListener,
+    sendCodeChange,
+    requestCodeSync,
+    sendCursorSelection: sendSocketSelection,
+    sendViewport: sendSocketViewport,
+  } = socket;
+  const clientsRef = useRef(new Map());
+  const syncedRef = useRef(false);
+  // Waiting for the `code-sync` asked for by `requestSync`
+  const resyncingRef = useRef(false);
+  const restoredRef = useRef(new Map());
+  const persistTimersRef = useRef(new Map());
+  const onCodeSyncRef = useRef(onCodeSync);
+  const onRemoteOperationRef = useRef(onRemoteOperation);
+  const onViewportUpdateRef = useRef(onViewportUpdate);
 
-  // Send code changes with debouncing
-  const sendCodeChange = useCallback((code, operation = 'edit') => {
-    if (!socket.isConnected || !sessionId) return;
+  useEffect(() => {
+    onCodeSyncRef.current = onCodeSync;
+    onRemoteOperationRef.current = onRemoteOperation;
+    onViewportUpdateRef.current = onViewportUpdate;
+  }, [onCodeSync, onRemoteOperation, onViewportUpdate]);
 
-    // Clear existing timeout
-    if (debounceTimeoutRef.current) {
-      clearTimeout(debounceTimeoutRef.current);
+  // Get the OT client for a file. Files added after sync start out empty.
+  const getClient = useCallback((fileId, revision = 0, document = '') => {
+    if (!clientsRef.current.has(fileId)) {
+      clientsRef.current.set(fileId, new OTClient(revision, {
+        sendOperation: (rev, operation) => {
+          sendCodeChange(sessionId, fileId, rev, operation);
+        },
+        applyOperation: (operation) => {
+          onRemoteOperationRef.current?.(fileId, operation);
+        },
+      }, document));
     }
+    return clientsRef.current.get(fileId);
+  }, [sendCodeChange, sessionId]);
 
-    // Debounce code changes to avoid flooding
-    debounceTimeoutRef.current = setTimeout(() => {
-      socket.sendCodeChange(sessionId, code, operation);
-    }, 300);
-  }, [socket, sessionId]);
+  // Write a file's unacknowledged edits to the outbox, or clear them
+  const persistNow = useCallback((fileId) => {
+    persistTimersRef.current.delete(fileId);
+    const client = clientsRef.current.get(fileId);
 
-  // Send cursor position (no debouncing needed)
-  const sendCursorPosition = useCallback((position) => {
-    if (socket.isConnected && sessionId) {
-      socket.sendCursorPosition(sessionId, position);
+    if (client?.hasPendingChanges() && client.document !== null) {
+      outbox.putCodeChange(sessionId, fileId, {
+        revision: client.revision,
+        document: client.document,
+        outstanding: client.outstanding,
+        buffer: client.buffer,
+      });
+    } else {
+      outbox.removeCodeChange(sessionId, fileId);
     }
-  }, [socket, sessionId]);
+  }, [sessionId]);
+
+  const persistPending = useCallback((fileId) => {
+    clearTimeout(persistTimersRef.current.get(fileId));
+    persistTimersRef.current.set(fileId, setTimeout(() => persistNow(fileId), PERSIST_DELAY));
+  }, [persistNow]);
+
+  // Send a local edit (a TextOperation) to one file through its OT client
+  const sendOperation = useCallback((fileId, operation) => {
+    if (!syncedRef.current || operation.isNoop()) return;
+    getClient(fileId).applyClient(operation);
+    persistPending(fileId);
+  }, [getClient, persistPending]);
+
+  // Fetch the server's copy again when a file got out of step with it.
+  // Remote operations are ignored until it arrives; local edits stay
+  // pending and are rebased onto it like offline edits.
+  const requestSync = useCallback(() => {
+    if (resyncingRef.current || !sessionId) return;
+    resyncingRef.current = requestCodeSync(sessionId);
+  }, [requestCodeSync, sessionId]);
+
+  // Share caret, selections and scroll position with collaborators
+  const emitCursorSelection = useCallback((selection) => {
+    if (sessionId) {
+      sendSocketSelection(sessionId, selection);
+    }
+  }, [sendSocketSelection, sessionId]);
+
+  const emitViewport = useCallback((viewport) => {
+    if (sessionId) {
+      sendSocketViewport(sessionId, viewport);
+    }
+  }, [sendSocketViewport, sessionId]);
+
+  const sendCursorSelection = useThrottledSend(emitCursorSelection, CURSOR_THROTTLE);
+  const sendViewport = useThrottledSend(emitViewport, VIEWPORT_THROTTLE);
+
+  // Pick up edits a previous visit could not deliver
+  useEffect(() => {
+    if (!sessionId) return;
+
+    let cancelled = false;
+    outbox.getCodeChanges(sessionId).then((records) => {
+      if (!cancelled) {
+        restoredRef.current = new Map(records.map(record => [record.fileId, record]));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId]);
+
+  // Keep pending edits and OT state across reconnects; drop them only when
+  // leaving the session, after flushing them to the outbox
+  useEffect(() => {
+    const clients = clientsRef.current;
+    const timers = persistTimersRef.current;
+
+    return () => {
+      timers.forEach((timer, fileId) => {
+        clearTimeout(timer);
+        persistNow(fileId);
+      });
+      clients.clear();
+      syncedRef.current = false;
+      resyncingRef.current = false;
+    };
+  }, [sessionId, persistNow]);
 
   // Setup code editor specific listeners
   useEffect(() => {
-    if (!socket.isConnected || !sessionId) return;
+    if (!isConnected || !sessionId) return;
 
     const cleanupFunctions = [];
+    const clients = clientsRef.current;
 
-    // Listen for code changes from other users
+    // Listen for operations from other users
     cleanupFunctions.push(
-      socket.addEventListener('code-change', (data) => {
-        if (onCodeChange) {
-          onCodeChange(data.code, data.operation, data.from);
+      addEventListener('code-change', (data) => {
+        if (!syncedRef.current || resyncingRef.current || !data.operation) return;
+
+        const fileId = data.fileId || 'main';
+        try {
+          getClient(fileId).applyServer(TextOperation.fromJSON(data.operation));
+          if (clients.get(fileId).hasPendingChanges()) {
+            persistPending(fileId);
+          }
+        } catch (error) {
+          // The operation does not fit our copy of the file
+          requestSync();
         }
       })
     );
 
-    // Listen for initial code sync
+    // Server accepted our outstanding operation
     cleanupFunctions.push(
-      socket.addEventListener('code-sync', (data) => {
-        if (onCodeChange) {
-          onCodeChange(data.code, 'sync', 'server');
+      addEventListener('code-change-ack', (data) => {
+        const fileId = data?.fileId || 'main';
+        if (clients.has(fileId)) {
+          clients.get(fileId).serverAck();
+          persistPending(fileId);
+        }
+      })
+    );
+
+    // Another user scrolled or switched files (used by follow mode)
+    cleanupFunctions.push(
+      addEventListener('viewport-update', (data) => {
+        onViewportUpdateRef.current?.(data);
+      })
+    );
+
+    // Listen for full project sync (on join and after reconnecting)
+    cleanupFunctions.push(
+      addEventListener('code-sync', (data) => {
+        const files = normalizeProject(data).files;
+        const previousClients = new Map(clients);
+        const restored = restoredRef.current;
+        const rebased = [];
+
+        restoredRef.current = new Map();
+        resyncingRef.current = false;
+        clients.clear();
+
+        // Merge edits made while offline into the server's copy
+        const syncedFiles = files.map((file) => {
+          const client = getClient(file.id, file.revision, file.content);
+          const previous = previousClients.get(file.id);
+          let pending = null;
+
+          if (previous?.hasPendingChanges() && previous.document !== null) {
+            pending = getUnappliedEdits(previous, file.revision);
+          } else if (restored.has(file.id)) {
+            const record = restored.get(file.id);
+            pending = getUnappliedEdits({
+              revision: record.revision,
+              document: record.document,
+              outstanding: record.outstanding && TextOperation.fromJSON(record.outstanding),
+              buffer: record.buffer && TextOperation.fromJSON(record.buffer),
+            }, file.revision);
+          }
+
+          if (!pending) return file;
+
+          try {
+            const { operation, document } = rebase(pending.document, pending.operation, file.content);
+            rebased.push([file.id, client, operation]);
+            return { ...file, content: document };
+          } catch (error) {
+            toast.error(`Could not merge your offline changes to ${file.path}`);
+            return file;
+          }
+        });
+
+        syncedRef.current = true;
+
+        if (onCodeSyncRef.current) {
+          onCodeSyncRef.current(syncedFiles, 'sync', 'server');
+        }
+
+        // Resend the merged edits on top of the server's revision
+        rebased.forEach(([fileId, client, operation]) => {
+          if (!operation.isNoop()) {
+            client.applyClient(operation);
+          }
+          persistPending(fileId);
+        });
+
+        if (rebased.length > 0) {
+          toast.success('Offline changes synced');
         }
       })
     );
 
     return () => {
       cleanupFunctions.forEach(cleanup => cleanup());
-      
-      // Clear debounce timeout
-      if (debounceTimeoutRef.current) {
-        clearTimeout(debounceTimeoutRef.current);
-      }
     };
-  }, [socket.isConnected, sessionId, onCodeChange, socket.addEventListener]);
+  }, [isConnected, sessionId, getClient, persistPending, requestSync, addEventListener]);
 
   return {
-    sendCodeChange,
-    sendCursorPosition,
+    sendOperation,
+    requestSync,
+    sendCursorSelection,
+    sendViewport,
     isConnected: socket.isConnected,
   };
-};
\ No newline at end of file
+};
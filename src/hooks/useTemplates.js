@@ -0,0 +1,83 @@
+// src/hooks/useTemplates.js
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import { templateAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+export const getTemplateId = (template) => String(template._id || template.id);
+
+// Hook for the session template library: the user's own templates and
+// the ones others have shared. Pass `autoLoad: false` when only saving.
+export const useTemplates = ({ autoLoad = true } = {}) => {
+  const { user } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await templateAPI.list();
+      setTemplates(response.templates || []);
+    } catch (error) {
+      // Already shown by the API layer; the library just stays empty
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (autoLoad) {
+      loadTemplates();
+    }
+  }, [autoLoad, loadTemplates]);
+
+  const saveTemplate = useCallback(async (templateData) => {
+    try {
+      const response = await templateAPI.create(templateData);
+      setTemplates(prev => [response.template, ...prev]);
+      toast.success(response.message || 'Template saved');
+      return { success: true, template: response.template };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to save template';
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const updateTemplate = useCallback(async (templateId, changes) => {
+    try {
+      const response = await templateAPI.update(templateId, changes);
+      setTemplates(prev => prev.map(template => (
+        getTemplateId(template) === templateId ? response.template : template
+      )));
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to update template';
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const deleteTemplate = useCallback(async (templateId) => {
+    try {
+      await templateAPI.delete(templateId);
+      setTemplates(prev => prev.filter(template => getTemplateId(template) !== templateId));
+      toast.success('Template deleted');
+      return { success: true };
+    } catch (err) {
+      const errorMessage = err.response?.data?.error || 'Failed to delete template';
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const isOwnTemplate = (template) => (template.creator?._id || template.creator) === user?.id;
+
+  return {
+    templates,
+    myTemplates: templates.filter(isOwnTemplate),
+    sharedTemplates: templates.filter(template => !isOwnTemplate(template)),
+    loading,
+    loadTemplates,
+    saveTemplate,
+    updateTemplate,
+    deleteTemplate,
+  };
+};
@@ -4,22 +4,41 @@ import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useUserSessions, useCreateSession, useJoinSession } from '../hooks/useSession';
 import { useSocket } from '../hooks/useSocket';
+import { useTemplates, getTemplateId } from '../hooks/useTemplates';
+import { isDesktopNotificationSupported, requestDesktopNotifications } from '../hooks/useNotifications';
+import { getLanguage, getLanguageDisplayName, formatLanguageLimits } from '../services/languages';
+import { readSessionArchive, readSourceFolder } from '../services/sessionArchive';
+import { getOAuthProviders, startOAuth } from '../services/oauth';
 import LoadingSpinner, { ContentLoading } from '../components/Common/LoadingSpinner';
+import SecuritySettings from '../components/Auth/SecuritySettings';
 import { clsx } from 'clsx';
 import { format } from 'date-fns';
+import toast from 'react-hot-toast';
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
-  const { user, updateProfile, updatePreferences, getUserStats } = useAuth();
+  const { user, updateProfile, updatePreferences, getUserStats, unlinkOAuthAccount, needsEmailVerification } = useAuth();
   const { connectionStatus } = useSocket();
   const { sessions, publicSessions, loading: sessionsLoading, loadUserSessions } = useUserSessions();
   const { createSession, loading: createLoading, supportedLanguages } = useCreateSession();
   const { joinSession, loading: joinLoading } = useJoinSession();
+  const {
+    templates,
+    myTemplates,
+    sharedTemplates,
+    loading: templatesLoading,
+    loadTemplates,
+    updateTemplate,
+    deleteTemplate,
+  } = useTemplates();
 
   const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'sessions');
   const [showCreateModal, setShowCreateModal] = useState(searchParams.get('action') === 'create');
   const [showJoinModal, setShowJoinModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [importData, setImportData] = useState(null);
+  const [readingImport, setReadingImport] = useState(false);
   const [userStats, setUserStats] = useState(null);
   const [profileData, setProfileData] = useState({
     name: user?.profile?.name || '',
@@ -33,6 +52,7 @@ const Dashboard = () => {
     fontSize: user?.preferences?.fontSize || 14,
     autoSave: user?.preferences?.autoSave ?? true,
     notifications: user?.preferences?.notifications ?? true,
+    desktopNotifications: user?.preferences?.desktopNotifications ?? false,
   });
 
   // Create session form
@@ -44,6 +64,7 @@ const Dashboard = () => {
     isPublic: false,
     allowAnonymous: false,
     executionEnabled: true,
+    templateId: '',
   });
 
   // Join session form
@@ -73,6 +94,17 @@ const Dashboard = () => {
     if (action === 'create') setShowCreateModal(true);
   }, [searchParams]);
 
+  // Don't leave the form on a language whose runtime is unavailable
+  useEffect(() => {
+    const selected = supportedLanguages.find(lang => lang.name === sessionForm.language);
+    const fallback = supportedLanguages.find(lang => lang.available);
+    if (selected && !selected.available && fallback) {
+      setSessionForm(prev => ({ ...prev, language: fallback.name }));
+    }
+  }, [supportedLanguages, sessionForm.language]);
+
+  const selectedLanguageLimits = formatLanguageLimits(getLanguage(sessionForm.language));
+
   // Handle create session
   const handleCreateSession = async (e) => {
     e.preventDefault();
@@ -83,7 +115,8 @@ const Dashboard = () => {
       return;
     }
 
-    const result = await createSession(sessionForm);
+    const { templateId, ...sessionData } = sessionForm;
+    const result = await createSession(templateId ? { ...sessionData, templateId } : sessionData);
     
     if (result.success) {
       setShowCreateModal(false);
@@ -95,6 +128,7 @@ const Dashboard = () => {
         isPublic: false,
         allowAnonymous: false,
         executionEnabled: true,
+        templateId: '',
       });
       
       // Navigate to the new session
@@ -104,6 +138,99 @@ const Dashboard = () => {
     }
   };
 
+  // Pick a template in the create form; it brings its language and settings
+  const handleSelectTemplate = (templateId) => {
+    const template = templates.find(entry => getTemplateId(entry) === templateId);
+    setSessionForm(prev => ({
+      ...prev,
+      templateId,
+      ...(template && {
+        name: prev.name || template.name,
+        description: prev.description || template.description || '',
+        language: template.language,
+        maxParticipants: template.settings?.maxParticipants || prev.maxParticipants,
+        allowAnonymous: template.settings?.allowAnonymous ?? prev.allowAnonymous,
+        executionEnabled: template.settings?.executionEnabled ?? prev.executionEnabled,
+      }),
+    }));
+  };
+
+  const handleUseTemplate = (template) => {
+    handleSelectTemplate(getTemplateId(template));
+    setShowCreateModal(true);
+  };
+
+  const handleToggleTemplateShared = async (template) => {
+    const result = await updateTemplate(getTemplateId(template), { isShared: !template.isShared });
+    if (result.success) {
+      toast.success(template.isShared ? 'Template is now private' : 'Template shared');
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (window.confirm(`Delete the template "${template.name}"? Sessions created from it are not affected.`)) {
+      await deleteTemplate(getTemplateId(template));
+    }
+  };
+
+  // Read an exported archive, a zip of sources or a picked folder
+  const handleReadImport = async (e, reader) => {
+    const { files } = e.target;
+    if (!files || files.length === 0) return;
+
+    setErrors({});
+    setReadingImport(true);
+    try {
+      const data = await reader(e.target.multiple ? files : files[0], {
+        fallbackLanguage: preferences.preferredLanguage,
+      });
+      setImportData(data);
+    } catch (error) {
+      setImportData(null);
+      setErrors({ import: error.message });
+    } finally {
+      setReadingImport(false);
+      e.target.value = '';
+    }
+  };
+
+  const closeImportModal = () => {
+    setShowImportModal(false);
+    setImportData(null);
+    setErrors({});
+  };
+
+  // Create a session from the imported files
+  const handleImportSession = async (e) => {
+    e.preventDefault();
+
+    if (!importData.name.trim()) {
+      setErrors({ import: 'Session name is required' });
+      return;
+    }
+
+    const result = await createSession({
+      name: importData.name.trim(),
+      description: importData.description,
+      language: importData.language,
+      maxParticipants: importData.settings.maxParticipants || 5,
+      isPublic: false,
+      allowAnonymous: importData.settings.allowAnonymous || false,
+      executionEnabled: importData.settings.executionEnabled ?? true,
+      files: importData.files,
+      folders: importData.folders,
+      entryPoint: importData.entryPoint,
+      testCases: importData.testCases,
+    });
+
+    if (result.success) {
+      closeImportModal();
+      navigate(`/session/${result.session._id}`);
+    } else {
+      setErrors({ import: result.error });
+    }
+  };
+
   // Handle join session
   const handleJoinSession = async (e) => {
     e.preventDefault();
@@ -134,6 +261,34 @@ const Dashboard = () => {
     }
   };
 
+  // Accounts from OAuth providers attached to this user, as
+  // { provider, username, email, linkedAt }
+  const linkedProviders = user?.oauthProviders || [];
+
+  const handleLinkProvider = async (provider) => {
+    try {
+      await startOAuth(provider, { intent: 'link', returnTo: '/dashboard?tab=profile' });
+    } catch (error) {
+      // The API interceptor already reported it
+    }
+  };
+
+  const handleUnlinkProvider = async (provider) => {
+    if (window.confirm(`Disconnect ${provider.name}? You won't be able to sign in with it anymore.`)) {
+      await unlinkOAuthAccount(provider.id);
+    }
+  };
+
+  // Desktop notifications need the browser's permission first
+  const handleDesktopNotificationsChange = async (e) => {
+    const enabled = e.target.checked;
+    if (enabled && !(await requestDesktopNotifications())) {
+      toast.error('Notifications are blocked for this site in your browser settings');
+      return;
+    }
+    setPreferences(prev => ({ ...prev, desktopNotifications: enabled }));
+  };
+
   // Handle preferences update
   const handleUpdatePreferences = async (e) => {
     e.preventDefault();
@@ -146,6 +301,7 @@ const Dashboard = () => {
   const tabs = [
     { id: 'sessions', label: 'My Sessions', icon: '📁' },
     { id: 'public', label: 'Public Sessions', icon: '🌍' },
+    { id: 'templates', label: 'Templates', icon: '📑' },
     { id: 'stats', label: 'Statistics', icon: '📊' },
     { id: 'profile', label: 'Profile', icon: '👤' },
     { id: 'preferences', label: 'Preferences', icon: '⚙️' },
@@ -156,17 +312,85 @@ const Dashboard = () => {
     setSearchParams({ tab: tabId });
   };
 
+  const renderTemplateCard = (template, isOwn) => {
+    const langInfo = getLanguageIcon(template.language);
+    const fileCount = template.files?.length || 0;
+    const testCount = template.testCases?.length || 0;
+
+    return (
+      <div key={getTemplateId(template)} className="card hover:shadow-glow transition-all duration-300">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-medium text-primary truncate pr-2">
+            {template.name}
+          </h3>
+          {isOwn && template.isShared && (
+            <span className="px-2 py-1 bg-accent/20 text-accent text-xs rounded-full">
+              Shared
+            </span>
+          )}
+        </div>
+
+        <p className="text-secondary text-sm mb-4 line-clamp-2">
+          {template.description || 'No description'}
+        </p>
+
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <div
+              className="w-6 h-6 rounded flex items-center justify-center text-xs text-white font-bold"
+              style={{ backgroundColor: langInfo.color }}
+            >
+              {langInfo.icon}
+            </div>
+            <span className="text-xs text-secondary">
+              {getLanguageDisplayName(template.language)}
+            </span>
+          </div>
+          <span className="text-xs text-secondary">
+            {fileCount} file{fileCount !== 1 ? 's' : ''} • {testCount} test{testCount !== 1 ? 's' : ''}
+          </span>
+        </div>
+
+        {!isOwn && (
+          <div className="text-xs text-secondary mb-4">
+            by {template.creator?.username || 'Anonymous'}
+          </div>
+        )}
+
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handleUseTemplate(template)}
+            className="flex-1 btn-primary btn-sm"
+          >
+            Use Template
+          </button>
+          {isOwn && (
+            <>
+              <button
+                onClick={() => handleToggleTemplateShared(template)}
+                className="btn-secondary btn-sm px-3"
+                title={template.isShared ? 'Stop sharing' : 'Share with other users'}
+              >
+                {template.isShared ? '🔒' : '🔗'}
+              </button>
+              <button
+                onClick={() => handleDeleteTemplate(template)}
+                className="btn-secondary btn-sm px-3"
+                title="Delete template"
+              >
+                🗑️
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // Badge for a session's language, from the language registry
   const getLanguageIcon = (language) => {
-    const icons = {
-      javascript: { icon: 'JS', color: 'bg-yellow-500' },
-      python: { icon: 'PY', color: 'bg-blue-500' },
-      cpp: { icon: 'C++', color: 'bg-blue-600' },
-      c: { icon: 'C', color: 'bg-gray-600' },
-      java: { icon: 'JV', color: 'bg-red-500' },
-      go: { icon: 'GO', color: 'bg-cyan-500' },
-      rust: { icon: 'RS', color: 'bg-orange-500' },
-    };
-    return icons[language] || { icon: 'XX', color: 'bg-gray-500' };
+    const info = getLanguage(language);
+    return { icon: info?.shortName || 'XX', color: info?.color || '#6b7280' };
   };
 
   const getConnectionStatusInfo = () => {
@@ -207,6 +431,13 @@ const Dashboard = () => {
                 <span className="text-xs text-secondary">{connectionInfo.text}</span>
               </div>
               
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="btn-secondary"
+              >
+                Import
+              </button>
+
               <button
                 onClick={() => setShowJoinModal(true)}
                 className="btn-secondary"
@@ -312,11 +543,14 @@ const Dashboard = () => {
                         
                         <div className="flex items-center justify-between mb-4">
                           <div className="flex items-center space-x-2">
-                            <div className={clsx('w-6 h-6 rounded flex items-center justify-center text-xs text-white font-bold', langInfo.color)}>
+                            <div
+                              className="w-6 h-6 rounded flex items-center justify-center text-xs text-white font-bold"
+                              style={{ backgroundColor: langInfo.color }}
+                            >
                               {langInfo.icon}
                             </div>
-                            <span className="text-xs text-secondary capitalize">
-                              {session.language}
+                            <span className="text-xs text-secondary">
+                              {getLanguageDisplayName(session.language)}
                             </span>
                           </div>
                           
@@ -397,11 +631,14 @@ const Dashboard = () => {
                         
                         <div className="flex items-center justify-between mb-4">
                           <div className="flex items-center space-x-2">
-                            <div className={clsx('w-6 h-6 rounded flex items-center justify-center text-xs text-white font-bold', langInfo.color)}>
+                            <div
+                              className="w-6 h-6 rounded flex items-center justify-center text-xs text-white font-bold"
+                              style={{ backgroundColor: langInfo.color }}
+                            >
                               {langInfo.icon}
                             </div>
-                            <span className="text-xs text-secondary capitalize">
-                              {session.language}
+                            <span className="text-xs text-secondary">
+                              {getLanguageDisplayName(session.language)}
                             </span>
                           </div>
                           
@@ -435,6 +672,55 @@ const Dashboard = () => {
             </div>
           )}
 
+          {/* Templates Tab */}
+          {activeTab === 'templates' && (
+            <div className="space-y-8">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h2 className="text-xl font-heading text-primary">Templates</h2>
+                  <p className="text-secondary text-sm">
+                    Start sessions from saved code, test cases and settings. Save one with 📑 in a session.
+                  </p>
+                </div>
+                <button
+                  onClick={() => loadTemplates()}
+                  className="btn-ghost btn-sm"
+                  disabled={templatesLoading}
+                >
+                  {templatesLoading ? <LoadingSpinner size="xs" /> : '🔄'} Refresh
+                </button>
+              </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-primary mb-4">My Templates</h3>
+                {myTemplates.length === 0 ? (
+                  <div className="text-center py-8 text-secondary">
+                    <div className="text-4xl mb-2">📑</div>
+                    <p className="text-sm">You haven't saved any templates yet</p>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {myTemplates.map(template => renderTemplateCard(template, true))}
+                  </div>
+                )}
+              </div>
+
+              <div>
+                <h3 className="text-lg font-medium text-primary mb-4">Shared Templates</h3>
+                {sharedTemplates.length === 0 ? (
+                  <div className="text-center py-8 text-secondary">
+                    <div className="text-4xl mb-2">🤝</div>
+                    <p className="text-sm">No one has shared a template yet</p>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {sharedTemplates.map(template => renderTemplateCard(template, false))}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Statistics Tab */}
           {activeTab === 'stats' && (
             <div>
@@ -548,6 +834,65 @@ const Dashboard = () => {
                     Update Profile
                   </button>
                 </form>
+
+                {/* Connected Accounts */}
+                <div className="mt-10">
+                  <h3 className="text-lg font-medium text-primary mb-1">Connected Accounts</h3>
+                  <p className="text-sm text-secondary mb-4">
+                    {user?.hasPassword === false
+                      ? 'Sign in with any connected provider.'
+                      : 'Sign in with a connected provider as well as your password.'}
+                  </p>
+
+                  <div className="space-y-3">
+                    {getOAuthProviders().map((provider) => {
+                      const linked = linkedProviders.find(entry => entry.provider === provider.id);
+                      // Keep at least one way to sign in
+                      const isOnlyLogin = user?.hasPassword === false && linkedProviders.length <= 1;
+
+                      return (
+                        <div key={provider.id} className="flex items-center justify-between p-4 bg-tertiary rounded-lg">
+                          <div className="flex items-center space-x-3">
+                            <span className="text-2xl">{provider.icon}</span>
+                            <div>
+                              <p className="font-medium text-primary">{provider.name}</p>
+                              <p className="text-xs text-secondary">
+                                {linked
+                                  ? `Connected as ${linked.username || linked.email || 'unknown'}${linked.linkedAt ? ` on ${format(new Date(linked.linkedAt), 'MMM d, yyyy')}` : ''}`
+                                  : 'Not connected'}
+                              </p>
+                            </div>
+                          </div>
+
+                          {linked ? (
+                            <button
+                              type="button"
+                              onClick={() => handleUnlinkProvider(provider)}
+                              className="btn-ghost btn-sm text-error"
+                              disabled={isOnlyLogin}
+                              title={isOnlyLogin ? 'Set a password or connect another account first' : undefined}
+                            >
+                              Disconnect
+                            </button>
+                          ) : (
+                            <button
+                              type="button"
+                              onClick={() => handleLinkProvider(provider.id)}
+                              className="btn-secondary btn-sm"
+                            >
+                              Connect
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                {/* Security */}
+                <div className="mt-10">
+                  <SecuritySettings />
+                </div>
               </div>
             </div>
           )}
@@ -612,6 +957,19 @@ const Dashboard = () => {
                       />
                       <span className="ml-2 text-sm text-primary">Enable notifications</span>
                     </label>
+
+                    <label className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={preferences.desktopNotifications}
+                        onChange={handleDesktopNotificationsChange}
+                        disabled={!preferences.notifications || !isDesktopNotificationSupported()}
+                        className="w-4 h-4 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
+                      />
+                      <span className="ml-2 text-sm text-primary">
+                        Show desktop notifications while CodeCollab is in the background
+                      </span>
+                    </label>
                   </div>
                   
                   <button type="submit" className="btn-primary">
@@ -644,6 +1002,40 @@ const Dashboard = () => {
                   {errors.general}
                 </div>
               )}
+
+              {templates.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-primary mb-2">
+                    Start From
+                  </label>
+                  <select
+                    value={sessionForm.templateId}
+                    onChange={(e) => handleSelectTemplate(e.target.value)}
+                    className="input"
+                    disabled={createLoading}
+                  >
+                    <option value="">Starter code for the language</option>
+                    {myTemplates.length > 0 && (
+                      <optgroup label="My Templates">
+                        {myTemplates.map(template => (
+                          <option key={getTemplateId(template)} value={getTemplateId(template)}>
+                            {template.name}
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                    {sharedTemplates.length > 0 && (
+                      <optgroup label="Shared Templates">
+                        {sharedTemplates.map(template => (
+                          <option key={getTemplateId(template)} value={getTemplateId(template)}>
+                            {template.name} ({template.creator?.username || 'Anonymous'})
+                          </option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                </div>
+              )}
               
               <div>
                 <label className="block text-sm font-medium text-primary mb-2">
@@ -684,14 +1076,20 @@ const Dashboard = () => {
                     value={sessionForm.language}
                     onChange={(e) => setSessionForm({ ...sessionForm, language: e.target.value })}
                     className="input"
-                    disabled={createLoading}
+                    disabled={createLoading || !!sessionForm.templateId}
+                    title={sessionForm.templateId ? 'Set by the template' : undefined}
                   >
                     {supportedLanguages.map((lang) => (
-                      <option key={lang.name} value={lang.name}>
+                      <option key={lang.name} value={lang.name} disabled={!lang.available}>
                         {lang.displayName}
+                        {lang.version && ` ${lang.version}`}
+                        {!lang.available && ' (unavailable)'}
                       </option>
                     ))}
                   </select>
+                  {selectedLanguageLimits && (
+                    <p className="text-xs text-secondary mt-1">Limits: {selectedLanguageLimits}</p>
+                  )}
                 </div>
                 
                 <div>
@@ -718,9 +1116,12 @@ const Dashboard = () => {
                     checked={sessionForm.isPublic}
                     onChange={(e) => setSessionForm({ ...sessionForm, isPublic: e.target.checked })}
                     className="w-4 h-4 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
-                    disabled={createLoading}
+                    disabled={createLoading || needsEmailVerification}
                   />
                   <span className="ml-2 text-sm text-primary">Make session public</span>
+                  {needsEmailVerification && (
+                    <span className="ml-2 text-xs text-secondary">(verify your email first)</span>
+                  )}
                 </label>
                 
                 <label className="flex items-center">
@@ -772,6 +1173,149 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Import Session Modal */}
+      {showImportModal && (
+        <div className="fixed inset-0 bg-overlay flex items-center justify-center z-50 p-4">
+          <div className="card max-w-md w-full max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-heading text-primary">Import Session</h3>
+              <button
+                onClick={closeImportModal}
+                className="text-secondary hover:text-primary transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              {errors.import && (
+                <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm">
+                  {errors.import}
+                </div>
+              )}
+
+              <p className="text-sm text-secondary">
+                Pick a session exported from CodeCollab, a zip of source files or a project folder.
+              </p>
+
+              <div className="grid grid-cols-2 gap-3">
+                <label className={clsx('btn-secondary text-center cursor-pointer', (readingImport || createLoading) && 'opacity-50 pointer-events-none')}>
+                  📦 Zip Archive
+                  <input
+                    type="file"
+                    accept=".zip,application/zip"
+                    onChange={(e) => handleReadImport(e, readSessionArchive)}
+                    className="hidden"
+                  />
+                </label>
+                <label className={clsx('btn-secondary text-center cursor-pointer', (readingImport || createLoading) && 'opacity-50 pointer-events-none')}>
+                  📁 Folder
+                  <input
+                    type="file"
+                    webkitdirectory=""
+                    multiple
+                    onChange={(e) => handleReadImport(e, readSourceFolder)}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+
+              {readingImport && (
+                <LoadingSpinner size="sm" text="Reading files..." centered />
+              )}
+
+              {importData && !readingImport && (
+                <form onSubmit={handleImportSession} className="space-y-4 border-t border-primary pt-4">
+                  <div>
+                    <label className="block text-sm font-medium text-primary mb-2">
+                      Session Name *
+                    </label>
+                    <input
+                      type="text"
+                      value={importData.name}
+                      onChange={(e) => setImportData({ ...importData, name: e.target.value })}
+                      className="input"
+                      disabled={createLoading}
+                    />
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-primary mb-2">
+                        Language
+                      </label>
+                      <select
+                        value={importData.language}
+                        onChange={(e) => setImportData({ ...importData, language: e.target.value })}
+                        className="input"
+                        disabled={createLoading}
+                      >
+                        {supportedLanguages.map((lang) => (
+                          <option key={lang.name} value={lang.name} disabled={!lang.available}>
+                            {lang.displayName}
+                            {!lang.available && ' (unavailable)'}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-primary mb-2">
+                        Entry File
+                      </label>
+                      <select
+                        value={importData.entryPoint || ''}
+                        onChange={(e) => setImportData({ ...importData, entryPoint: e.target.value })}
+                        className="input"
+                        disabled={createLoading}
+                      >
+                        {importData.files.map(file => (
+                          <option key={file.path} value={file.path}>{file.path}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <ul className="text-xs text-secondary space-y-1">
+                    <li>📄 {importData.files.length} file{importData.files.length !== 1 ? 's' : ''}</li>
+                    {importData.testCases.length > 0 && (
+                      <li>🧪 {importData.testCases.length} test case{importData.testCases.length !== 1 ? 's' : ''}</li>
+                    )}
+                    {importData.skipped > 0 && (
+                      <li className="text-warning">
+                        ⚠️ {importData.skipped} file{importData.skipped !== 1 ? 's' : ''} skipped (binary, too large or an unsupported name)
+                      </li>
+                    )}
+                  </ul>
+
+                  <div className="flex space-x-3 pt-2">
+                    <button
+                      type="button"
+                      onClick={closeImportModal}
+                      className="flex-1 btn-secondary"
+                      disabled={createLoading}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="flex-1 btn-primary"
+                      disabled={createLoading}
+                    >
+                      {createLoading ? (
+                        <LoadingSpinner size="sm" color="white" text="Importing..." />
+                      ) : (
+                        'Create Session'
+                      )}
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Join Session Modal */}
       {showJoinModal && (
         <div className="fixed inset-0 bg-overlay flex items-center justify-center z-50 p-4">
@@ -0,0 +1,104 @@
+// src/pages/ForgotPassword.js
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { clsx } from 'clsx';
+
+const ForgotPassword = () => {
+  const { requestPasswordReset } = useAuth();
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      setError('Please enter a valid email address');
+      return;
+    }
+
+    setError(null);
+    setSending(true);
+    const result = await requestPasswordReset(email.toLowerCase().trim());
+    setSending(false);
+
+    if (result.success) {
+      setSent(true);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+      <div className="card max-w-md w-full">
+        {sent ? (
+          <div className="text-center">
+            <div className="text-5xl mb-4">📧</div>
+            <h1 className="text-2xl font-heading gradient-text mb-2">Check Your Email</h1>
+            <p className="text-secondary mb-6">
+              If an account uses <span className="text-primary font-medium">{email.trim()}</span>,
+              a link to reset its password is on the way.
+            </p>
+            <Link to="/login" className="btn-primary">
+              Back to Sign In
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="text-center mb-6">
+              <div className="text-5xl mb-4">🔑</div>
+              <h1 className="text-2xl font-heading gradient-text mb-2">Forgot Password?</h1>
+              <p className="text-secondary">Enter your email and we'll send you a reset link</p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-primary mb-2">
+                  Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className={clsx('input', error && 'input-error')}
+                  placeholder="you@example.com"
+                  disabled={sending}
+                  autoFocus
+                />
+                {error && (
+                  <p className="text-error text-sm mt-1">{error}</p>
+                )}
+              </div>
+
+              <button type="submit" disabled={sending} className="w-full btn-primary py-3">
+                {sending ? (
+                  <div className="flex items-center justify-center space-x-2">
+                    <LoadingSpinner size="sm" color="white" />
+                    <span>Sending...</span>
+                  </div>
+                ) : (
+                  'Send Reset Link'
+                )}
+              </button>
+            </form>
+
+            <p className="mt-6 text-center text-sm text-secondary">
+              Remembered it?{' '}
+              <Link to="/login" className="text-accent hover:text-accent-secondary transition-colors font-medium">
+                Sign in
+              </Link>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
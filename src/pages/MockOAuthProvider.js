@@ -0,0 +1,82 @@
+// src/pages/MockOAuthProvider.js
+// Consent screen of the mock OAuth provider (REACT_APP_OAUTH_MOCK=true),
+// standing in for GitHub or Google when testing locally
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { createMockOAuthCode, isOAuthRedirectUri } from '../services/oauth';
+
+const MockOAuthProvider = () => {
+  const [searchParams] = useSearchParams();
+  const redirectUri = searchParams.get('redirect_uri');
+  const [profile, setProfile] = useState({
+    id: 'mock-user-1',
+    username: 'mockuser',
+    email: 'mockuser@example.com',
+  });
+
+  const redirect = (params) => {
+    const url = new URL(redirectUri);
+    url.search = new URLSearchParams({ ...params, state: searchParams.get('state') || '' }).toString();
+    window.location.assign(url.toString());
+  };
+
+  const handleAuthorize = (e) => {
+    e.preventDefault();
+    redirect({ code: createMockOAuthCode(profile) });
+  };
+
+  // Codes only ever go back to this app's callback page
+  if (!isOAuthRedirectUri(redirectUri)) {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center">
+        <p className="text-secondary">
+          {redirectUri ? 'Invalid redirect_uri' : 'Missing redirect_uri'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+      <div className="card max-w-sm w-full">
+        <div className="text-center mb-6">
+          <div className="text-5xl mb-3">🧪</div>
+          <h1 className="text-xl font-heading text-primary">Mock Provider</h1>
+          <p className="text-sm text-secondary">CodeCollab wants to sign you in with this profile</p>
+        </div>
+
+        <form onSubmit={handleAuthorize} className="space-y-4">
+          {['id', 'username', 'email'].map(field => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-primary mb-2 capitalize">
+                {field}
+              </label>
+              <input
+                type="text"
+                value={profile[field]}
+                onChange={(e) => setProfile({ ...profile, [field]: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          ))}
+
+          <div className="flex space-x-3 pt-2">
+            <button
+              type="button"
+              onClick={() => redirect({ error: 'access_denied' })}
+              className="flex-1 btn-secondary"
+            >
+              Deny
+            </button>
+            <button type="submit" className="flex-1 btn-primary">
+              Authorize
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MockOAuthProvider;
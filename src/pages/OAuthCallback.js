@@ -0,0 +1,98 @@
+// src/pages/OAuthCallback.js
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { getOAuthProviderName, getOAuthRedirectUri, takePendingOAuth } from '../services/oauth';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+
+const PROVIDER_ERRORS = {
+  access_denied: 'You cancelled the sign-in.',
+};
+
+const OAuthCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated, loginWithOAuth, linkOAuthAccount } = useAuth();
+  const [error, setError] = useState(null);
+  const [intent, setIntent] = useState('login');
+  // The code works only once, so the effect must not run twice
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const complete = async () => {
+      const pending = takePendingOAuth(searchParams.get('state'));
+      if (!pending) {
+        setError('This sign-in link has expired or was opened in a different browser. Please try again.');
+        return;
+      }
+      setIntent(pending.intent);
+
+      const providerError = searchParams.get('error');
+      if (providerError) {
+        setError(PROVIDER_ERRORS[providerError] || searchParams.get('error_description') || 'The provider refused the sign-in.');
+        return;
+      }
+
+      const callbackData = {
+        code: searchParams.get('code'),
+        state: pending.state,
+        redirectUri: getOAuthRedirectUri(),
+      };
+
+      if (pending.intent === 'link') {
+        if (!isAuthenticated) {
+          setError('Sign in before connecting another account.');
+          return;
+        }
+        const result = await linkOAuthAccount(pending.provider, callbackData);
+        if (!result.success) {
+          setError(result.error);
+          return;
+        }
+        navigate(pending.returnTo, { replace: true });
+        return;
+      }
+
+      const result = await loginWithOAuth(pending.provider, callbackData);
+      if (result.twoFactorRequired) {
+        // The login form asks for the code, then goes on to `returnTo`
+        navigate('/login', { replace: true, state: { from: { pathname: pending.returnTo } } });
+        return;
+      }
+      if (!result.success) {
+        setError(result.error || `Could not sign in with ${getOAuthProviderName(pending.provider)}.`);
+        return;
+      }
+      navigate(pending.returnTo, { replace: true });
+    };
+
+    complete();
+  }, [searchParams, isAuthenticated, loginWithOAuth, linkOAuthAccount, navigate]);
+
+  return (
+    <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+      {error ? (
+        <div className="card max-w-md w-full text-center">
+          <div className="text-6xl mb-4">🔒</div>
+          <h1 className="text-xl font-heading text-primary mb-2">
+            {intent === 'link' ? 'Could not connect the account' : 'Could not sign you in'}
+          </h1>
+          <p className="text-secondary mb-6">{error}</p>
+          <Link
+            to={intent === 'link' ? '/dashboard?tab=profile' : '/login'}
+            className="btn-primary"
+          >
+            {intent === 'link' ? 'Back to Profile' : 'Back to Sign In'}
+          </Link>
+        </div>
+      ) : (
+        <LoadingSpinner size="xl" text="Completing sign-in..." centered />
+      )}
+    </div>
+  );
+};
+
+export default OAuthCallback;
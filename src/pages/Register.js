@@ -1,19 +1,12 @@
 // src/pages/Register.js
 import React, { useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
 import RegisterForm from '../components/Auth/RegisterForm';
 
 const Register = () => {
-  const navigate = useNavigate();
   const { theme, toggleTheme } = useTheme();
 
-  const handleRegistrationSuccess = (user) => {
-    console.log('Registration successful:', user);
-    // Navigate to dashboard after successful registration
-    navigate('/dashboard', { replace: true });
-  };
-
   // Add some animations on mount
   useEffect(() => {
     document.body.classList.add('auth-page');
@@ -167,7 +160,7 @@ const Register = () => {
             {/* Right Side - Registration Form */}
             <div className="flex justify-center lg:justify-end animate-slide-in" style={{ animationDelay: '0.2s' }}>
               <div className="w-full max-w-md">
-                <RegisterForm onSuccess={handleRegistrationSuccess} />
+                <RegisterForm />
               </div>
             </div>
           </div>
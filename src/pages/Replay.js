@@ -0,0 +1,316 @@
+// src/pages/Replay.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useSession } from '../hooks/useSession';
+import { useRecordings, useReplayPlayer, REPLAY_SPEEDS } from '../hooks/useReplay';
+import { formatReplayTime } from '../services/replay';
+import { getLanguageDisplayName } from '../services/languages';
+import CodeEditor from '../components/Session/CodeEditor';
+import LoadingSpinner, { PageLoading } from '../components/Common/LoadingSpinner';
+import { clsx } from 'clsx';
+import { format } from 'date-fns';
+
+const getMarkerInfo = (event) => {
+  const username = event.user?.username || 'Someone';
+
+  switch (event.type) {
+    case 'execution-started':
+      return { icon: '▶', color: 'bg-warning', label: `${username} ran the code` };
+    case 'execution-result':
+      return { icon: '✅', color: 'bg-success', label: 'Run finished' };
+    case 'execution-error':
+      return { icon: '❌', color: 'bg-error', label: `Run failed: ${event.error || 'error'}` };
+    case 'chat-message':
+      return {
+        icon: '💬',
+        color: 'bg-accent',
+        label: `${event.message?.username || username}: ${event.message?.message || ''}`,
+      };
+    default:
+      return { icon: '•', color: 'bg-secondary', label: event.type };
+  }
+};
+
+const getRecordingLabel = (recording) => {
+  const startedAt = new Date(recording.startedAt);
+  const length = recording.endedAt
+    ? formatReplayTime(new Date(recording.endedAt) - startedAt)
+    : 'in progress';
+  return `${format(startedAt, 'MMM d, HH:mm')} (${length})`;
+};
+
+const Replay = () => {
+  const { sessionId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { session, loading: sessionLoading, error: sessionError } = useSession(sessionId);
+  const {
+    recordings,
+    selectedId,
+    timeline,
+    loading: recordingLoading,
+    error: recordingError,
+  } = useRecordings(sessionId, searchParams.get('recording'));
+  const {
+    time,
+    duration,
+    isPlaying,
+    speed,
+    state,
+    play,
+    pause,
+    seek,
+    seekMarker,
+    setSpeed,
+  } = useReplayPlayer(timeline);
+
+  const [activeFileId, setActiveFileId] = useState(null);
+  const [followEdits, setFollowEdits] = useState(true);
+
+  const files = state?.project.files || [];
+  const shownFileId = files.some(file => file.id === activeFileId)
+    ? activeFileId
+    : state?.project.entryPoint;
+
+  // Show the file being edited while playing
+  const lastEditedFileId = state?.lastEditedFileId;
+  useEffect(() => {
+    if (isPlaying && followEdits && lastEditedFileId) {
+      setActiveFileId(lastEditedFileId);
+    }
+  }, [isPlaying, followEdits, lastEditedFileId]);
+
+  // Cursors as the editor expects them, fading with recording time
+  const cursors = useMemo(() => {
+    const result = new Map();
+    state?.cursors.forEach((cursor, socketId) => {
+      result.set(socketId, { ...cursor, updatedAt: Date.now() - (time - cursor.time) / speed });
+    });
+    return result;
+  }, [state?.cursors, time, speed]);
+
+  if (sessionLoading) {
+    return <PageLoading message="Loading session..." />;
+  }
+
+  if (sessionError || !session) {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center">
+        <div className="text-center">
+          <div className="text-6xl mb-4">❌</div>
+          <h1 className="text-2xl font-heading text-primary mb-2">Replay Unavailable</h1>
+          <p className="text-secondary mb-6">{sessionError || "The session you're looking for doesn't exist."}</p>
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="btn-primary"
+          >
+            Back to Dashboard
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const execution = state?.execution;
+
+  return (
+    <div className="h-screen bg-primary flex flex-col overflow-hidden">
+      {/* Replay Header */}
+      <header className="bg-secondary border-b border-primary px-4 py-3 flex-shrink-0">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate(`/session/${sessionId}`)}
+              className="btn-ghost btn-sm"
+              title="Back to Session"
+            >
+              ←
+            </button>
+            <div>
+              <h1 className="text-lg font-heading text-primary">Replay • {session.name}</h1>
+              <div className="text-sm text-secondary">
+                {getLanguageDisplayName(state?.language || session.language)}
+              </div>
+            </div>
+          </div>
+
+          {recordings.length > 0 && (
+            <select
+              value={selectedId || ''}
+              onChange={(e) => setSearchParams({ recording: e.target.value })}
+              className="input py-1 text-sm w-auto"
+            >
+              {recordings.map(recording => (
+                <option key={recording.id || recording._id} value={String(recording.id || recording._id)}>
+                  {getRecordingLabel(recording)}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </header>
+
+      {!timeline ? (
+        <div className="flex-1 flex items-center justify-center">
+          {recordingLoading ? (
+            <LoadingSpinner size="lg" text="Loading recording..." centered />
+          ) : (
+            <div className="text-center text-secondary">
+              <div className="text-6xl mb-4">🎞️</div>
+              <h2 className="text-lg font-medium text-primary mb-2">
+                {recordingError || 'No recordings yet'}
+              </h2>
+              <p className="text-sm">The host can record the session with ⏺ in the session header.</p>
+            </div>
+          )}
+        </div>
+      ) : (
+        <>
+          <div className="flex-1 flex overflow-hidden">
+            {/* Editor and output */}
+            <div className="flex-1 flex flex-col min-w-0">
+              <div className="flex-1 p-4 min-h-0">
+                <CodeEditor
+                  sessionId={null}
+                  language={state.language || session.language}
+                  files={files}
+                  activeFileId={shownFileId}
+                  openFileIds={files.map(file => file.id)}
+                  entryFileId={state.project.entryPoint}
+                  onSelectFile={setActiveFileId}
+                  cursors={cursors}
+                  readOnly
+                  playback
+                  className="h-full"
+                />
+              </div>
+
+              <div className="h-40 border-t border-primary bg-code overflow-y-auto scrollbar-thin p-3 font-code text-sm">
+                {execution.isRunning ? (
+                  <span className="text-warning">Running ({execution.executedBy})...</span>
+                ) : execution.error ? (
+                  <pre className="text-error whitespace-pre-wrap">{execution.error}</pre>
+                ) : execution.output ? (
+                  <pre className="text-primary whitespace-pre-wrap">{execution.output}</pre>
+                ) : (
+                  <span className="text-secondary">No output yet</span>
+                )}
+              </div>
+            </div>
+
+            {/* Events */}
+            <aside className="w-80 border-l border-primary bg-secondary flex flex-col">
+              <div className="px-4 py-3 border-b border-primary flex items-center justify-between">
+                <h3 className="font-medium text-primary">Events</h3>
+                <span className="text-xs text-secondary">{timeline.markers.length}</span>
+              </div>
+              <ol className="flex-1 overflow-y-auto scrollbar-thin p-2 space-y-1">
+                {timeline.markers.length === 0 && (
+                  <li className="text-center text-sm text-secondary py-8">No runs or messages in this recording</li>
+                )}
+                {timeline.markers.map((marker) => {
+                  const info = getMarkerInfo(marker);
+                  return (
+                    <li key={marker.index}>
+                      <button
+                        onClick={() => seek(marker.time)}
+                        className={clsx(
+                          'flex items-start w-full text-left p-2 rounded text-sm transition-colors hover:bg-tertiary',
+                          marker.time > time && 'opacity-50'
+                        )}
+                      >
+                        <span className="mr-2">{info.icon}</span>
+                        <span className="flex-1 min-w-0 text-primary truncate" title={info.label}>{info.label}</span>
+                        <span className="ml-2 text-xs text-secondary font-code">{formatReplayTime(marker.time)}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            </aside>
+          </div>
+
+          {/* Playback Controls */}
+          <div className="bg-secondary border-t border-primary px-4 py-3 flex-shrink-0">
+            <div className="relative h-3 mb-1">
+              {timeline.markers.map((marker) => {
+                const info = getMarkerInfo(marker);
+                return (
+                  <button
+                    key={marker.index}
+                    onClick={() => seek(marker.time)}
+                    className={clsx('absolute top-0 w-1.5 h-3 rounded-sm -translate-x-1/2 hover:scale-150 transition-transform', info.color)}
+                    style={{ left: `${duration ? (marker.time / duration) * 100 : 0}%` }}
+                    title={`${formatReplayTime(marker.time)} ${info.label}`}
+                  />
+                );
+              })}
+            </div>
+            <input
+              type="range"
+              min={0}
+              max={duration}
+              step={100}
+              value={time}
+              onChange={(e) => seek(Number(e.target.value))}
+              className="w-full accent-accent"
+            />
+
+            <div className="flex items-center justify-between mt-2">
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => seekMarker(-1)}
+                  className="btn-ghost btn-sm"
+                  title="Previous Event"
+                >
+                  ⏮
+                </button>
+                <button
+                  onClick={isPlaying ? pause : play}
+                  className="btn-primary btn-sm w-10"
+                  title={isPlaying ? 'Pause' : 'Play'}
+                >
+                  {isPlaying ? '⏸' : '▶'}
+                </button>
+                <button
+                  onClick={() => seekMarker(1)}
+                  className="btn-ghost btn-sm"
+                  title="Next Event"
+                >
+                  ⏭
+                </button>
+                <span className="text-sm text-secondary font-code">
+                  {formatReplayTime(time)} / {formatReplayTime(duration)}
+                </span>
+              </div>
+
+              <div className="flex items-center space-x-4">
+                <label className="flex items-center text-sm text-secondary">
+                  <input
+                    type="checkbox"
+                    checked={followEdits}
+                    onChange={(e) => setFollowEdits(e.target.checked)}
+                    className="w-4 h-4 mr-2 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
+                  />
+                  Follow edits
+                </label>
+                <select
+                  value={speed}
+                  onChange={(e) => setSpeed(Number(e.target.value))}
+                  className="input py-1 text-sm w-auto"
+                  title="Playback Speed"
+                >
+                  {REPLAY_SPEEDS.map(value => (
+                    <option key={value} value={value}>{value}×</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Replay;
@@ -0,0 +1,160 @@
+// src/pages/ResetPassword.js
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+import { clsx } from 'clsx';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { checkResetToken, resetPassword } = useAuth();
+  // 'checking' | 'valid' | 'expired' | 'invalid'
+  const [linkStatus, setLinkStatus] = useState('checking');
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Check the link first so an expired one doesn't cost a typed password
+  const checkedTokenRef = useRef(null);
+
+  useEffect(() => {
+    if (checkedTokenRef.current === token) return;
+    checkedTokenRef.current = token;
+
+    checkResetToken(token).then((result) => {
+      if (result.success) {
+        setLinkStatus('valid');
+      } else {
+        setLinkStatus(result.expired ? 'expired' : 'invalid');
+      }
+    });
+  }, [token, checkResetToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (form.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters';
+    }
+    if (form.password !== form.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSaving(true);
+    const result = await resetPassword(token, form.password);
+    setSaving(false);
+
+    if (result.success) {
+      navigate('/login', { replace: true });
+    } else if (result.expired) {
+      setLinkStatus('expired');
+    } else {
+      setErrors({ general: result.error });
+    }
+  };
+
+  const renderContent = () => {
+    if (linkStatus === 'checking') {
+      return <LoadingSpinner size="lg" text="Checking your link..." centered />;
+    }
+
+    if (linkStatus !== 'valid') {
+      return (
+        <div className="text-center">
+          <div className="text-5xl mb-4">⏰</div>
+          <h1 className="text-2xl font-heading gradient-text mb-2">
+            {linkStatus === 'expired' ? 'This Link Has Expired' : 'This Link Is Invalid'}
+          </h1>
+          <p className="text-secondary mb-6">
+            {linkStatus === 'expired'
+              ? 'Reset links only work for a limited time. Request a new one to continue.'
+              : 'It may have been used already. Request a new one to continue.'}
+          </p>
+          <Link to="/forgot-password" className="btn-primary">
+            Request a New Link
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="text-center mb-6">
+          <div className="text-5xl mb-4">🔑</div>
+          <h1 className="text-2xl font-heading gradient-text mb-2">Choose a New Password</h1>
+          <p className="text-secondary">You'll be signed out everywhere else</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {errors.general && (
+            <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm">
+              {errors.general}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-primary mb-2">
+              New Password
+            </label>
+            <input
+              id="password"
+              type="password"
+              autoComplete="new-password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className={clsx('input', errors.password && 'input-error')}
+              disabled={saving}
+              autoFocus
+            />
+            {errors.password && (
+              <p className="text-error text-sm mt-1">{errors.password}</p>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="confirmPassword" className="block text-sm font-medium text-primary mb-2">
+              Confirm Password
+            </label>
+            <input
+              id="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              value={form.confirmPassword}
+              onChange={(e) => setForm({ ...form, confirmPassword: e.target.value })}
+              className={clsx('input', errors.confirmPassword && 'input-error')}
+              disabled={saving}
+            />
+            {errors.confirmPassword && (
+              <p className="text-error text-sm mt-1">{errors.confirmPassword}</p>
+            )}
+          </div>
+
+          <button type="submit" disabled={saving} className="w-full btn-primary py-3">
+            {saving ? (
+              <div className="flex items-center justify-center space-x-2">
+                <LoadingSpinner size="sm" color="white" />
+                <span>Saving...</span>
+              </div>
+            ) : (
+              'Reset Password'
+            )}
+          </button>
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+      <div className="card max-w-md w-full">
+        {renderContent()}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
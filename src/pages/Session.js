@@ -1,14 +1,25 @@
 // src/pages/Session.js
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useSession } from '../hooks/useSession';
 import { useSessionSocket } from '../hooks/useSocket';
-import { useCodeExecution } from '../hooks/useSession';
+import { useCodeExecution, useCodeSave, useTestRunner } from '../hooks/useSession';
+import { useProjectFiles } from '../hooks/useProjectFiles';
+import { useComments } from '../hooks/useComments';
+import { useTemplates } from '../hooks/useTemplates';
 import { useTheme } from '../contexts/ThemeContext';
+import { normalizeTestCases, summarizeTestRun } from '../services/testCases';
+import { getEntryPathForLanguage, getFileLanguage } from '../services/projectFiles';
+import { getLanguageDisplayName, getLanguageTemplate } from '../services/languages';
+import { createSessionArchive, downloadBlob, getArchiveFileName } from '../services/sessionArchive';
+import { useLanguages } from '../hooks/useLanguages';
 import CodeEditor from '../components/Session/CodeEditor';
+import FileTree from '../components/Session/FileTree';
+import HistoryPanel from '../components/Session/HistoryPanel';
 import ParticipantsList from '../components/Session/ParticipantsList';
 import ChatWindow from '../components/Session/ChatWindow';
+import CommentsPanel from '../components/Session/CommentsPanel';
 import ExecutionPanel from '../components/Session/ExecutionPanel';
 import LoadingSpinner, { PageLoading } from '../components/Common/LoadingSpinner';
 import { clsx } from 'clsx';
@@ -17,7 +28,7 @@ import toast from 'react-hot-toast';
 const Session = () => {
   const { sessionId } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, needsEmailVerification } = useAuth();
   const { theme } = useTheme();
   
   // Session data and management
@@ -27,26 +38,90 @@ const Session = () => {
     error: sessionError, 
     isCreator, 
     canEdit,
+    codeHistory,
+    executionHistory,
+    refreshHistory,
     updateSession,
     leaveSession: leaveSessionAPI,
-    endSession 
+    endSession,
+    kickParticipant,
+    changeParticipantRole,
+    inviteUsers,
+    setParticipantRole,
+    setSessionLanguage,
+    dropParticipant,
   } = useSession(sessionId);
+  const { languages } = useLanguages();
+
+  // Moderation confirmed by the server. A demoted user's editor turns
+  // read-only right away; a removed user is sent back to the dashboard.
+  const handleParticipantRoleUpdated = useCallback((data) => {
+    setParticipantRole(data.userId, data.role);
+
+    if (data.userId === user?.id) {
+      const messages = {
+        creator: 'You are now the host of this session',
+        editor: 'You can now edit the code',
+        viewer: 'You can now only view the code',
+      };
+      toast(messages[data.role] || `Your role is now ${data.role}`, { icon: '🔑' });
+    }
+  }, [setParticipantRole, user?.id]);
+
+  const handleParticipantRemoved = useCallback((data) => {
+    if (data.userId === user?.id) {
+      toast.error(`You were removed from the session${data.removedBy?.username ? ` by ${data.removedBy.username}` : ''}`);
+      navigate('/dashboard');
+      return;
+    }
+    dropParticipant(data.userId);
+  }, [dropParticipant, user?.id, navigate]);
+
+  // The new files arrive right after as a code-sync
+  const handleLanguageChanged = useCallback((data) => {
+    setSessionLanguage(data.language);
+    refreshHistory();
+
+    const changedBy = data.changedBy?.id === user?.id ? 'You' : data.changedBy?.username || 'The host';
+    toast(`${changedBy} switched the session to ${getLanguageDisplayName(data.language)}`, { icon: '🔁' });
+  }, [setSessionLanguage, refreshHistory, user?.id]);
 
   // Real-time collaboration
   const {
     participants,
     chatMessages,
-    codeState,
+    hasMoreChat,
+    loadingChat,
     cursors,
     typingUsers,
     executionState,
-    sendCode,
     sendCursor,
     runCode,
+    sendExecutionInput,
+    stopExecution,
+    testRun,
+    recording,
+    savedVersion,
+    toggleRecording,
+    shareTestRun,
+    clearTestRun,
+    restoreVersion,
+    changeLanguage,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    loadOlderMessages,
+    loadMessagesUntil,
+    getChatTranscript,
+    searchChat,
     isConnected,
     connectionStatus
-  } = useSessionSocket(sessionId);
+  } = useSessionSocket(sessionId, {
+    onParticipantRoleUpdated: handleParticipantRoleUpdated,
+    onParticipantRemoved: handleParticipantRemoved,
+    onLanguageChanged: handleLanguageChanged,
+  });
 
   // Code execution
   const {
@@ -56,8 +131,43 @@ const Session = () => {
     error: executionError
   } = useCodeExecution(sessionId);
 
+  // Test cases run one by one, with progress shared with the session
+  const { runTests, isRunning: testsRunning } = useTestRunner(sessionId, { onUpdate: shareTestRun });
+
+  // Project files and editor tabs
+  const {
+    project,
+    files,
+    activeFileId,
+    openFileIds,
+    createFile,
+    createFolder,
+    renamePath,
+    deletePath,
+    setEntryPoint,
+    openFile,
+    closeFile,
+    updateFileContent,
+    getExecutionPayload,
+    isSynced,
+  } = useProjectFiles(sessionId, session?.language);
+
+  // Review comments anchored to lines of the project files
+  const {
+    comments,
+    loading: commentsLoading,
+    error: commentsError,
+    loadComments,
+    moveAnchors,
+    addComment,
+    replyToComment,
+    editComment,
+    setResolved,
+    deleteComment,
+  } = useComments(sessionId);
+
   // Local state
-  const [code, setCode] = useState('');
+  const [showFiles, setShowFiles] = useState(true);
   const [showParticipants, setShowParticipants] = useState(true);
   const [showChat, setShowChat] = useState(true);
   const [showExecution, setShowExecution] = useState(true);
@@ -65,7 +175,36 @@ const Session = () => {
   const [showSettings, setShowSettings] = useState(false);
   const [isLeaving, setIsLeaving] = useState(false);
   const [autoSave, setAutoSave] = useState(true);
-  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [showConflict, setShowConflict] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [followingId, setFollowingId] = useState(null);
+  const [lineReference, setLineReference] = useState(null);
+  const [showComments, setShowComments] = useState(false);
+  const [commentDraft, setCommentDraft] = useState(null);
+  const [selectedCommentId, setSelectedCommentId] = useState(null);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [templateForm, setTemplateForm] = useState({ name: '', description: '', isShared: false });
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [settingsError, setSettingsError] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // Saving the session as a reusable template
+  const { saveTemplate } = useTemplates({ autoLoad: false });
+
+  // Saving
+  const {
+    status: saveStatus,
+    lastSavedAt,
+    conflict: saveConflict,
+    save: saveCode,
+    overwriteServerCopy,
+  } = useCodeSave(sessionId, project, {
+    enabled: canEdit,
+    autoSave,
+    ready: isSynced,
+    initialVersion: session?.codeVersion ?? 0,
+    serverVersion: savedVersion,
+  });
 
   // Session settings form
   const [settingsForm, setSettingsForm] = useState({
@@ -75,6 +214,8 @@ const Session = () => {
     isPublic: false,
     allowAnonymous: false,
     executionEnabled: true,
+    language: 'javascript',
+    useLanguageTemplate: false,
   });
 
   // Initialize settings form when session loads
@@ -87,28 +228,96 @@ const Session = () => {
         isPublic: session.settings?.isPublic || false,
         allowAnonymous: session.settings?.allowAnonymous || false,
         executionEnabled: session.settings?.executionEnabled ?? true,
+        language: session.language || 'javascript',
+        useLanguageTemplate: false,
       });
     }
   }, [session]);
 
-  // Sync code state from socket
+  // Show the conflict dialog whenever a save is rejected
   useEffect(() => {
-    if (codeState && codeState !== code) {
-      setCode(codeState);
-    }
-  }, [codeState]);
+    setShowConflict(!!saveConflict);
+  }, [saveConflict]);
 
-  // Auto-save functionality
+  // Stop following someone who left the session
+  const followedParticipant = participants.find(p => p.socketId === followingId);
   useEffect(() => {
-    if (autoSave && code && session) {
-      const saveTimer = setTimeout(() => {
-        setLastSavedAt(new Date());
-        // You can implement actual saving logic here
-      }, 2000);
+    if (followingId && !followedParticipant) {
+      setFollowingId(null);
+    }
+  }, [followingId, followedParticipant]);
+
+  const stopFollowing = useCallback(() => {
+    setFollowingId(null);
+  }, []);
+
+  // Post the lines selected in the editor to chat as a reference followed
+  // by the code, fenced with more backticks than the code itself contains
+  const handleShareSelection = useCallback(({ fileId, startLine, endLine, code }) => {
+    const file = files.find(f => f.id === fileId);
+    const path = file?.path || 'main';
+    const range = startLine === endLine ? `L${startLine}` : `L${startLine}-${endLine}`;
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    const fenceLanguage = file ? getFileLanguage(file.path, session?.language) : session?.language;
+
+    sendMessage(`${path}:${range}\n${fence}${fenceLanguage || ''}\n${code}\n${fence}`);
+    setShowChat(true);
+  }, [files, session?.language, sendMessage]);
+
+  // Open the file a chat line reference points to and highlight the lines.
+  // References without a path point into the active file.
+  const handleLineReference = useCallback(({ path, startLine, endLine }) => {
+    const file = path
+      ? files.find(f => f.path === path) || files.find(f => f.path.endsWith(`/${path}`))
+      : files.find(f => f.id === activeFileId);
+
+    if (!file) {
+      toast.error(`File not found: ${path}`);
+      return;
+    }
+
+    setFollowingId(null);
+    openFile(file.id);
+    setLineReference({ id: Date.now(), fileId: file.id, startLine, endLine });
+  }, [files, activeFileId, openFile]);
+
+  const openCommentCount = comments.filter(comment => !comment.resolved).length;
 
-      return () => clearTimeout(saveTimer);
+  // Start a comment on lines picked in the editor
+  const handleAddComment = useCallback((range) => {
+    setCommentDraft(range);
+    setSelectedCommentId(null);
+    setShowComments(true);
+  }, []);
+
+  const handleCreateComment = useCallback(async (text) => {
+    const result = await addComment({ ...commentDraft, text });
+    if (result.success) {
+      setCommentDraft(null);
+      setSelectedCommentId(result.comment.id);
     }
-  }, [code, autoSave, session]);
+    return result;
+  }, [addComment, commentDraft]);
+
+  // A marker was clicked in the editor
+  const handleOpenComment = useCallback((commentId) => {
+    setSelectedCommentId(commentId);
+    setShowComments(true);
+  }, []);
+
+  // A thread was picked in the panel; show its lines
+  const handleSelectComment = useCallback((comment) => {
+    setSelectedCommentId(comment.id);
+    setFollowingId(null);
+    openFile(comment.fileId);
+    setLineReference({
+      id: Date.now(),
+      fileId: comment.fileId,
+      startLine: comment.startLine,
+      endLine: comment.endLine,
+    });
+  }, [openFile]);
 
   // Handle session not found or access denied
   useEffect(() => {
@@ -118,22 +327,19 @@ const Session = () => {
     }
   }, [sessionError, sessionLoading, navigate]);
 
-  // Handle code changes
-  const handleCodeChange = useCallback((newCode) => {
-    setCode(newCode);
-    if (isConnected) {
-      sendCode(newCode, 'edit');
-    }
-  }, [isConnected, sendCode]);
+  // Handle code changes (the editor syncs its own edits with other users)
+  const handleCodeChange = useCallback((newCode, fileId) => {
+    updateFileContent(fileId, newCode);
+  }, [updateFileContent]);
 
-  // Handle code execution
-  const handleExecuteCode = useCallback(async (codeToExecute) => {
+  // Handle code execution. The whole project is sent and the entry point is run.
+  const handleExecuteCode = useCallback(async (_, input = '') => {
     if (!session?.settings?.executionEnabled) {
       toast.error('Code execution is disabled for this session');
       return;
     }
 
-    const codeToRun = codeToExecute || code;
+    const { code: codeToRun, ...projectFiles } = getExecutionPayload();
     
     if (!codeToRun.trim()) {
       toast.error('Please write some code to execute');
@@ -143,15 +349,90 @@ const Session = () => {
     try {
       // Use socket for real-time execution if connected
       if (isConnected) {
-        runCode(codeToRun, session.language, '');
+        runCode(codeToRun, session.language, input, projectFiles);
       } else {
         // Fallback to direct API call
-        await executeCode(codeToRun, session.language, '');
+        await executeCode(codeToRun, session.language, input, projectFiles);
       }
     } catch (error) {
       toast.error('Failed to execute code');
     }
-  }, [code, session?.language, session?.settings?.executionEnabled, isConnected, runCode, executeCode]);
+  }, [getExecutionPayload, session?.language, session?.settings?.executionEnabled, isConnected, runCode, executeCode]);
+
+  // Test cases defined by the session creator
+  const testCases = useMemo(
+    () => normalizeTestCases(session?.settings?.testCases),
+    [session?.settings?.testCases]
+  );
+
+  const handleRunTests = useCallback(async () => {
+    if (!session?.settings?.executionEnabled) {
+      toast.error('Code execution is disabled for this session');
+      return;
+    }
+
+    const { code: codeToRun, ...projectFiles } = getExecutionPayload();
+    if (!codeToRun.trim()) {
+      toast.error('Please write some code to test');
+      return;
+    }
+
+    const run = await runTests(testCases, codeToRun, session.language, projectFiles);
+    if (run) {
+      const { passed, total } = summarizeTestRun(run);
+      toast(`${passed}/${total} tests passed`, { icon: passed === total ? '✅' : '❌' });
+    }
+  }, [session?.settings?.executionEnabled, session?.language, getExecutionPayload, runTests, testCases]);
+
+  // Results of the old cases no longer apply once they are edited
+  const handleSaveTests = useCallback(async (cases) => {
+    const result = await updateSession({ testCases: cases });
+    if (result.success) {
+      clearTestRun();
+    }
+    return result;
+  }, [updateSession, clearTestRun]);
+
+  // Handle manual save (Ctrl+S)
+  const handleSave = useCallback(async () => {
+    if (!canEdit) return;
+
+    const result = await saveCode();
+    if (result.success) {
+      toast.success('Code saved');
+    }
+  }, [canEdit, saveCode]);
+
+  // Handle save conflicts
+  const handleOverwriteServerCopy = useCallback(async () => {
+    setShowConflict(false);
+    const result = await overwriteServerCopy();
+    if (result.success) {
+      toast.success('Server copy overwritten');
+    }
+  }, [overwriteServerCopy]);
+
+  // Handle opening the history panel with fresh snapshots
+  const handleShowHistory = useCallback(() => {
+    refreshHistory();
+    setShowHistory(true);
+  }, [refreshHistory]);
+
+  // Handle restoring a saved version (creator only)
+  const handleRestoreVersion = useCallback((snapshot) => {
+    if (!isCreator) return;
+
+    if (!isConnected) {
+      toast.error('Reconnect to restore a version');
+      return;
+    }
+
+    if (restoreVersion(snapshot._id ?? snapshot.version ?? snapshot.id)) {
+      setShowHistory(false);
+      toast.success('Version restored');
+      refreshHistory();
+    }
+  }, [isCreator, isConnected, restoreVersion, refreshHistory]);
 
   // Handle leaving session
   const handleLeaveSession = useCallback(async () => {
@@ -187,19 +468,117 @@ const Session = () => {
     }
   }, [isCreator, endSession, navigate]);
 
+  // Check and confirm switching the session language for everyone
+  // (creator only). The entry file is renamed to match; its code is kept
+  // or replaced with the language's starter template. Returns the change
+  // to send, or null.
+  const prepareLanguageChange = useCallback((language, useTemplate) => {
+    const entryFile = files.find(file => file.id === project.entryPoint);
+    if (!entryFile) return null;
+
+    if (!isConnected) {
+      toast.error('Reconnect to change the language');
+      return null;
+    }
+
+    const entryFileName = getEntryPathForLanguage(entryFile.path, session.language, language);
+    if (files.some(file => file.path === entryFileName && file.id !== entryFile.id)) {
+      toast.error(`A file named ${entryFileName} already exists`);
+      return null;
+    }
+
+    const displayName = getLanguageDisplayName(language);
+    const confirmed = window.confirm(useTemplate
+      ? `Switch the session to ${displayName}? The code in ${entryFile.path} will be replaced with the ${displayName} starter template for everyone.`
+      : `Switch the session to ${displayName}? ${entryFile.path} will be renamed to ${entryFileName} and its code kept.`);
+    if (!confirmed) return null;
+
+    return {
+      language,
+      entryFileName,
+      template: useTemplate ? getLanguageTemplate(language) : null,
+    };
+  }, [files, project.entryPoint, isConnected, session?.language]);
+
   // Handle session settings update
   const handleUpdateSettings = useCallback(async (e) => {
     e.preventDefault();
     
     if (!isCreator) return;
 
+    const { language, useLanguageTemplate, ...settings } = settingsForm;
+    let languageChange = null;
+    if (language !== session.language) {
+      languageChange = prepareLanguageChange(language, useLanguageTemplate);
+      if (!languageChange) return;
+    }
+
+    setSettingsError(null);
+    const result = await updateSession(settings);
+    if (!result.success) {
+      setSettingsError(result.error);
+      return;
+    }
+
+    // Sent after the update so its response can't undo the new language
+    if (languageChange) {
+      changeLanguage(languageChange);
+    }
+    setShowSettings(false);
+  }, [isCreator, updateSession, settingsForm, session?.language, prepareLanguageChange, changeLanguage]);
+
+  // Save the files, test cases, language and settings as a template
+  const handleSaveTemplate = useCallback(async (e) => {
+    e.preventDefault();
+
+    if (!templateForm.name.trim()) {
+      toast.error('Template name is required');
+      return;
+    }
+
+    setSavingTemplate(true);
+    const result = await saveTemplate({
+      name: templateForm.name.trim(),
+      description: templateForm.description.trim(),
+      isShared: templateForm.isShared,
+      language: session.language,
+      files: project.files.map(({ path, content }) => ({ path, content })),
+      folders: project.folders,
+      entryPoint: project.files.find(file => file.id === project.entryPoint)?.path,
+      testCases,
+      settings: {
+        maxParticipants: session.settings?.maxParticipants || 5,
+        allowAnonymous: session.settings?.allowAnonymous || false,
+        executionEnabled: session.settings?.executionEnabled ?? true,
+      },
+    });
+    setSavingTemplate(false);
+
+    if (result.success) {
+      setShowSaveTemplate(false);
+      setTemplateForm({ name: '', description: '', isShared: false });
+    }
+  }, [templateForm, saveTemplate, session, project, testCases]);
+
+  // Download the session as a zip: files, test cases, chat and run history
+  const handleExport = useCallback(async () => {
+    setExporting(true);
     try {
-      await updateSession(settingsForm);
-      setShowSettings(false);
+      const blob = await createSessionArchive({
+        session,
+        project,
+        testCases,
+        chatMessages: await getChatTranscript(),
+        executionHistory,
+      });
+      downloadBlob(blob, getArchiveFileName(session));
+      toast.success('Session exported');
     } catch (error) {
-      // Error already handled by updateSession
+      toast.error('Failed to export session');
+    } finally {
+      setExporting(false);
     }
-  }, [isCreator, updateSession, settingsForm]);
+  }, [session, project, testCases, getChatTranscript, executionHistory]);
 
   // Handle layout changes
   const handleLayoutChange = useCallback((newLayout) => {
@@ -210,14 +589,18 @@ const Session = () => {
       case 'focus':
         setShowParticipants(false);
         setShowChat(false);
+        setShowComments(false);
         setShowExecution(true);
         break;
       case 'minimal':
+        setShowFiles(false);
         setShowParticipants(false);
         setShowChat(false);
+        setShowComments(false);
         setShowExecution(false);
         break;
       default:
+        setShowFiles(true);
         setShowParticipants(true);
         setShowChat(true);
         setShowExecution(true);
@@ -232,6 +615,12 @@ const Session = () => {
         e.preventDefault();
         handleExecuteCode();
       }
+
+      // Ctrl/Cmd + S to save
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        handleSave();
+      }
       
       // Ctrl/Cmd + Shift + P to toggle participants
       if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'P') {
@@ -254,12 +643,13 @@ const Session = () => {
       // Escape to close modals
       if (e.key === 'Escape') {
         setShowSettings(false);
+        setShowHistory(false);
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleExecuteCode]);
+  }, [handleExecuteCode, handleSave]);
 
   // Loading state
   if (sessionLoading) {
@@ -319,6 +709,29 @@ const Session = () => {
 
   const connectionInfo = getConnectionStatusInfo();
 
+  const getSaveStatusInfo = () => {
+    switch (saveStatus) {
+      case 'saving':
+        return { color: 'text-secondary', icon: '⏳', text: 'Saving...' };
+      case 'unsaved':
+        return { color: 'text-warning', icon: '●', text: 'Unsaved changes' };
+      case 'error':
+        return { color: 'text-error', icon: '⚠️', text: 'Save failed, retrying' };
+      case 'failed':
+        return { color: 'text-error', icon: '⚠️', text: 'Save failed — click to retry' };
+      case 'conflict':
+        return { color: 'text-error', icon: '⚠️', text: 'Save conflict' };
+      default:
+        return {
+          color: 'text-success',
+          icon: '✓',
+          text: lastSavedAt ? `Saved at ${lastSavedAt.toLocaleTimeString()}` : 'Saved',
+        };
+    }
+  };
+
+  const saveInfo = getSaveStatusInfo();
+
   return (
     <div className="h-screen bg-primary flex flex-col overflow-hidden">
       {/* Session Header */}
@@ -332,11 +745,19 @@ const Session = () => {
                 {session.settings?.isPublic && (
                   <span className="px-2 py-1 bg-success text-white text-xs rounded-full">Public</span>
                 )}
+                {recording?.isRecording && (
+                  <span
+                    className="px-2 py-1 bg-error text-white text-xs rounded-full animate-pulse"
+                    title={`Recorded${recording.startedBy?.username ? ` by ${recording.startedBy.username}` : ''}`}
+                  >
+                    ● REC
+                  </span>
+                )}
               </h1>
               <div className="flex items-center space-x-4 text-sm text-secondary">
                 <span className="font-code">{session.sessionCode}</span>
                 <span>•</span>
-                <span className="capitalize">{session.language}</span>
+                <span>{getLanguageDisplayName(session.language)}</span>
                 <span>•</span>
                 <span>{participants.length} participant{participants.length !== 1 ? 's' : ''}</span>
               </div>
@@ -349,6 +770,20 @@ const Session = () => {
                 {connectionInfo.text}
               </span>
             </div>
+
+            {/* Save Status */}
+            {canEdit && (
+              <button
+                onClick={saveStatus === 'conflict' ? () => setShowConflict(true) : handleSave}
+                className="flex items-center space-x-2 px-3 py-1 bg-tertiary rounded-lg hover:bg-secondary transition-colors"
+                title={autoSave ? 'Auto-save on • Click or Ctrl+S to save now' : 'Auto-save off • Click or Ctrl+S to save'}
+              >
+                <span className={clsx('text-xs', saveInfo.color)}>{saveInfo.icon}</span>
+                <span className={clsx('text-xs', saveInfo.color)}>
+                  {saveInfo.text}
+                </span>
+              </button>
+            )}
           </div>
 
           {/* Header Actions */}
@@ -389,6 +824,16 @@ const Session = () => {
 
             {/* Panel Toggles */}
             <div className="flex items-center space-x-1">
+              <button
+                onClick={() => setShowFiles(!showFiles)}
+                className={clsx(
+                  'btn-ghost btn-sm',
+                  showFiles && 'bg-accent text-white'
+                )}
+                title="Toggle Files"
+              >
+                🗂️
+              </button>
               <button
                 onClick={() => setShowParticipants(!showParticipants)}
                 className={clsx(
@@ -409,6 +854,21 @@ const Session = () => {
               >
                 💬
               </button>
+              <button
+                onClick={() => setShowComments(!showComments)}
+                className={clsx(
+                  'btn-ghost btn-sm relative',
+                  showComments && 'bg-accent text-white'
+                )}
+                title="Toggle Review Comments"
+              >
+                📝
+                {openCommentCount > 0 && !showComments && (
+                  <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 bg-accent text-white text-[10px] rounded-full flex items-center justify-center">
+                    {openCommentCount}
+                  </span>
+                )}
+              </button>
               <button
                 onClick={() => setShowExecution(!showExecution)}
                 className={clsx(
@@ -421,10 +881,70 @@ const Session = () => {
               </button>
             </div>
 
+            {/* History */}
+            <button
+              onClick={handleShowHistory}
+              className={clsx(
+                'btn-ghost btn-sm',
+                showHistory && 'bg-accent text-white'
+              )}
+              title="Session History"
+            >
+              🕘
+            </button>
+
+            {/* Recording */}
+            {isCreator && (
+              <button
+                onClick={toggleRecording}
+                className={clsx(
+                  'btn-ghost btn-sm',
+                  recording?.isRecording && 'bg-error text-white'
+                )}
+                title={recording?.isRecording ? 'Stop Recording' : 'Start Recording'}
+              >
+                {recording?.isRecording ? '⏹' : '⏺'}
+              </button>
+            )}
+
+            {/* Replays */}
+            <button
+              onClick={() => navigate(`/session/${sessionId}/replay`)}
+              className="btn-ghost btn-sm"
+              title="Watch Recordings"
+            >
+              🎞️
+            </button>
+
+            {/* Export */}
+            <button
+              onClick={handleExport}
+              className="btn-ghost btn-sm"
+              title="Export Session"
+              disabled={exporting}
+            >
+              {exporting ? <LoadingSpinner size="sm" /> : '📦'}
+            </button>
+
+            {/* Save as Template */}
+            <button
+              onClick={() => {
+                setTemplateForm(prev => ({ ...prev, name: prev.name || session.name }));
+                setShowSaveTemplate(true);
+              }}
+              className="btn-ghost btn-sm"
+              title="Save as Template"
+            >
+              📑
+            </button>
+
             {/* Settings */}
             {isCreator && (
               <button
-                onClick={() => setShowSettings(true)}
+                onClick={() => {
+                  setSettingsError(null);
+                  setShowSettings(true);
+                }}
                 className="btn-ghost btn-sm"
                 title="Session Settings"
               >
@@ -459,6 +979,23 @@ const Session = () => {
 
       {/* Main Workspace */}
       <div className="flex-1 flex overflow-hidden">
+        {/* Files Panel */}
+        {showFiles && (
+          <div className="w-56 flex-shrink-0">
+            <FileTree
+              project={project}
+              activeFileId={activeFileId}
+              readOnly={!canEdit}
+              onOpenFile={openFile}
+              onCreateFile={createFile}
+              onCreateFolder={createFolder}
+              onRename={renamePath}
+              onDelete={deletePath}
+              onSetEntryPoint={setEntryPoint}
+            />
+          </div>
+        )}
+
         {/* Participants Panel */}
         {showParticipants && (
           <div className="w-64 bg-sidebar border-r border-primary flex-shrink-0">
@@ -469,6 +1006,11 @@ const Session = () => {
               session={session}
               cursors={cursors}
               typingUsers={typingUsers}
+              followingId={followingId}
+              onFollowUser={setFollowingId}
+              onKickUser={kickParticipant}
+              onPromoteUser={changeParticipantRole}
+              onInviteUsers={inviteUsers}
             />
           </div>
         )}
@@ -479,8 +1021,25 @@ const Session = () => {
             <CodeEditor
               sessionId={sessionId}
               language={session.language}
+              files={files}
+              activeFileId={activeFileId}
+              openFileIds={openFileIds}
+              entryFileId={project.entryPoint}
+              onSelectFile={openFile}
+              onCloseFile={closeFile}
+              cursors={cursors}
+              followingId={followingId}
+              followingName={followedParticipant?.username || followedParticipant?.user?.username}
+              onStopFollowing={stopFollowing}
+              lineReference={lineReference}
+              onShareSelection={handleShareSelection}
+              comments={comments}
+              onAddComment={handleAddComment}
+              onOpenComment={handleOpenComment}
+              onCommentAnchorsMove={moveAnchors}
               onCodeChange={handleCodeChange}
               onExecute={handleExecuteCode}
+              onSave={handleSave}
               readOnly={!canEdit}
               className="h-full"
             />
@@ -497,12 +1056,45 @@ const Session = () => {
                 loading={executionLoading}
                 error={executionError}
                 onExecute={handleExecuteCode}
+                onSendInput={sendExecutionInput}
+                onStop={stopExecution}
+                testCases={testCases}
+                testRun={testRun}
+                testsRunning={testsRunning}
+                canEditTests={isCreator}
+                onSaveTests={handleSaveTests}
+                onRunTests={handleRunTests}
                 canExecute={canEdit && session.settings?.executionEnabled}
               />
             </div>
           )}
         </div>
 
+        {/* Review Comments */}
+        {showComments && (
+          <div className="w-80 bg-sidebar border-l border-primary flex-shrink-0">
+            <CommentsPanel
+              comments={comments}
+              files={files}
+              currentUser={user}
+              canModerate={isCreator}
+              loading={commentsLoading}
+              error={commentsError}
+              onRetry={loadComments}
+              draft={commentDraft}
+              selectedCommentId={selectedCommentId}
+              onCreate={handleCreateComment}
+              onCancelDraft={() => setCommentDraft(null)}
+              onReply={replyToComment}
+              onEdit={editComment}
+              onResolve={setResolved}
+              onDelete={deleteComment}
+              onSelect={handleSelectComment}
+              onClose={() => setShowComments(false)}
+            />
+          </div>
+        )}
+
         {/* Chat Panel */}
         {showChat && (
           <div className="w-80 bg-sidebar border-l border-primary flex-shrink-0">
@@ -511,17 +1103,161 @@ const Session = () => {
               messages={chatMessages}
               currentUser={user}
               participants={participants}
+              hasMore={hasMoreChat}
+              loadingOlder={loadingChat}
               onSendMessage={sendMessage}
+              onLoadOlder={loadOlderMessages}
+              onLoadUntil={loadMessagesUntil}
+              onSearch={searchChat}
+              onLineReference={handleLineReference}
+              onEditMessage={editMessage}
+              onDeleteMessage={deleteMessage}
+              onToggleReaction={toggleReaction}
+              canModerate={isCreator}
               isConnected={isConnected}
             />
           </div>
         )}
       </div>
 
-      {/* Auto-save Indicator */}
-      {lastSavedAt && (
-        <div className="fixed bottom-4 right-4 bg-success text-white px-3 py-1 rounded-lg text-sm animate-fade-in">
-          Auto-saved at {lastSavedAt.toLocaleTimeString()}
+      {/* History Panel */}
+      {showHistory && (
+        <div className="fixed inset-0 bg-overlay flex items-center justify-center z-50 p-4">
+          <div className="w-full max-w-6xl h-[85vh] border border-primary rounded-lg overflow-hidden shadow-xl">
+            <HistoryPanel
+              history={codeHistory}
+              project={project}
+              language={session.language}
+              canRestore={isCreator}
+              onRestore={handleRestoreVersion}
+              onRefresh={refreshHistory}
+              onClose={() => setShowHistory(false)}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Save Conflict Modal */}
+      {showConflict && saveConflict && (
+        <div className="fixed inset-0 bg-overlay flex items-center justify-center z-50 p-4">
+          <div className="card max-w-md w-full">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-heading text-primary">Save Conflict</h3>
+              <button
+                onClick={() => setShowConflict(false)}
+                className="text-secondary hover:text-primary transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+
+            <p className="text-secondary mb-2">
+              The saved copy of this session changed since your last save.
+            </p>
+            {saveConflict.savedBy?.username && (
+              <p className="text-sm text-secondary mb-2">
+                Last saved by <span className="text-primary">{saveConflict.savedBy.username}</span>
+                {saveConflict.savedAt && ` at ${new Date(saveConflict.savedAt).toLocaleTimeString()}`}
+              </p>
+            )}
+            <p className="text-sm text-secondary mb-6">
+              Auto-save is paused. Overwrite the saved copy with the code in your editor, or keep editing and decide later.
+            </p>
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => setShowConflict(false)}
+                className="flex-1 btn-secondary"
+              >
+                Decide Later
+              </button>
+              <button
+                onClick={handleOverwriteServerCopy}
+                className="flex-1 btn-danger"
+              >
+                Overwrite
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Save as Template Modal */}
+      {showSaveTemplate && (
+        <div className="fixed inset-0 bg-overlay flex items-center justify-center z-50 p-4">
+          <div className="card max-w-md w-full">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-heading text-primary">Save as Template</h3>
+              <button
+                onClick={() => setShowSaveTemplate(false)}
+                className="text-secondary hover:text-primary transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+
+            <form onSubmit={handleSaveTemplate} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Template Name
+                </label>
+                <input
+                  type="text"
+                  value={templateForm.name}
+                  onChange={(e) => setTemplateForm({ ...templateForm, name: e.target.value })}
+                  className="input"
+                  placeholder="e.g. Workshop 1 - Recursion"
+                  disabled={savingTemplate}
+                  autoFocus
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Description
+                </label>
+                <textarea
+                  value={templateForm.description}
+                  onChange={(e) => setTemplateForm({ ...templateForm, description: e.target.value })}
+                  className="input resize-none h-20"
+                  placeholder="What is this template for?"
+                  disabled={savingTemplate}
+                />
+              </div>
+
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={templateForm.isShared}
+                  onChange={(e) => setTemplateForm({ ...templateForm, isShared: e.target.checked })}
+                  className="w-4 h-4 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
+                  disabled={savingTemplate}
+                />
+                <span className="ml-2 text-sm text-primary">Share with other users</span>
+              </label>
+
+              <p className="text-xs text-secondary">
+                Saves {files.length} file{files.length !== 1 ? 's' : ''}, {testCases.length} test case{testCases.length !== 1 ? 's' : ''}, the language ({getLanguageDisplayName(session.language)}) and the session settings.
+              </p>
+
+              <div className="flex space-x-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setShowSaveTemplate(false)}
+                  className="flex-1 btn-secondary"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 btn-primary"
+                  disabled={savingTemplate}
+                >
+                  {savingTemplate ? <LoadingSpinner size="xs" color="white" /> : 'Save Template'}
+                </button>
+              </div>
+            </form>
+          </div>
         </div>
       )}
 
@@ -540,6 +1276,12 @@ const Session = () => {
             </div>
 
             <form onSubmit={handleUpdateSettings} className="space-y-4">
+              {settingsError && (
+                <div className="bg-error/10 border border-error text-error px-4 py-3 rounded-lg text-sm">
+                  {settingsError}
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-primary mb-2">
                   Session Name
@@ -565,6 +1307,52 @@ const Session = () => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-primary mb-2">
+                  Language
+                </label>
+                <select
+                  value={settingsForm.language}
+                  onChange={(e) => setSettingsForm({ ...settingsForm, language: e.target.value })}
+                  className="input"
+                >
+                  {languages.map((lang) => (
+                    <option
+                      key={lang.name}
+                      value={lang.name}
+                      disabled={!lang.available && lang.name !== session.language}
+                    >
+                      {lang.displayName}
+                      {lang.version && ` ${lang.version}`}
+                      {!lang.available && ' (unavailable)'}
+                    </option>
+                  ))}
+                </select>
+
+                {settingsForm.language !== session.language && (
+                  <div className="mt-2 space-y-1">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={!settingsForm.useLanguageTemplate}
+                        onChange={() => setSettingsForm({ ...settingsForm, useLanguageTemplate: false })}
+                        className="w-4 h-4 text-accent bg-secondary border-primary focus:ring-accent focus:ring-2"
+                      />
+                      <span className="ml-2 text-sm text-primary">Keep the current code</span>
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        checked={settingsForm.useLanguageTemplate}
+                        onChange={() => setSettingsForm({ ...settingsForm, useLanguageTemplate: true })}
+                        className="w-4 h-4 text-accent bg-secondary border-primary focus:ring-accent focus:ring-2"
+                      />
+                      <span className="ml-2 text-sm text-primary">Replace it with the starter template</span>
+                    </label>
+                  </div>
+                )}
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-primary mb-2">
                   Max Participants
@@ -587,8 +1375,12 @@ const Session = () => {
                     checked={settingsForm.isPublic}
                     onChange={(e) => setSettingsForm({ ...settingsForm, isPublic: e.target.checked })}
                     className="w-4 h-4 text-accent bg-secondary border-primary rounded focus:ring-accent focus:ring-2"
+                    disabled={needsEmailVerification && !settingsForm.isPublic}
                   />
                   <span className="ml-2 text-sm text-primary">Make session public</span>
+                  {needsEmailVerification && !settingsForm.isPublic && (
+                    <span className="ml-2 text-xs text-secondary">(verify your email first)</span>
+                  )}
                 </label>
 
                 <label className="flex items-center">
@@ -653,6 +1445,7 @@ const Session = () => {
         <div className="bg-tertiary px-3 py-2 rounded-lg">
           <div className="space-y-1">
             <div>Ctrl+Enter: Execute Code</div>
+            <div>Ctrl+S: Save</div>
             <div>Ctrl+Shift+P: Toggle Participants</div>
             <div>Ctrl+Shift+C: Toggle Chat</div>
             <div>Ctrl+Shift+E: Toggle Execution</div>
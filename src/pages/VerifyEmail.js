@@ -0,0 +1,111 @@
+// src/pages/VerifyEmail.js
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import LoadingSpinner from '../components/Common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, verifyEmail, resendVerification } = useAuth();
+  // 'verifying' | 'verified' | 'expired' | 'invalid'
+  const [status, setStatus] = useState('verifying');
+  const [email, setEmail] = useState('');
+  const [resending, setResending] = useState(false);
+  const [resent, setResent] = useState(false);
+  // The token works only once, so the effect must not run twice
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    verifyEmail(token).then((result) => {
+      if (result.success) {
+        setStatus('verified');
+      } else {
+        setStatus(result.expired ? 'expired' : 'invalid');
+      }
+    });
+  }, [token, verifyEmail]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+
+    setResending(true);
+    // Signed in, the server knows the address
+    const result = await resendVerification(isAuthenticated ? null : email.toLowerCase().trim());
+    setResending(false);
+    if (result.success) {
+      setResent(true);
+    }
+  };
+
+  if (status === 'verifying') {
+    return (
+      <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+        <LoadingSpinner size="xl" text="Verifying your email..." centered />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-primary flex items-center justify-center p-4">
+      <div className="card max-w-md w-full text-center">
+        {status === 'verified' ? (
+          <>
+            <div className="text-5xl mb-4">✅</div>
+            <h1 className="text-2xl font-heading gradient-text mb-2">Email Verified</h1>
+            <p className="text-secondary mb-6">Your account is fully set up.</p>
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="btn-primary">
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="text-5xl mb-4">⏰</div>
+            <h1 className="text-2xl font-heading gradient-text mb-2">
+              {status === 'expired' ? 'This Link Has Expired' : 'This Link Is Invalid'}
+            </h1>
+            <p className="text-secondary mb-6">
+              {status === 'expired'
+                ? 'Verification links only work for a limited time.'
+                : 'It may have been used already, or the address is verified.'}
+              {' '}We can send you a new one.
+            </p>
+
+            {resent ? (
+              <p className="text-success text-sm">Check your inbox for the new link.</p>
+            ) : (
+              <form onSubmit={handleResend} className="space-y-3">
+                {!isAuthenticated && (
+                  <input
+                    type="email"
+                    autoComplete="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input"
+                    placeholder="you@example.com"
+                    required
+                    disabled={resending}
+                  />
+                )}
+                <button type="submit" className="w-full btn-primary" disabled={resending}>
+                  {resending ? 'Sending...' : 'Send a New Link'}
+                </button>
+              </form>
+            )}
+
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="inline-block mt-4 text-sm text-secondary hover:text-primary transition-colors"
+            >
+              {isAuthenticated ? 'Back to Dashboard' : 'Back to Sign In'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -159,7 +159,7 @@ const Login = () => {
 
             {/* Right Side - Login Form */}
             <div className="flex justify-center animate-slide-in" style={{ animationDelay: '0.2s' }}>
-              <LoginForm onSuccess={handleLoginSuccess} />
+              <LoginForm onSuccess={handleLoginSuccess} returnTo={from} />
             </div>
           </div>
         </div>
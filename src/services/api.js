@@ -1,6 +1,7 @@
 // src/services/api.js
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { getAccessToken, setAccessToken, startAuthSession, endAuthSession } from './authSession';
 
 // Create axios instance with base configuration
 const api = axios.create({
@@ -11,10 +12,69 @@ const api = axios.create({
   },
 });
 
-// Request interceptor to add auth token
+let refreshPromise = null;
+
+// Held by the tab that is using the refresh cookie. The server replaces
+// the cookie on every refresh, so two tabs sending the same one at once
+// would get the second turned down.
+const REFRESH_LOCK = 'codecollab-auth-refresh';
+
+const withRefreshLock = (callback) => (
+  navigator.locks ? navigator.locks.request(REFRESH_LOCK, callback) : callback()
+);
+
+// Get a new access token with the refresh cookie. Concurrent callers
+// share one request, and tabs take turns. If the server turns the cookie
+// down the user is signed out in every tab, unless another tab got a new
+// token in the meantime; network errors leave the session alone, so
+// going offline doesn't sign anyone out.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleToken = getAccessToken();
+    // A token another tab announced while we were waiting or refreshing
+    const getNewerToken = () => (getAccessToken() !== staleToken ? getAccessToken() : null);
+
+    refreshPromise = withRefreshLock(async () => {
+      if (getNewerToken()) {
+        return getNewerToken();
+      }
+
+      try {
+        const response = await api.post('/auth/refresh', null, {
+          withCredentials: true,
+          skipAuthRefresh: true,
+          silent: true,
+        });
+        setAccessToken(response.data.token);
+        return response.data.token;
+      } catch (error) {
+        if (getNewerToken()) {
+          return getNewerToken();
+        }
+
+        const status = error.response?.status;
+        if (status === 401 || status === 403) {
+          endAuthSession();
+        }
+        throw error;
+      }
+    })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Request interceptor to add auth token. Requests made while a refresh
+// is in flight wait for the new token instead of sending the old one.
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('codecollab-token');
+  async (config) => {
+    if (refreshPromise && !config.skipAuthRefresh) {
+      await refreshPromise.catch(() => {});
+    }
+
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -27,16 +87,33 @@ api.interceptors.request.use(
 
 // Response interceptor for error handling and token refresh
 api.interceptors.response.use(
-  (response) => {
-    // Check for new token in response headers (auto-refresh)
-    const newToken = response.headers['x-new-token'];
-    if (newToken) {
-      localStorage.setItem('codecollab-token', newToken);
+  (response) => response,
+  async (error) => {
+    const { response, config } = error;
+
+    // Requests marked `silent` report their own errors
+    const notify = config?.silent ? () => {} : toast.error;
+
+    // An expired access token: refresh it (once per request) and retry.
+    // Requests that fail together all wait for the same refresh.
+    if (response?.status === 401 && config && !config.skipAuthRefresh && !config.retriedAuth) {
+      config.retriedAuth = true;
+      const sentToken = config.headers.Authorization?.replace(/^Bearer /, '');
+
+      try {
+        // Another request may have refreshed it already
+        const token = getAccessToken() && getAccessToken() !== sentToken
+          ? getAccessToken()
+          : await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        notify(refreshError.response
+          ? 'Your session has expired. Please sign in again.'
+          : 'Network error. Please check your connection.');
+        return Promise.reject(error);
+      }
     }
-    return response;
-  },
-  (error) => {
-    const { response } = error;
     
     if (response) {
       const { status, data } = response;
@@ -44,54 +121,62 @@ api.interceptors.response.use(
       // Handle different error status codes
       switch (status) {
         case 401:
-          // Unauthorized - clear token and redirect to login
-          localStorage.removeItem('codecollab-token');
-          if (window.location.pathname !== '/login') {
-            window.location.href = '/login';
-          }
-          toast.error(data.error || 'Authentication failed');
+          notify(data.error || 'Authentication failed');
           break;
           
         case 403:
-          toast.error(data.error || 'Access denied');
+          notify(data.error || 'Access denied');
           break;
           
         case 404:
-          toast.error(data.error || 'Resource not found');
+          notify(data.error || 'Resource not found');
           break;
           
         case 429:
-          toast.error(data.error || 'Too many requests. Please slow down.');
+          notify(data.error || 'Too many requests. Please slow down.');
           break;
           
         case 500:
-          toast.error('Server error. Please try again later.');
+          notify('Server error. Please try again later.');
           break;
           
         default:
-          toast.error(data.error || 'An unexpected error occurred');
+          notify(data.error || 'An unexpected error occurred');
       }
     } else if (error.code === 'ECONNABORTED') {
-      toast.error('Request timeout. Please check your connection.');
+      notify('Request timeout. Please check your connection.');
     } else {
-      toast.error('Network error. Please check your connection.');
+      notify('Network error. Please check your connection.');
     }
     
     return Promise.reject(error);
   }
 );
 
-// Auth API endpoints
+// Requests that set or clear the refresh cookie. A 401 from them is a
+// wrong password or similar, never an expired token.
+const AUTH_REQUEST = { withCredentials: true, skipAuthRefresh: true };
+
+// Auth API endpoints. Login answers { token, user, message }, where
+// `token` is the access token; the refresh token comes as a cookie.
+// With two-factor authentication on, login answers
+// { twoFactorRequired: true, challengeToken } instead, and the sign-in is
+// finished by `verifyTwoFactor`.
+//
+// Links sent by email (password reset, email verification) carry a
+// one-time token. An expired one answers 410; an unknown or already
+// used one answers 400.
 export const authAPI = {
-  // Register new user
+  // Register new user. Answers { user, message } without signing in;
+  // the server emails a verification link.
   register: async (userData) => {
-    const response = await api.post('/auth/register', userData);
+    const response = await api.post('/auth/register', userData, AUTH_REQUEST);
     return response.data;
   },
 
   // Login user
   login: async (credentials) => {
-    const response = await api.post('/auth/login', credentials);
+    const response = await api.post('/auth/login', credentials, AUTH_REQUEST);
     return response.data;
   },
 
@@ -113,21 +198,23 @@ export const authAPI = {
     return response.data;
   },
 
-  // Change password
+  // Change password. `passwordData` carries `twoFactorCode` when
+  // two-factor authentication is on.
   changePassword: async (passwordData) => {
     const response = await api.post('/auth/change-password', passwordData);
     return response.data;
   },
 
-  // Logout
+  // Logout. Also clears the refresh cookie.
   logout: async () => {
-    const response = await api.post('/auth/logout');
+    const response = await api.post('/auth/logout', null, AUTH_REQUEST);
     return response.data;
   },
 
-  // Delete account
-  deleteAccount: async (password) => {
-    const response = await api.delete('/auth/account', { data: { password } });
+  // Delete account. `twoFactorCode` is required when two-factor
+  // authentication is on.
+  deleteAccount: async (password, twoFactorCode = null) => {
+    const response = await api.delete('/auth/account', { data: { password, twoFactorCode } });
     return response.data;
   },
 
@@ -137,16 +224,123 @@ export const authAPI = {
     return response.data;
   },
 
+  // Email a password reset link. Answers the same whether or not the
+  // address has an account.
+  requestPasswordReset: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email }, AUTH_REQUEST);
+    return response.data;
+  },
+
+  // Check a reset link before asking for the new password
+  checkResetToken: async (token) => {
+    const response = await api.get(`/auth/reset-password/${token}`, { ...AUTH_REQUEST, silent: true });
+    return response.data;
+  },
+
+  // Set a new password with a reset link. Signs out every session of
+  // the account.
+  resetPassword: async (token, password) => {
+    const response = await api.post(`/auth/reset-password/${token}`, { password }, { ...AUTH_REQUEST, silent: true });
+    return response.data;
+  },
+
+  // Confirm the email address. Answers { user, message }.
+  verifyEmail: async (token) => {
+    const response = await api.post(`/auth/verify-email/${token}`, null, { silent: true });
+    return response.data;
+  },
+
+  // Send a new verification link. Signed in, the account's own address
+  // is used and `email` may be left out.
+  resendVerification: async (email = null) => {
+    const response = await api.post('/auth/verify-email/resend', { email });
+    return response.data;
+  },
+
   // Get user stats
   getStats: async () => {
     const response = await api.get('/auth/stats');
     return response.data;
   },
+
+  // Second step of a login: a code from the authenticator app, or one of
+  // the recovery codes. Answers like login.
+  verifyTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code }, AUTH_REQUEST);
+    return response.data;
+  },
+
+  // Start enrollment: a new secret, not active until confirmed with
+  // `enableTwoFactor`. Answers { secret, otpauthUrl }.
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code from the app. Answers
+  // { user, recoveryCodes, message }; the codes are only shown this once.
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/disable', { code });
+    return response.data;
+  },
+
+  // Replace the recovery codes. Answers { recoveryCodes }.
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // Provider authorization URL to send the browser to. `state` comes
+  // back on the callback; when signed in with `intent: 'link'` the server
+  // ties it to the current user.
+  getOAuthUrl: async (provider, { redirectUri, state, intent = 'login' }) => {
+    const response = await api.get(`/auth/oauth/${provider}/url`, {
+      params: { redirect_uri: redirectUri, state, intent },
+    });
+    return response.data;
+  },
+
+  // Finish an OAuth sign-in with the callback's one-time code. Answers
+  // like login: { token, user, message }, or the two-factor challenge.
+  completeOAuth: async (provider, { code, state, redirectUri }) => {
+    const response = await api.post(`/auth/oauth/${provider}/callback`, {
+      code,
+      state,
+      redirect_uri: redirectUri,
+    }, AUTH_REQUEST);
+    return response.data;
+  },
+
+  // Attach a provider to the signed-in account. Answers { user, message },
+  // the user listing the provider in `oauthProviders`.
+  linkOAuth: async (provider, { code, state, redirectUri }) => {
+    const response = await api.post(`/auth/oauth/${provider}/link`, {
+      code,
+      state,
+      redirect_uri: redirectUri,
+    });
+    return response.data;
+  },
+
+  // Detach a provider. The server refuses if it is the only way to sign in.
+  unlinkOAuth: async (provider) => {
+    const response = await api.delete(`/auth/oauth/${provider}`);
+    return response.data;
+  },
 };
 
 // Session API endpoints
 export const sessionAPI = {
-  // Create new session
+  // Create new session. Pass `templateId` to start from a saved template,
+  // or `files`, `folders`, `entryPoint` (a path) and `testCases` to start
+  // from imported files (see services/sessionArchive.js). Otherwise the
+  // server starts the entry file with the language's template, so clients
+  // joining an empty session never have to seed it.
   create: async (sessionData) => {
     const response = await api.post('/sessions/create', sessionData);
     return response.data;
@@ -200,6 +394,94 @@ export const sessionAPI = {
     return response.data;
   },
 
+  // Remove a participant from the session (creator only)
+  removeParticipant: async (sessionId, userId) => {
+    const response = await api.delete(`/sessions/${sessionId}/participants/${userId}`);
+    return response.data;
+  },
+
+  // Change a participant's role: 'creator' (hands over the session),
+  // 'editor' or 'viewer'
+  updateParticipantRole: async (sessionId, userId, role) => {
+    const response = await api.put(`/sessions/${sessionId}/participants/${userId}/role`, { role });
+    return response.data;
+  },
+
+  // Email invitations to join the session
+  invite: async (sessionId, emails) => {
+    const response = await api.post(`/sessions/${sessionId}/invite`, { emails });
+    return response.data;
+  },
+
+  // Save the session's files. `baseVersion` is the version the client last
+  // saved, loaded or heard of through `code-saved`; the server answers 409
+  // with its current copy if it has moved on since then. Every save is
+  // announced to the session as `code-saved` { version, savedBy, savedAt }.
+  saveCode: async (sessionId, saveData) => {
+    const response = await api.put(`/sessions/${sessionId}/code`, saveData, { silent: true });
+    return response.data;
+  },
+
+  // Page through chat history. `before` / `after` are message ids
+  // (exclusive); without them the latest `limit` messages are returned.
+  // Answers { messages, hasMore }, oldest first. Failures are left to the
+  // caller, as history loads in the background.
+  getChatMessages: async (sessionId, params = {}) => {
+    const response = await api.get(`/sessions/${sessionId}/messages`, { params, silent: true });
+    return response.data;
+  },
+
+  // Full-text search across a session's chat messages. Silent: the chat
+  // shows the error beside the search box.
+  searchChatMessages: async (sessionId, query, params = {}) => {
+    const response = await api.get(`/sessions/${sessionId}/messages/search`, {
+      params: { q: query, ...params },
+      silent: true,
+    });
+    return response.data;
+  },
+
+  // Review comments anchored to line ranges of project files. A comment
+  // is { id, fileId, startLine, endLine, text, author, createdAt,
+  // resolved, resolvedBy, replies }.
+  getComments: async (sessionId) => {
+    const response = await api.get(`/sessions/${sessionId}/comments`, { silent: true });
+    return response.data;
+  },
+
+  createComment: async (sessionId, commentData) => {
+    const response = await api.post(`/sessions/${sessionId}/comments`, commentData);
+    return response.data;
+  },
+
+  // Edit the text of a comment or resolve / reopen its thread
+  updateComment: async (sessionId, commentId, changes) => {
+    const response = await api.put(`/sessions/${sessionId}/comments/${commentId}`, changes);
+    return response.data;
+  },
+
+  replyToComment: async (sessionId, commentId, text) => {
+    const response = await api.post(`/sessions/${sessionId}/comments/${commentId}/replies`, { text });
+    return response.data;
+  },
+
+  deleteComment: async (sessionId, commentId) => {
+    const response = await api.delete(`/sessions/${sessionId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Recordings of the session, newest first, without their events
+  getRecordings: async (sessionId) => {
+    const response = await api.get(`/sessions/${sessionId}/recordings`);
+    return response.data;
+  },
+
+  // A recording with its events (see services/replay.js)
+  getRecording: async (sessionId, recordingId) => {
+    const response = await api.get(`/sessions/${sessionId}/recordings/${recordingId}`);
+    return response.data;
+  },
+
   // Get session history
   getHistory: async (sessionId) => {
     const response = await api.get(`/sessions/${sessionId}/history`);
@@ -207,17 +489,48 @@ export const sessionAPI = {
   },
 };
 
+// Session template endpoints. A template is { _id, name, description,
+// language, files, folders, entryPoint, testCases, settings, isShared,
+// creator }; the list holds the user's own templates and those shared by others.
+export const templateAPI = {
+  // Get templates
+  list: async () => {
+    const response = await api.get('/templates');
+    return response.data;
+  },
+
+  // Save a template
+  create: async (templateData) => {
+    const response = await api.post('/templates', templateData);
+    return response.data;
+  },
+
+  // Rename, describe or share a template
+  update: async (templateId, changes) => {
+    const response = await api.put(`/templates/${templateId}`, changes);
+    return response.data;
+  },
+
+  // Delete a template
+  delete: async (templateId) => {
+    const response = await api.delete(`/templates/${templateId}`);
+    return response.data;
+  },
+};
+
 // Code execution API endpoints
 export const executeAPI = {
-  // Execute code
-  run: async (executionData) => {
-    const response = await api.post('/execute/run', executionData);
+  // Execute code. Multi-file projects also send `files` and `entryPoint`.
+  // Pass `{ silent: true }` to report failures yourself.
+  run: async (executionData, options = {}) => {
+    const response = await api.post('/execute/run', executionData, options);
     return response.data;
   },
 
-  // Get supported languages
-  getLanguages: async () => {
-    const response = await api.get('/execute/languages');
+  // Get supported languages with their runtime versions, editor settings
+  // and execution limits
+  getLanguages: async (options = {}) => {
+    const response = await api.get('/execute/languages', options);
     return response.data;
   },
 
@@ -244,22 +557,22 @@ export const executeAPI = {
 export const apiUtils = {
   // Check if user is authenticated
   isAuthenticated: () => {
-    return !!localStorage.getItem('codecollab-token');
+    return !!getAccessToken();
   },
 
-  // Get stored token
+  // Get the current access token
   getToken: () => {
-    return localStorage.getItem('codecollab-token');
+    return getAccessToken();
   },
 
-  // Set token
-  setToken: (token) => {
-    localStorage.setItem('codecollab-token', token);
+  // Set the access token after signing in; `user` is shared with other tabs
+  setToken: (token, user = null) => {
+    startAuthSession(token, user);
   },
 
-  // Clear token
+  // Clear the access token and sign out every tab
   clearToken: () => {
-    localStorage.removeItem('codecollab-token');
+    endAuthSession();
   },
 
   // Handle API errors consistently
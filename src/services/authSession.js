@@ -0,0 +1,81 @@
+// src/services/authSession.js
+// The signed-in session shared by every tab. The access token is
+// short-lived and only kept in memory; the refresh token is an httpOnly
+// cookie the server sets on login, register and refresh, so scripts never
+// see it. A reloaded tab gets a new access token through the refresh
+// endpoint (see `refreshAccessToken` in api.js).
+//
+// Tabs keep each other up to date over a BroadcastChannel with
+//   { type: 'login', token, user }   signed in
+//   { type: 'token', token }         access token refreshed
+//   { type: 'logout' }               signed out (or the refresh failed)
+// Listeners get the same events, local or from another tab (`remote`).
+
+const CHANNEL_NAME = 'codecollab-auth';
+
+// Where tokens were stored before refresh tokens. A token left there is
+// used once so signed-in users aren't logged out by the upgrade.
+const LEGACY_TOKEN_KEY = 'codecollab-token';
+
+const readLegacyToken = () => {
+  try {
+    const token = localStorage.getItem(LEGACY_TOKEN_KEY);
+    localStorage.removeItem(LEGACY_TOKEN_KEY);
+    return token;
+  } catch (error) {
+    return null;
+  }
+};
+
+let accessToken = readLegacyToken();
+const listeners = new Set();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+const applyEvent = (event) => {
+  accessToken = event.type === 'logout' ? null : event.token;
+  listeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (error) {
+      // Report it without keeping the other listeners from running
+      setTimeout(() => {
+        throw error;
+      });
+    }
+  });
+};
+
+const publish = (event) => {
+  applyEvent({ ...event, remote: false });
+  if (channel) {
+    channel.postMessage(event);
+  }
+};
+
+if (channel) {
+  channel.onmessage = ({ data }) => applyEvent({ ...data, remote: true });
+}
+
+export const getAccessToken = () => accessToken;
+
+// Call `listener` with every auth event. Returns the unsubscribe function.
+export const subscribeToAuth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Signed in (login, register) with a new access token
+export const startAuthSession = (token, user) => {
+  publish({ type: 'login', token, user });
+};
+
+// A refreshed access token for the current user
+export const setAccessToken = (token) => {
+  publish({ type: 'token', token });
+};
+
+// Signed out, here and in every other tab
+export const endAuthSession = () => {
+  if (accessToken === null) return;
+  publish({ type: 'logout' });
+};
@@ -0,0 +1,189 @@
+// src/services/languages.js
+// Registry of the languages sessions can use. The server's list from
+// `executeAPI.getLanguages` is the source of truth; the built-in entries
+// below fill in missing fields and stand in until it loads (or if it
+// can't). A language is
+// { name, displayName, versions, version, monacoLanguage, extensions, entryFile,
+//   icon, shortName, color, tabSize, template, limits: { timeout, memory },
+//   available }
+// with `timeout` in milliseconds and `memory` in megabytes.
+import { executeAPI } from './api';
+
+const templateHeader = (displayName, comment) => (
+  `${comment} Welcome to CodeCollab - ${displayName} Session\n${comment} Start coding together in real-time!\n\n`
+);
+
+const BUILT_IN_LANGUAGES = [
+  {
+    name: 'javascript',
+    displayName: 'JavaScript',
+    extensions: ['js', 'jsx', 'mjs'],
+    icon: '🟨',
+    shortName: 'JS',
+    color: '#eab308',
+    template: `${templateHeader('JavaScript', '//')}console.log("Hello, World!");\n\n// Try writing some code here...\nfunction fibonacci(n) {\n  if (n <= 1) return n;\n  return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nconsole.log("Fibonacci(10):", fibonacci(10));`,
+  },
+  {
+    name: 'typescript',
+    displayName: 'TypeScript',
+    extensions: ['ts', 'tsx'],
+    icon: '🔵',
+    shortName: 'TS',
+    color: '#3178c6',
+    available: false,
+    template: `${templateHeader('TypeScript', '//')}console.log("Hello, World!");\n\nfunction fibonacci(n: number): number {\n  if (n <= 1) return n;\n  return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nconsole.log("Fibonacci(10):", fibonacci(10));`,
+  },
+  {
+    name: 'python',
+    displayName: 'Python',
+    extensions: ['py'],
+    icon: '🐍',
+    shortName: 'PY',
+    color: '#3b82f6',
+    tabSize: 4,
+    template: `${templateHeader('Python', '#')}print("Hello, World!")\n\n# Try writing some code here...\ndef fibonacci(n):\n    if n <= 1:\n        return n\n    return fibonacci(n - 1) + fibonacci(n - 2)\n\nprint(f"Fibonacci(10): {fibonacci(10)}")`,
+  },
+  {
+    name: 'cpp',
+    displayName: 'C++',
+    extensions: ['cpp', 'cc', 'hpp'],
+    icon: '⚡',
+    shortName: 'C++',
+    color: '#2563eb',
+    template: `${templateHeader('C++', '//')}#include <iostream>\nusing namespace std;\n\nint fibonacci(int n) {\n    if (n <= 1) return n;\n    return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nint main() {\n    cout << "Hello, World!" << endl;\n    cout << "Fibonacci(10): " << fibonacci(10) << endl;\n    return 0;\n}`,
+  },
+  {
+    name: 'c',
+    displayName: 'C',
+    extensions: ['c', 'h'],
+    icon: '🔷',
+    shortName: 'C',
+    color: '#4b5563',
+    template: `${templateHeader('C', '//')}#include <stdio.h>\n\nint fibonacci(int n) {\n    if (n <= 1) return n;\n    return fibonacci(n - 1) + fibonacci(n - 2);\n}\n\nint main() {\n    printf("Hello, World!\\n");\n    printf("Fibonacci(10): %d\\n", fibonacci(10));\n    return 0;\n}`,
+  },
+  {
+    name: 'java',
+    displayName: 'Java',
+    extensions: ['java'],
+    entryFile: 'Main.java',
+    icon: '☕',
+    shortName: 'JV',
+    color: '#ef4444',
+    template: `${templateHeader('Java', '//')}public class Main {\n    public static int fibonacci(int n) {\n        if (n <= 1) return n;\n        return fibonacci(n - 1) + fibonacci(n - 2);\n    }\n    \n    public static void main(String[] args) {\n        System.out.println("Hello, World!");\n        System.out.println("Fibonacci(10): " + fibonacci(10));\n    }\n}`,
+  },
+  {
+    name: 'go',
+    displayName: 'Go',
+    extensions: ['go'],
+    icon: '🐹',
+    shortName: 'GO',
+    color: '#06b6d4',
+    template: `${templateHeader('Go', '//')}package main\n\nimport "fmt"\n\nfunc fibonacci(n int) int {\n    if n <= 1 {\n        return n\n    }\n    return fibonacci(n-1) + fibonacci(n-2)\n}\n\nfunc main() {\n    fmt.Println("Hello, World!")\n    fmt.Printf("Fibonacci(10): %d\\n", fibonacci(10))\n}`,
+  },
+  {
+    name: 'rust',
+    displayName: 'Rust',
+    extensions: ['rs'],
+    icon: '🦀',
+    shortName: 'RS',
+    color: '#f97316',
+    template: `${templateHeader('Rust', '//')}fn fibonacci(n: u32) -> u32 {\n    match n {\n        0 | 1 => n,\n        _ => fibonacci(n - 1) + fibonacci(n - 2),\n    }\n}\n\nfn main() {\n    println!("Hello, World!");\n    println!("Fibonacci(10): {}", fibonacci(10));\n}`,
+  },
+];
+
+const BUILT_IN_BY_NAME = new Map(BUILT_IN_LANGUAGES.map(language => [language.name, language]));
+
+// Fill in a language from the server with the built-in entry and defaults
+export const normalizeLanguage = (entry) => {
+  const name = String(entry.name || entry.id);
+  const builtIn = BUILT_IN_BY_NAME.get(name) || {};
+  const merged = { ...builtIn, ...entry };
+  const extensions = merged.extensions || (merged.extension ? [merged.extension] : [name]);
+
+  return {
+    name,
+    displayName: merged.displayName || name,
+    versions: merged.versions || (merged.version ? [merged.version] : []),
+    version: merged.version || merged.versions?.[0] || null,
+    monacoLanguage: merged.monacoLanguage || merged.monacoId || name,
+    extensions: extensions.map(extension => String(extension).replace(/^\./, '').toLowerCase()),
+    entryFile: merged.entryFile || null,
+    icon: merged.icon || '📄',
+    shortName: merged.shortName || name.slice(0, 2).toUpperCase(),
+    color: merged.color || '#6b7280',
+    tabSize: merged.tabSize || 2,
+    template: merged.template || '',
+    limits: {
+      timeout: merged.limits?.timeout ?? null,
+      memory: merged.limits?.memory ?? null,
+    },
+    // Only the entry itself decides, so a server entry doesn't inherit a built-in `false`
+    available: entry.available ?? true,
+  };
+};
+
+let languages = BUILT_IN_LANGUAGES.map(normalizeLanguage);
+let loadPromise = null;
+const listeners = new Set();
+
+export const getLanguages = () => languages;
+
+export const setLanguages = (entries) => {
+  languages = entries.map(normalizeLanguage);
+  listeners.forEach(listener => listener(languages));
+};
+
+// Call `listener` with the new list whenever it changes. Returns the unsubscribe function.
+export const subscribeToLanguages = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Fetch the server's list once; later calls share the same request.
+// On failure the built-in list stays and the next call retries.
+export const loadLanguages = () => {
+  if (!loadPromise) {
+    loadPromise = executeAPI.getLanguages({ silent: true })
+      .then((response) => {
+        if (Array.isArray(response.languages) && response.languages.length > 0) {
+          setLanguages(response.languages);
+        }
+        return languages;
+      })
+      .catch(() => {
+        loadPromise = null;
+        return languages;
+      });
+  }
+  return loadPromise;
+};
+
+// Look a language up by its name or Monaco language ID
+export const getLanguage = (name) => (
+  languages.find(language => language.name === name)
+  || languages.find(language => language.monacoLanguage === name)
+  || null
+);
+
+export const getLanguageDisplayName = (name) => getLanguage(name)?.displayName || name;
+
+export const getLanguageIcon = (name) => getLanguage(name)?.icon || '📄';
+
+export const getLanguageTemplate = (name) => getLanguage(name)?.template || '';
+
+// Monaco language for a session language; other IDs pass through
+export const getMonacoLanguage = (name) => getLanguage(name)?.monacoLanguage || name;
+
+// Monaco language of the session language using a file extension, if any
+export const getLanguageForExtension = (extension) => {
+  const language = languages.find(entry => entry.extensions.includes(extension));
+  return language ? language.monacoLanguage : null;
+};
+
+// Readable execution limits, e.g. "10s · 128MB"
+export const formatLanguageLimits = (language) => {
+  const parts = [];
+  if (language?.limits?.timeout) parts.push(`${language.limits.timeout / 1000}s`);
+  if (language?.limits?.memory) parts.push(`${language.limits.memory}MB`);
+  return parts.join(' · ');
+};
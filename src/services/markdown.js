@@ -0,0 +1,160 @@
+// src/services/markdown.js
+// Parser for the Markdown subset used in chat (see MarkdownMessage).
+// `parseBlocks` splits a message into paragraphs, lists, quotes and fenced
+// code; `parseInline` turns a line into plain strings and tokens:
+//   { type: 'code', text }
+//   { type: 'link', url, children }      http(s) and mailto only; other
+//                                        links stay plain text
+//   { type: 'url', url }                 a bare URL
+//   { type: 'line-reference', text, path, startLine, endLine }
+//   { type: 'mention', text, username }
+//   { type: 'bold' | 'strike' | 'italic', children }
+// where `children` are parsed the same way.
+
+const FENCE_PATTERN = /^(`{3,})\s*([\w+#-]*)\s*$/;
+const LIST_PATTERN = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Inline tokens, tried left to right: code, link, bare URL, line
+// reference, mention, bold, strikethrough, italic. References, mentions
+// and italics must follow whitespace or "(": that character is matched
+// as a group of its own and put back, since lookbehinds don't parse in
+// older Safari.
+const INLINE_PATTERN = new RegExp([
+  '(`+)([^`]|[^`][\\s\\S]*?[^`])\\1(?!`)',
+  '\\[([^\\]]+)\\]\\(([^)\\s]+)\\)',
+  '(https?:\\/\\/[^\\s<]+[^\\s<.,;:!?)\\]\'"])',
+  '(^|[\\s(])(?:([\\w./-]+\\.\\w+):)?L(\\d+)(?:-L?(\\d+))?(?![\\w-])',
+  '(^|[\\s(])@([\\w.-]*\\w)',
+  '\\*\\*([\\s\\S]+?)\\*\\*',
+  '~~([\\s\\S]+?)~~',
+  '(^|[\\s(])[*_]([^*_\\s][^*_]*?)[*_](?![\\w*])',
+].join('|'));
+
+// Split message text into blocks
+export const parseBlocks = (text) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const fence = FENCE_PATTERN.exec(line);
+
+    if (fence) {
+      // A fence is closed by a line of at least as many backticks
+      const code = [];
+      index++;
+      while (index < lines.length && !new RegExp(`^\`{${fence[1].length},}\\s*$`).test(lines[index])) {
+        code.push(lines[index]);
+        index++;
+      }
+      blocks.push({ type: 'code', language: fence[2], code: code.join('\n') });
+      index++;
+    } else if (/^>\s?/.test(line)) {
+      const quote = [];
+      while (index < lines.length && /^>\s?/.test(lines[index])) {
+        quote.push(lines[index].replace(/^>\s?/, ''));
+        index++;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(quote.join('\n')) });
+    } else if (LIST_PATTERN.test(line)) {
+      const ordered = !!LIST_PATTERN.exec(line)[2];
+      const start = ordered ? Number(LIST_PATTERN.exec(line)[2]) : 1;
+      const items = [];
+      let match = LIST_PATTERN.exec(lines[index] || '');
+      while (index < lines.length && match && !!match[2] === ordered) {
+        items.push(match[3]);
+        index++;
+        match = LIST_PATTERN.exec(lines[index] || '');
+      }
+      blocks.push({ type: 'list', ordered, start, items });
+    } else if (!line.trim()) {
+      index++;
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !FENCE_PATTERN.test(lines[index]) &&
+        !/^>\s?/.test(lines[index]) &&
+        !LIST_PATTERN.test(lines[index])
+      ) {
+        paragraph.push(lines[index]);
+        index++;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+
+  return blocks;
+};
+
+
+// Split one line into plain text and inline tokens
+export const parseInline = (content) => {
+  const nodes = [];
+  const pushText = (text) => {
+    if (typeof nodes[nodes.length - 1] === 'string') {
+      nodes[nodes.length - 1] += text;
+    } else {
+      nodes.push(text);
+    }
+  };
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    if (match.index > lastIndex) {
+      pushText(content.slice(lastIndex, match.index));
+    }
+    const [
+      whole, , code, linkText, linkUrl, bareUrl,
+      refLead, refPath, refStart, refEnd, mentionLead, mention, bold, strike, italicLead, italic,
+    ] = match;
+
+    // The whitespace or "(" in front of a token stays plain text
+    const lead = refLead || mentionLead || italicLead || '';
+    if (lead) {
+      pushText(lead);
+    }
+    const token = whole.slice(lead.length);
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code.trim() });
+    } else if (linkText !== undefined) {
+      if (SAFE_URL_PATTERN.test(linkUrl)) {
+        nodes.push({ type: 'link', url: linkUrl, children: parseInline(linkText) });
+      } else {
+        pushText(whole);
+      }
+    } else if (bareUrl !== undefined) {
+      nodes.push({ type: 'url', url: bareUrl });
+    } else if (refStart !== undefined) {
+      const startLine = Number(refStart);
+      nodes.push({
+        type: 'line-reference',
+        text: token,
+        path: refPath || null,
+        startLine,
+        endLine: refEnd ? Math.max(Number(refEnd), startLine) : startLine,
+      });
+    } else if (mention !== undefined) {
+      nodes.push({ type: 'mention', text: token, username: mention });
+    } else if (bold !== undefined) {
+      nodes.push({ type: 'bold', children: parseInline(bold) });
+    } else if (strike !== undefined) {
+      nodes.push({ type: 'strike', children: parseInline(strike) });
+    } else if (italic !== undefined) {
+      nodes.push({ type: 'italic', children: parseInline(italic) });
+    }
+
+    lastIndex = match.index + whole.length;
+  }
+
+  if (lastIndex < content.length) {
+    pushText(content.slice(lastIndex));
+  }
+  return nodes;
+};
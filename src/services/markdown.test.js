@@ -0,0 +1,119 @@
+// src/services/markdown.test.js
+import { parseBlocks, parseInline } from './markdown';
+
+// The plain text a line renders as
+const toText = (nodes) => nodes.map((node) => {
+  if (typeof node === 'string') return node;
+  return node.children ? toText(node.children) : node.text || node.url;
+}).join('');
+
+describe('parseBlocks', () => {
+  it('splits paragraphs, lists, quotes and code', () => {
+    const blocks = parseBlocks([
+      'First line',
+      'second line',
+      '',
+      '- one',
+      '- two',
+      '3. three',
+      '> quoted',
+      '```js',
+      'const x = 1;',
+      '',
+      '```',
+    ].join('\n'));
+
+    expect(blocks).toEqual([
+      { type: 'paragraph', lines: ['First line', 'second line'] },
+      { type: 'list', ordered: false, start: 1, items: ['one', 'two'] },
+      { type: 'list', ordered: true, start: 3, items: ['three'] },
+      { type: 'quote', blocks: [{ type: 'paragraph', lines: ['quoted'] }] },
+      { type: 'code', language: 'js', code: 'const x = 1;\n' },
+    ]);
+  });
+
+  it('keeps Markdown inside code blocks as is', () => {
+    expect(parseBlocks('````\n```\n> not a quote\n````')).toEqual([
+      { type: 'code', language: '', code: '```\n> not a quote' },
+    ]);
+  });
+
+  it('runs an unclosed fence to the end of the message', () => {
+    expect(parseBlocks('```py\nprint(1)')).toEqual([
+      { type: 'code', language: 'py', code: 'print(1)' },
+    ]);
+  });
+});
+
+describe('parseInline', () => {
+  it('finds line references, with or without a path', () => {
+    expect(parseInline('see L42 and src/app.js:L10-20')).toEqual([
+      'see ',
+      { type: 'line-reference', text: 'L42', path: null, startLine: 42, endLine: 42 },
+      ' and ',
+      { type: 'line-reference', text: 'src/app.js:L10-20', path: 'src/app.js', startLine: 10, endLine: 20 },
+    ]);
+  });
+
+  it('only treats a reference as one after whitespace or "("', () => {
+    expect(parseInline('HTML5 and xL42')).toEqual(['HTML5 and xL42']);
+    expect(parseInline('(L7-3)')).toEqual([
+      '(',
+      { type: 'line-reference', text: 'L7-3', path: null, startLine: 7, endLine: 7 },
+      ')',
+    ]);
+  });
+
+  it('finds mentions but not email addresses', () => {
+    expect(parseInline('thanks @ada.l.')).toEqual([
+      'thanks ',
+      { type: 'mention', text: '@ada.l', username: 'ada.l' },
+      '.',
+    ]);
+    expect(parseInline('mail ada@example.com')).toEqual(['mail ada@example.com']);
+  });
+
+  it('reads italics after "(" but not inside words', () => {
+    expect(parseInline('(*note*) and _this_')).toEqual([
+      '(',
+      { type: 'italic', children: ['note'] },
+      ') and ',
+      { type: 'italic', children: ['this'] },
+    ]);
+    expect(parseInline('call my_var_name')).toEqual(['call my_var_name']);
+  });
+
+  it('keeps unsafe links as plain text', () => {
+    const text = '[click](javascript:alert(1)) or [site](https://example.com)';
+    const nodes = parseInline(text);
+
+    expect(nodes.filter(node => node.type === 'link')).toEqual([
+      { type: 'link', url: 'https://example.com', children: ['site'] },
+    ]);
+    expect(toText(nodes)).toBe('[click](javascript:alert(1)) or site');
+    expect(parseInline('[x](data:text/html,hi)')).toEqual(['[x](data:text/html,hi)']);
+  });
+
+  it('parses formatting inside bold but not inside code', () => {
+    expect(parseInline('**run `npm test` ~~now~~**')).toEqual([
+      {
+        type: 'bold',
+        children: [
+          'run ',
+          { type: 'code', text: 'npm test' },
+          ' ',
+          { type: 'strike', children: ['now'] },
+        ],
+      },
+    ]);
+    expect(parseInline('`**not bold**`')).toEqual([{ type: 'code', text: '**not bold**' }]);
+  });
+
+  it('links bare URLs without trailing punctuation', () => {
+    expect(parseInline('docs: https://example.com/a?b=1.')).toEqual([
+      'docs: ',
+      { type: 'url', url: 'https://example.com/a?b=1' },
+      '.',
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+// src/services/oauth.js
+// OAuth sign-in and account linking. The browser is sent to the provider
+// and comes back to /auth/callback with a one-time `code` and the `state`
+// stored here, which the callback page checks before handing the code to
+// the server. With REACT_APP_OAUTH_MOCK=true a mock provider is offered:
+// its consent screen is /auth/mock in this app, and it issues codes of the
+// form "mock_<base64 JSON profile>" that a development server accepts.
+import { v4 as uuidv4 } from 'uuid';
+import { authAPI } from './api';
+
+const PENDING_KEY = 'codecollab-oauth';
+
+export const MOCK_PROVIDER = 'mock';
+
+export const isMockOAuthEnabled = process.env.REACT_APP_OAUTH_MOCK === 'true';
+
+const PROVIDERS = [
+  { id: 'github', name: 'GitHub', icon: '🐙' },
+  { id: 'google', name: 'Google', icon: '🔵' },
+];
+
+export const getOAuthProviders = () => (
+  isMockOAuthEnabled
+    ? [...PROVIDERS, { id: MOCK_PROVIDER, name: 'Mock Provider', icon: '🧪' }]
+    : PROVIDERS
+);
+
+export const getOAuthProviderName = (id) => (
+  getOAuthProviders().find(provider => provider.id === id)?.name || id
+);
+
+export const getOAuthRedirectUri = () => `${window.location.origin}/auth/callback`;
+
+// Whether `uri` is this app's own callback page (ignoring any query)
+export const isOAuthRedirectUri = (uri) => {
+  try {
+    const url = new URL(uri);
+    return `${url.origin}${url.pathname}` === getOAuthRedirectUri();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Send the browser to the provider. `intent` is 'login' or 'link';
+// `returnTo` is where the callback goes once done.
+export const startOAuth = async (provider, { intent = 'login', returnTo = '/dashboard' } = {}) => {
+  const state = uuidv4();
+  const redirectUri = getOAuthRedirectUri();
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ state, provider, intent, returnTo }));
+
+  if (provider === MOCK_PROVIDER) {
+    window.location.assign(`/auth/mock?${new URLSearchParams({ state, redirect_uri: redirectUri })}`);
+    return;
+  }
+
+  const { url } = await authAPI.getOAuthUrl(provider, { redirectUri, state, intent });
+  window.location.assign(url);
+};
+
+// The flow started in this tab for `state`, or null if there is none
+// (expired, opened in another browser, or forged). Read only once.
+export const takePendingOAuth = (state) => {
+  const stored = sessionStorage.getItem(PENDING_KEY);
+  sessionStorage.removeItem(PENDING_KEY);
+
+  try {
+    const pending = JSON.parse(stored);
+    return pending && state && pending.state === state ? pending : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Code the mock provider issues for a made-up profile
+export const createMockOAuthCode = (profile) => (
+  `mock_${window.btoa(unescape(encodeURIComponent(JSON.stringify(profile))))}`
+);
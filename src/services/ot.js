@@ -0,0 +1,608 @@
+// src/services/ot.js
+// Operational transform for plain-text documents.
+//
+// An operation is a list of components applied left to right over the
+// whole document: a positive integer retains that many characters, a
+// string inserts it, and a negative integer deletes that many characters.
+
+const isRetain = (op) => typeof op === 'number' && op > 0;
+const isInsert = (op) => typeof op === 'string';
+const isDelete = (op) => typeof op === 'number' && op < 0;
+
+export class TextOperation {
+  constructor() {
+    this.ops = [];
+    // Length of the document before and after applying the operation
+    this.baseLength = 0;
+    this.targetLength = 0;
+  }
+
+  // Skip over n characters
+  retain(n) {
+    if (n === 0) return this;
+    this.baseLength += n;
+    this.targetLength += n;
+
+    if (isRetain(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  // Insert a string at the current position
+  insert(str) {
+    if (str === '') return this;
+    this.targetLength += str.length;
+
+    const ops = this.ops;
+    const last = ops.length - 1;
+
+    if (isInsert(ops[last])) {
+      ops[last] += str;
+    } else if (isDelete(ops[last])) {
+      // Keep inserts before deletes so equal operations have equal ops
+      if (isInsert(ops[last - 1])) {
+        ops[last - 1] += str;
+      } else {
+        ops[last + 1] = ops[last];
+        ops[last] = str;
+      }
+    } else {
+      ops.push(str);
+    }
+    return this;
+  }
+
+  // Delete n characters at the current position
+  delete(n) {
+    if (n === 0) return this;
+    if (n > 0) n = -n;
+    this.baseLength -= n;
+
+    if (isDelete(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  // An operation that leaves the document unchanged
+  isNoop() {
+    return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+  }
+
+  // Apply the operation to a document string
+  apply(doc) {
+    if (doc.length !== this.baseLength) {
+      throw new Error('The operation\'s base length must equal the document length');
+    }
+
+    const result = [];
+    let index = 0;
+
+    this.ops.forEach((op) => {
+      if (isRetain(op)) {
+        result.push(doc.slice(index, index + op));
+        index += op;
+      } else if (isInsert(op)) {
+        result.push(op);
+      } else {
+        index -= op;
+      }
+    });
+
+    return result.join('');
+  }
+
+  // The operation that undoes this one, given the document it applied to
+  invert(doc) {
+    const inverse = new TextOperation();
+    let index = 0;
+
+    this.ops.forEach((op) => {
+      if (isRetain(op)) {
+        inverse.retain(op);
+        index += op;
+      } else if (isInsert(op)) {
+        inverse.delete(op.length);
+      } else {
+        inverse.insert(doc.slice(index, index - op));
+        index -= op;
+      }
+    });
+
+    return inverse;
+  }
+
+  // Combine this operation with one that applies after it
+  compose(other) {
+    if (this.targetLength !== other.baseLength) {
+      throw new Error('The base length of the second operation must equal the target length of the first');
+    }
+
+    const composed = new TextOperation();
+    const ops1 = this.ops;
+    const ops2 = other.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        composed.delete(op1);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        composed.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations: lengths do not match');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          composed.retain(op2);
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          composed.retain(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          composed.retain(op1);
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === -op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          composed.insert(op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === op2) {
+          composed.insert(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          composed.insert(op1);
+          op2 -= op1.length;
+          op1 = ops1[i1++];
+        }
+      } else {
+        // Retain followed by delete
+        if (op1 > -op2) {
+          composed.delete(op2);
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          composed.delete(op2);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          composed.delete(op1);
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+      }
+    }
+
+    return composed;
+  }
+
+  // Transform two concurrent operations a and b into [a', b'] such that
+  // a.compose(b') and b.compose(a') produce the same document
+  static transform(a, b) {
+    if (a.baseLength !== b.baseLength) {
+      throw new Error('Both operations have to have the same base length');
+    }
+
+    const aPrime = new TextOperation();
+    const bPrime = new TextOperation();
+    const ops1 = a.ops;
+    const ops2 = b.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      // Inserts go first; ties are broken in favour of a
+      if (isInsert(op1)) {
+        aPrime.insert(op1);
+        bPrime.retain(op1.length);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        aPrime.retain(op2.length);
+        bPrime.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations: lengths do not match');
+      }
+
+      let minLength;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          minLength = op2;
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          minLength = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = op1;
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.retain(minLength);
+        bPrime.retain(minLength);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both sides deleted the same text; nothing left to do
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          minLength = op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (-op1 === op2) {
+          minLength = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = -op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        aPrime.delete(minLength);
+      } else {
+        // Retain against delete
+        if (op1 > -op2) {
+          minLength = -op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          minLength = op1;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minLength = op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        bPrime.delete(minLength);
+      }
+    }
+
+    return [aPrime, bPrime];
+  }
+
+  // Serialize for the wire
+  toJSON() {
+    return this.ops;
+  }
+
+  // Rebuild an operation received over the wire
+  static fromJSON(ops) {
+    const operation = new TextOperation();
+
+    (ops || []).forEach((op) => {
+      if (isRetain(op)) {
+        operation.retain(op);
+      } else if (isInsert(op)) {
+        operation.insert(op);
+      } else if (isDelete(op)) {
+        operation.delete(op);
+      } else {
+        throw new Error('Unknown operation component: ' + JSON.stringify(op));
+      }
+    });
+
+    return operation;
+  }
+
+  // Build an operation turning `oldText` into `newText`, as one replacement
+  // between their common prefix and suffix
+  static fromDiff(oldText, newText) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (
+      suffix < maxSuffix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    return new TextOperation()
+      .retain(prefix)
+      .delete(oldText.length - prefix - suffix)
+      .insert(newText.slice(prefix, newText.length - suffix))
+      .retain(suffix);
+  }
+
+  // Build an operation from Monaco's `e.changes`. Every change is expressed
+  // against the document as it was before the edit, which has `docLength`
+  // characters.
+  static fromMonacoChanges(changes, docLength) {
+    const operation = new TextOperation();
+    const sorted = [...changes].sort((a, b) => a.rangeOffset - b.rangeOffset);
+    let index = 0;
+
+    sorted.forEach((change) => {
+      operation.retain(change.rangeOffset - index);
+      operation.delete(change.rangeLength);
+      operation.insert(change.text);
+      index = change.rangeOffset + change.rangeLength;
+    });
+
+    operation.retain(docLength - index);
+    return operation;
+  }
+
+  // Convert into Monaco edit descriptors for `editor.executeEdits`. Offsets
+  // are resolved against `model`, which must hold the operation's base
+  // document.
+  toMonacoEdits(model, monaco) {
+    const edits = [];
+    let index = 0;
+
+    this.ops.forEach((op) => {
+      if (isRetain(op)) {
+        index += op;
+      } else if (isInsert(op)) {
+        const position = model.getPositionAt(index);
+        edits.push({
+          range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column),
+          text: op,
+          forceMoveMarkers: true,
+        });
+      } else {
+        const start = model.getPositionAt(index);
+        const end = model.getPositionAt(index - op);
+        edits.push({
+          range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+          text: null,
+        });
+        index -= op;
+      }
+    });
+
+    return edits;
+  }
+}
+
+// Client side of the OT protocol. At most one operation is in flight to
+// the server at a time; local edits made while waiting for its
+// acknowledgement are composed into a buffer and sent once it arrives.
+//
+// When given the server's document, the client keeps it up to date so
+// pending edits can later be merged into a fresh server copy (see
+// `rebase`).
+export class OTClient {
+  constructor(revision, { sendOperation, applyOperation }, document = null) {
+    this.revision = revision;
+    this.document = document;
+    this.outstanding = null;
+    this.buffer = null;
+    this.sendOperation = sendOperation;
+    this.applyOperation = applyOperation;
+  }
+
+  // Local edit made by this user
+  applyClient(operation) {
+    if (!this.outstanding) {
+      this.outstanding = operation;
+      this.sendOperation(this.revision, operation);
+    } else if (!this.buffer) {
+      this.buffer = operation;
+    } else {
+      this.buffer = this.buffer.compose(operation);
+    }
+  }
+
+  // Edit from another user, already ordered by the server
+  applyServer(operation) {
+    this.revision++;
+    if (this.document !== null) {
+      this.document = operation.apply(this.document);
+    }
+
+    let remote = operation;
+    if (this.outstanding) {
+      [this.outstanding, remote] = TextOperation.transform(this.outstanding, remote);
+    }
+    if (this.buffer) {
+      [this.buffer, remote] = TextOperation.transform(this.buffer, remote);
+    }
+
+    this.applyOperation(remote);
+  }
+
+  // Server confirmed our outstanding operation
+  serverAck() {
+    if (!this.outstanding) return;
+    this.revision++;
+    if (this.document !== null) {
+      this.document = this.outstanding.apply(this.document);
+    }
+
+    if (this.buffer) {
+      this.outstanding = this.buffer;
+      this.buffer = null;
+      this.sendOperation(this.revision, this.outstanding);
+    } else {
+      this.outstanding = null;
+    }
+  }
+
+  // Resend whatever the server has not acknowledged (after a reconnect)
+  resend() {
+    if (this.outstanding) {
+      this.sendOperation(this.revision, this.outstanding);
+    }
+  }
+
+  // Drop pending state and start over from a server snapshot
+  reset(revision, document = null) {
+    this.revision = revision;
+    this.document = document;
+    this.outstanding = null;
+    this.buffer = null;
+  }
+
+  hasPendingChanges() {
+    return !!(this.outstanding || this.buffer);
+  }
+}
+
+// Undo history of one user's own edits to a document. Each entry is the
+// inverse of a local edit; edits by others are transformed into the
+// entries rather than added, so undoing never reverts someone else's work.
+export class UndoManager {
+  constructor(maxItems = 100) {
+    this.maxItems = maxItems;
+    this.undoStack = [];
+    this.redoStack = [];
+    // 'normal' | 'undoing' | 'redoing'
+    this.state = 'normal';
+  }
+
+  // Record the inverse of a local edit. With `compose` it joins the last
+  // entry, so a burst of typing is undone in one step.
+  add(inverse, compose = false) {
+    if (this.state === 'undoing') {
+      this.redoStack.push(inverse);
+      return;
+    }
+    if (this.state === 'redoing') {
+      this.undoStack.push(inverse);
+      return;
+    }
+
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (compose && last) {
+      this.undoStack[this.undoStack.length - 1] = inverse.compose(last);
+    } else {
+      this.undoStack.push(inverse);
+      if (this.undoStack.length > this.maxItems) {
+        this.undoStack.shift();
+      }
+    }
+    this.redoStack = [];
+  }
+
+  // Someone else's edit was applied to the document
+  transform(operation) {
+    this.undoStack = transformStack(this.undoStack, operation);
+    this.redoStack = transformStack(this.redoStack, operation);
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Call `apply` with the operation that undoes the last local edit. The
+  // edit it makes is expected to come back through `add` synchronously.
+  performUndo(apply) {
+    if (!this.canUndo()) return;
+    this.state = 'undoing';
+    try {
+      apply(this.undoStack.pop());
+    } finally {
+      this.state = 'normal';
+    }
+  }
+
+  performRedo(apply) {
+    if (!this.canRedo()) return;
+    this.state = 'redoing';
+    try {
+      apply(this.redoStack.pop());
+    } finally {
+      this.state = 'normal';
+    }
+  }
+}
+
+// Transform a stack of operations (newest last) against `operation`,
+// which applies to the document the newest one applies to
+const transformStack = (stack, operation) => {
+  const transformed = [];
+  let remote = operation;
+
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const [entry, next] = TextOperation.transform(stack[i], remote);
+    remote = next;
+    if (!entry.isNoop()) {
+      transformed.unshift(entry);
+    }
+  }
+
+  return transformed;
+};
+
+// The local edits a server copy at `serverRevision` can still be missing,
+// as `{ document, operation }` for `rebase`, or null. The outstanding
+// operation was sent at `revision`; once the server has moved past that,
+// it was applied and only its acknowledgement got lost, so rebasing it
+// again would apply it twice. Takes an OTClient or a saved copy of one.
+export const getUnappliedEdits = ({ revision, document, outstanding, buffer }, serverRevision) => {
+  if (outstanding && serverRevision > revision) {
+    return buffer ? { document: outstanding.apply(document), operation: buffer } : null;
+  }
+
+  const operation = outstanding && buffer ? outstanding.compose(buffer) : outstanding || buffer;
+  return operation ? { document, operation } : null;
+};
+
+// Merge local edits made against `base` into a newer server copy `content`.
+// Returns the operation to send (expressed against `content`) and the
+// merged document. Edits from others since `base` are recovered by diffing,
+// so concurrent changes to the same region may not merge perfectly.
+export const rebase = (base, pending, content) => {
+  const [operation] = TextOperation.transform(pending, TextOperation.fromDiff(base, content));
+
+  return {
+    operation,
+    document: operation.apply(content),
+  };
+};
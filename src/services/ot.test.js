@@ -0,0 +1,297 @@
+// src/services/ot.test.js
+import { TextOperation, OTClient, UndoManager, getUnappliedEdits, rebase } from './ot';
+
+// Small seeded generator so failures can be reproduced
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+const randomString = (random, maxLength) => {
+  const length = Math.floor(random() * (maxLength + 1));
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += 'abc\n '[Math.floor(random() * 5)];
+  }
+  return text;
+};
+
+// A random operation over `doc`
+const randomOperation = (random, doc) => {
+  const operation = new TextOperation();
+  let remaining = doc.length;
+
+  while (remaining > 0) {
+    const length = 1 + Math.floor(random() * Math.min(remaining, 5));
+    const choice = random();
+    if (choice < 0.2) {
+      operation.insert(randomString(random, 4) || 'x');
+    } else if (choice < 0.4) {
+      operation.delete(length);
+      remaining -= length;
+    } else {
+      operation.retain(length);
+      remaining -= length;
+    }
+  }
+  if (random() < 0.3) {
+    operation.insert(randomString(random, 4) || 'y');
+  }
+
+  return operation;
+};
+
+describe('TextOperation', () => {
+  it('applies retains, inserts and deletes', () => {
+    const operation = new TextOperation().retain(6).delete(5).insert('there');
+    expect(operation.apply('hello world')).toBe('hello there');
+  });
+
+  it('rejects a document of the wrong length', () => {
+    expect(() => new TextOperation().retain(3).apply('ab')).toThrow();
+  });
+
+  it('converges after transforming concurrent operations', () => {
+    const random = createRandom(42);
+
+    for (let i = 0; i < 500; i++) {
+      const doc = randomString(random, 20);
+      const a = randomOperation(random, doc);
+      const b = randomOperation(random, doc);
+      const [aPrime, bPrime] = TextOperation.transform(a, b);
+
+      expect(bPrime.apply(a.apply(doc))).toBe(aPrime.apply(b.apply(doc)));
+    }
+  });
+
+  it('composes into one operation with the same effect', () => {
+    const random = createRandom(7);
+
+    for (let i = 0; i < 500; i++) {
+      const doc = randomString(random, 20);
+      const a = randomOperation(random, doc);
+      const afterA = a.apply(doc);
+      const b = randomOperation(random, afterA);
+
+      expect(a.compose(b).apply(doc)).toBe(b.apply(afterA));
+    }
+  });
+
+  it('survives a round trip over the wire', () => {
+    const operation = new TextOperation().retain(2).insert('xy').delete(3).retain(1);
+    const copy = TextOperation.fromJSON(JSON.parse(JSON.stringify(operation.toJSON())));
+
+    expect(copy.apply('abcdef')).toBe(operation.apply('abcdef'));
+  });
+
+  it('inverts an operation', () => {
+    const random = createRandom(5);
+
+    for (let i = 0; i < 200; i++) {
+      const doc = randomString(random, 20);
+      const operation = randomOperation(random, doc);
+
+      expect(operation.invert(doc).apply(operation.apply(doc))).toBe(doc);
+    }
+  });
+
+  it('builds an operation from a diff', () => {
+    const random = createRandom(3);
+
+    for (let i = 0; i < 200; i++) {
+      const oldText = randomString(random, 20);
+      const newText = randomString(random, 20);
+      expect(TextOperation.fromDiff(oldText, newText).apply(oldText)).toBe(newText);
+    }
+  });
+});
+
+describe('OTClient', () => {
+  it('sends one operation at a time and buffers the rest', () => {
+    const sent = [];
+    const client = new OTClient(0, {
+      sendOperation: (revision, operation) => sent.push([revision, operation.baseLength]),
+      applyOperation: () => {},
+    }, 'abc');
+
+    client.applyClient(new TextOperation().retain(3).insert('d'));
+    client.applyClient(new TextOperation().retain(4).insert('e'));
+    expect(sent).toEqual([[0, 3]]);
+
+    // The buffered edit goes out once the first one is confirmed
+    client.serverAck();
+    expect(sent).toEqual([[0, 3], [1, 4]]);
+    expect(client.document).toBe('abcd');
+
+    client.serverAck();
+    expect(client.hasPendingChanges()).toBe(false);
+    expect(client.document).toBe('abcde');
+  });
+
+  it('transforms remote edits against pending local ones', () => {
+    let local = 'abc';
+    const client = new OTClient(0, {
+      sendOperation: () => {},
+      applyOperation: (operation) => {
+        local = operation.apply(local);
+      },
+    }, 'abc');
+
+    const mine = new TextOperation().insert('>').retain(3);
+    local = mine.apply(local);
+    client.applyClient(mine);
+
+    client.applyServer(new TextOperation().retain(3).insert('!'));
+    expect(local).toBe('>abc!');
+
+    // What the server ends up with once our edit arrives
+    client.serverAck();
+    expect(client.document).toBe('>abc!');
+  });
+});
+
+describe('UndoManager', () => {
+  // Apply a local edit to `doc` and record it, as the editor does
+  const edit = (manager, doc, operation, compose) => {
+    manager.add(operation.invert(doc), compose);
+    return operation.apply(doc);
+  };
+
+  const undo = (manager, doc) => {
+    let result = doc;
+    manager.performUndo((operation) => {
+      result = edit(manager, doc, operation);
+    });
+    return result;
+  };
+
+  const redo = (manager, doc) => {
+    let result = doc;
+    manager.performRedo((operation) => {
+      result = edit(manager, doc, operation);
+    });
+    return result;
+  };
+
+  it('only reverts local edits', () => {
+    const manager = new UndoManager();
+    let doc = edit(manager, 'abc', new TextOperation().retain(3).insert('d'));
+
+    // Someone else types at the start
+    const remote = new TextOperation().insert('>').retain(4);
+    doc = remote.apply(doc);
+    manager.transform(remote);
+
+    doc = undo(manager, doc);
+    expect(doc).toBe('>abc');
+    expect(manager.canUndo()).toBe(false);
+
+    doc = redo(manager, doc);
+    expect(doc).toBe('>abcd');
+    expect(manager.canRedo()).toBe(false);
+  });
+
+  it('undoes composed edits in one step', () => {
+    const manager = new UndoManager();
+    let doc = edit(manager, '', new TextOperation().insert('a'));
+    doc = edit(manager, doc, new TextOperation().retain(1).insert('b'), true);
+    doc = edit(manager, doc, new TextOperation().retain(2).insert('c'));
+
+    doc = undo(manager, doc);
+    expect(doc).toBe('ab');
+    doc = undo(manager, doc);
+    expect(doc).toBe('');
+  });
+
+  it('drops the redo history on a new local edit', () => {
+    const manager = new UndoManager();
+    let doc = edit(manager, 'a', new TextOperation().retain(1).insert('b'));
+    doc = undo(manager, doc);
+    edit(manager, doc, new TextOperation().insert('x').retain(1));
+
+    expect(manager.canRedo()).toBe(false);
+  });
+
+  it('keeps remote edits through any number of undos', () => {
+    const random = createRandom(13);
+
+    for (let i = 0; i < 100; i++) {
+      const manager = new UndoManager();
+      let doc = randomString(random, 10);
+      let remoteOnly = doc;
+
+      // Interleave local edits with remote inserts of a marker character
+      for (let j = 0; j < 5; j++) {
+        doc = edit(manager, doc, randomOperation(random, doc));
+        const at = Math.floor(random() * (doc.length + 1));
+        const remote = new TextOperation().retain(at).insert('#').retain(doc.length - at);
+        doc = remote.apply(doc);
+        manager.transform(remote);
+        remoteOnly += '#';
+      }
+
+      while (manager.canUndo()) {
+        doc = undo(manager, doc);
+      }
+      expect(doc.split('#').length - 1).toBe(5);
+      expect(doc.replace(/#/g, '')).toBe(remoteOnly.replace(/#/g, ''));
+    }
+  });
+});
+
+describe('getUnappliedEdits', () => {
+  const outstanding = new TextOperation().retain(3).insert('d');
+  const buffer = new TextOperation().retain(4).insert('e');
+
+  it('keeps everything while the server is at the revision it was sent at', () => {
+    const { document, operation } = getUnappliedEdits({ revision: 2, document: 'abc', outstanding, buffer }, 2);
+
+    expect(document).toBe('abc');
+    expect(operation.apply(document)).toBe('abcde');
+  });
+
+  it('does not apply an operation twice when only its ack was lost', () => {
+    const client = { revision: 2, document: 'abc', outstanding, buffer };
+    const { document, operation } = getUnappliedEdits(client, 3);
+
+    expect(document).toBe('abcd');
+    expect(rebase(document, operation, 'abcd').document).toBe('abcde');
+    expect(getUnappliedEdits({ ...client, buffer: null }, 3)).toBeNull();
+  });
+});
+
+describe('rebase', () => {
+  it('merges offline edits into a newer server copy', () => {
+    const base = 'function main() {\n}\n';
+    const pending = TextOperation.fromDiff(base, 'function main() {\n  run();\n}\n');
+    const content = '// header\nfunction main() {\n}\n';
+
+    const { operation, document } = rebase(base, pending, content);
+
+    expect(document).toBe('// header\nfunction main() {\n  run();\n}\n');
+    expect(operation.apply(content)).toBe(document);
+  });
+
+  it('keeps the pending edit as is when the server copy is unchanged', () => {
+    const pending = new TextOperation().retain(5).insert(' world');
+    const { document } = rebase('hello', pending, 'hello');
+
+    expect(document).toBe('hello world');
+  });
+
+  it('always yields an operation that applies to the server copy', () => {
+    const random = createRandom(11);
+
+    for (let i = 0; i < 300; i++) {
+      const base = randomString(random, 20);
+      const pending = randomOperation(random, base);
+      const content = randomOperation(random, base).apply(base);
+      const { operation, document } = rebase(base, pending, content);
+
+      expect(operation.apply(content)).toBe(document);
+    }
+  });
+});
@@ -0,0 +1,153 @@
+// src/services/outbox.js
+// Durable queue for socket messages that could not be delivered while
+// offline. Records live in IndexedDB so they survive a reload, and are
+// replayed once the session is joined again.
+//
+// Record kinds, keyed so newer state replaces older state where only the
+// latest value matters:
+//   code:<sessionId>:<fileId>   pending OT edits of one file
+//   cursor:<sessionId>          last cursor and selections
+//   chat:<sessionId>:<clientId> one chat message the server has not
+//                               acknowledged yet
+
+const DB_NAME = 'codecollab-outbox';
+const DB_VERSION = 1;
+const STORE = 'records';
+
+class Outbox {
+  constructor() {
+    this.dbPromise = null;
+    // Used when IndexedDB is unavailable (private browsing, old browsers)
+    this.memory = new Map();
+  }
+
+  // Open the database once and reuse the connection
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('sessionId', 'sessionId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        // Falls back to memory
+        request.onerror = () => resolve(null);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a request against the store and resolve with its result
+  async run(mode, callback) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE, mode);
+      const request = callback(transaction.objectStore(STORE));
+      transaction.oncomplete = () => resolve(request?.result ?? null);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async put(record) {
+    const entry = { createdAt: Date.now(), ...record };
+    try {
+      const db = await this.open();
+      if (!db) {
+        this.memory.set(entry.key, entry);
+        return;
+      }
+      await this.run('readwrite', store => store.put(entry));
+    } catch (error) {
+      // Keep it for this visit at least
+      this.memory.set(entry.key, entry);
+    }
+  }
+
+  async remove(key) {
+    this.memory.delete(key);
+    try {
+      await this.run('readwrite', store => store.delete(key));
+    } catch (error) {
+      // Replayed again next time; the server ignores what it already has
+    }
+  }
+
+  // All queued records of a session, oldest first
+  async getAll(sessionId) {
+    let records = [];
+    try {
+      records = (await this.run('readonly', store => store.index('sessionId').getAll(sessionId))) || [];
+    } catch (error) {
+      // Only what is kept in memory can be replayed
+    }
+
+    this.memory.forEach((record) => {
+      if (record.sessionId === sessionId) records.push(record);
+    });
+
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // Pending edits of one file, replaced on every local change. The
+  // operation sent to the server and the edits buffered behind it are kept
+  // apart, as only the first may have reached it.
+  putCodeChange(sessionId, fileId, { revision, document, outstanding, buffer }) {
+    return this.put({
+      key: `code:${sessionId}:${fileId}`,
+      type: 'code-change',
+      sessionId,
+      fileId,
+      revision,
+      document,
+      outstanding: outstanding?.toJSON() ?? null,
+      buffer: buffer?.toJSON() ?? null,
+    });
+  }
+
+  removeCodeChange(sessionId, fileId) {
+    return this.remove(`code:${sessionId}:${fileId}`);
+  }
+
+  async getCodeChanges(sessionId) {
+    const records = await this.getAll(sessionId);
+    return records.filter(record => record.type === 'code-change');
+  }
+
+  queueChatMessage(sessionId, message, clientId, replyTo = null) {
+    return this.put({
+      key: `chat:${sessionId}:${clientId}`,
+      type: 'chat-message',
+      sessionId,
+      clientId,
+      replyTo,
+      message,
+    });
+  }
+
+  removeChatMessage(sessionId, clientId) {
+    return this.remove(`chat:${sessionId}:${clientId}`);
+  }
+
+  queueCursorSelection(sessionId, selection) {
+    return this.put({
+      key: `cursor:${sessionId}`,
+      type: 'cursor-selection',
+      sessionId,
+      selection,
+    });
+  }
+}
+
+// Create singleton instance
+const outbox = new Outbox();
+
+export default outbox;
@@ -0,0 +1,258 @@
+// src/services/projectFiles.js
+// Helpers for multi-file session projects. A project is
+// { files: [{ id, path, content }], folders: [path], entryPoint: fileId }.
+// Folders are listed explicitly so empty ones survive; any folder that
+// contains a file is implied by its path.
+import { v4 as uuidv4 } from 'uuid';
+import { getLanguage, getLanguageForExtension, getMonacoLanguage } from './languages';
+
+// Monaco languages of files that aren't in the language registry
+const OTHER_LANGUAGES_BY_EXTENSION = {
+  json: 'json',
+  md: 'markdown',
+  txt: 'plaintext',
+  html: 'html',
+  css: 'css',
+  yml: 'yaml',
+  yaml: 'yaml',
+  toml: 'plaintext',
+  mod: 'plaintext',
+};
+
+// Get the file extension for a session language
+export const getLanguageExtension = (language) => getLanguage(language)?.extensions[0] || 'txt';
+
+// Default entry file name for a session language
+export const getDefaultFileName = (language) => (
+  getLanguage(language)?.entryFile || `main.${getLanguageExtension(language)}`
+);
+
+// Get the Monaco language for a file path. The fallback may be a session language.
+export const getFileLanguage = (path, fallback = 'plaintext') => {
+  const match = /\.([^./]+)$/.exec(path || '');
+  const extension = match && match[1].toLowerCase();
+  return (extension && (getLanguageForExtension(extension) || OTHER_LANGUAGES_BY_EXTENSION[extension]))
+    || getMonacoLanguage(fallback);
+};
+
+export const getBaseName = (path) => path.split('/').pop();
+
+export const getParentPath = (path) => path.split('/').slice(0, -1).join('/');
+
+export const joinPath = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+// Path of the entry file after switching the session language: the
+// default entry file takes the new default name, any other keeps its name
+// with the new extension
+export const getEntryPathForLanguage = (path, fromLanguage, toLanguage) => {
+  if (getBaseName(path) === getDefaultFileName(fromLanguage)) {
+    return joinPath(getParentPath(path), getDefaultFileName(toLanguage));
+  }
+  return path.replace(/(\.[^./]+)?$/, `.${getLanguageExtension(toLanguage)}`);
+};
+
+// Check a path entered by the user, returning an error message or null
+export const validatePath = (path) => {
+  if (!path || !path.trim()) return 'Name is required';
+  if (path.startsWith('/') || path.endsWith('/')) return 'Path cannot start or end with "/"';
+
+  const segments = path.split('/');
+  if (segments.some(segment => !segment || segment === '.' || segment === '..')) {
+    return 'Path contains an invalid segment';
+  }
+  if (!/^[\w\-./ ]+$/.test(path)) {
+    return 'Only letters, numbers, spaces, "-", "_" and "." are allowed';
+  }
+
+  return null;
+};
+
+const isWithin = (path, folder) => path === folder || path.startsWith(`${folder}/`);
+
+// Every folder in the project, explicit or implied by file paths
+export const getAllFolders = (project) => {
+  const folders = new Set();
+  const addAncestors = (path) => {
+    let parent = getParentPath(path);
+    while (parent) {
+      folders.add(parent);
+      parent = getParentPath(parent);
+    }
+  };
+
+  project.folders.forEach((folder) => {
+    folders.add(folder);
+    addAncestors(folder);
+  });
+  project.files.forEach(file => addAncestors(file.path));
+
+  return Array.from(folders).sort();
+};
+
+export const pathExists = (project, path) =>
+  project.files.some(file => file.path === path) || getAllFolders(project).includes(path);
+
+export const createFileEntry = (path, content = '') => ({
+  id: uuidv4(),
+  path,
+  content,
+});
+
+// Single-file project for a session language
+export const createDefaultProject = (language, content = '') => {
+  const file = { id: 'main', path: getDefaultFileName(language), content };
+  return { files: [file], folders: [], entryPoint: file.id };
+};
+
+// Build a project from a server `code-sync` payload. Older servers only
+// send a single `code` string, which becomes the default file.
+export const normalizeProject = (data, language) => {
+  if (!Array.isArray(data?.files) || data.files.length === 0) {
+    const project = createDefaultProject(language, data?.code || '');
+    project.files[0].revision = data?.revision ?? 0;
+    return project;
+  }
+
+  const files = data.files.map(file => ({
+    id: file.id || file.path,
+    path: file.path,
+    content: file.content || '',
+    revision: file.revision ?? 0,
+  }));
+
+  return {
+    files,
+    folders: data.folders || [],
+    entryPoint: files.some(file => file.id === data.entryPoint) ? data.entryPoint : files[0].id,
+  };
+};
+
+// Apply a file tree change to a project and return the new project.
+// Throws if the change conflicts with the current tree.
+export const applyTreeChange = (project, change) => {
+  switch (change.type) {
+    case 'create-file': {
+      if (pathExists(project, change.file.path)) {
+        throw new Error(`"${change.file.path}" already exists`);
+      }
+      return { ...project, files: [...project.files, change.file] };
+    }
+
+    case 'create-folder': {
+      if (pathExists(project, change.path)) {
+        throw new Error(`"${change.path}" already exists`);
+      }
+      return { ...project, folders: [...project.folders, change.path] };
+    }
+
+    case 'rename': {
+      const { path, newPath } = change;
+      if (path === newPath) return project;
+      if (isWithin(newPath, path)) {
+        throw new Error('Cannot move a folder into itself');
+      }
+      if (pathExists(project, newPath)) {
+        throw new Error(`"${newPath}" already exists`);
+      }
+
+      // Renaming a folder moves everything inside it
+      const movePath = (current) => (
+        isWithin(current, path) ? newPath + current.slice(path.length) : current
+      );
+
+      return {
+        ...project,
+        files: project.files.map(file => ({ ...file, path: movePath(file.path) })),
+        folders: project.folders.map(movePath),
+      };
+    }
+
+    case 'delete': {
+      const files = project.files.filter(file => !isWithin(file.path, change.path));
+      if (files.length === 0) {
+        throw new Error('A project needs at least one file');
+      }
+
+      return {
+        files,
+        folders: project.folders.filter(folder => !isWithin(folder, change.path)),
+        entryPoint: files.some(file => file.id === project.entryPoint)
+          ? project.entryPoint
+          : files[0].id,
+      };
+    }
+
+    case 'set-entry': {
+      if (!project.files.some(file => file.id === change.fileId)) {
+        throw new Error('Entry point must be a file in the project');
+      }
+      return { ...project, entryPoint: change.fileId };
+    }
+
+    default:
+      throw new Error(`Unknown file tree change: ${change.type}`);
+  }
+};
+
+// Nested tree for rendering: [{ name, path, type, children?, file? }]
+export const buildFileTree = (project) => {
+  const root = { children: [] };
+  const nodes = new Map([['', root]]);
+
+  getAllFolders(project).forEach((folder) => {
+    const node = { name: getBaseName(folder), path: folder, type: 'folder', children: [] };
+    nodes.set(folder, node);
+  });
+
+  nodes.forEach((node, path) => {
+    if (path) nodes.get(getParentPath(path)).children.push(node);
+  });
+
+  project.files.forEach((file) => {
+    nodes.get(getParentPath(file.path)).children.push({
+      name: getBaseName(file.path),
+      path: file.path,
+      type: 'file',
+      file,
+    });
+  });
+
+  // Folders first, then alphabetical
+  const sortNodes = (children) => {
+    children.sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+    children.forEach(child => child.children && sortNodes(child.children));
+  };
+  sortNodes(root.children);
+
+  return root.children;
+};
+
+// Files, folders and entry point as stored by the save endpoint
+export const getSavePayload = (project) => ({
+  files: project.files.map(({ id, path, content }) => ({ id, path, content })),
+  folders: project.folders,
+  entryPoint: project.entryPoint,
+});
+
+// Stable string form of a project's content, used to detect unsaved changes
+export const getProjectSnapshot = (project) => JSON.stringify({
+  files: project.files
+    .map(({ path, content }) => [path, content])
+    .sort((a, b) => a[0].localeCompare(b[0])),
+  folders: [...project.folders].sort(),
+  entryPoint: project.files.find(file => file.id === project.entryPoint)?.path,
+});
+
+// Payload sent to the execution service
+export const getExecutionPayload = (project) => {
+  const entryFile = project.files.find(file => file.id === project.entryPoint) || project.files[0];
+
+  return {
+    code: entryFile?.content || '',
+    entryPoint: entryFile?.path,
+    files: project.files.map(({ path, content }) => ({ path, content })),
+  };
+};
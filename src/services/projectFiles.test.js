@@ -0,0 +1,141 @@
+// src/services/projectFiles.test.js
+import {
+  applyTreeChange,
+  buildFileTree,
+  getAllFolders,
+  getEntryPathForLanguage,
+  normalizeProject,
+  validatePath,
+} from './projectFiles';
+
+const createProject = () => ({
+  files: [
+    { id: 'main', path: 'main.py', content: 'print(1)' },
+    { id: 'util', path: 'lib/util.py', content: '' },
+    { id: 'deep', path: 'lib/core/deep.py', content: '' },
+  ],
+  folders: ['empty'],
+  entryPoint: 'main',
+});
+
+const getPaths = (project) => project.files.map(file => file.path);
+
+describe('applyTreeChange', () => {
+  it('creates files and folders', () => {
+    let project = applyTreeChange(createProject(), {
+      type: 'create-file',
+      file: { id: 'new', path: 'lib/new.py', content: '' },
+    });
+    project = applyTreeChange(project, { type: 'create-folder', path: 'docs' });
+
+    expect(getPaths(project)).toContain('lib/new.py');
+    expect(project.folders).toEqual(['empty', 'docs']);
+  });
+
+  it('refuses to create over an existing file or folder', () => {
+    const project = createProject();
+
+    expect(() => applyTreeChange(project, {
+      type: 'create-file',
+      file: { id: 'copy', path: 'main.py', content: '' },
+    })).toThrow('already exists');
+    expect(() => applyTreeChange(project, { type: 'create-folder', path: 'lib' })).toThrow('already exists');
+    expect(() => applyTreeChange(project, { type: 'create-folder', path: 'empty' })).toThrow('already exists');
+  });
+
+  it('moves everything inside a renamed folder', () => {
+    const project = applyTreeChange(
+      { ...createProject(), folders: ['lib/core/empty'] },
+      { type: 'rename', path: 'lib', newPath: 'src' }
+    );
+
+    expect(getPaths(project)).toEqual(['main.py', 'src/util.py', 'src/core/deep.py']);
+    expect(project.folders).toEqual(['src/core/empty']);
+  });
+
+  it('does not move files whose name only starts with the folder name', () => {
+    const project = applyTreeChange(
+      { ...createProject(), files: [...createProject().files, { id: 'x', path: 'library.py', content: '' }] },
+      { type: 'rename', path: 'lib', newPath: 'src' }
+    );
+
+    expect(getPaths(project)).toContain('library.py');
+  });
+
+  it('refuses to move a folder into itself or onto an existing path', () => {
+    const project = createProject();
+
+    expect(() => applyTreeChange(project, { type: 'rename', path: 'lib', newPath: 'lib/inner' }))
+      .toThrow('into itself');
+    expect(() => applyTreeChange(project, { type: 'rename', path: 'main.py', newPath: 'lib/util.py' }))
+      .toThrow('already exists');
+  });
+
+  it('deletes a folder with its contents and moves the entry point if needed', () => {
+    const project = applyTreeChange(
+      { ...createProject(), entryPoint: 'deep' },
+      { type: 'delete', path: 'lib' }
+    );
+
+    expect(getPaths(project)).toEqual(['main.py']);
+    expect(project.entryPoint).toBe('main');
+  });
+
+  it('keeps at least one file', () => {
+    const project = { files: [{ id: 'main', path: 'main.py', content: '' }], folders: [], entryPoint: 'main' };
+
+    expect(() => applyTreeChange(project, { type: 'delete', path: 'main.py' })).toThrow('at least one file');
+  });
+
+  it('only sets an entry point that exists', () => {
+    expect(applyTreeChange(createProject(), { type: 'set-entry', fileId: 'util' }).entryPoint).toBe('util');
+    expect(() => applyTreeChange(createProject(), { type: 'set-entry', fileId: 'missing' })).toThrow();
+  });
+
+  it('leaves the original project untouched', () => {
+    const project = createProject();
+    const before = JSON.stringify(project);
+
+    applyTreeChange(project, { type: 'rename', path: 'lib', newPath: 'src' });
+    applyTreeChange(project, { type: 'delete', path: 'lib' });
+
+    expect(JSON.stringify(project)).toBe(before);
+  });
+
+  it('rejects unknown changes', () => {
+    expect(() => applyTreeChange(createProject(), { type: 'chmod' })).toThrow('Unknown file tree change');
+  });
+});
+
+describe('project helpers', () => {
+  it('lists explicit and implied folders', () => {
+    expect(getAllFolders(createProject())).toEqual(['empty', 'lib', 'lib/core']);
+  });
+
+  it('builds a tree with folders first', () => {
+    const tree = buildFileTree(createProject());
+
+    expect(tree.map(node => node.name)).toEqual(['empty', 'lib', 'main.py']);
+    expect(tree[1].children.map(node => node.name)).toEqual(['core', 'util.py']);
+  });
+
+  it('validates user-entered paths', () => {
+    expect(validatePath('src/main.py')).toBeNull();
+    expect(validatePath('')).toBe('Name is required');
+    expect(validatePath('/main.py')).not.toBeNull();
+    expect(validatePath('src/../main.py')).not.toBeNull();
+    expect(validatePath('main?.py')).not.toBeNull();
+  });
+
+  it('turns a single-file payload into a project', () => {
+    const project = normalizeProject({ code: 'print(1)', revision: 4 }, 'python');
+
+    expect(project.files).toEqual([{ id: 'main', path: 'main.py', content: 'print(1)', revision: 4 }]);
+    expect(project.entryPoint).toBe('main');
+  });
+
+  it('renames the entry file when the language changes', () => {
+    expect(getEntryPathForLanguage('main.py', 'python', 'java')).toBe('Main.java');
+    expect(getEntryPathForLanguage('src/app.py', 'python', 'javascript')).toBe('src/app.js');
+  });
+});
@@ -0,0 +1,171 @@
+// src/services/replay.js
+// Playback of session recordings. The server records everything that goes
+// through a session's socket while recording is on; a recording is
+// { id, startedAt, endedAt, language, files, folders, entryPoint, events }
+// where the files are the project when recording started and each event is
+// { type, timestamp, user: { id, username }, ...data } with one of
+//   'code-change'       { fileId, operation }
+//   'code-sync'         { files, folders, entryPoint, language } (restore, language switch)
+//   'file-tree-change'  { change }
+//   'cursor'            { socketId, fileId, position, selections }
+//   'execution-started' { executionId }
+//   'execution-result'  { executionId, output }
+//   'execution-error'   { executionId, error }
+//   'chat-message'      { message } (the message as chat listeners get it)
+import { TextOperation } from './ot';
+import { applyTreeChange, normalizeProject } from './projectFiles';
+
+// Keep a copy of the state every this many events, so seeking only
+// replays the events since the closest one
+const CHECKPOINT_INTERVAL = 200;
+
+// Events shown as markers on the timeline
+export const MARKER_TYPES = ['execution-started', 'execution-result', 'execution-error', 'chat-message'];
+
+const toTime = (value) => new Date(value).getTime();
+
+const EMPTY_EXECUTION = { isRunning: false, output: '', error: null, executedBy: null };
+
+const applyEvent = (state, event) => {
+  switch (event.type) {
+    case 'code-change': {
+      const fileId = event.fileId || 'main';
+      const operation = TextOperation.fromJSON(event.operation);
+      state.project = {
+        ...state.project,
+        files: state.project.files.map(file => (
+          file.id === fileId ? { ...file, content: operation.apply(file.content) } : file
+        )),
+      };
+      state.lastEditedFileId = fileId;
+      break;
+    }
+
+    case 'code-sync':
+      state.language = event.language || state.language;
+      state.project = normalizeProject(event, state.language);
+      break;
+
+    case 'file-tree-change':
+      state.project = applyTreeChange(state.project, event.change);
+      break;
+
+    case 'cursor':
+      state.cursors = new Map(state.cursors).set(event.socketId, {
+        userId: event.user?.id,
+        username: event.user?.username,
+        fileId: event.fileId || 'main',
+        position: event.position,
+        selections: event.selections || [],
+        time: event.time,
+      });
+      break;
+
+    case 'execution-started':
+      state.execution = { ...EMPTY_EXECUTION, isRunning: true, executedBy: event.user?.username };
+      break;
+
+    case 'execution-result':
+      state.execution = { ...state.execution, isRunning: false, output: event.output || '' };
+      break;
+
+    case 'execution-error':
+      state.execution = { ...state.execution, isRunning: false, error: event.error || 'Execution failed' };
+      break;
+
+    default:
+      break;
+  }
+};
+
+// Index of the last event at or before `time`, or -1
+const findEventIndex = (events, time) => {
+  let low = 0;
+  let high = events.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (events[middle].time <= time) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return found;
+};
+
+// A recording prepared for seeking. Event times are in milliseconds from
+// the start of the recording.
+export class ReplayTimeline {
+  constructor(recording) {
+    const startedAt = toTime(recording.startedAt);
+
+    this.id = recording.id || recording._id;
+    this.startedAt = startedAt;
+    this.events = (recording.events || [])
+      .map((event, index) => ({ ...event, index, time: Math.max(0, toTime(event.timestamp) - startedAt) }))
+      .sort((a, b) => a.time - b.time || a.index - b.index)
+      .map((event, index) => ({ ...event, index }));
+
+    const lastEventTime = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+    this.duration = recording.endedAt
+      ? Math.max(toTime(recording.endedAt) - startedAt, lastEventTime)
+      : lastEventTime;
+
+    this.markers = this.events.filter(event => MARKER_TYPES.includes(event.type));
+    this.chatEvents = this.events.filter(event => event.type === 'chat-message');
+    this.checkpoints = [{
+      index: -1,
+      state: {
+        language: recording.language,
+        project: normalizeProject(recording, recording.language),
+        cursors: new Map(),
+        execution: EMPTY_EXECUTION,
+        lastEditedFileId: null,
+      },
+    }];
+  }
+
+  // Session state once every event up to `time` has happened:
+  // { language, project, cursors, execution, lastEditedFileId, chatMessages, eventIndex }
+  stateAt(time) {
+    const eventIndex = findEventIndex(this.events, time);
+    let checkpoint = this.checkpoints[0];
+    for (let i = this.checkpoints.length - 1; i >= 0; i--) {
+      if (this.checkpoints[i].index <= eventIndex) {
+        checkpoint = this.checkpoints[i];
+        break;
+      }
+    }
+
+    const state = { ...checkpoint.state };
+    for (let index = checkpoint.index + 1; index <= eventIndex; index++) {
+      try {
+        applyEvent(state, this.events[index]);
+      } catch (error) {
+        // Skip an event that doesn't fit; the rest of the recording still plays
+      }
+
+      const lastCheckpoint = this.checkpoints[this.checkpoints.length - 1];
+      if (index - lastCheckpoint.index >= CHECKPOINT_INTERVAL && index > lastCheckpoint.index) {
+        this.checkpoints.push({ index, state: { ...state } });
+      }
+    }
+
+    return {
+      ...state,
+      chatMessages: this.chatEvents
+        .slice(0, findEventIndex(this.chatEvents, time) + 1)
+        .map(event => ({ ...event.message, time: event.time })),
+      eventIndex,
+    };
+  }
+}
+
+// "m:ss" for a time in milliseconds
+export const formatReplayTime = (time) => {
+  const seconds = Math.floor(time / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
@@ -0,0 +1,128 @@
+// src/services/replay.test.js
+import { ReplayTimeline, formatReplayTime } from './replay';
+import { TextOperation } from './ot';
+
+const START = Date.parse('2024-01-01T10:00:00Z');
+const at = (ms) => new Date(START + ms).toISOString();
+const user = { id: 'u1', username: 'ada' };
+
+// An event typing `text` at the end of `before`
+const typing = (ms, before, text) => ({
+  type: 'code-change',
+  timestamp: at(ms),
+  user,
+  fileId: 'main',
+  operation: new TextOperation().retain(before.length).insert(text).toJSON(),
+});
+
+const createRecording = (events) => ({
+  id: 'rec1',
+  startedAt: at(0),
+  endedAt: at(10000),
+  language: 'python',
+  files: [{ id: 'main', path: 'main.py', content: '' }],
+  folders: [],
+  entryPoint: 'main',
+  events,
+});
+
+const contentAt = (timeline, time) => timeline.stateAt(time).project.files[0].content;
+
+describe('ReplayTimeline', () => {
+  it('rebuilds the code at any point in time', () => {
+    const timeline = new ReplayTimeline(createRecording([
+      typing(1000, '', 'a'),
+      typing(2000, 'a', 'b'),
+      typing(3000, 'ab', 'c'),
+    ]));
+
+    expect(timeline.duration).toBe(10000);
+    expect(contentAt(timeline, 0)).toBe('');
+    expect(contentAt(timeline, 1000)).toBe('a');
+    expect(contentAt(timeline, 2500)).toBe('ab');
+    expect(contentAt(timeline, 10000)).toBe('abc');
+    // Seeking back starts over from the recording's files
+    expect(contentAt(timeline, 1500)).toBe('a');
+  });
+
+  it('orders events by time', () => {
+    const timeline = new ReplayTimeline(createRecording([
+      typing(2000, 'a', 'b'),
+      typing(1000, '', 'a'),
+    ]));
+
+    expect(contentAt(timeline, 10000)).toBe('ab');
+  });
+
+  it('gives the same state from checkpoints as from a full replay', () => {
+    const events = [];
+    let content = '';
+    for (let i = 0; i < 450; i++) {
+      const text = String(i % 10);
+      events.push(typing(i * 10, content, text));
+      content += text;
+    }
+    const recording = createRecording(events);
+
+    const seeking = new ReplayTimeline(recording);
+    seeking.stateAt(4490);
+    expect(seeking.checkpoints.length).toBeGreaterThan(1);
+
+    [3000, 1234, 4490, 0, 2010].forEach((time) => {
+      expect(contentAt(seeking, time)).toBe(contentAt(new ReplayTimeline(recording), time));
+    });
+    expect(contentAt(seeking, 4490)).toBe(content);
+  });
+
+  it('replays file tree changes and language switches', () => {
+    const timeline = new ReplayTimeline(createRecording([
+      {
+        type: 'file-tree-change',
+        timestamp: at(1000),
+        user,
+        change: { type: 'create-file', file: { id: 'util', path: 'util.py', content: 'x = 1' } },
+      },
+      {
+        type: 'code-sync',
+        timestamp: at(2000),
+        user,
+        language: 'javascript',
+        files: [{ id: 'main', path: 'main.js', content: 'let x;' }],
+        folders: [],
+        entryPoint: 'main',
+      },
+    ]));
+
+    expect(timeline.stateAt(1000).project.files.map(file => file.path)).toEqual(['main.py', 'util.py']);
+
+    const state = timeline.stateAt(2000);
+    expect(state.language).toBe('javascript');
+    expect(state.project.files.map(file => file.path)).toEqual(['main.js']);
+  });
+
+  it('tracks executions and chat up to the current time', () => {
+    const timeline = new ReplayTimeline(createRecording([
+      { type: 'execution-started', timestamp: at(1000), user, executionId: 'e1' },
+      { type: 'chat-message', timestamp: at(1500), user, message: { id: 'm1', message: 'running' } },
+      { type: 'execution-result', timestamp: at(2000), user, executionId: 'e1', output: 'ok' },
+    ]));
+
+    expect(timeline.markers).toHaveLength(3);
+
+    const running = timeline.stateAt(1200);
+    expect(running.execution.isRunning).toBe(true);
+    expect(running.execution.executedBy).toBe('ada');
+    expect(running.chatMessages).toEqual([]);
+
+    const done = timeline.stateAt(2000);
+    expect(done.execution).toMatchObject({ isRunning: false, output: 'ok' });
+    expect(done.chatMessages.map(message => message.id)).toEqual(['m1']);
+  });
+});
+
+describe('formatReplayTime', () => {
+  it('formats milliseconds as minutes and seconds', () => {
+    expect(formatReplayTime(0)).toBe('0:00');
+    expect(formatReplayTime(65400)).toBe('1:05');
+  });
+});
@@ -0,0 +1,311 @@
+// src/services/sessionArchive.js
+// Session export and import. An exported session is a zip holding
+//   manifest.json    { format, version, exportedAt, session, entryPoint, folders }
+//   files/...        the project files at their paths (empty folders as entries)
+//   tests.json       the test cases
+//   chat.json        the chat messages, plus chat.txt as a readable transcript
+//   executions.json  the execution history
+// Importing reads such an archive, or any zip or folder of source files,
+// into the fields `sessionAPI.create` takes.
+import JSZip from 'jszip';
+import { format } from 'date-fns';
+import { getLanguages } from './languages';
+import { getBaseName, getDefaultFileName, validatePath } from './projectFiles';
+import { normalizeTestCases } from './testCases';
+
+export const ARCHIVE_FORMAT = 'codecollab-session';
+export const ARCHIVE_VERSION = 1;
+
+const FILES_FOLDER = 'files/';
+
+// Files larger than this, or more of them than this, are left out of an import
+const MAX_FILE_SIZE = 512 * 1024;
+const MAX_FILES = 200;
+
+// Folders never worth importing from a source folder
+const IGNORED_FOLDERS = ['node_modules', '.git', '__pycache__', 'target', 'build', 'dist', '.idea', '.vscode'];
+
+const isIgnoredPath = (path) => path.split('/').some(segment => (
+  IGNORED_FOLDERS.includes(segment) || segment === '.DS_Store' || segment === '__MACOSX'
+));
+
+const formatTranscriptLine = (message) => {
+  const time = message.timestamp ? format(new Date(message.timestamp), 'yyyy-MM-dd HH:mm') : '';
+  const text = message.deleted ? '(deleted)' : (message.message || message.content || '');
+  return `[${time}] ${message.username || 'Unknown'}: ${text}`;
+};
+
+// File name for a session's archive, e.g. "my-session-2024-05-01.zip"
+export const getArchiveFileName = (session) => {
+  const slug = (session?.name || 'session')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'session';
+  return `${slug}-${format(new Date(), 'yyyy-MM-dd')}.zip`;
+};
+
+// Zip a session up as a Blob
+export const createSessionArchive = async ({
+  session,
+  project,
+  testCases = [],
+  chatMessages = [],
+  executionHistory = [],
+}) => {
+  const zip = new JSZip();
+  const entryFile = project.files.find(file => file.id === project.entryPoint);
+
+  zip.file('manifest.json', JSON.stringify({
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      name: session.name,
+      description: session.description || '',
+      language: session.language,
+      sessionCode: session.sessionCode,
+      settings: {
+        maxParticipants: session.settings?.maxParticipants || 5,
+        allowAnonymous: session.settings?.allowAnonymous || false,
+        executionEnabled: session.settings?.executionEnabled ?? true,
+      },
+    },
+    entryPoint: entryFile?.path || null,
+    folders: project.folders,
+  }, null, 2));
+
+  project.folders.forEach(folder => zip.folder(`${FILES_FOLDER}${folder}`));
+  project.files.forEach(file => zip.file(`${FILES_FOLDER}${file.path}`, file.content || ''));
+
+  zip.file('tests.json', JSON.stringify(testCases, null, 2));
+  zip.file('chat.json', JSON.stringify(chatMessages, null, 2));
+  zip.file('chat.txt', chatMessages.map(formatTranscriptLine).join('\n'));
+  zip.file('executions.json', JSON.stringify(executionHistory, null, 2));
+
+  return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+};
+
+// Save a Blob through the browser's download prompt
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Text of a file, or null if it looks binary or wasn't read
+const decodeText = (bytes) => {
+  if (!bytes || bytes.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Bytes of a zip entry, or null if it is larger than MAX_FILE_SIZE or
+// can't be read. Decompressing stops as soon as the limit is passed, so
+// an oversized entry is never inflated in full.
+const readZipEntry = (entry) => {
+  return new Promise((resolve) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('uint8array');
+
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_FILE_SIZE) {
+          stream.pause();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', () => resolve(null))
+      .on('end', () => {
+        const bytes = new Uint8Array(size);
+        let offset = 0;
+        chunks.forEach((chunk) => {
+          bytes.set(chunk, offset);
+          offset += chunk.length;
+        });
+        resolve(bytes);
+      })
+      .resume();
+  });
+};
+
+// Read entries one at a time, in path order, until MAX_FILES of them turned
+// out to be text. The rest are only listed (content null, so skipped).
+const readEntries = async (sources, getPath, read) => {
+  const entries = [];
+  let textFiles = 0;
+
+  const sorted = [...sources].sort((a, b) => getPath(a).localeCompare(getPath(b)));
+  for (const source of sorted) {
+    const bytes = textFiles < MAX_FILES ? await read(source) : null;
+    const content = decodeText(bytes);
+    if (content !== null) textFiles++;
+    entries.push({ path: getPath(source), content });
+  }
+
+  return entries;
+};
+
+// Drop the folder every path shares, as when a project folder was zipped
+const stripCommonFolder = (entries) => {
+  const first = entries[0]?.path.split('/')[0];
+  const shared = first && entries.every(entry => entry.path.startsWith(`${first}/`));
+  return shared
+    ? entries.map(entry => ({ ...entry, path: entry.path.slice(first.length + 1) }))
+    : entries;
+};
+
+// Session language most of the files are written in
+const detectLanguage = (files, fallback) => {
+  const counts = new Map();
+  files.forEach((file) => {
+    const extension = /\.([^./]+)$/.exec(file.path)?.[1].toLowerCase();
+    const language = extension && getLanguages().find(entry => entry.available && entry.extensions.includes(extension));
+    if (language) counts.set(language.name, (counts.get(language.name) || 0) + 1);
+  });
+
+  let detected = fallback;
+  let best = 0;
+  counts.forEach((count, name) => {
+    if (count > best) {
+      detected = name;
+      best = count;
+    }
+  });
+  return detected;
+};
+
+// Entry file for a plain folder: the language's default file name, or
+// the first file in that language
+const detectEntryPoint = (files, language) => {
+  const defaultName = getDefaultFileName(language);
+  const extension = defaultName.split('.').pop();
+  const match = files.find(file => getBaseName(file.path) === defaultName)
+    || files.find(file => file.path.endsWith(`.${extension}`))
+    || files[0];
+  return match?.path || null;
+};
+
+// Turn read entries into session fields. `skipped` counts files that
+// were left out (binary, too large, invalid path or over the limit).
+const buildImport = (entries, folders, { manifest = null, fallbackName, fallbackLanguage }) => {
+  let skipped = 0;
+  const files = [];
+
+  entries.forEach((entry) => {
+    if (entry.content === null || validatePath(entry.path) || files.length >= MAX_FILES) {
+      skipped++;
+      return;
+    }
+    files.push({ path: entry.path, content: entry.content });
+  });
+
+  if (files.length === 0) {
+    throw new Error('No source files found to import');
+  }
+
+  const language = manifest?.session?.language || detectLanguage(files, fallbackLanguage);
+  const entryPoint = manifest?.entryPoint && files.some(file => file.path === manifest.entryPoint)
+    ? manifest.entryPoint
+    : detectEntryPoint(files, language);
+
+  return {
+    name: manifest?.session?.name || fallbackName,
+    description: manifest?.session?.description || '',
+    language,
+    settings: manifest?.session?.settings || {},
+    files,
+    folders: folders.filter(folder => !validatePath(folder)),
+    entryPoint,
+    skipped,
+  };
+};
+
+const getNameWithoutExtension = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// Read a zip: a CodeCollab export, or any zip of source files.
+// Resolves to the import (see buildImport) plus `testCases`.
+export const readSessionArchive = async (file, { fallbackLanguage = 'javascript' } = {}) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    throw new Error('This file is not a valid zip archive');
+  }
+
+  let manifest = null;
+  const manifestFile = zip.file('manifest.json');
+  if (manifestFile) {
+    try {
+      const parsed = JSON.parse(decodeText(await readZipEntry(manifestFile)));
+      if (parsed?.format === ARCHIVE_FORMAT) manifest = parsed;
+    } catch (error) {
+      // Not ours; read it as plain source files
+    }
+  }
+
+  if (manifest && manifest.version > ARCHIVE_VERSION) {
+    throw new Error('This archive was exported by a newer version of CodeCollab');
+  }
+
+  const zipEntries = Object.values(zip.files).filter(entry => (
+    !isIgnoredPath(entry.name) && (!manifest || entry.name.startsWith(FILES_FOLDER))
+  ));
+
+  let entries = await readEntries(
+    zipEntries.filter(entry => !entry.dir),
+    entry => (manifest ? entry.name.slice(FILES_FOLDER.length) : entry.name),
+    readZipEntry
+  );
+
+  const folders = manifest?.folders || [];
+  if (!manifest) {
+    entries = stripCommonFolder(entries);
+  }
+
+  const project = buildImport(entries, folders, {
+    manifest,
+    fallbackName: getNameWithoutExtension(file.name),
+    fallbackLanguage,
+  });
+
+  let testCases = [];
+  const testsFile = manifest && zip.file('tests.json');
+  if (testsFile) {
+    try {
+      testCases = normalizeTestCases(JSON.parse(decodeText(await readZipEntry(testsFile))));
+    } catch (error) {
+      testCases = [];
+    }
+  }
+
+  return { ...project, testCases };
+};
+
+// Read the files picked from a folder (an input with `webkitdirectory`)
+export const readSourceFolder = async (fileList, { fallbackLanguage = 'javascript' } = {}) => {
+  const picked = Array.from(fileList).filter(file => !isIgnoredPath(file.webkitRelativePath || file.name));
+  const folderName = (picked[0]?.webkitRelativePath || '').split('/')[0] || 'Imported project';
+
+  const entries = stripCommonFolder(await readEntries(
+    picked,
+    file => file.webkitRelativePath || file.name,
+    async file => (file.size > MAX_FILE_SIZE ? null : new Uint8Array(await file.arrayBuffer()))
+  ));
+
+  return {
+    ...buildImport(entries, [], { fallbackName: folderName, fallbackLanguage }),
+    testCases: [],
+  };
+};
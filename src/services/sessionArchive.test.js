@@ -0,0 +1,135 @@
+// src/services/sessionArchive.test.js
+import { TextDecoder, TextEncoder } from 'util';
+import JSZip from 'jszip';
+import { ARCHIVE_FORMAT, createSessionArchive, readSessionArchive, readSourceFolder } from './sessionArchive';
+
+// jsdom doesn't provide TextDecoder
+if (!global.TextDecoder) {
+  global.TextDecoder = TextDecoder;
+}
+
+const session = {
+  name: 'Graph Algorithms',
+  description: 'BFS and DFS practice',
+  language: 'python',
+  sessionCode: 'ABC123',
+  settings: { maxParticipants: 4, allowAnonymous: true, executionEnabled: false },
+};
+
+const project = {
+  files: [
+    { id: 'a', path: 'main.py', content: 'from graph import bfs\n' },
+    { id: 'b', path: 'graph/__init__.py', content: '' },
+    { id: 'c', path: 'graph/bfs.py', content: 'def bfs(start):\n    return [start]\n' },
+  ],
+  folders: ['data'],
+  entryPoint: 'c',
+};
+
+// JSZip reads bytes just like a File; the name is what the import uses
+const asFile = async (zip, name) => Object.assign(
+  await zip.generateAsync({ type: 'uint8array' }),
+  { name }
+);
+
+// The exported Blob, as a picked file
+const blobToFile = (blob, name) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(Object.assign(new Uint8Array(reader.result), { name }));
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('session archives', () => {
+  it('imports what was exported', async () => {
+    const testCases = [{ id: 't1', name: 'Start only', input: '1', expectedOutput: '[1]' }];
+    const blob = await createSessionArchive({
+      session,
+      project,
+      testCases,
+      chatMessages: [{ username: 'ada', message: 'hi', timestamp: '2024-01-01T10:00:00Z' }],
+      executionHistory: [],
+    });
+
+    const imported = await readSessionArchive(await blobToFile(blob, 'graph.zip'));
+
+    expect(imported).toMatchObject({
+      name: session.name,
+      description: session.description,
+      language: 'python',
+      settings: session.settings,
+      folders: ['data'],
+      entryPoint: 'graph/bfs.py',
+      skipped: 0,
+      testCases,
+    });
+    expect(imported.files).toEqual(
+      project.files
+        .map(({ path, content }) => ({ path, content }))
+        .sort((a, b) => a.path.localeCompare(b.path))
+    );
+  });
+
+  it('reads a plain zip of source files', async () => {
+    const zip = new JSZip();
+    zip.file('project/src/Main.java', 'class Main {}');
+    zip.file('project/src/Util.java', 'class Util {}');
+    zip.file('project/README.md', '# Project');
+    zip.file('project/node_modules/left-pad/index.js', 'module.exports = 1;');
+    zip.file('project/logo.png', new Uint8Array([137, 80, 78, 71, 0, 0]));
+
+    const imported = await readSessionArchive(await asFile(zip, 'project.zip'), { fallbackLanguage: 'python' });
+
+    expect(imported.name).toBe('project');
+    expect(imported.language).toBe('java');
+    expect(imported.entryPoint).toBe('src/Main.java');
+    expect(imported.files.map(file => file.path)).toEqual(['README.md', 'src/Main.java', 'src/Util.java']);
+    // The binary file
+    expect(imported.skipped).toBe(1);
+    expect(imported.testCases).toEqual([]);
+  });
+
+  it('skips files over the size limit', async () => {
+    const zip = new JSZip();
+    zip.file('main.js', 'console.log(1);');
+    zip.file('huge.js', 'x'.repeat(600 * 1024));
+
+    const imported = await readSessionArchive(await asFile(zip, 'huge.zip'));
+
+    expect(imported.files.map(file => file.path)).toEqual(['main.js']);
+    expect(imported.skipped).toBe(1);
+  });
+
+  it('refuses archives from a newer version', async () => {
+    const zip = new JSZip();
+    zip.file('manifest.json', JSON.stringify({ format: ARCHIVE_FORMAT, version: 99 }));
+    zip.file('files/main.py', 'print(1)');
+
+    await expect(readSessionArchive(await asFile(zip, 'new.zip'))).rejects.toThrow('newer version');
+  });
+
+  it('rejects files that are not zips', async () => {
+    const file = Object.assign(new Uint8Array([1, 2, 3]), { name: 'notes.zip' });
+
+    await expect(readSessionArchive(file)).rejects.toThrow('not a valid zip');
+  });
+
+  it('reads a picked source folder', async () => {
+    const pick = (path, content) => ({
+      name: path.split('/').pop(),
+      webkitRelativePath: path,
+      size: content.length,
+      arrayBuffer: async () => new TextEncoder().encode(content).buffer,
+    });
+
+    const imported = await readSourceFolder([
+      pick('app/main.py', 'print(1)'),
+      pick('app/.git/HEAD', 'ref: refs/heads/main'),
+      pick('app/lib/helpers.py', 'X = 1'),
+    ]);
+
+    expect(imported.name).toBe('app');
+    expect(imported.language).toBe('python');
+    expect(imported.entryPoint).toBe('main.py');
+    expect(imported.files.map(file => file.path)).toEqual(['lib/helpers.py', 'main.py']);
+  });
+});
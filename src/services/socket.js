@@ -1,19 +1,40 @@
 // src/services/socket.js
 import { io } from 'socket.io-client';
 import toast from 'react-hot-toast';
+import { v4 as uuidv4 } from 'uuid';
+import outbox from './outbox';
+import { getAccessToken, subscribeToAuth } from './authSession';
+import { refreshAccessToken } from './api';
+
+// How long to wait for the server to acknowledge a chat message before
+// leaving it queued for the next reconnect
+const CHAT_ACK_TIMEOUT = 10000;
 
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
+    // Set once the server accepts the access token (`auth-success`)
+    this.isAuthenticated = false;
+    // Whether an auth error was already answered with a token refresh
+    this.authRetried = false;
     this.eventListeners = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
+
+    // Present every refreshed access token, so the server never holds an expired one
+    subscribeToAuth((event) => {
+      if (event.type !== 'logout' && this.socket?.connected) {
+        this.authenticate();
+      }
+    });
   }
 
-  // Initialize socket connection
-  connect(user) {
+  // Initialize socket connection. The access token goes in the
+  // handshake, read again for every reconnect; the server answers with
+  // `auth-success`, or rejects the handshake / emits `auth-error`.
+  connect() {
     if (this.socket?.connected) {
       return this.socket;
     }
@@ -27,33 +48,30 @@ class SocketService {
       reconnection: true,
       reconnectionDelay: this.reconnectDelay,
       reconnectionAttempts: this.maxReconnectAttempts,
+      auth: (callback) => callback({ token: getAccessToken() }),
     });
 
-    this.setupEventListeners(user);
+    this.setupEventListeners();
     return this.socket;
   }
 
   // Setup basic socket event listeners
-  setupEventListeners(user) {
+  setupEventListeners() {
     if (!this.socket) return;
 
     // Connection events
     this.socket.on('connect', () => {
       console.log('🔌 Socket connected:', this.socket.id);
       this.isConnected = true;
+      this.isAuthenticated = false;
       this.reconnectAttempts = 0;
-      
-      // Authenticate user
-      if (user) {
-        this.authenticate(user);
-      }
-      
       this.emit('custom:connected');
     });
 
     this.socket.on('disconnect', (reason) => {
       console.log('🔌 Socket disconnected:', reason);
       this.isConnected = false;
+      this.isAuthenticated = false;
       this.emit('custom:disconnected', reason);
       
       if (reason === 'io server disconnect') {
@@ -63,6 +81,12 @@ class SocketService {
     });
 
     this.socket.on('connect_error', (error) => {
+      // The handshake was rejected for its token
+      if (error.message === 'auth-error') {
+        this.handleAuthError(error.data || {});
+        return;
+      }
+
       console.error('❌ Socket connection error:', error);
       this.reconnectAttempts++;
       
@@ -73,13 +97,14 @@ class SocketService {
       this.emit('custom:connect_error', error);
     });
 
-    this.socket.on('reconnect', (attemptNumber) => {
+    // Reconnection events are emitted by the manager, not the socket
+    this.socket.io.on('reconnect', (attemptNumber) => {
       console.log('🔄 Socket reconnected after', attemptNumber, 'attempts');
       toast.success('Connection restored');
       this.emit('custom:reconnected', attemptNumber);
     });
 
-    this.socket.on('reconnect_failed', () => {
+    this.socket.io.on('reconnect_failed', () => {
       console.error('❌ Socket reconnection failed');
       toast.error('Failed to reconnect. Please refresh the page.');
       this.emit('custom:reconnect_failed');
@@ -88,13 +113,13 @@ class SocketService {
     // Authentication events
     this.socket.on('auth-success', (data) => {
       console.log('✅ Socket authentication successful');
+      this.isAuthenticated = true;
+      this.authRetried = false;
       this.emit('custom:auth-success', data);
     });
 
     this.socket.on('auth-error', (data) => {
-      console.error('❌ Socket authentication failed:', data);
-      toast.error(data.message || 'Authentication failed');
-      this.emit('custom:auth-error', data);
+      this.handleAuthError(data || {});
     });
 
     // Error handling
@@ -105,35 +130,50 @@ class SocketService {
     });
   }
 
-  // Authenticate user with socket
-  authenticate(user) {
-    if (!this.socket?.connected) {
-      console.warn('Cannot authenticate: socket not connected');
+  // The token was refused, most likely expired: refresh it and connect
+  // again, once. A second refusal is reported.
+  async handleAuthError(data) {
+    this.isAuthenticated = false;
+
+    if (!this.authRetried) {
+      this.authRetried = true;
+      try {
+        await refreshAccessToken();
+        if (this.socket) {
+          this.socket.disconnect();
+          this.socket.connect();
+        }
+        return;
+      } catch (error) {
+        // Signed out if the server refused the refresh; report the original error
+      }
+    }
+
+    console.error('❌ Socket authentication failed:', data);
+    toast.error(data.message || 'Authentication failed');
+    this.emit('custom:auth-error', data);
+  }
+
+  // Present a refreshed access token on the open connection
+  authenticate() {
+    const token = getAccessToken();
+    if (!this.socket?.connected || !token) {
+      console.warn('Cannot authenticate: socket not connected or signed out');
       return;
     }
 
-    this.socket.emit('authenticate', {
-      id: user.id,
-      username: user.username,
-      profile: user.profile,
-    });
+    this.socket.emit('authenticate', { token });
   }
 
-  // Join a collaborative session
-  joinSession(sessionId, user) {
-    if (!this.socket?.connected) {
-      console.warn('Cannot join session: socket not connected');
+  // Join a collaborative session. Only once authenticated: the server
+  // takes the user, and checks access, from the handshake token alone.
+  joinSession(sessionId) {
+    if (!this.socket?.connected || !this.isAuthenticated) {
+      console.warn('Cannot join session: socket not connected or not authenticated');
       return false;
     }
 
-    this.socket.emit('join-session', {
-      sessionId,
-      user: {
-        id: user.id,
-        username: user.username,
-        profile: user.profile,
-      },
-    });
+    this.socket.emit('join-session', { sessionId });
 
     return true;
   }
@@ -145,18 +185,28 @@ class SocketService {
     this.socket.emit('leave-session', sessionId);
   }
 
-  // Send code changes
-  sendCodeChange(sessionId, code, operation) {
+  // Send a code operation for one project file, based on the given revision
+  sendCodeChange(sessionId, fileId, revision, operation) {
     if (!this.socket?.connected) return;
 
     this.socket.emit('code-change', {
       sessionId,
-      code,
-      operation,
+      fileId,
+      revision,
+      operation: operation.toJSON(),
       timestamp: Date.now(),
     });
   }
 
+  // Ask for a fresh `code-sync` of every file, sent to this client only.
+  // Used when a remote operation no longer fits the local document.
+  requestCodeSync(sessionId) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('code-sync-request', { sessionId });
+    return true;
+  }
+
   // Send cursor position
   sendCursorPosition(sessionId, position) {
     if (!this.socket?.connected) return;
@@ -168,28 +218,270 @@ class SocketService {
     });
   }
 
-  // Execute code
-  executeCode(sessionId, code, language, input = '') {
+  // Send caret position and selection ranges in one file:
+  // { fileId, position: { line, column }, selections: [{ start, end }] }.
+  // The latest one is kept while offline.
+  sendCursorSelection(sessionId, selection) {
+    if (!this.socket?.connected) {
+      outbox.queueCursorSelection(sessionId, selection);
+      return;
+    }
+
+    this.socket.emit('cursor-selection', {
+      sessionId,
+      ...selection,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Send the part of a file this user is looking at, so others can follow
+  // along: { fileId, visibleRange: { startLine, endLine }, scrollLeft }
+  sendViewport(sessionId, viewport) {
+    if (!this.socket?.connected) return;
+
+    this.socket.emit('viewport-update', {
+      sessionId,
+      ...viewport,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Send a file tree change (create, rename/move, delete, entry point)
+  sendFileTreeChange(sessionId, change) {
+    if (!this.socket?.connected) return;
+
+    this.socket.emit('file-tree-change', {
+      sessionId,
+      ...change,
+      timestamp: Date.now(),
+    });
+  }
+
+  // New line ranges of review comments moved by a local edit. Every client
+  // moves the anchors with its own copy of the code; only the author of
+  // the edit reports them so the server can persist them.
+  sendCommentAnchors(sessionId, fileId, anchors) {
     if (!this.socket?.connected) return;
 
+    this.socket.emit('comment-anchors', {
+      sessionId,
+      fileId,
+      anchors,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Restore a saved version for everyone. The server answers with a
+  // `code-sync` of the restored files to the whole session.
+  restoreCodeVersion(sessionId, versionId) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('code-restore', {
+      sessionId,
+      versionId,
+      timestamp: Date.now(),
+    });
+    return true;
+  }
+
+  // Switch the session to another language (creator only). The entry file
+  // is renamed to `entryFileName` and, unless `template` is null, its code
+  // is replaced with it. The server records the change in the session
+  // history, sends `session-language-changed` to the whole session and
+  // follows with a `code-sync` of the files.
+  changeSessionLanguage(sessionId, { language, entryFileName, template = null }) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('session-language-change', {
+      sessionId,
+      language,
+      entryFileName,
+      template,
+      timestamp: Date.now(),
+    });
+    return true;
+  }
+
+  // Start or stop recording the session (creator only). While recording,
+  // the server keeps every code change, cursor move, execution and chat
+  // message with its timestamp, and tells the session through
+  // `recording-status` so everyone knows they are being recorded.
+  startRecording(sessionId) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('recording-start', { sessionId, timestamp: Date.now() });
+    return true;
+  }
+
+  stopRecording(sessionId) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('recording-stop', { sessionId, timestamp: Date.now() });
+    return true;
+  }
+
+  // Execute code. `project` carries the full file set and entry point
+  // for multi-file sessions. Output is streamed back as `execution-stdout`
+  // and `execution-stderr` chunks followed by `execution-exit`; `input` is
+  // written to stdin before anything typed while the program runs.
+  // Returns the id of the run, or null if not connected.
+  executeCode(sessionId, code, language, input = '', project = null) {
+    if (!this.socket?.connected) return null;
+
+    const executionId = uuidv4();
     this.socket.emit('execute-code', {
       sessionId,
+      executionId,
       code,
       language,
       input,
+      files: project?.files,
+      entryPoint: project?.entryPoint,
+      stream: true,
+      timestamp: Date.now(),
+    });
+    return executionId;
+  }
+
+  // Write to the stdin of a running program. `eof` closes its stdin.
+  sendExecutionInput(sessionId, executionId, data, { eof = false } = {}) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('execution-stdin', {
+      sessionId,
+      executionId,
+      data,
+      eof,
+      timestamp: Date.now(),
+    });
+    return true;
+  }
+
+  // Kill a running program. The server answers with `execution-exit`.
+  stopExecution(sessionId, executionId) {
+    if (!this.socket?.connected) return;
+
+    this.socket.emit('execution-stop', {
+      sessionId,
+      executionId,
       timestamp: Date.now(),
     });
   }
 
-  // Send chat message
-  sendChatMessage(sessionId, message) {
+  // Share the progress and results of a test run with the session
+  sendTestResults(sessionId, testRun) {
     if (!this.socket?.connected) return;
 
-    this.socket.emit('chat-message', {
+    this.socket.emit('test-results', {
+      sessionId,
+      testRun,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Send chat message. Every message is queued until the server
+  // acknowledges it with its id, and resent after a reconnect otherwise;
+  // the `clientId` lets the server and other clients drop the duplicates.
+  // `replyTo` is the id of the message that starts the thread.
+  // Returns false if it waits for the connection.
+  sendChatMessage(sessionId, message, replyTo = null) {
+    const clientId = uuidv4();
+    const timestamp = Date.now();
+    const isConnected = !!this.socket?.connected;
+
+    outbox.queueChatMessage(sessionId, message, clientId, replyTo).then(() => {
+      if (this.socket?.connected) {
+        this.emitChatMessage(sessionId, { message, clientId, replyTo, timestamp });
+      }
+    });
+
+    return isConnected;
+  }
+
+  emitChatMessage(sessionId, { message, clientId, replyTo = null, timestamp }) {
+    this.socket.timeout(CHAT_ACK_TIMEOUT).emit('chat-message', {
+      sessionId,
+      message,
+      clientId,
+      replyTo,
+      timestamp,
+    }, (error, ack) => {
+      if (!error && ack?.id) {
+        outbox.removeChatMessage(sessionId, clientId);
+      }
+    });
+  }
+
+  // Edits, deletions and reactions need the connection; the server checks
+  // the permission and broadcasts the result to the whole session,
+  // including the sender. Each returns false if not connected.
+  editChatMessage(sessionId, messageId, message) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('chat-edit', {
       sessionId,
+      messageId,
       message,
       timestamp: Date.now(),
     });
+    return true;
+  }
+
+  deleteChatMessage(sessionId, messageId) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('chat-delete', {
+      sessionId,
+      messageId,
+      timestamp: Date.now(),
+    });
+    return true;
+  }
+
+  // Adds the reaction, or removes it if the user already reacted with it
+  toggleChatReaction(sessionId, messageId, emoji) {
+    if (!this.socket?.connected) return false;
+
+    this.socket.emit('chat-reaction', {
+      sessionId,
+      messageId,
+      emoji,
+      timestamp: Date.now(),
+    });
+    return true;
+  }
+
+  // Deliver chat messages and the cursor position queued while offline.
+  // Pending code edits are replayed by the editor, which has to merge them
+  // with the server's copy first.
+  async replayOutbox(sessionId) {
+    const records = await outbox.getAll(sessionId);
+    let replayed = 0;
+
+    for (const record of records) {
+      if (!this.socket?.connected) break;
+
+      if (record.type === 'chat-message') {
+        // Removed from the outbox once acknowledged
+        this.emitChatMessage(sessionId, {
+          message: record.message,
+          clientId: record.clientId,
+          replyTo: record.replyTo,
+          timestamp: record.createdAt,
+        });
+        replayed++;
+      } else if (record.type === 'cursor-selection') {
+        this.socket.emit('cursor-selection', {
+          sessionId,
+          ...record.selection,
+          timestamp: Date.now(),
+        });
+        await outbox.remove(record.key);
+        replayed++;
+      }
+    }
+
+    return replayed;
   }
 
   // Session event listeners
@@ -209,10 +501,38 @@ class SocketService {
     this.on('code-sync', callback);
   }
 
+  onCodeChangeAck(callback) {
+    this.on('code-change-ack', callback);
+  }
+
+  onCodeRestored(callback) {
+    this.on('code-restored', callback);
+  }
+
+  onSessionLanguageChanged(callback) {
+    this.on('session-language-changed', callback);
+  }
+
+  onRecordingStatus(callback) {
+    this.on('recording-status', callback);
+  }
+
+  onFileTreeChange(callback) {
+    this.on('file-tree-change', callback);
+  }
+
   onCursorUpdate(callback) {
     this.on('cursor-update', callback);
   }
 
+  onCursorSelection(callback) {
+    this.on('cursor-selection', callback);
+  }
+
+  onViewportUpdate(callback) {
+    this.on('viewport-update', callback);
+  }
+
   onTypingStatusUpdate(callback) {
     this.on('typing-status-update', callback);
   }
@@ -221,6 +541,15 @@ class SocketService {
     this.on('session-participants', callback);
   }
 
+  // Moderation confirmed by the server, sent to the whole session
+  onParticipantRemoved(callback) {
+    this.on('participant-removed', callback);
+  }
+
+  onParticipantRoleUpdated(callback) {
+    this.on('participant-role-updated', callback);
+  }
+
   onParticipantCountUpdate(callback) {
     this.on('participant-count-update', callback);
   }
@@ -237,10 +566,65 @@ class SocketService {
     this.on('execution-error', callback);
   }
 
+  onExecutionStdout(callback) {
+    this.on('execution-stdout', callback);
+  }
+
+  onExecutionStderr(callback) {
+    this.on('execution-stderr', callback);
+  }
+
+  onExecutionStdin(callback) {
+    this.on('execution-stdin', callback);
+  }
+
+  onExecutionExit(callback) {
+    this.on('execution-exit', callback);
+  }
+
+  onTestResults(callback) {
+    this.on('test-results', callback);
+  }
+
+  // Review comments changed over the REST API, sent to the whole session
+  onCommentAdded(callback) {
+    this.on('comment-added', callback);
+  }
+
+  onCommentUpdated(callback) {
+    this.on('comment-updated', callback);
+  }
+
+  onCommentDeleted(callback) {
+    this.on('comment-deleted', callback);
+  }
+
+  onCommentAnchors(callback) {
+    this.on('comment-anchors', callback);
+  }
+
+  // Personal notifications: mentions, invitations, role changes and the
+  // end of a session, as { id, type, title, message, link, createdAt }
+  onNotification(callback) {
+    this.on('notification', callback);
+  }
+
   onChatMessage(callback) {
     this.on('chat-message', callback);
   }
 
+  onChatMessageUpdated(callback) {
+    this.on('chat-message-updated', callback);
+  }
+
+  onChatMessageDeleted(callback) {
+    this.on('chat-message-deleted', callback);
+  }
+
+  onChatReactionUpdated(callback) {
+    this.on('chat-reaction-updated', callback);
+  }
+
   // Generic event listener management
   on(eventName, callback) {
     if (!this.socket) return;
@@ -298,6 +682,7 @@ class SocketService {
       this.socket.disconnect();
       this.socket = null;
       this.isConnected = false;
+      this.isAuthenticated = false;
     }
   }
 
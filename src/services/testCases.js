@@ -0,0 +1,78 @@
+// src/services/testCases.js
+// Helpers for session test cases. A test case is
+// { id, name, input, expectedOutput }; the list lives in the session
+// settings. A test run is shared with everyone in the session as
+// { id, status: 'running' | 'done', runBy, startedAt, finishedAt, results },
+// with one result per case carrying a copy of the case, so a run stays
+// readable after the cases are edited.
+import { v4 as uuidv4 } from 'uuid';
+
+export const createTestCase = (fields = {}) => ({
+  id: uuidv4(),
+  name: '',
+  input: '',
+  expectedOutput: '',
+  ...fields,
+});
+
+// Make sure every stored case has an id and string fields
+export const normalizeTestCases = (testCases) => (
+  Array.isArray(testCases)
+    ? testCases.map((testCase, index) => ({
+      id: String(testCase.id || testCase._id || `case-${index}`),
+      name: testCase.name || '',
+      input: testCase.input || '',
+      expectedOutput: testCase.expectedOutput || '',
+    }))
+    : []
+);
+
+// Output lines compared leniently: line endings and trailing whitespace
+// are ignored, as are blank lines at the end
+export const getOutputLines = (text) => {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''));
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+export const outputMatches = (expected, actual) => (
+  getOutputLines(expected).join('\n') === getOutputLines(actual).join('\n')
+);
+
+// Line-by-line comparison for display
+export const compareOutputLines = (expected, actual) => {
+  const expectedLines = getOutputLines(expected);
+  const actualLines = getOutputLines(actual);
+  const length = Math.max(expectedLines.length, actualLines.length);
+
+  return Array.from({ length }, (_, index) => ({
+    expected: expectedLines[index],
+    actual: actualLines[index],
+    matches: expectedLines[index] === actualLines[index],
+  }));
+};
+
+// Result placeholder for a case that has not run yet
+export const createPendingResult = (testCase) => ({
+  caseId: testCase.id,
+  name: testCase.name,
+  input: testCase.input,
+  expectedOutput: testCase.expectedOutput,
+  status: 'pending',
+});
+
+// Summary counts of a run
+export const summarizeTestRun = (testRun) => {
+  const results = testRun?.results || [];
+  return {
+    total: results.length,
+    passed: results.filter(result => result.status === 'passed').length,
+    failed: results.filter(result => result.status === 'failed' || result.status === 'error').length,
+  };
+};